@@ -3,14 +3,42 @@ import './App.css';
 import UploadStep from './components/UploadStep';
 import SortStep from './components/SortStep';
 import MergeStep from './components/MergeStep';
+import SplitStep from './components/SplitStep';
+import UpdateStep from './components/UpdateStep';
+
+export interface ValidationIssue {
+  code: string;
+  message: string;
+}
+
+export interface PackageValidation {
+  valid: boolean;
+  errors: ValidationIssue[];
+  warnings: ValidationIssue[];
+}
+
+export type PackageFormat = 'scorm' | 'aicc' | 'imscc';
+
+// Package fields the user can edit in the sort step
+export type EditableField = 'title' | 'description' | 'menuLabel';
 
 export interface ScormPackage {
   id: string;
   filename: string;
+  bundle?: string;
   title: string;
   description?: string;
+  menuLabel?: string;
+  section?: string;
+  // Modules to complete before this one unlocks: the one before it, or
+  // the ids of packages earlier in the course
+  prerequisites?: 'previous' | string[];
+  editedFields?: EditableField[];
   version: string;
+  format?: PackageFormat;
+  weight?: number;
   error?: string;
+  validation?: PackageValidation;
 }
 
 export interface ProgressUpdate {
@@ -35,6 +63,7 @@ export interface DescriptionUpdate {
 }
 
 const App: React.FC = () => {
+  const [mode, setMode] = useState<'merge' | 'split' | 'update'>('merge');
   const [currentStep, setCurrentStep] = useState(1);
   const [packages, setPackages] = useState<ScormPackage[]>([]);
   const [sessionId, setSessionId] = useState<string>('');
@@ -111,8 +140,9 @@ const App: React.FC = () => {
         // Update package description in real-time
         setPackages(prevPackages => {
           console.log('Previous packages before update:', prevPackages.map(p => ({ id: p.id, title: p.title, hasDescription: !!p.description })));
+          // Descriptions the user wrote are kept
           const updatedPackages = prevPackages.map(pkg => 
-            pkg.id === data.packageId 
+            pkg.id === data.packageId && !pkg.editedFields?.includes('description')
               ? { ...pkg, description: data.description }
               : pkg
           );
@@ -253,7 +283,7 @@ const App: React.FC = () => {
               console.log('Previous packages:', prevPackages);
               const updatedPackages = prevPackages.map(pkg => {
                 console.log(`Checking package ${pkg.id}:`, pkg.title);
-                if (resultsData.results[pkg.id]) {
+                if (resultsData.results[pkg.id] && !pkg.editedFields?.includes('description')) {
                   console.log(`Updating package ${pkg.id} with description:`, resultsData.results[pkg.id]);
                   return { ...pkg, description: resultsData.results[pkg.id] };
                 }
@@ -335,16 +365,41 @@ const App: React.FC = () => {
       </header>
       
       <main className="main-content">
-        {renderStepIndicator()}
+        <div className="mode-switch">
+          <button
+            className={mode === 'merge' ? 'active' : ''}
+            onClick={() => setMode('merge')}
+          >
+            Merge packages
+          </button>
+          <button
+            className={mode === 'split' ? 'active' : ''}
+            onClick={() => setMode('split')}
+          >
+            Split a merged package
+          </button>
+          <button
+            className={mode === 'update' ? 'active' : ''}
+            onClick={() => setMode('update')}
+          >
+            Update a merged package
+          </button>
+        </div>
+
+        {mode === 'split' && <SplitStep />}
+
+        {mode === 'update' && <UpdateStep sessionId={sessionId} />}
+
+        {mode === 'merge' && renderStepIndicator()}
         
-        {currentStep === 1 && (
+        {mode === 'merge' && currentStep === 1 && (
           <UploadStep 
             sessionId={sessionId}
             onUploadComplete={handleUploadComplete}
           />
         )}
         
-        {currentStep === 2 && (
+        {mode === 'merge' && currentStep === 2 && (
           <SortStep 
             packages={packages}
             sessionId={sessionId}
@@ -357,7 +412,7 @@ const App: React.FC = () => {
           />
         )}
         
-        {currentStep === 3 && (
+        {mode === 'merge' && currentStep === 3 && (
           <MergeStep 
             packages={packages}
             sessionId={sessionId}
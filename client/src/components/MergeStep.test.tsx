@@ -71,6 +71,18 @@ describe('MergeStep', () => {
     expect(screen.getByText('package2.zip • SCORM 1.2')).toBeInTheDocument();
   });
 
+  test('names the input format of AICC courses and Common Cartridges', () => {
+    const packages: ScormPackage[] = [
+      { id: '4', filename: 'aicc.zip', title: 'AICC Course', version: '3.4', format: 'aicc' },
+      { id: '5', filename: 'cartridge.zip', title: 'Cartridge', version: '1.3.0', format: 'imscc' }
+    ];
+
+    render(<MergeStep {...defaultProps} packages={packages} />);
+
+    expect(screen.getByText('aicc.zip • AICC 3.4')).toBeInTheDocument();
+    expect(screen.getByText('cartridge.zip • Common Cartridge 1.3.0')).toBeInTheDocument();
+  });
+
   test('filters out packages with errors from summary', () => {
     render(
       <MergeStep 
@@ -141,7 +153,15 @@ describe('MergeStep', () => {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
-          sessionId: 'test-session-123'
+          sessionId: 'test-session-123',
+          sortBy: 'session',
+          outputVersion: 'auto',
+          mergeMode: 'flat',
+          launchMode: 'navigate',
+          dedupeAssets: false,
+          sequencing: 'none',
+          completionRule: 'all',
+          scoreMethod: 'average'
         })
       }));
     });
@@ -380,6 +400,525 @@ describe('MergeStep', () => {
     });
   });
 
+  test('sorts the preview by menu label like the merge does', () => {
+    const labelledPackages: ScormPackage[] = [
+      { id: '1', filename: 'apple.zip', title: 'Apple Course', menuLabel: 'Zoology', version: '1.2' },
+      { id: '2', filename: 'mango.zip', title: 'Mango Course', version: '1.2' }
+    ];
+
+    render(<MergeStep {...defaultProps} packages={labelledPackages} />);
+    fireEvent.click(screen.getByLabelText(/Sort modules alphabetically by title/));
+
+    const titles = screen.getAllByText(/Course$/).map(el => el.textContent);
+    expect(titles).toEqual(['Mango Course', 'Apple Course']);
+  });
+
+  test('sends sortBy title and shows alphabetical order when opted in', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ downloadUrl: '/api/download/merged-scorm-123.zip' })
+    });
+
+    const unsortedPackages: ScormPackage[] = [
+      { id: '1', filename: 'zebra.zip', title: 'Zebra Course', version: '1.2' },
+      { id: '2', filename: 'apple.zip', title: 'Apple Course', version: '1.2' }
+    ];
+
+    render(<MergeStep {...defaultProps} packages={unsortedPackages} />);
+
+    const titles = () => screen.getAllByText(/Course$/).map(el => el.textContent);
+    expect(titles()).toEqual(['Zebra Course', 'Apple Course']);
+
+    fireEvent.click(screen.getByLabelText(/Sort modules alphabetically by title/));
+    expect(titles()).toEqual(['Apple Course', 'Zebra Course']);
+
+    fireEvent.click(screen.getByText('Start Merge Process'));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('/api/merge', expect.objectContaining({
+        body: JSON.stringify({
+          sessionId: 'test-session-123',
+          sortBy: 'title',
+          outputVersion: 'auto',
+          mergeMode: 'flat',
+          launchMode: 'navigate',
+          dedupeAssets: false,
+          sequencing: 'none',
+          completionRule: 'all',
+          scoreMethod: 'average'
+        })
+      }));
+    });
+  });
+
+  test('sends the selected output version and shows the resolved one', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ downloadUrl: '/api/download/merged-scorm-123.zip', outputVersion: '1.2' })
+    });
+
+    render(<MergeStep {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText(/Output SCORM version/), { target: { value: '1.2' } });
+    fireEvent.click(screen.getByText('Start Merge Process'));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('/api/merge', expect.objectContaining({
+        body: JSON.stringify({
+          sessionId: 'test-session-123',
+          sortBy: 'session',
+          outputVersion: '1.2',
+          mergeMode: 'flat',
+          launchMode: 'navigate',
+          dedupeAssets: false,
+          sequencing: 'none',
+          completionRule: 'all',
+          scoreMethod: 'average'
+        })
+      }));
+    });
+
+    await waitFor(() => {
+      expect(screen.getByText('Output format: SCORM 1.2')).toBeInTheDocument();
+    });
+  });
+
+  test('shows the space saved by storing shared files once', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        downloadUrl: '/api/download/merged-scorm-123.zip',
+        report: { deduplication: { sharedFiles: 2, duplicatesRemoved: 3, bytesSaved: 3 * 1024 * 1024 } }
+      })
+    });
+
+    render(<MergeStep {...defaultProps} />);
+    fireEvent.click(screen.getByText('Start Merge Process'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Shared files: 2 stored once instead of 5 times, saving 3.00 MB')).toBeInTheDocument();
+    });
+  });
+
+  test('shows that the merged package passed validation', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        downloadUrl: '/api/download/merged-scorm-123.zip',
+        report: { verification: { valid: true, errors: [], warnings: [] } }
+      })
+    });
+
+    render(<MergeStep {...defaultProps} />);
+    fireEvent.click(screen.getByText('Start Merge Process'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Validation passed')).toBeInTheDocument();
+    });
+  });
+
+  test('lists the issues found in the merged package', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        downloadUrl: '/api/download/merged-scorm-123.zip',
+        report: {
+          verification: {
+            valid: false,
+            errors: [{ code: 'MISSING_FILE', message: 'Resource "pkg_1_sco" lists package_1/app.js, which is not in the package' }],
+            warnings: [{ code: 'DOUBLE_ESCAPED_TEXT', message: 'The title "A &amp; B" in item is escaped twice' }]
+          }
+        }
+      })
+    });
+
+    render(<MergeStep {...defaultProps} />);
+    fireEvent.click(screen.getByText('Start Merge Process'));
+
+    await waitFor(() => {
+      expect(screen.getByText('2 issues found in the merged package')).toBeInTheDocument();
+    });
+    expect(screen.getByText('MISSING_FILE')).toBeInTheDocument();
+    expect(screen.getByText('The title "A &amp; B" in item is escaped twice')).toBeInTheDocument();
+  });
+
+  test('can turn on storing shared files once', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ downloadUrl: '/api/download/merged-scorm-123.zip' })
+    });
+
+    render(<MergeStep {...defaultProps} />);
+
+    expect(screen.getByLabelText(/Store files that several packages share/)).not.toBeChecked();
+    fireEvent.click(screen.getByLabelText(/Store files that several packages share/));
+    fireEvent.click(screen.getByText('Start Merge Process'));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('/api/merge', expect.objectContaining({
+        body: expect.stringContaining('"dedupeAssets":true')
+      }));
+    });
+  });
+
+  test('sends the structural merge mode when keeping lessons', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ downloadUrl: '/api/download/merged-scorm-123.zip' })
+    });
+
+    render(<MergeStep {...defaultProps} />);
+
+    fireEvent.click(screen.getByLabelText(/Keep each package's own lessons/));
+    fireEvent.click(screen.getByText('Start Merge Process'));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('/api/merge', expect.objectContaining({
+        body: JSON.stringify({
+          sessionId: 'test-session-123',
+          sortBy: 'session',
+          outputVersion: 'auto',
+          mergeMode: 'structural',
+          launchMode: 'navigate',
+          dedupeAssets: false,
+          sequencing: 'none',
+          completionRule: 'all',
+          scoreMethod: 'average'
+        })
+      }));
+    });
+  });
+
+  test('sends the player launch mode when playing modules inside the menu', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ downloadUrl: '/api/download/merged-scorm-123.zip' })
+    });
+
+    render(<MergeStep {...defaultProps} />);
+
+    fireEvent.click(screen.getByLabelText(/Play modules inside the course menu/));
+    fireEvent.click(screen.getByText('Start Merge Process'));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('/api/merge', expect.objectContaining({
+        body: JSON.stringify({
+          sessionId: 'test-session-123',
+          sortBy: 'session',
+          outputVersion: 'auto',
+          mergeMode: 'flat',
+          launchMode: 'player',
+          dedupeAssets: false,
+          sequencing: 'none',
+          completionRule: 'all',
+          scoreMethod: 'average'
+        })
+      }));
+    });
+  });
+
+  test('sends the selected sequencing strategy', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ downloadUrl: '/api/download/merged-scorm-123.zip' })
+    });
+
+    render(<MergeStep {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText(/LMS navigation/), { target: { value: 'completeAll' } });
+    fireEvent.click(screen.getByText('Start Merge Process'));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('/api/merge', expect.objectContaining({
+        body: JSON.stringify({
+          sessionId: 'test-session-123',
+          sortBy: 'session',
+          outputVersion: 'auto',
+          mergeMode: 'flat',
+          launchMode: 'navigate',
+          dedupeAssets: false,
+          sequencing: 'completeAll',
+          completionRule: 'all',
+          scoreMethod: 'average'
+        })
+      }));
+    });
+  });
+
+  test('sends an N of M completion rule', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ downloadUrl: '/api/download/merged-scorm-123.zip' })
+    });
+
+    render(<MergeStep {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText(/Course is complete when/), { target: { value: 'count' } });
+    fireEvent.change(screen.getByLabelText(/Modules to complete/), { target: { value: '2' } });
+    fireEvent.click(screen.getByText('Start Merge Process'));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('/api/merge', expect.objectContaining({
+        body: JSON.stringify({
+          sessionId: 'test-session-123',
+          sortBy: 'session',
+          outputVersion: 'auto',
+          mergeMode: 'flat',
+          launchMode: 'navigate',
+          dedupeAssets: false,
+          sequencing: 'none',
+          completionRule: 'count',
+          completionCount: 2,
+          scoreMethod: 'average'
+        })
+      }));
+    });
+  });
+
+  test('requires at least one module for the required subset rule', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ downloadUrl: '/api/download/merged-scorm-123.zip' })
+    });
+
+    render(<MergeStep {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText(/Course is complete when/), { target: { value: 'required' } });
+    expect(screen.getByText('Start Merge Process')).toBeDisabled();
+    expect(screen.getByText('Select at least one required module.')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Package 2' }));
+    fireEvent.click(screen.getByText('Start Merge Process'));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('/api/merge', expect.objectContaining({
+        body: JSON.stringify({
+          sessionId: 'test-session-123',
+          sortBy: 'session',
+          outputVersion: 'auto',
+          mergeMode: 'flat',
+          launchMode: 'navigate',
+          dedupeAssets: false,
+          sequencing: 'none',
+          completionRule: 'required',
+          requiredPackages: ['2'],
+          scoreMethod: 'average'
+        })
+      }));
+    });
+  });
+
+  test('sends the score method and passing score', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ downloadUrl: '/api/download/merged-scorm-123.zip' })
+    });
+
+    render(<MergeStep {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText(/Course score/), { target: { value: 'weighted' } });
+    fireEvent.change(screen.getByLabelText(/Passing score/), { target: { value: '80' } });
+    fireEvent.click(screen.getByText('Start Merge Process'));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('/api/merge', expect.objectContaining({
+        body: JSON.stringify({
+          sessionId: 'test-session-123',
+          sortBy: 'session',
+          outputVersion: 'auto',
+          mergeMode: 'flat',
+          launchMode: 'navigate',
+          dedupeAssets: false,
+          sequencing: 'none',
+          completionRule: 'all',
+          scoreMethod: 'weighted',
+          masteryScore: 80
+        })
+      }));
+    });
+  });
+
+  test('sends the course details that were filled in', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ downloadUrl: '/api/download/merged-scorm-123.zip?name=safety.zip' })
+    });
+
+    render(<MergeStep {...defaultProps} />);
+
+    expect(screen.getByLabelText(/File name/)).toHaveAttribute('placeholder', 'merged-scorm-package.zip');
+    fireEvent.change(screen.getByLabelText(/Course title/), { target: { value: 'Safety Training' } });
+    fireEvent.change(screen.getByLabelText(/Language/), { target: { value: 'de' } });
+    fireEvent.change(screen.getByLabelText(/Identifier/), { target: { value: '   ' } });
+    fireEvent.change(screen.getByLabelText(/File name/), { target: { value: 'safety' } });
+    fireEvent.click(screen.getByText('Start Merge Process'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Merge Complete!')).toBeInTheDocument();
+    });
+    const body = JSON.parse((fetch as jest.Mock).mock.calls[0][1].body);
+    expect(body).toMatchObject({ courseTitle: 'Safety Training', courseLanguage: 'de', outputFilename: 'safety' });
+    expect(body).not.toHaveProperty('courseIdentifier');
+    expect(body).not.toHaveProperty('courseDescription');
+
+    fireEvent.click(screen.getByText('Download Merged SCORM Package'));
+    expect(window.location.href).toBe('/api/download/merged-scorm-123.zip?name=safety.zip');
+  });
+
+  test('sends the cmi5 output format and hides SCORM-only options', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ downloadUrl: '/api/download/merged-cmi5-123.zip', outputFormat: 'cmi5', outputVersion: '2004' })
+    });
+
+    render(<MergeStep {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText(/Output format/), { target: { value: 'cmi5' } });
+    expect(screen.queryByLabelText(/Output SCORM version/)).not.toBeInTheDocument();
+    expect(screen.queryByLabelText(/LMS navigation/)).not.toBeInTheDocument();
+    expect(screen.queryByLabelText(/Course is complete when/)).not.toBeInTheDocument();
+    expect(screen.queryByLabelText(/Play modules inside the course menu/)).not.toBeInTheDocument();
+    fireEvent.click(screen.getByText('Start Merge Process'));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('/api/merge', expect.objectContaining({
+        body: JSON.stringify({
+          sessionId: 'test-session-123',
+          sortBy: 'session',
+          outputFormat: 'cmi5',
+          outputVersion: 'auto',
+          mergeMode: 'flat',
+          launchMode: 'navigate',
+          dedupeAssets: false,
+          sequencing: 'none',
+          completionRule: 'all',
+          scoreMethod: 'average'
+        })
+      }));
+    });
+
+    await waitFor(() => {
+      expect(screen.getByText('Your merged cmi5 course is ready for download.')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Output format: cmi5')).toBeInTheDocument();
+  });
+
+  test('sends the Common Cartridge output format without tracking options', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ downloadUrl: '/api/download/merged-imscc-123.zip', outputFormat: 'imscc', outputVersion: '2004' })
+    });
+
+    render(<MergeStep {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText(/Output format/), { target: { value: 'imscc' } });
+    expect(screen.queryByLabelText(/Course score/)).not.toBeInTheDocument();
+    expect(screen.queryByLabelText(/Passing score/)).not.toBeInTheDocument();
+    fireEvent.click(screen.getByText('Start Merge Process'));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('/api/merge', expect.objectContaining({
+        body: expect.stringContaining('"outputFormat":"imscc"')
+      }));
+    });
+
+    await waitFor(() => {
+      expect(screen.getByText('Your merged Common Cartridge is ready for download.')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Output format: Common Cartridge 1.3')).toBeInTheDocument();
+  });
+
+  test('sends the menu theme and saves it as a preset', async () => {
+    (fetch as jest.Mock)
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ themes: [] }) })
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ name: 'Acme', theme: { primaryColor: '#123456', launchButtonLabel: 'Start' } })
+      })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ downloadUrl: '/api/download/merged-scorm-123.zip' }) });
+
+    render(<MergeStep {...defaultProps} />);
+
+    fireEvent.click(screen.getByLabelText(/Brand the course menu/));
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('/api/themes');
+    });
+    expect(screen.getByText('No saved themes')).toBeInTheDocument();
+    expect(screen.queryByLabelText(/Back button/)).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText(/Primary colour/), { target: { value: '#123456' } });
+    fireEvent.change(screen.getByLabelText(/Launch button/), { target: { value: 'Start' } });
+    fireEvent.change(screen.getByLabelText('Theme name'), { target: { value: 'Acme' } });
+    fireEvent.click(screen.getByText('Save theme'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Delete theme')).toBeInTheDocument();
+    });
+    const saved = JSON.parse((fetch as jest.Mock).mock.calls[1][1].body);
+    expect(saved).toEqual({
+      name: 'Acme',
+      theme: { primaryColor: '#123456', secondaryColor: '#764ba2', launchButtonLabel: 'Start' }
+    });
+
+    fireEvent.click(screen.getByText('Start Merge Process'));
+    await waitFor(() => {
+      expect(screen.getByText('Merge Complete!')).toBeInTheDocument();
+    });
+    const body = JSON.parse((fetch as jest.Mock).mock.calls[2][1].body);
+    expect(body.theme).toEqual({ primaryColor: '#123456', secondaryColor: '#764ba2', launchButtonLabel: 'Start' });
+  });
+
+  test('loads and deletes saved themes', async () => {
+    (fetch as jest.Mock)
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          themes: [{ name: 'Acme', theme: { primaryColor: '#123456', secondaryColor: null, introText: 'Welcome', logo: null } }]
+        })
+      })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) });
+
+    render(<MergeStep {...defaultProps} />);
+
+    fireEvent.click(screen.getByLabelText(/Brand the course menu/));
+    await waitFor(() => {
+      expect(screen.getByText('Acme')).toBeInTheDocument();
+    });
+
+    fireEvent.change(screen.getByLabelText('Saved themes'), { target: { value: 'Acme' } });
+    expect(screen.getByLabelText(/Primary colour/)).toHaveValue('#123456');
+    expect(screen.getByLabelText(/Secondary colour/)).toHaveValue('#764ba2');
+    expect(screen.getByLabelText(/Intro text/)).toHaveValue('Welcome');
+    expect(screen.getByLabelText('Theme name')).toHaveValue('Acme');
+
+    fireEvent.click(screen.getByText('Delete theme'));
+    await waitFor(() => {
+      expect(screen.getByText('No saved themes')).toBeInTheDocument();
+    });
+    expect(fetch).toHaveBeenLastCalledWith('/api/themes/Acme', { method: 'DELETE' });
+  });
+
+  test('does not send a theme for other output formats', async () => {
+    (fetch as jest.Mock)
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ themes: [] }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ downloadUrl: '/api/download/merged-cmi5-123.zip', outputFormat: 'cmi5' }) });
+
+    render(<MergeStep {...defaultProps} />);
+
+    fireEvent.click(screen.getByLabelText(/Brand the course menu/));
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('/api/themes');
+    });
+    fireEvent.change(screen.getByLabelText(/Output format/), { target: { value: 'cmi5' } });
+    expect(screen.queryByText('Course menu theme')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByText('Start Merge Process'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Merge Complete!')).toBeInTheDocument();
+    });
+    expect(JSON.parse((fetch as jest.Mock).mock.calls[1][1].body)).not.toHaveProperty('theme');
+  });
+
   test('shows correct singular/plural text for package count', () => {
     const singlePackage: ScormPackage[] = [
       {
@@ -1,5 +1,94 @@
 import React, { useState } from 'react';
-import { ScormPackage, ProgressUpdate } from '../App';
+import { ScormPackage, ProgressUpdate, PackageValidation } from '../App';
+import { formatLabel } from '../packageFormats';
+
+type OutputFormat = 'scorm' | 'cmi5' | 'imscc';
+type OutputVersion = 'auto' | '1.2' | '2004';
+type SequencingStrategy = 'none' | 'choice' | 'flow' | 'completeAll';
+type CompletionRule = 'all' | 'count' | 'required';
+type ScoreMethod = 'average' | 'weighted' | 'minimum' | 'last';
+
+const OUTPUT_VERSION_LABELS: Record<string, string> = {
+  '1.2': 'SCORM 1.2',
+  '2004': 'SCORM 2004 3rd Edition'
+};
+
+const OUTPUT_FORMAT_NAMES: Record<OutputFormat, string> = {
+  scorm: 'SCORM package',
+  cmi5: 'cmi5 course',
+  imscc: 'Common Cartridge'
+};
+
+const DEFAULT_FILENAMES: Record<OutputFormat, string> = {
+  scorm: 'merged-scorm-package.zip',
+  cmi5: 'merged-cmi5-course.zip',
+  imscc: 'merged-common-cartridge.imscc'
+};
+
+interface CourseDetails {
+  courseTitle: string;
+  courseDescription: string;
+  courseIdentifier: string;
+  courseLanguage: string;
+  courseVersion: string;
+  outputFilename: string;
+}
+
+const EMPTY_COURSE_DETAILS: CourseDetails = {
+  courseTitle: '',
+  courseDescription: '',
+  courseIdentifier: '',
+  courseLanguage: '',
+  courseVersion: '',
+  outputFilename: ''
+};
+
+// Look of the generated course menu; blank fields keep the default look
+interface MenuTheme {
+  logo: string;
+  primaryColor: string;
+  secondaryColor: string;
+  fontFamily: string;
+  headingFontFamily: string;
+  introText: string;
+  launchButtonLabel: string;
+  resumeButtonLabel: string;
+  backButtonLabel: string;
+  headerHtml: string;
+  footerHtml: string;
+  customCss: string;
+}
+
+const DEFAULT_MENU_THEME: MenuTheme = {
+  logo: '',
+  primaryColor: '#667eea',
+  secondaryColor: '#764ba2',
+  fontFamily: '',
+  headingFontFamily: '',
+  introText: '',
+  launchButtonLabel: '',
+  resumeButtonLabel: '',
+  backButtonLabel: '',
+  headerHtml: '',
+  footerHtml: '',
+  customCss: ''
+};
+
+const MAX_LOGO_SIZE = 512 * 1024;
+
+// Alphabetical order follows the label on the course menu, as the server sorts
+const getMenuLabel = (pkg: ScormPackage) => pkg.menuLabel || pkg.title;
+
+interface ThemePreset {
+  name: string;
+  theme: Partial<Record<keyof MenuTheme, string | null>>;
+}
+
+interface DeduplicationReport {
+  sharedFiles: number;
+  duplicatesRemoved: number;
+  bytesSaved: number;
+}
 
 interface MergeStepProps {
   packages: ScormPackage[];
@@ -12,8 +101,146 @@ const MergeStep: React.FC<MergeStepProps> = ({ packages, sessionId, progress, on
   const [merging, setMerging] = useState(false);
   const [downloadUrl, setDownloadUrl] = useState<string | null>(null);
   const [error, setError] = useState<string | null>(null);
+  const [sortByTitle, setSortByTitle] = useState(false);
+  const [outputFormat, setOutputFormat] = useState<OutputFormat>('scorm');
+  const [outputVersion, setOutputVersion] = useState<OutputVersion>('auto');
+  const [keepLessons, setKeepLessons] = useState(false);
+  const [usePlayer, setUsePlayer] = useState(false);
+  const [dedupeAssets, setDedupeAssets] = useState(false);
+  const [sequencing, setSequencing] = useState<SequencingStrategy>('none');
+  const [completionRule, setCompletionRule] = useState<CompletionRule>('all');
+  const [completionCount, setCompletionCount] = useState(1);
+  const [requiredPackages, setRequiredPackages] = useState<string[]>([]);
+  const [scoreMethod, setScoreMethod] = useState<ScoreMethod>('average');
+  const [masteryScore, setMasteryScore] = useState('');
+  const [courseDetails, setCourseDetails] = useState<CourseDetails>(EMPTY_COURSE_DETAILS);
+  const [customTheme, setCustomTheme] = useState(false);
+  const [theme, setTheme] = useState<MenuTheme>(DEFAULT_MENU_THEME);
+  const [themePresets, setThemePresets] = useState<ThemePreset[]>([]);
+  const [presetName, setPresetName] = useState('');
+  const [themeError, setThemeError] = useState<string | null>(null);
+  const [mergedFormat, setMergedFormat] = useState<OutputFormat>('scorm');
+  const [mergedVersion, setMergedVersion] = useState<string | null>(null);
+  const [deduplication, setDeduplication] = useState<DeduplicationReport | null>(null);
+  const [verification, setVerification] = useState<PackageValidation | null>(null);
 
+  // The order chosen in the sort step is used unless the user opts into alphabetical order
   const validPackages = packages.filter(pkg => !pkg.error);
+  const orderedPackages = sortByTitle
+    ? [...validPackages].sort((a, b) => getMenuLabel(a).toLowerCase().localeCompare(getMenuLabel(b).toLowerCase()))
+    : validPackages;
+
+  // Course completion is left to the LMS in cmi5 courses
+  const missingRequiredPackages = outputFormat === 'scorm' && completionRule === 'required' && requiredPackages.length === 0;
+
+  const toggleRequiredPackage = (packageId: string) => {
+    setRequiredPackages(current => current.includes(packageId)
+      ? current.filter(id => id !== packageId)
+      : [...current, packageId]);
+  };
+
+  const setCourseDetail = (field: keyof CourseDetails, value: string) => {
+    setCourseDetails(current => ({ ...current, [field]: value }));
+  };
+
+  // Blank details keep the server's defaults
+  const filledCourseDetails = Object.fromEntries(
+    Object.entries(courseDetails).filter(([, value]) => value.trim() !== '')
+  );
+
+  const setThemeField = (field: keyof MenuTheme, value: string) => {
+    setTheme(current => ({ ...current, [field]: value }));
+  };
+
+  const filledTheme = Object.fromEntries(
+    Object.entries(theme).filter(([, value]) => value.trim() !== '')
+  );
+
+  // Saved themes are only loaded once the user wants to brand the menu
+  const toggleCustomTheme = async (checked: boolean) => {
+    setCustomTheme(checked);
+    if (!checked) {
+      return;
+    }
+    try {
+      const response = await fetch('/api/themes');
+      if (!response.ok) {
+        throw new Error('Saved themes could not be loaded');
+      }
+      const result = await response.json();
+      setThemePresets(result.themes);
+    } catch (error) {
+      console.error('Theme list error:', error);
+      setThemeError(error instanceof Error ? error.message : 'Saved themes could not be loaded');
+    }
+  };
+
+  const applyThemePreset = (name: string) => {
+    const preset = themePresets.find(candidate => candidate.name === name);
+    if (!preset) {
+      return;
+    }
+    const saved = Object.fromEntries(Object.entries(preset.theme).filter(([, value]) => value !== null));
+    setTheme({ ...DEFAULT_MENU_THEME, ...saved });
+    setPresetName(preset.name);
+    setThemeError(null);
+  };
+
+  const saveThemePreset = async () => {
+    setThemeError(null);
+    try {
+      const response = await fetch('/api/themes', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name: presetName, theme: filledTheme })
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Theme could not be saved');
+      }
+      const saved: ThemePreset = await response.json();
+      setThemePresets(current => [...current.filter(preset => preset.name !== saved.name), saved]
+        .sort((a, b) => a.name.localeCompare(b.name)));
+      setPresetName(saved.name);
+    } catch (error) {
+      console.error('Theme save error:', error);
+      setThemeError(error instanceof Error ? error.message : 'Theme could not be saved');
+    }
+  };
+
+  const deleteThemePreset = async () => {
+    setThemeError(null);
+    try {
+      const response = await fetch(`/api/themes/${encodeURIComponent(presetName)}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Theme could not be deleted');
+      }
+      setThemePresets(current => current.filter(preset => preset.name !== presetName));
+      setPresetName('');
+    } catch (error) {
+      console.error('Theme delete error:', error);
+      setThemeError(error instanceof Error ? error.message : 'Theme could not be deleted');
+    }
+  };
+
+  const selectLogo = (file: File | undefined) => {
+    if (!file) {
+      return;
+    }
+    if (file.size > MAX_LOGO_SIZE) {
+      setThemeError('The logo must be at most 512 KB.');
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      setThemeField('logo', String(reader.result));
+      setThemeError(null);
+    };
+    reader.readAsDataURL(file);
+  };
 
   const startMerge = async () => {
     setMerging(true);
@@ -27,7 +254,21 @@ const MergeStep: React.FC<MergeStepProps> = ({ packages, sessionId, progress, on
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          sessionId
+          sessionId,
+          sortBy: sortByTitle ? 'title' : 'session',
+          ...(outputFormat !== 'scorm' && { outputFormat }),
+          outputVersion,
+          mergeMode: keepLessons ? 'structural' : 'flat',
+          launchMode: usePlayer ? 'player' : 'navigate',
+          dedupeAssets,
+          sequencing,
+          completionRule,
+          ...(completionRule === 'count' && { completionCount }),
+          ...(completionRule === 'required' && { requiredPackages }),
+          scoreMethod,
+          ...(masteryScore !== '' && { masteryScore: Number(masteryScore) }),
+          ...filledCourseDetails,
+          ...(outputFormat === 'scorm' && customTheme && { theme: filledTheme })
         })
       });
 
@@ -38,6 +279,10 @@ const MergeStep: React.FC<MergeStepProps> = ({ packages, sessionId, progress, on
 
       const result = await response.json();
       setDownloadUrl(result.downloadUrl);
+      setMergedFormat(result.outputFormat || 'scorm');
+      setMergedVersion(result.outputVersion || null);
+      setDeduplication(result.report?.deduplication || null);
+      setVerification(result.report?.verification || null);
     } catch (error) {
       console.error('Merge error:', error);
       setError(error instanceof Error ? error.message : 'Merge failed');
@@ -64,13 +309,13 @@ const MergeStep: React.FC<MergeStepProps> = ({ packages, sessionId, progress, on
         <p>Ready to merge {validPackages.length} SCORM package{validPackages.length !== 1 ? 's' : ''}:</p>
         
         <div className="package-summary-list">
-          {validPackages.map((pkg, index) => (
+          {orderedPackages.map((pkg, index) => (
             <div key={pkg.id} className="package-summary-item">
               <span className="order">{index + 1}.</span>
               <div className="package-details">
                 <div className="package-title">{pkg.title}</div>
                 <div className="package-meta">
-                  {pkg.filename} • SCORM {pkg.version}
+                  {pkg.filename} • {formatLabel(pkg)}
                 </div>
               </div>
             </div>
@@ -78,6 +323,371 @@ const MergeStep: React.FC<MergeStepProps> = ({ packages, sessionId, progress, on
         </div>
       </div>
 
+      {!merging && !downloadUrl && !error && (
+        <div className="merge-options">
+          <fieldset className="course-details">
+            <legend>Course details</legend>
+            <label className="merge-option">
+              Course title:
+              <input
+                type="text"
+                maxLength={200}
+                placeholder="Merged SCORM Package"
+                value={courseDetails.courseTitle}
+                onChange={(e) => setCourseDetail('courseTitle', e.target.value)}
+              />
+            </label>
+            <label className="merge-option">
+              Description:
+              <textarea
+                maxLength={2000}
+                rows={2}
+                value={courseDetails.courseDescription}
+                onChange={(e) => setCourseDetail('courseDescription', e.target.value)}
+              />
+            </label>
+            <label className="merge-option">
+              Identifier:
+              <input
+                type="text"
+                maxLength={100}
+                placeholder="generated"
+                value={courseDetails.courseIdentifier}
+                onChange={(e) => setCourseDetail('courseIdentifier', e.target.value)}
+              />
+            </label>
+            <label className="merge-option">
+              Language:
+              <input
+                type="text"
+                maxLength={35}
+                placeholder="en"
+                value={courseDetails.courseLanguage}
+                onChange={(e) => setCourseDetail('courseLanguage', e.target.value)}
+              />
+            </label>
+            <label className="merge-option">
+              Version:
+              <input
+                type="text"
+                maxLength={50}
+                placeholder="none"
+                value={courseDetails.courseVersion}
+                onChange={(e) => setCourseDetail('courseVersion', e.target.value)}
+              />
+            </label>
+            <label className="merge-option">
+              File name:
+              <input
+                type="text"
+                maxLength={100}
+                placeholder={DEFAULT_FILENAMES[outputFormat]}
+                value={courseDetails.outputFilename}
+                onChange={(e) => setCourseDetail('outputFilename', e.target.value)}
+              />
+            </label>
+          </fieldset>
+          <label className="merge-option">
+            Output format:
+            <select
+              value={outputFormat}
+              onChange={(e) => setOutputFormat(e.target.value as OutputFormat)}
+            >
+              <option value="scorm">SCORM package</option>
+              <option value="cmi5">cmi5 course (for LMSs with an xAPI learning record store)</option>
+              <option value="imscc">Common Cartridge 1.3 (for LMSs such as Canvas; no progress tracking)</option>
+            </select>
+          </label>
+          <label className="merge-option">
+            <input
+              type="checkbox"
+              checked={sortByTitle}
+              onChange={(e) => setSortByTitle(e.target.checked)}
+            />
+            Sort modules alphabetically by title instead of using my order
+          </label>
+          <label className="merge-option">
+            <input
+              type="checkbox"
+              checked={keepLessons}
+              onChange={(e) => setKeepLessons(e.target.checked)}
+            />
+            Keep each package's own lessons in the LMS table of contents
+          </label>
+          {outputFormat === 'scorm' && (
+            <label className="merge-option">
+              <input
+                type="checkbox"
+                checked={usePlayer}
+                onChange={(e) => setUsePlayer(e.target.checked)}
+              />
+              Play modules inside the course menu (leaves module HTML unchanged)
+            </label>
+          )}
+          <label className="merge-option">
+            <input
+              type="checkbox"
+              checked={dedupeAssets}
+              onChange={(e) => setDedupeAssets(e.target.checked)}
+            />
+            Store files that several packages share (libraries, fonts, skins) only once
+          </label>
+          {outputFormat === 'scorm' && (
+            <>
+              <label className="merge-option">
+                Output SCORM version:
+                <select
+                  value={outputVersion}
+                  onChange={(e) => setOutputVersion(e.target.value as OutputVersion)}
+                >
+                  <option value="auto">Auto (SCORM 1.2 only if every package is 1.2)</option>
+                  <option value="1.2">{OUTPUT_VERSION_LABELS['1.2']}</option>
+                  <option value="2004">{OUTPUT_VERSION_LABELS['2004']}</option>
+                </select>
+              </label>
+              <label className="merge-option">
+                LMS navigation (SCORM 2004 only):
+                <select
+                  value={sequencing}
+                  onChange={(e) => setSequencing(e.target.value as SequencingStrategy)}
+                >
+                  <option value="none">LMS default</option>
+                  <option value="choice">Free choice of modules</option>
+                  <option value="flow">Modules in order, one after another</option>
+                  <option value="completeAll">Complete all modules to pass</option>
+                </select>
+              </label>
+              <label className="merge-option">
+                Course is complete when:
+                <select
+                  value={completionRule}
+                  onChange={(e) => setCompletionRule(e.target.value as CompletionRule)}
+                >
+                  <option value="all">All modules are completed</option>
+                  <option value="count">A number of modules are completed</option>
+                  <option value="required">Selected modules are completed</option>
+                </select>
+              </label>
+              {completionRule === 'count' && (
+                <label className="merge-option merge-suboption">
+                  Modules to complete:
+                  <input
+                    type="number"
+                    min={1}
+                    max={orderedPackages.length}
+                    value={completionCount}
+                    onChange={(e) => setCompletionCount(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                  />
+                  of {orderedPackages.length}
+                </label>
+              )}
+              {completionRule === 'required' && (
+                <div className="merge-suboption">
+                  {orderedPackages.map(pkg => (
+                    <label key={pkg.id} className="merge-option">
+                      <input
+                        type="checkbox"
+                        checked={requiredPackages.includes(String(pkg.id))}
+                        onChange={() => toggleRequiredPackage(String(pkg.id))}
+                      />
+                      {pkg.title}
+                    </label>
+                  ))}
+                  {missingRequiredPackages && (
+                    <p className="merge-option-hint">Select at least one required module.</p>
+                  )}
+                </div>
+              )}
+              <label className="merge-option">
+                Course score:
+                <select
+                  value={scoreMethod}
+                  onChange={(e) => setScoreMethod(e.target.value as ScoreMethod)}
+                >
+                  <option value="average">Average of module scores</option>
+                  <option value="weighted">Weighted average (weights from the sort step)</option>
+                  <option value="minimum">Lowest module score</option>
+                  <option value="last">Last module score</option>
+                </select>
+              </label>
+              <label className="merge-option">
+                <input
+                  type="checkbox"
+                  checked={customTheme}
+                  onChange={(e) => toggleCustomTheme(e.target.checked)}
+                />
+                Brand the course menu with a logo, colours, fonts and texts
+              </label>
+              {customTheme && (
+                <fieldset className="course-details menu-theme">
+                  <legend>Course menu theme</legend>
+                  <div className="theme-presets">
+                    <select
+                      aria-label="Saved themes"
+                      value=""
+                      onChange={(e) => applyThemePreset(e.target.value)}
+                    >
+                      <option value="">{themePresets.length > 0 ? 'Load a saved theme...' : 'No saved themes'}</option>
+                      {themePresets.map(preset => (
+                        <option key={preset.name} value={preset.name}>{preset.name}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      aria-label="Theme name"
+                      maxLength={100}
+                      placeholder="Theme name"
+                      value={presetName}
+                      onChange={(e) => setPresetName(e.target.value)}
+                    />
+                    <button type="button" onClick={saveThemePreset} disabled={presetName.trim() === ''}>
+                      Save theme
+                    </button>
+                    {themePresets.some(preset => preset.name === presetName) && (
+                      <button type="button" onClick={deleteThemePreset}>
+                        Delete theme
+                      </button>
+                    )}
+                  </div>
+                  <label className="merge-option">
+                    Logo:
+                    <input
+                      type="file"
+                      accept="image/png,image/jpeg,image/gif,image/svg+xml,image/webp"
+                      onChange={(e) => selectLogo(e.target.files?.[0])}
+                    />
+                  </label>
+                  {theme.logo && (
+                    <div className="theme-logo">
+                      <img src={theme.logo} alt="Course logo" />
+                      <button type="button" onClick={() => setThemeField('logo', '')}>
+                        Remove logo
+                      </button>
+                    </div>
+                  )}
+                  <label className="merge-option">
+                    Primary colour:
+                    <input
+                      type="color"
+                      value={theme.primaryColor}
+                      onChange={(e) => setThemeField('primaryColor', e.target.value)}
+                    />
+                  </label>
+                  <label className="merge-option">
+                    Secondary colour:
+                    <input
+                      type="color"
+                      value={theme.secondaryColor}
+                      onChange={(e) => setThemeField('secondaryColor', e.target.value)}
+                    />
+                  </label>
+                  <label className="merge-option">
+                    Font:
+                    <input
+                      type="text"
+                      maxLength={200}
+                      placeholder="System font"
+                      value={theme.fontFamily}
+                      onChange={(e) => setThemeField('fontFamily', e.target.value)}
+                    />
+                  </label>
+                  <label className="merge-option">
+                    Heading font:
+                    <input
+                      type="text"
+                      maxLength={200}
+                      placeholder="Same as the text"
+                      value={theme.headingFontFamily}
+                      onChange={(e) => setThemeField('headingFontFamily', e.target.value)}
+                    />
+                  </label>
+                  <label className="merge-option">
+                    Intro text:
+                    <input
+                      type="text"
+                      maxLength={300}
+                      placeholder="Select a course module to begin:"
+                      value={theme.introText}
+                      onChange={(e) => setThemeField('introText', e.target.value)}
+                    />
+                  </label>
+                  <label className="merge-option">
+                    Launch button:
+                    <input
+                      type="text"
+                      maxLength={50}
+                      placeholder="Launch Module"
+                      value={theme.launchButtonLabel}
+                      onChange={(e) => setThemeField('launchButtonLabel', e.target.value)}
+                    />
+                  </label>
+                  <label className="merge-option">
+                    Resume button:
+                    <input
+                      type="text"
+                      maxLength={100}
+                      placeholder="Continue where you left off"
+                      value={theme.resumeButtonLabel}
+                      onChange={(e) => setThemeField('resumeButtonLabel', e.target.value)}
+                    />
+                  </label>
+                  {usePlayer && (
+                    <label className="merge-option">
+                      Back button:
+                      <input
+                        type="text"
+                        maxLength={50}
+                        placeholder="Back to menu"
+                        value={theme.backButtonLabel}
+                        onChange={(e) => setThemeField('backButtonLabel', e.target.value)}
+                      />
+                    </label>
+                  )}
+                  <label className="merge-option">
+                    Header HTML:
+                    <textarea
+                      rows={2}
+                      value={theme.headerHtml}
+                      onChange={(e) => setThemeField('headerHtml', e.target.value)}
+                    />
+                  </label>
+                  <label className="merge-option">
+                    Footer HTML:
+                    <textarea
+                      rows={2}
+                      value={theme.footerHtml}
+                      onChange={(e) => setThemeField('footerHtml', e.target.value)}
+                    />
+                  </label>
+                  <label className="merge-option">
+                    Custom CSS:
+                    <textarea
+                      rows={4}
+                      value={theme.customCss}
+                      onChange={(e) => setThemeField('customCss', e.target.value)}
+                    />
+                  </label>
+                  {themeError && <p className="merge-option-hint">{themeError}</p>}
+                </fieldset>
+              )}
+            </>
+          )}
+          {outputFormat !== 'imscc' && (
+            <label className="merge-option">
+              Passing score (%):
+              <input
+                type="number"
+                min={0}
+                max={100}
+                placeholder="none"
+                value={masteryScore}
+                onChange={(e) => setMasteryScore(e.target.value)}
+              />
+            </label>
+          )}
+        </div>
+      )}
+
       {!merging && !downloadUrl && !error && (
         <div className="merge-actions">
           <button onClick={onBack} className="back-btn">
@@ -86,7 +696,7 @@ const MergeStep: React.FC<MergeStepProps> = ({ packages, sessionId, progress, on
           <button 
             onClick={startMerge}
             className="merge-btn"
-            disabled={validPackages.length === 0}
+            disabled={validPackages.length === 0 || missingRequiredPackages}
           >
             Start Merge Process
           </button>
@@ -134,14 +744,26 @@ const MergeStep: React.FC<MergeStepProps> = ({ packages, sessionId, progress, on
       {downloadUrl && (
         <div className="merge-success">
           <h3>Merge Complete!</h3>
-          <p>Your merged SCORM package is ready for download.</p>
+          <p>Your merged {OUTPUT_FORMAT_NAMES[mergedFormat]} is ready for download.</p>
           
           <div className="download-info">
             <div className="success-icon">✅</div>
             <div className="success-details">
+              {mergedFormat === 'cmi5' && <p>Output format: cmi5</p>}
+              {mergedFormat === 'imscc' && <p>Output format: Common Cartridge 1.3</p>}
+              {mergedFormat === 'scorm' && mergedVersion && (
+                <p>Output format: {OUTPUT_VERSION_LABELS[mergedVersion] || mergedVersion}</p>
+              )}
+              {deduplication && deduplication.sharedFiles > 0 && (
+                <p>
+                  Shared files: {deduplication.sharedFiles} stored once instead of{' '}
+                  {deduplication.sharedFiles + deduplication.duplicatesRemoved} times,
+                  saving {(deduplication.bytesSaved / 1024 / 1024).toFixed(2)} MB
+                </p>
+              )}
               <p><strong>Merged Package Contains:</strong></p>
               <ul>
-                {validPackages.map((pkg, index) => (
+                {orderedPackages.map((pkg, index) => (
                   <li key={pkg.id}>
                     Section {index + 1}: {pkg.title}
                   </li>
@@ -150,6 +772,29 @@ const MergeStep: React.FC<MergeStepProps> = ({ packages, sessionId, progress, on
             </div>
           </div>
 
+          {verification && (
+            <div className={`verification-panel ${verification.valid ? 'passed' : 'failed'}`}>
+              {verification.errors.length + verification.warnings.length === 0 ? (
+                <p>Validation passed</p>
+              ) : (
+                <>
+                  <p>
+                    {verification.errors.length + verification.warnings.length}{' '}
+                    {verification.errors.length + verification.warnings.length === 1 ? 'issue' : 'issues'} found
+                    in the merged package
+                  </p>
+                  <ul>
+                    {[...verification.errors, ...verification.warnings].map((issue, index) => (
+                      <li key={index}>
+                        <code>{issue.code}</code> {issue.message}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </div>
+          )}
+
           <div className="download-actions">
             <button onClick={downloadPackage} className="download-btn">
               Download Merged SCORM Package
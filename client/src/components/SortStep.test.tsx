@@ -17,23 +17,25 @@ jest.mock('@dnd-kit/core', () => ({
   useSensors: jest.fn(() => [])
 }));
 
+// Plain functions rather than jest.fn(): resetMocks would clear their
+// implementations before every test
 jest.mock('@dnd-kit/sortable', () => ({
-  arrayMove: jest.fn((items, oldIndex, newIndex) => {
+  arrayMove: (items: any[], oldIndex: number, newIndex: number) => {
     const result = [...items];
     const [removed] = result.splice(oldIndex, 1);
     result.splice(newIndex, 0, removed);
     return result;
-  }),
+  },
   SortableContext: ({ children }: any) => <div data-testid="sortable-context">{children}</div>,
-  sortableKeyboardCoordinates: jest.fn(),
-  verticalListSortingStrategy: jest.fn(),
-  useSortable: jest.fn(() => ({
+  sortableKeyboardCoordinates: () => undefined,
+  verticalListSortingStrategy: () => null,
+  useSortable: () => ({
     attributes: {},
     listeners: {},
-    setNodeRef: jest.fn(),
+    setNodeRef: () => undefined,
     transform: null,
     transition: null
-  }))
+  })
 }));
 
 jest.mock('@dnd-kit/utilities', () => ({
@@ -144,6 +146,25 @@ describe('SortStep', () => {
     expect(screen.getByText('No imsmanifest.xml found')).toBeInTheDocument();
   });
 
+  test('lists coded validation errors and warnings for a package', () => {
+    const packages: ScormPackage[] = [
+      {
+        ...validPackages[0],
+        validation: {
+          valid: false,
+          errors: [{ code: 'MISSING_FILE', message: 'Resource "sco" lists app.js, which is not in the package' }],
+          warnings: [{ code: 'MISSING_SCHEMAVERSION', message: 'The manifest metadata does not give a schemaversion' }]
+        }
+      }
+    ];
+
+    render(<SortStep {...defaultProps} packages={packages} />);
+
+    expect(screen.getByText('1 error, 1 warning')).toBeInTheDocument();
+    expect(screen.getByText('MISSING_FILE')).toBeInTheDocument();
+    expect(screen.getByText('Resource "sco" lists app.js, which is not in the package')).toBeInTheDocument();
+  });
+
   test('shows back and continue buttons', () => {
     render(<SortStep {...defaultProps} />);
     
@@ -328,6 +349,26 @@ describe('SortStep', () => {
     expect(dragHandles).toHaveLength(2); // One for each valid package
   });
 
+  test('saves the score weight set for a package', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true })
+    });
+
+    render(<SortStep {...defaultProps} />);
+
+    fireEvent.change(screen.getAllByLabelText('Score weight:')[0], { target: { value: '3' } });
+    fireEvent.click(screen.getByText('Continue to Merge'));
+
+    await waitFor(() => {
+      expect(mockOnSortComplete).toHaveBeenCalledWith(
+        expect.arrayContaining([expect.objectContaining({ id: '1', weight: 3 })])
+      );
+    });
+    const body = JSON.parse((fetch as jest.Mock).mock.calls[0][1].body);
+    expect(body.packages[0].weight).toBe(3);
+  });
+
   test('shows correct package details', () => {
     render(<SortStep {...defaultProps} />);
     
@@ -336,4 +377,175 @@ describe('SortStep', () => {
     expect(screen.getByText('SCORM 2004 3rd Edition')).toBeInTheDocument();
     expect(screen.getByText('SCORM 1.2')).toBeInTheDocument();
   });
-});
\ No newline at end of file
+
+  test('shows the bundle a package was extracted from', () => {
+    const packages: ScormPackage[] = [{ ...validPackages[0], bundle: 'course-bundle.zip' }];
+
+    render(<SortStep {...defaultProps} packages={packages} />);
+
+    expect(screen.getByText('course-bundle.zip › package1.zip')).toBeInTheDocument();
+  });
+  test('edits the title, description and menu label of a package', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        package: {
+          ...validPackages[0],
+          title: 'Fire Safety',
+          description: 'Written by hand',
+          menuLabel: 'Module A',
+          editedFields: ['title', 'description', 'menuLabel']
+        }
+      })
+    });
+
+    render(<SortStep {...defaultProps} />);
+
+    fireEvent.click(screen.getByLabelText('Edit Package 1'));
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Fire Safety' } });
+    fireEvent.change(screen.getByLabelText('Description'), { target: { value: 'Written by hand' } });
+    fireEvent.change(screen.getByLabelText('Menu label'), { target: { value: 'Module A' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Fire Safety')).toBeInTheDocument();
+    });
+    expect(fetch).toHaveBeenCalledWith('/api/packages/edit', expect.objectContaining({ method: 'POST' }));
+    expect(JSON.parse((fetch as jest.Mock).mock.calls[0][1].body)).toEqual({
+      sessionId: 'test-session-123',
+      packageId: '1',
+      title: 'Fire Safety',
+      description: 'Written by hand',
+      menuLabel: 'Module A'
+    });
+    expect(screen.getByText('Written by hand')).toBeInTheDocument();
+    expect(screen.getByText('Menu label: Module A')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Title')).not.toBeInTheDocument();
+  });
+
+  test('shows why an edit was not saved', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: false,
+      json: async () => ({ error: 'title cannot be empty' })
+    });
+
+    render(<SortStep {...defaultProps} />);
+
+    fireEvent.click(screen.getByLabelText('Edit Package 2'));
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: ' ' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    await waitFor(() => {
+      expect(screen.getByText('title cannot be empty')).toBeInTheDocument();
+    });
+    expect(screen.getByLabelText('Title')).toBeInTheDocument();
+  });
+
+  test('keeps a description the user wrote when generated descriptions arrive', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        package: { ...validPackages[0], description: 'Written by hand', editedFields: ['description'] }
+      })
+    });
+
+    const { rerender } = render(<SortStep {...defaultProps} />);
+
+    fireEvent.click(screen.getByLabelText('Edit Package 1'));
+    fireEvent.change(screen.getByLabelText('Description'), { target: { value: 'Written by hand' } });
+    fireEvent.click(screen.getByText('Save'));
+    await waitFor(() => {
+      expect(screen.getByText('Written by hand')).toBeInTheDocument();
+    });
+
+    rerender(<SortStep {...defaultProps} packages={[
+      { ...validPackages[0], description: 'Generated for package 1' },
+      { ...validPackages[1], description: 'Generated for package 2' }
+    ]} />);
+
+    expect(screen.getByText('Written by hand')).toBeInTheDocument();
+    expect(screen.queryByText('Generated for package 1')).not.toBeInTheDocument();
+    expect(screen.getByText('Generated for package 2')).toBeInTheDocument();
+  });
+
+  test('groups packages into sections and saves them in section order', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true })
+    });
+
+    render(<SortStep {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText('New section name'), { target: { value: 'Week 1' } });
+    fireEvent.click(screen.getByText('Add Section'));
+    expect(screen.getByLabelText('Remove section Week 1')).toBeInTheDocument();
+    expect(screen.getByText('0 packages')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Section of Package 1'), { target: { value: 'Week 1' } });
+    expect(screen.getByText('1 package')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Continue to Merge'));
+
+    await waitFor(() => {
+      expect(mockOnSortComplete).toHaveBeenCalled();
+    });
+    const ordered = [validPackages[1], { ...validPackages[0], section: 'Week 1' }];
+    expect(JSON.parse((fetch as jest.Mock).mock.calls[0][1].body)).toEqual({
+      sessionId: 'test-session-123',
+      packages: ordered,
+      sections: ['Week 1']
+    });
+    expect(mockOnSortComplete).toHaveBeenCalledWith(ordered);
+  });
+
+  test('does not add a section twice and moves packages out of removed sections', () => {
+    render(<SortStep {...defaultProps} />);
+
+    const nameInput = screen.getByLabelText('New section name');
+    fireEvent.change(nameInput, { target: { value: 'Week 1' } });
+    fireEvent.click(screen.getByText('Add Section'));
+    fireEvent.change(nameInput, { target: { value: 'Week 1' } });
+    expect(screen.getByText('Add Section')).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('Section of Package 1'), { target: { value: 'Week 1' } });
+    fireEvent.click(screen.getByLabelText('Remove section Week 1'));
+
+    expect(screen.queryByLabelText('Remove section Week 1')).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('Section of Package 1')).not.toBeInTheDocument();
+  });
+
+  test('saves the modules a package waits for', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true })
+    });
+    const packages = [...validPackages, { id: '4', filename: 'package4.zip', title: 'Package 4', version: '1.2' }];
+
+    render(<SortStep {...defaultProps} packages={packages} />);
+
+    fireEvent.change(screen.getByLabelText('Prerequisites of Package 2'), { target: { value: 'previous' } });
+    fireEvent.change(screen.getByLabelText('Prerequisites of Package 4'), { target: { value: 'modules' } });
+    fireEvent.click(screen.getByLabelText('Package 1'));
+    expect(screen.getByLabelText('Package 2')).not.toBeChecked();
+    expect(screen.queryByLabelText('Package 4')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Continue to Merge'));
+
+    await waitFor(() => {
+      expect(mockOnSortComplete).toHaveBeenCalled();
+    });
+    expect(JSON.parse((fetch as jest.Mock).mock.calls[0][1].body).packages).toEqual([
+      validPackages[0],
+      { ...validPackages[1], prerequisites: 'previous' },
+      { ...packages[2], prerequisites: ['1'] }
+    ]);
+  });
+
+  test('only offers modules that come earlier as prerequisites', () => {
+    render(<SortStep {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText('Prerequisites of Package 1'), { target: { value: 'modules' } });
+
+    expect(screen.getByText('No modules come before this one')).toBeInTheDocument();
+  });
+});
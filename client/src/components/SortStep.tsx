@@ -18,7 +18,8 @@ import {
   useSortable,
 } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
-import { ScormPackage, DescriptionProgress } from '../App';
+import { ScormPackage, DescriptionProgress, PackageValidation, EditableField } from '../App';
+import { formatLabel } from '../packageFormats';
 
 interface SortStepProps {
   packages: ScormPackage[];
@@ -31,13 +32,174 @@ interface SortStepProps {
   onCancelDescriptionGeneration: () => void;
 }
 
+type PackageEdits = Partial<Record<EditableField, string>>;
+
 interface SortableItemProps {
   id: string;
   package: ScormPackage;
   index: number;
+  onWeightChange?: (id: string, weight: number) => void;
+  onEdit?: (id: string, edits: PackageEdits) => Promise<void>;
+  sections?: string[];
+  onSectionChange?: (id: string, section?: string) => void;
+  earlierPackages?: ScormPackage[];
+  onPrerequisitesChange?: (id: string, prerequisites?: ScormPackage['prerequisites']) => void;
 }
 
-const SortableItem: React.FC<SortableItemProps> = ({ id, package: pkg, index }) => {
+// Rows of the sortable list: packages, and the headings of sections
+type ListRow =
+  | { id: string; package: ScormPackage }
+  | { id: string; section: string; count: number };
+
+const plural = (count: number, word: string) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const sectionRowId = (name: string) => `section:${name}`;
+
+// Sections of packages coming back from the merge step, in course order
+const sectionNames = (packages: ScormPackage[]) => packages.reduce<string[]>(
+  (names, pkg) => (pkg.section && !names.includes(pkg.section) ? [...names, pkg.section] : names),
+  []
+);
+
+// Specific prerequisites have to come earlier in the course; packages moved
+// below the one requiring them are dropped from its list
+const withEarlierPrerequisites = (packages: ScormPackage[]) => packages.map((pkg, index) => {
+  if (!Array.isArray(pkg.prerequisites)) {
+    return pkg;
+  }
+  const earlierIds = packages.slice(0, index).map(other => other.id);
+  return { ...pkg, prerequisites: pkg.prerequisites.filter(id => earlierIds.includes(id)) };
+});
+
+// Validation errors and warnings of a package, falling back to its error
+// string for packages uploaded before validation reports existed
+const ValidationReport: React.FC<{ validation?: PackageValidation; error?: string }> = ({ validation, error }) => {
+  if (!validation) {
+    return error ? <div className="error-message">{error}</div> : null;
+  }
+
+  const issues = [
+    ...validation.errors.map(issue => ({ ...issue, severity: 'error' })),
+    ...validation.warnings.map(issue => ({ ...issue, severity: 'warning' }))
+  ];
+  if (issues.length === 0) {
+    return null;
+  }
+
+  return (
+    // Keep clicks on the summary from starting a drag
+    <details
+      className="validation-report"
+      open={!validation.valid}
+      onPointerDown={(e) => e.stopPropagation()}
+      onKeyDown={(e) => e.stopPropagation()}
+    >
+      <summary>
+        {plural(validation.errors.length, 'error')}, {plural(validation.warnings.length, 'warning')}
+      </summary>
+      <ul>
+        {issues.map((issue, index) => (
+          <li key={index} className={`validation-issue ${issue.severity}`}>
+            <code>{issue.code}</code> {issue.message}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+// Inline form for the title, description and menu label of a package
+const PackageEditor: React.FC<{
+  package: ScormPackage;
+  onSave: (edits: PackageEdits) => Promise<void>;
+  onClose: () => void;
+}> = ({ package: pkg, onSave, onClose }) => {
+  const [title, setTitle] = useState(pkg.title);
+  const [description, setDescription] = useState(pkg.description || '');
+  const [menuLabel, setMenuLabel] = useState(pkg.menuLabel || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const save = async () => {
+    // Only changed fields are sent, so the others keep updating on their own
+    const edits: PackageEdits = {};
+    if (title !== pkg.title) {
+      edits.title = title;
+    }
+    if (description !== (pkg.description || '')) {
+      edits.description = description;
+    }
+    if (menuLabel !== (pkg.menuLabel || '')) {
+      edits.menuLabel = menuLabel;
+    }
+    if (Object.keys(edits).length === 0) {
+      onClose();
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave(edits);
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to save changes');
+      setSaving(false);
+      return;
+    }
+    onClose();
+  };
+
+  return (
+    // Keep pointer and key presses in the form from starting a drag
+    <div
+      className="package-editor"
+      onPointerDown={(e) => e.stopPropagation()}
+      onKeyDown={(e) => e.stopPropagation()}
+    >
+      <label>
+        Title
+        <input type="text" maxLength={200} value={title} onChange={(e) => setTitle(e.target.value)} />
+      </label>
+      <label>
+        Description
+        <textarea maxLength={2000} rows={3} value={description} onChange={(e) => setDescription(e.target.value)} />
+      </label>
+      <label>
+        Menu label
+        <input
+          type="text"
+          maxLength={100}
+          placeholder={title}
+          value={menuLabel}
+          onChange={(e) => setMenuLabel(e.target.value)}
+        />
+      </label>
+      {error && <div className="error-message">{error}</div>}
+      <div className="package-editor-actions">
+        <button onClick={save} disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button onClick={onClose} disabled={saving}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const SortableItem: React.FC<SortableItemProps> = ({
+  id,
+  package: pkg,
+  index,
+  onWeightChange,
+  onEdit,
+  sections = [],
+  onSectionChange,
+  earlierPackages = [],
+  onPrerequisitesChange
+}) => {
+  const [editing, setEditing] = useState(false);
+  const requiredIds = Array.isArray(pkg.prerequisites) ? pkg.prerequisites : null;
   const {
     attributes,
     listeners,
@@ -65,22 +227,162 @@ const SortableItem: React.FC<SortableItemProps> = ({ id, package: pkg, index })
           <span className="package-order">{index + 1}.</span>
           <span className="package-title">{pkg.title}</span>
           {pkg.error && <span className="error-badge">Error</span>}
+          {onEdit && !editing && (
+            <button
+              className="edit-package-btn"
+              aria-label={`Edit ${pkg.title}`}
+              onClick={() => setEditing(true)}
+              onPointerDown={(e) => e.stopPropagation()}
+              onKeyDown={(e) => e.stopPropagation()}
+            >
+              Edit
+            </button>
+          )}
         </div>
-        {pkg.description && (
-          <div className="package-description">{pkg.description}</div>
+        {editing && onEdit ? (
+          <PackageEditor
+            package={pkg}
+            onSave={(edits) => onEdit(id, edits)}
+            onClose={() => setEditing(false)}
+          />
+        ) : (
+          <>
+            {pkg.description && (
+              <div className="package-description">{pkg.description}</div>
+            )}
+            {pkg.menuLabel && (
+              <div className="package-menu-label">Menu label: {pkg.menuLabel}</div>
+            )}
+          </>
         )}
         <div className="package-details">
-          <span className="filename">{pkg.filename}</span>
-          <span className="version">SCORM {pkg.version}</span>
+          <span className="filename">
+            {pkg.bundle ? `${pkg.bundle} › ${pkg.filename}` : pkg.filename}
+          </span>
+          <span className="version">{formatLabel(pkg)}</span>
         </div>
-        {pkg.error && (
-          <div className="error-message">{pkg.error}</div>
+        {onWeightChange && (
+          // Keep pointer and key presses in the field from starting a drag
+          <label
+            className="score-weight"
+            onPointerDown={(e) => e.stopPropagation()}
+            onKeyDown={(e) => e.stopPropagation()}
+          >
+            Score weight:
+            <input
+              type="number"
+              min={0}
+              step={0.5}
+              value={pkg.weight ?? 1}
+              onChange={(e) => onWeightChange(id, Math.max(0, parseFloat(e.target.value) || 0))}
+            />
+          </label>
+        )}
+        {onSectionChange && sections.length > 0 && (
+          <label
+            className="package-section"
+            onPointerDown={(e) => e.stopPropagation()}
+            onKeyDown={(e) => e.stopPropagation()}
+          >
+            Section:
+            <select
+              aria-label={`Section of ${pkg.title}`}
+              value={pkg.section || ''}
+              onChange={(e) => onSectionChange(id, e.target.value || undefined)}
+            >
+              <option value="">No section</option>
+              {sections.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {onPrerequisitesChange && (
+          <div
+            className="package-prerequisites"
+            onPointerDown={(e) => e.stopPropagation()}
+            onKeyDown={(e) => e.stopPropagation()}
+          >
+            <label>
+              Unlocks:
+              <select
+                aria-label={`Prerequisites of ${pkg.title}`}
+                value={requiredIds ? 'modules' : pkg.prerequisites || ''}
+                onChange={(e) => onPrerequisitesChange(id, e.target.value === 'modules'
+                  ? []
+                  : (e.target.value as 'previous') || undefined)}
+              >
+                <option value="">Always</option>
+                <option value="previous">After the previous module</option>
+                <option value="modules">After specific modules</option>
+              </select>
+            </label>
+            {requiredIds && (
+              earlierPackages.length > 0 ? (
+                <fieldset className="prerequisite-modules">
+                  <legend>Complete first</legend>
+                  {earlierPackages.map(other => (
+                    <label key={other.id}>
+                      <input
+                        type="checkbox"
+                        checked={requiredIds.includes(other.id)}
+                        onChange={(e) => onPrerequisitesChange(id, e.target.checked
+                          ? [...requiredIds, other.id]
+                          : requiredIds.filter(requiredId => requiredId !== other.id))}
+                      />
+                      {other.title}
+                    </label>
+                  ))}
+                </fieldset>
+              ) : (
+                <span className="prerequisite-hint">No modules come before this one</span>
+              )
+            )}
+          </div>
         )}
+        <ValidationReport validation={pkg.validation} error={pkg.error} />
       </div>
     </div>
   );
 };
 
+interface SectionHeaderProps {
+  name: string;
+  count: number;
+  onMoveUp?: () => void;
+  onRemove: () => void;
+}
+
+// Heading of a section in the sortable list. It is not dragged itself;
+// packages dropped below it join the section.
+const SectionHeader: React.FC<SectionHeaderProps> = ({ name, count, onMoveUp, onRemove }) => {
+  const {
+    setNodeRef,
+    transform,
+    transition,
+  } = useSortable({ id: sectionRowId(name), disabled: { draggable: true } });
+
+  const style = {
+    transform: CSS.Transform.toString(transform),
+    transition,
+  };
+
+  return (
+    <div ref={setNodeRef} style={style} className="section-header">
+      <span className="section-name">{name}</span>
+      <span className="section-count">{plural(count, 'package')}</span>
+      {onMoveUp && (
+        <button onClick={onMoveUp} aria-label={`Move section ${name} up`}>
+          ↑
+        </button>
+      )}
+      <button onClick={onRemove} aria-label={`Remove section ${name}`}>
+        Remove
+      </button>
+    </div>
+  );
+};
+
 const SortStep: React.FC<SortStepProps> = ({ 
   packages, 
   sessionId, 
@@ -92,11 +394,22 @@ const SortStep: React.FC<SortStepProps> = ({
   onCancelDescriptionGeneration
 }) => {
   const [sortedPackages, setSortedPackages] = useState(packages);
+  const [sections, setSections] = useState(() => sectionNames(packages));
+  const [newSection, setNewSection] = useState('');
   const [saving, setSaving] = useState(false);
 
-  // Sync with parent state changes (for real-time description updates)
+  // Sync with parent state changes (for real-time description updates),
+  // keeping the sections and the fields the user edited here
   useEffect(() => {
-    setSortedPackages(packages);
+    setSortedPackages(current => packages.map(pkg => {
+      const local = current.find(item => item.id === pkg.id);
+      if (!local) {
+        return pkg;
+      }
+      return local.editedFields?.length
+        ? { ...pkg, section: local.section, prerequisites: local.prerequisites, title: local.title, description: local.description, menuLabel: local.menuLabel, editedFields: local.editedFields }
+        : { ...pkg, section: local.section, prerequisites: local.prerequisites };
+    }));
   }, [packages]);
 
   const sensors = useSensors(
@@ -106,25 +419,98 @@ const SortStep: React.FC<SortStepProps> = ({
     })
   );
 
+  const validPackages = sortedPackages.filter(pkg => !pkg.error);
+  const errorPackages = sortedPackages.filter(pkg => pkg.error);
+
+  // Packages without a section come first, then each section under its heading
+  const rows: ListRow[] = validPackages
+    .filter(pkg => !pkg.section || !sections.includes(pkg.section))
+    .map(pkg => ({ id: pkg.id, package: pkg }));
+  sections.forEach(name => {
+    const members = validPackages.filter(pkg => pkg.section === name);
+    rows.push({ id: sectionRowId(name), section: name, count: members.length });
+    members.forEach(pkg => rows.push({ id: pkg.id, package: pkg }));
+  });
+  const orderedPackages = rows.flatMap(row => ('package' in row ? [row.package] : []));
+
   const handleDragEnd = (event: DragEndEvent) => {
     const { active, over } = event;
 
     if (active.id !== over?.id) {
-      setSortedPackages((items) => {
-        const oldIndex = items.findIndex(item => item.id === active.id);
-        const newIndex = items.findIndex(item => item.id === over?.id);
+      const oldIndex = rows.findIndex(row => row.id === active.id);
+      const newIndex = rows.findIndex(row => row.id === over?.id);
 
-        return arrayMove(items, oldIndex, newIndex);
+      // A package belongs to the section whose heading is above it
+      let section: string | undefined;
+      const moved = arrayMove(rows, oldIndex, newIndex).flatMap(row => {
+        if (!('package' in row)) {
+          section = row.section;
+          return [];
+        }
+        return [{ ...row.package, section }];
       });
+      setSortedPackages([...moved, ...errorPackages]);
     }
   };
 
+  const canAddSection = newSection.trim() !== '' && !sections.includes(newSection.trim());
+
+  const addSection = () => {
+    if (canAddSection) {
+      setSections([...sections, newSection.trim()]);
+      setNewSection('');
+    }
+  };
+
+  const removeSection = (name: string) => {
+    setSections(current => current.filter(section => section !== name));
+    setSortedPackages(items => items.map(item => (item.section === name ? { ...item, section: undefined } : item)));
+  };
+
+  const moveSectionUp = (index: number) => {
+    setSections(current => arrayMove(current, index, index - 1));
+  };
+
+  const changeSection = (id: string, section?: string) => {
+    setSortedPackages(items => items.map(item => (item.id === id ? { ...item, section } : item)));
+  };
+
+  const changePrerequisites = (id: string, prerequisites?: ScormPackage['prerequisites']) => {
+    setSortedPackages(items => items.map(item => (item.id === id ? { ...item, prerequisites } : item)));
+  };
+
+  const updateWeight = (id: string, weight: number) => {
+    setSortedPackages(items => items.map(item => (item.id === id ? { ...item, weight } : item)));
+  };
+
+  const editPackage = async (id: string, edits: PackageEdits) => {
+    const response = await fetch('/api/packages/edit', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ sessionId, packageId: id, ...edits })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to save changes');
+    }
+
+    const result = await response.json();
+    const edited: ScormPackage = result.package;
+    setSortedPackages(items => items.map(item => (item.id === id
+      ? { ...item, title: edited.title, description: edited.description, menuLabel: edited.menuLabel, editedFields: edited.editedFields }
+      : item)));
+  };
+
   const saveOrder = async () => {
     setSaving(true);
     
     try {
       console.log('Saving order with sessionId:', sessionId);
       console.log('Packages to save:', sortedPackages.length);
+      const coursePackages = [...withEarlierPrerequisites(orderedPackages), ...errorPackages];
       
       const response = await fetch('/api/reorder', {
         method: 'POST',
@@ -133,7 +519,8 @@ const SortStep: React.FC<SortStepProps> = ({
         },
         body: JSON.stringify({
           sessionId,
-          packages: sortedPackages
+          packages: coursePackages,
+          ...(sections.length > 0 && { sections })
         })
       });
 
@@ -145,7 +532,7 @@ const SortStep: React.FC<SortStepProps> = ({
 
       const result = await response.json();
       console.log('Order saved successfully:', result);
-      onSortComplete(sortedPackages);
+      onSortComplete(coursePackages);
     } catch (error) {
       console.error('Save order error:', error);
       
@@ -155,16 +542,13 @@ const SortStep: React.FC<SortStepProps> = ({
       );
       
       if (shouldContinue) {
-        onSortComplete(sortedPackages);
+        onSortComplete([...orderedPackages, ...errorPackages]);
       }
     } finally {
       setSaving(false);
     }
   };
 
-  const validPackages = sortedPackages.filter(pkg => !pkg.error);
-  const errorPackages = sortedPackages.filter(pkg => pkg.error);
-
   return (
     <div className="sort-step">
       <h2>Step 2: Sort Package Order</h2>
@@ -318,24 +702,56 @@ const SortStep: React.FC<SortStepProps> = ({
       {validPackages.length > 0 && (
         <div className="packages-section">
           <h3>Valid Packages ({validPackages.length})</h3>
+          <div className="section-controls">
+            <input
+              type="text"
+              aria-label="New section name"
+              placeholder="New section, e.g. Week 1"
+              maxLength={100}
+              value={newSection}
+              onChange={(e) => setNewSection(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  addSection();
+                }
+              }}
+            />
+            <button onClick={addSection} disabled={!canAddSection}>
+              Add Section
+            </button>
+          </div>
           <DndContext
             sensors={sensors}
             collisionDetection={closestCenter}
             onDragEnd={handleDragEnd}
           >
             <SortableContext
-              items={validPackages.map(pkg => pkg.id)}
+              items={rows.map(row => row.id)}
               strategy={verticalListSortingStrategy}
             >
               <div className="sortable-list">
-                {validPackages.map((pkg, index) => (
+                {rows.map(row => ('package' in row ? (
                   <SortableItem
-                    key={pkg.id}
-                    id={pkg.id}
-                    package={pkg}
-                    index={index}
+                    key={row.id}
+                    id={row.id}
+                    package={row.package}
+                    index={orderedPackages.indexOf(row.package)}
+                    onWeightChange={updateWeight}
+                    onEdit={editPackage}
+                    sections={sections}
+                    onSectionChange={changeSection}
+                    earlierPackages={orderedPackages.slice(0, orderedPackages.indexOf(row.package))}
+                    onPrerequisitesChange={changePrerequisites}
+                  />
+                ) : (
+                  <SectionHeader
+                    key={row.id}
+                    name={row.section}
+                    count={row.count}
+                    onMoveUp={sections.indexOf(row.section) > 0 ? () => moveSectionUp(sections.indexOf(row.section)) : undefined}
+                    onRemove={() => removeSection(row.section)}
                   />
-                ))}
+                )))}
               </div>
             </SortableContext>
           </DndContext>
@@ -353,8 +769,10 @@ const SortStep: React.FC<SortStepProps> = ({
                 {pkg.description && (
                   <div className="package-description">{pkg.description}</div>
                 )}
-                <span className="filename">{pkg.filename}</span>
-                <div className="error-message">{pkg.error}</div>
+                <span className="filename">
+                  {pkg.bundle ? `${pkg.bundle} › ${pkg.filename}` : pkg.filename}
+                </span>
+                <ValidationReport validation={pkg.validation} error={pkg.error} />
               </div>
             ))}
           </div>
@@ -0,0 +1,77 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SplitStep from './SplitStep';
+
+// Mock fetch
+global.fetch = jest.fn();
+
+const selectFile = async (file: File) => {
+  fireEvent.change(screen.getByLabelText('Merged package file'), { target: { files: [file] } });
+  await waitFor(() => {
+    expect(screen.getByText(file.name)).toBeInTheDocument();
+  });
+};
+
+describe('SplitStep', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    (fetch as jest.Mock).mockClear();
+    // Mock window.location.href
+    delete (window as any).location;
+    (window as any).location = { href: '' };
+  });
+
+  test('renders the split step', () => {
+    render(<SplitStep />);
+
+    expect(screen.getByText('Split a Merged Package')).toBeInTheDocument();
+    expect(screen.getByText(/Drag & drop a merged package here/)).toBeInTheDocument();
+    expect(screen.queryByText('Split Package')).not.toBeInTheDocument();
+  });
+
+  test('uploads the merged package and lists the rebuilt packages', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        downloadUrl: '/api/download/split-packages-123.zip',
+        packages: [
+          { title: 'First Course', filename: '01-first-course.zip', files: 4 },
+          { title: 'Second Course', filename: '02-second-course.zip', files: 3 }
+        ]
+      })
+    });
+    render(<SplitStep />);
+
+    await selectFile(new File(['zip'], 'merged.zip', { type: 'application/zip' }));
+    fireEvent.click(screen.getByText('Split Package'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Split Complete!')).toBeInTheDocument();
+    });
+    expect(fetch).toHaveBeenCalledWith('/api/split', expect.objectContaining({ method: 'POST' }));
+    const formData = (fetch as jest.Mock).mock.calls[0][1].body as FormData;
+    expect((formData.get('mergedPackage') as File).name).toBe('merged.zip');
+    expect(screen.getByText('01-first-course.zip: First Course (4 files)')).toBeInTheDocument();
+    expect(screen.getByText('02-second-course.zip: Second Course (3 files)')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Download Split Packages'));
+    expect(window.location.href).toBe('/api/download/split-packages-123.zip');
+  });
+
+  test('shows why a package cannot be split', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce({
+      ok: false,
+      json: async () => ({ error: 'This is not a package merged by SCORM Merge' })
+    });
+    render(<SplitStep />);
+
+    await selectFile(new File(['zip'], 'course.zip', { type: 'application/zip' }));
+    fireEvent.click(screen.getByText('Split Package'));
+
+    await waitFor(() => {
+      expect(screen.getByText('This is not a package merged by SCORM Merge')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Split Package')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,160 @@
+import React, { useCallback, useState } from 'react';
+import { useDropzone } from 'react-dropzone';
+
+interface SplitPackage {
+  title: string;
+  filename: string;
+  files: number;
+}
+
+const SplitStep: React.FC = () => {
+  const [mergedFile, setMergedFile] = useState<File | null>(null);
+  const [splitting, setSplitting] = useState(false);
+  const [downloadUrl, setDownloadUrl] = useState<string | null>(null);
+  const [splitPackages, setSplitPackages] = useState<SplitPackage[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  const onDrop = useCallback((acceptedFiles: File[]) => {
+    const file = acceptedFiles.find(candidate => candidate.type === 'application/zip' || candidate.name.endsWith('.zip'));
+    if (!file) {
+      alert('Only ZIP files under 200MB are allowed.');
+      return;
+    }
+    setMergedFile(file);
+    setError(null);
+    setDownloadUrl(null);
+  }, []);
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    accept: {
+      'application/zip': ['.zip']
+    },
+    multiple: false,
+    maxSize: 200 * 1024 * 1024 // 200MB
+  });
+
+  const splitPackage = async () => {
+    if (!mergedFile) return;
+
+    setSplitting(true);
+    setError(null);
+
+    try {
+      const formData = new FormData();
+      formData.append('mergedPackage', mergedFile);
+
+      const response = await fetch('/api/split', {
+        method: 'POST',
+        body: formData
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Split failed');
+      }
+
+      const result = await response.json();
+      setDownloadUrl(result.downloadUrl);
+      setSplitPackages(result.packages);
+    } catch (error) {
+      console.error('Split error:', error);
+      setError(error instanceof Error ? error.message : 'Split failed');
+    } finally {
+      setSplitting(false);
+    }
+  };
+
+  const downloadPackages = () => {
+    if (downloadUrl) {
+      const fullUrl = process.env.NODE_ENV === 'development'
+        ? `http://localhost:5000${downloadUrl}`
+        : downloadUrl;
+      window.location.href = fullUrl;
+    }
+  };
+
+  return (
+    <div className="upload-step split-step">
+      <h2>Split a Merged Package</h2>
+      <p>Select a package merged by this tool to get its original packages back.</p>
+
+      {!downloadUrl && (
+        <div className="upload-area">
+          <div {...getRootProps()} className={`dropzone ${isDragActive ? 'active' : ''}`}>
+            <input {...getInputProps()} aria-label="Merged package file" />
+            {isDragActive ? (
+              <p>Drop the merged package here...</p>
+            ) : (
+              <div className="upload-content">
+                <div className="upload-icon">📦</div>
+                <p>Drag & drop a merged package here, or click to select it</p>
+                <small>Only .zip files are accepted (max 200MB)</small>
+              </div>
+            )}
+          </div>
+
+          {mergedFile && (
+            <div className="file-list">
+              <div className="file-item">
+                <span className="file-name">{mergedFile.name}</span>
+                <span className="file-size">
+                  {(mergedFile.size / 1024 / 1024).toFixed(2)} MB
+                </span>
+              </div>
+            </div>
+          )}
+
+          {error && <p className="error-message">{error}</p>}
+
+          {mergedFile && (
+            <div className="upload-actions">
+              <button
+                onClick={splitPackage}
+                disabled={splitting}
+                className="upload-btn"
+              >
+                {splitting ? 'Splitting...' : 'Split Package'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {downloadUrl && (
+        <div className="merge-success">
+          <h3>Split Complete!</h3>
+          <p>
+            {splitPackages.length} package{splitPackages.length !== 1 ? 's were' : ' was'} rebuilt
+            from {mergedFile?.name}.
+          </p>
+
+          <div className="download-info">
+            <div className="success-icon">✅</div>
+            <div className="success-details">
+              <p><strong>The Download Contains:</strong></p>
+              <ul>
+                {splitPackages.map(pkg => (
+                  <li key={pkg.filename}>
+                    {pkg.filename}: {pkg.title} ({pkg.files} files)
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+
+          <div className="download-actions">
+            <button onClick={downloadPackages} className="download-btn">
+              Download Split Packages
+            </button>
+            <button onClick={() => window.location.reload()} className="start-over-btn">
+              Start Over
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SplitStep;
@@ -0,0 +1,113 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import UpdateStep from './UpdateStep';
+
+// Mock fetch
+global.fetch = jest.fn();
+
+const mockJsonResponse = (body: object, ok = true) => ({ ok, json: async () => body });
+
+const selectFiles = (label: string, files: File[]) => {
+  fireEvent.change(screen.getByLabelText(label), { target: { files } });
+};
+
+const uploadCourse = async () => {
+  (fetch as jest.Mock).mockResolvedValueOnce(mockJsonResponse({
+    version: '2004',
+    modules: [{ number: 1, title: 'Safety' }, { number: 2, title: 'Fire Drill' }]
+  }));
+  selectFiles('Merged package file', [new File(['zip'], 'course.zip', { type: 'application/zip' })]);
+  await waitFor(() => {
+    expect(screen.getByText('course.zip')).toBeInTheDocument();
+  });
+
+  (fetch as jest.Mock).mockResolvedValueOnce(mockJsonResponse({
+    packages: [
+      { id: 'a', filename: 'fire-drill.zip', title: 'Fire Drill', version: '2004 3rd Edition' },
+      { id: 'b', filename: 'first-aid.zip', title: 'First Aid', version: '1.2' }
+    ]
+  }));
+  selectFiles('New package files', [
+    new File(['zip'], 'fire-drill.zip', { type: 'application/zip' }),
+    new File(['zip'], 'first-aid.zip', { type: 'application/zip' })
+  ]);
+  await waitFor(() => {
+    expect(screen.getByText('First Aid')).toBeInTheDocument();
+  });
+};
+
+describe('UpdateStep', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    (fetch as jest.Mock).mockClear();
+    // Mock window.location.href
+    delete (window as any).location;
+    (window as any).location = { href: '' };
+  });
+
+  test('matches uploaded packages to modules with the same title', async () => {
+    render(<UpdateStep sessionId="test-session-123" />);
+
+    await uploadCourse();
+
+    expect((fetch as jest.Mock).mock.calls[0][0]).toBe('/api/remerge/upload');
+    expect(((fetch as jest.Mock).mock.calls[0][1].body as FormData).get('sessionId')).toBe('test-session-123');
+    expect((fetch as jest.Mock).mock.calls[1][0]).toBe('/api/remerge/packages');
+    expect(screen.getByLabelText('Change for Fire Drill')).toHaveValue('2');
+    expect(screen.getByLabelText('Change for First Aid')).toHaveValue('new');
+  });
+
+  test('sends the changes and shows the summary', async () => {
+    render(<UpdateStep sessionId="test-session-123" />);
+    await uploadCourse();
+
+    (fetch as jest.Mock).mockResolvedValueOnce(mockJsonResponse({
+      downloadUrl: '/api/download/merged-scorm-123.zip',
+      summary: {
+        replaced: [{ module: 2, previousTitle: 'Fire Drill', title: 'Fire Drill' }],
+        added: [{ module: 3, title: 'First Aid' }],
+        unchanged: 1
+      },
+      report: { verification: { valid: true, errors: [], warnings: [] } }
+    }));
+    fireEvent.click(screen.getByText('Update Package'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Update Complete!')).toBeInTheDocument();
+    });
+    const body = JSON.parse((fetch as jest.Mock).mock.calls[2][1].body);
+    expect(body).toEqual({
+      sessionId: 'test-session-123',
+      changes: [{ packageId: 'a', module: 2 }, { packageId: 'b', module: null }]
+    });
+    expect(screen.getByText('Module 2 replaced: Fire Drill → Fire Drill')).toBeInTheDocument();
+    expect(screen.getByText('Module 3 added: First Aid')).toBeInTheDocument();
+    expect(screen.getByText('1 module unchanged')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Download Updated Package'));
+    expect(window.location.href).toBe('/api/download/merged-scorm-123.zip');
+  });
+
+  test('does not allow two packages to replace the same module', async () => {
+    render(<UpdateStep sessionId="test-session-123" />);
+    await uploadCourse();
+
+    fireEvent.change(screen.getByLabelText('Change for First Aid'), { target: { value: '2' } });
+
+    expect(screen.getByText('Each module can only be replaced by one package.')).toBeInTheDocument();
+    expect(screen.getByText('Update Package')).toBeDisabled();
+  });
+
+  test('shows why a merged package cannot be updated', async () => {
+    (fetch as jest.Mock).mockResolvedValueOnce(mockJsonResponse({ error: 'This is not a package merged by SCORM Merge' }, false));
+    render(<UpdateStep sessionId="test-session-123" />);
+
+    selectFiles('Merged package file', [new File(['zip'], 'plain.zip', { type: 'application/zip' })]);
+
+    await waitFor(() => {
+      expect(screen.getByText('This is not a package merged by SCORM Merge')).toBeInTheDocument();
+    });
+    expect(screen.queryByText(/New and updated packages/)).not.toBeInTheDocument();
+  });
+});
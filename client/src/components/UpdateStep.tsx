@@ -0,0 +1,294 @@
+import React, { useCallback, useState } from 'react';
+import { useDropzone } from 'react-dropzone';
+import { ScormPackage, PackageValidation } from '../App';
+
+interface MergedModule {
+  number: number;
+  title: string;
+}
+
+interface UpdateSummary {
+  replaced: { module: number; previousTitle: string; title: string }[];
+  added: { module: number; title: string }[];
+  unchanged: number;
+}
+
+interface UpdateStepProps {
+  sessionId: string;
+}
+
+const isZip = (file: File) => file.type === 'application/zip' || file.name.endsWith('.zip');
+
+const postFiles = async (url: string, sessionId: string, fieldName: string, files: File[]) => {
+  const formData = new FormData();
+  formData.append('sessionId', sessionId);
+  files.forEach(file => formData.append(fieldName, file));
+
+  const response = await fetch(url, { method: 'POST', body: formData });
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || 'Upload failed');
+  }
+  return response.json();
+};
+
+const UpdateStep: React.FC<UpdateStepProps> = ({ sessionId }) => {
+  const [mergedFilename, setMergedFilename] = useState<string | null>(null);
+  const [modules, setModules] = useState<MergedModule[]>([]);
+  const [packages, setPackages] = useState<ScormPackage[]>([]);
+  // Module each uploaded package replaces; missing means it is added
+  const [targets, setTargets] = useState<Record<string, number>>({});
+  const [busy, setBusy] = useState(false);
+  const [downloadUrl, setDownloadUrl] = useState<string | null>(null);
+  const [summary, setSummary] = useState<UpdateSummary | null>(null);
+  const [verification, setVerification] = useState<PackageValidation | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const onDropMerged = useCallback(async (acceptedFiles: File[]) => {
+    const file = acceptedFiles.find(isZip);
+    if (!file) {
+      alert('Only ZIP files under 200MB are allowed.');
+      return;
+    }
+
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await postFiles('/api/remerge/upload', sessionId, 'mergedPackage', [file]);
+      setMergedFilename(file.name);
+      setModules(result.modules);
+    } catch (error) {
+      console.error('Merged package upload error:', error);
+      setError(error instanceof Error ? error.message : 'Upload failed');
+    } finally {
+      setBusy(false);
+    }
+  }, [sessionId]);
+
+  const onDropPackages = useCallback(async (acceptedFiles: File[]) => {
+    const files = acceptedFiles.filter(isZip);
+    if (files.length === 0) {
+      return;
+    }
+
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await postFiles('/api/remerge/packages', sessionId, 'scormPackages', files);
+      const uploaded: ScormPackage[] = result.packages;
+      setPackages(uploaded);
+      // A package named like a module is taken as its new version
+      const matched: Record<string, number> = {};
+      uploaded.forEach(pkg => {
+        const module = modules.find(candidate => candidate.title.toLowerCase() === pkg.title.toLowerCase());
+        if (module && !pkg.error && !Object.values(matched).includes(module.number)) {
+          matched[pkg.id] = module.number;
+        }
+      });
+      setTargets(matched);
+    } catch (error) {
+      console.error('Upload error:', error);
+      setError(error instanceof Error ? error.message : 'Upload failed');
+    } finally {
+      setBusy(false);
+    }
+  }, [sessionId, modules]);
+
+  const mergedDropzone = useDropzone({
+    onDrop: onDropMerged,
+    accept: { 'application/zip': ['.zip'] },
+    multiple: false,
+    maxSize: 200 * 1024 * 1024 // 200MB
+  });
+
+  const packagesDropzone = useDropzone({
+    onDrop: onDropPackages,
+    accept: { 'application/zip': ['.zip'] },
+    multiple: true,
+    maxSize: 200 * 1024 * 1024 // 200MB
+  });
+
+  const validPackages = packages.filter(pkg => !pkg.error);
+  const targetedModules = Object.values(targets);
+  const hasDuplicateTargets = new Set(targetedModules).size !== targetedModules.length;
+
+  const setTarget = (packageId: string, value: string) => {
+    setTargets(current => {
+      const updated = { ...current };
+      if (value === 'new') {
+        delete updated[packageId];
+      } else {
+        updated[packageId] = Number(value);
+      }
+      return updated;
+    });
+  };
+
+  const updatePackage = async () => {
+    setBusy(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/remerge', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          sessionId,
+          changes: validPackages.map(pkg => ({ packageId: pkg.id, module: targets[pkg.id] ?? null }))
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Update failed');
+      }
+
+      const result = await response.json();
+      setDownloadUrl(result.downloadUrl);
+      setSummary(result.summary);
+      setVerification(result.report?.verification || null);
+    } catch (error) {
+      console.error('Update error:', error);
+      setError(error instanceof Error ? error.message : 'Update failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const downloadPackage = () => {
+    if (downloadUrl) {
+      const fullUrl = process.env.NODE_ENV === 'development'
+        ? `http://localhost:5000${downloadUrl}`
+        : downloadUrl;
+      window.location.href = fullUrl;
+    }
+  };
+
+  if (downloadUrl && summary) {
+    return (
+      <div className="upload-step update-step">
+        <h2>Update a Merged Package</h2>
+        <div className="merge-success">
+          <h3>Update Complete!</h3>
+          <p>A new version of {mergedFilename} is ready for download.</p>
+
+          <div className="download-info">
+            <div className="success-icon">✅</div>
+            <div className="success-details">
+              <p><strong>Changes:</strong></p>
+              <ul>
+                {summary.replaced.map(change => (
+                  <li key={`replaced-${change.module}`}>
+                    Module {change.module} replaced: {change.previousTitle} → {change.title}
+                  </li>
+                ))}
+                {summary.added.map(change => (
+                  <li key={`added-${change.module}`}>
+                    Module {change.module} added: {change.title}
+                  </li>
+                ))}
+              </ul>
+              <p>{summary.unchanged} module{summary.unchanged !== 1 ? 's' : ''} unchanged</p>
+              {verification && (
+                <p>
+                  {verification.valid
+                    ? 'Validation passed'
+                    : `${verification.errors.length} validation error${verification.errors.length !== 1 ? 's' : ''} found`}
+                </p>
+              )}
+            </div>
+          </div>
+
+          <div className="download-actions">
+            <button onClick={downloadPackage} className="download-btn">
+              Download Updated Package
+            </button>
+            <button onClick={() => window.location.reload()} className="start-over-btn">
+              Start Over
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="upload-step update-step">
+      <h2>Update a Merged Package</h2>
+      <p>Replace modules of a package merged by this tool, or add new ones, without uploading every original again.</p>
+
+      <div className="upload-area">
+        <h3>1. Merged package</h3>
+        <div {...mergedDropzone.getRootProps()} className={`dropzone ${mergedDropzone.isDragActive ? 'active' : ''}`}>
+          <input {...mergedDropzone.getInputProps()} aria-label="Merged package file" />
+          <div className="upload-content">
+            <div className="upload-icon">📦</div>
+            <p>{mergedFilename || 'Drag & drop the merged package here, or click to select it'}</p>
+          </div>
+        </div>
+
+        {modules.length > 0 && (
+          <>
+            <h3>2. New and updated packages</h3>
+            <div {...packagesDropzone.getRootProps()} className={`dropzone ${packagesDropzone.isDragActive ? 'active' : ''}`}>
+              <input {...packagesDropzone.getInputProps()} aria-label="New package files" />
+              <div className="upload-content">
+                <div className="upload-icon">📁</div>
+                <p>Drag & drop the new package versions here, or click to select files</p>
+              </div>
+            </div>
+          </>
+        )}
+
+        {packages.length > 0 && (
+          <div className="file-list">
+            <h3>Changes</h3>
+            {packages.map(pkg => (
+              <div key={pkg.id} className="file-item">
+                <span className="file-name">{pkg.title}</span>
+                {pkg.error ? (
+                  <span className="error-message">{pkg.error}</span>
+                ) : (
+                  <select
+                    aria-label={`Change for ${pkg.title}`}
+                    value={targets[pkg.id] ?? 'new'}
+                    onChange={(e) => setTarget(pkg.id, e.target.value)}
+                  >
+                    <option value="new">Add as a new module</option>
+                    {modules.map(module => (
+                      <option key={module.number} value={module.number}>
+                        Replace module {module.number}: {module.title}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {hasDuplicateTargets && (
+          <p className="merge-option-hint">Each module can only be replaced by one package.</p>
+        )}
+
+        {error && <p className="error-message">{error}</p>}
+
+        {validPackages.length > 0 && (
+          <div className="upload-actions">
+            <button
+              onClick={updatePackage}
+              disabled={busy || hasDuplicateTargets}
+              className="upload-btn"
+            >
+              {busy ? 'Updating...' : 'Update Package'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UpdateStep;
@@ -0,0 +1,11 @@
+import { PackageFormat, ScormPackage } from './App';
+
+const FORMAT_NAMES: Record<PackageFormat, string> = {
+  scorm: 'SCORM',
+  aicc: 'AICC',
+  imscc: 'Common Cartridge'
+};
+
+// Input format and version of a package, e.g. "SCORM 1.2" or "AICC 3.4"
+export const formatLabel = (pkg: ScormPackage): string =>
+  `${FORMAT_NAMES[pkg.format || 'scorm']} ${pkg.version}`;
@@ -0,0 +1,253 @@
+const path = require('path');
+
+// Course structure files; everything else in the package is content
+const COURSE_FILE_EXTENSIONS = ['.crs', '.au', '.des', '.cst', '.ort', '.pre', '.cmp'];
+
+class AiccAdapter {
+  /**
+   * Folder holding the AICC course description (.crs), with a trailing
+   * slash, or null when the package is not an AICC course
+   */
+  findCourseRoot(fileNames) {
+    const courseFiles = fileNames.filter(name =>
+      !name.startsWith('__MACOSX/') && name.toLowerCase().endsWith('.crs'));
+    if (courseFiles.length > 1) {
+      throw new Error(`Found ${courseFiles.length} AICC course (.crs) files; expected one`);
+    }
+    if (courseFiles.length === 0) {
+      return null;
+    }
+    const folder = path.posix.dirname(courseFiles[0]);
+    return folder === '.' ? '' : `${folder}/`;
+  }
+
+  /**
+   * Parses the AICC course files (.crs, .au, .des, .cst) into the shape
+   * extracted from SCORM manifests: one organization whose items follow the
+   * course structure, and a launchable resource per assignable unit
+   * @param {JSZip} zipContents - Loaded package zip
+   * @param {string} courseRoot - Folder holding the course files
+   */
+  async parse(zipContents, courseRoot) {
+    const packageFiles = Object.keys(zipContents.files)
+      .filter(name => name.startsWith(courseRoot) && !zipContents.files[name].dir)
+      .map(name => name.slice(courseRoot.length));
+    const readCourseFile = async (extension) => {
+      const fileName = packageFiles.find(name => !name.includes('/') && name.toLowerCase().endsWith(extension));
+      return fileName ? zipContents.file(`${courseRoot}${fileName}`).async('string') : null;
+    };
+
+    const course = this.parseIni(await readCourseFile('.crs'));
+    const auText = await readCourseFile('.au');
+    if (!auText) {
+      throw new Error('AICC course has no assignable unit (.au) file');
+    }
+    const units = this.readTable(this.parseCsv(auText));
+    const descriptions = new Map(
+      this.readTable(this.parseCsv(await readCourseFile('.des') || '')).map(row => [row.system_id, row])
+    );
+    const structure = this.parseCsv(await readCourseFile('.cst') || '').slice(1);
+
+    const errors = [];
+    const warnings = [];
+    const files = new Set(packageFiles);
+    const contentFiles = packageFiles.filter(name =>
+      !COURSE_FILE_EXTENSIONS.includes(path.posix.extname(name).toLowerCase()));
+
+    const resources = [];
+    const unitIds = new Set();
+    for (const unit of units) {
+      const id = unit.system_id;
+      const title = descriptions.get(id)?.title || id;
+      const fileName = (unit.file_name || '').replace(/^\.\//, '');
+      unitIds.add(id);
+
+      let href;
+      let externalUrl;
+      if (/^[a-z][a-z0-9+.-]*:\/\//i.test(fileName)) {
+        // Units hosted elsewhere launch a page linking to them, written at merge time
+        href = `aicc_launch_${id}.html`;
+        externalUrl = fileName;
+      } else {
+        href = fileName;
+        if (!files.has(this.decodeFileName(fileName.split(/[?#]/)[0]))) {
+          errors.push({ code: 'MISSING_FILE', message: `Assignable unit "${id}" launches ${fileName || 'no file'}, which is not in the package` });
+        }
+      }
+      if (unit.web_launch) {
+        href += `${href.includes('?') ? '&' : '?'}${unit.web_launch}`;
+      }
+
+      resources.push({
+        identifier: id,
+        type: 'webcontent',
+        href,
+        scormType: 'sco',
+        title,
+        externalUrl,
+        files: [href.split('?')[0]],
+        dependencies: contentFiles.length > 0 ? ['aicc_content'] : []
+      });
+    }
+    if (contentFiles.length > 0) {
+      resources.push({
+        identifier: 'aicc_content',
+        type: 'webcontent',
+        scormType: 'asset',
+        files: contentFiles,
+        dependencies: []
+      });
+    }
+
+    if (units.length === 0) {
+      errors.push({ code: 'NO_RESOURCES', message: 'The .au file does not list any assignable units' });
+    }
+    warnings.push({
+      code: 'AICC_TRACKING',
+      message: 'AICC units report to the LMS over HACP, which the merged package does not provide; they are launched as plain content'
+    });
+
+    return {
+      title: course.course?.course_title || 'Untitled',
+      description: course.course_description?.text || '',
+      version: course.course?.version || 'Unknown',
+      scormVersion: 'Unknown',
+      identifier: course.course?.course_id,
+      organizations: [{
+        identifier: 'aicc_course',
+        title: course.course?.course_title || 'Untitled Organization',
+        isDefault: true,
+        items: this.createItems(structure, unitIds, descriptions)
+      }],
+      resources,
+      validation: { valid: errors.length === 0, errors, warnings }
+    };
+  }
+
+  /**
+   * Percent-decoded file name, or the name as written when its escapes are
+   * malformed, so the file is reported missing instead of failing the parse
+   */
+  decodeFileName(name) {
+    try {
+      return decodeURIComponent(name);
+    } catch (error) {
+      return name;
+    }
+  }
+
+  /**
+   * Item tree from the course structure table, whose rows list a block
+   * followed by its members. Without a structure table every unit is a
+   * top-level item.
+   */
+  createItems(structure, unitIds, descriptions) {
+    const blocks = new Map(structure.map(([block, ...members]) => [block.toLowerCase(), members.filter(Boolean)]));
+    const visited = new Set();
+
+    const createItem = (id) => {
+      if (visited.has(id)) {
+        return null;
+      }
+      visited.add(id);
+      const title = descriptions.get(id)?.title || id;
+      if (unitIds.has(id)) {
+        return { identifier: `item_${id}`, title, identifierref: id, items: [] };
+      }
+      const members = blocks.get(id.toLowerCase()) || [];
+      return { identifier: `item_${id}`, title, items: members.map(createItem).filter(Boolean) };
+    };
+
+    const topLevel = blocks.get('root') || [...unitIds];
+    return topLevel.map(createItem).filter(Boolean);
+  }
+
+  /**
+   * Rows of an AICC comma-separated file. Values may be quoted, and quotes
+   * inside quoted values are doubled.
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(value.trim());
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(value.trim());
+        if (row.some(Boolean)) {
+          rows.push(row);
+        }
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+    row.push(value.trim());
+    if (row.some(Boolean)) {
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Objects keyed by the lower-cased header of the first row
+   */
+  readTable(rows) {
+    const [header = [], ...body] = rows;
+    const keys = header.map(key => key.toLowerCase());
+    return body.map(values => Object.fromEntries(keys.map((key, i) => [key, values[i] || ''])));
+  }
+
+  /**
+   * Sections of the .crs file, keyed by lower-cased section and key names.
+   * Free-text sections such as [Course_Description] are kept as `text`.
+   */
+  parseIni(text) {
+    const sections = {};
+    let section = null;
+
+    for (const line of (text || '').split(/\r?\n/)) {
+      const header = line.match(/^\s*\[([^\]]+)\]\s*$/);
+      if (header) {
+        section = sections[header[1].trim().toLowerCase()] = {};
+        continue;
+      }
+      if (!section || !line.trim() || line.trim().startsWith(';')) {
+        continue;
+      }
+
+      const pair = line.match(/^\s*([A-Za-z_][\w ]*?)\s*=\s*(.*)$/);
+      if (pair) {
+        section[pair[1].toLowerCase()] = pair[2].trim();
+      } else {
+        section.text = section.text ? `${section.text}\n${line.trim()}` : line.trim();
+      }
+    }
+
+    return sections;
+  }
+}
+
+// Export singleton instance
+module.exports = new AiccAdapter();
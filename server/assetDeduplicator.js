@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const path = require('path');
+const yauzl = require('yauzl');
+
+// Files whose text is scanned for references to other files in the package
+const TEXT_EXTENSIONS = new Set(['.html', '.htm', '.css', '.js']);
+
+// Files that are also searched for file names that are not rewritten, such
+// as paths built at runtime or listed in player data
+const SCANNED_EXTENSIONS = new Set([...TEXT_EXTENSIONS, '.xml', '.json', '.txt']);
+
+// Runs of characters a file name is made of
+const NAME_PATTERN = /[\w.~%-]+/g;
+
+// Quoted strings (HTML attributes, JS strings, CSS imports) and unquoted CSS url()
+const REFERENCE_PATTERN = /url\(\s*(?!['"])([^)\s]+)\s*\)|(["'])([^"'\r\n<>]+?)\2/g;
+
+class AssetDeduplicator {
+  /**
+   * Files that may be moved into shared/. HTML pages stay in their package:
+   * they are launched by the manifest and get a per-module finish handler.
+   */
+  isShareable(filename) {
+    const extension = path.posix.extname(filename).toLowerCase();
+    return extension !== '.html' && extension !== '.htm';
+  }
+
+  isTextFile(filename) {
+    return TEXT_EXTENSIONS.has(path.posix.extname(filename).toLowerCase());
+  }
+
+  isScannedFile(filename) {
+    return SCANNED_EXTENSIONS.has(path.posix.extname(filename).toLowerCase());
+  }
+
+  isPackageFile(filename) {
+    const lower = filename.toLowerCase();
+    return Boolean(filename) && lower !== 'imsmanifest.xml' && !filename.endsWith('/') && !lower.endsWith('.xsd');
+  }
+
+  /**
+   * Resolves a reference found in a file to a path inside its package, or
+   * null for absolute URLs, anchors and paths leaving the package
+   */
+  resolveReference(fromFile, reference) {
+    const value = reference.split(/[?#]/)[0];
+    if (!value || value.startsWith('/') || /^[a-z][a-z0-9+.-]*:/i.test(value)) {
+      return null;
+    }
+
+    let decoded = value;
+    try {
+      decoded = decodeURI(value);
+    } catch (error) {
+      // Keep the raw value for malformed escapes
+    }
+
+    const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), decoded));
+    return resolved.startsWith('..') ? null : resolved;
+  }
+
+  /**
+   * Calls replacer(reference, suffix) for every file reference in the text;
+   * returning a string replaces the reference, keeping its query and hash
+   */
+  replaceReferences(text, replacer) {
+    return text.replace(REFERENCE_PATTERN, (match, unquoted, quote, quoted) => {
+      const reference = unquoted || quoted;
+      const suffixStart = reference.search(/[?#]/);
+      const suffix = suffixStart === -1 ? '' : reference.slice(suffixStart);
+      const replacement = replacer(reference, suffix);
+      if (replacement === null || replacement === undefined) {
+        return match;
+      }
+      return unquoted ? `url(${replacement}${suffix})` : `${quote}${replacement}${suffix}${quote}`;
+    });
+  }
+
+  /**
+   * Package file each reference in a text file points to, in order, with null
+   * for references that are not files of the package. Text is handled as
+   * latin1 so rewriting never alters bytes outside the references.
+   */
+  findReferences(content, filename, packageFiles) {
+    const targets = [];
+    this.replaceReferences(content.toString('latin1'), (reference) => {
+      const target = this.resolveReference(filename, Buffer.from(reference, 'latin1').toString('utf8'));
+      targets.push(target && packageFiles.has(target) ? target : null);
+      return null;
+    });
+    return targets;
+  }
+
+  /**
+   * Counts how often each of the given file names appears in the text, as a
+   * whole name and wherever it is, quoted or not
+   */
+  countNames(content, names, counts) {
+    for (const [name] of content.toString('latin1').matchAll(NAME_PATTERN)) {
+      if (names.has(name)) {
+        counts.set(name, (counts.get(name) || 0) + 1);
+      }
+    }
+  }
+
+  /**
+   * Files of a package that can safely move: every mention of their name in
+   * the scanned files is a reference that will be rewritten. Files that are
+   * never referenced, or whose name also appears elsewhere (a path built at
+   * runtime such as 'images/' + 'a.png'), stay where they are.
+   */
+  findMovableFiles(entries) {
+    const referenceCounts = new Map();
+    for (const entry of entries) {
+      for (const target of entry.references) {
+        if (target !== null) {
+          const name = path.posix.basename(target);
+          referenceCounts.set(name, (referenceCounts.get(name) || 0) + 1);
+        }
+      }
+    }
+
+    const nameCounts = new Map();
+    const names = new Set(referenceCounts.keys());
+    for (const entry of entries) {
+      if (entry.content) {
+        this.countNames(entry.content, names, nameCounts);
+      }
+    }
+
+    return new Set(entries
+      .filter(entry => {
+        const name = path.posix.basename(entry.filename);
+        return referenceCounts.has(name) && nameCounts.get(name) <= referenceCounts.get(name);
+      })
+      .map(entry => entry.filename));
+  }
+
+  async hashEntry(zipFile, entry, keepContent) {
+    const stream = await zipFile.openReadStreamPromise(entry);
+    const hash = crypto.createHash('sha256');
+    const chunks = [];
+    for await (const chunk of stream) {
+      hash.update(chunk);
+      if (keepContent) {
+        chunks.push(chunk);
+      }
+    }
+    return { hash: hash.digest('hex'), content: keepContent ? Buffer.concat(chunks) : null };
+  }
+
+  /**
+   * Hashes every file of every package and decides which identical files are
+   * stored once under shared/. A CSS or JS file is only shared when every file
+   * it references is shared too, so its relative references stay valid. Only
+   * files whose every reference gets rewritten are moved.
+   * @returns {{sharedPaths: Map<string, string>, report: object}} sharedPaths
+   *   maps package paths (package_N/file) to their shared/ location
+   */
+  async planSharedAssets(packages) {
+    const groups = new Map();
+    const packageEntries = [];
+
+    for (const [index, pkg] of packages.entries()) {
+      const zipFile = await yauzl.openPromise(pkg.path, { lazyEntries: true });
+      const packageRoot = pkg.packageRoot || '';
+      const entries = [];
+      try {
+        for await (const entry of zipFile.eachEntry()) {
+          const filename = entry.fileName.slice(packageRoot.length);
+          if (!entry.fileName.startsWith(packageRoot) || !this.isPackageFile(filename)) {
+            continue;
+          }
+          const keepContent = this.isScannedFile(filename);
+          const { hash, content } = await this.hashEntry(zipFile, entry, keepContent);
+          entries.push({ filename, size: entry.uncompressedSize, hash, content });
+        }
+      } finally {
+        zipFile.close();
+      }
+
+      const packageFiles = new Set(entries.map(entry => entry.filename));
+      const filesByName = new Map();
+      for (const entry of entries) {
+        entry.references = entry.content && this.isTextFile(entry.filename)
+          ? this.findReferences(entry.content, entry.filename, packageFiles)
+          : [];
+      }
+      const movableFiles = this.findMovableFiles(entries);
+
+      for (const entry of entries) {
+        delete entry.content;
+        entry.movable = this.isShareable(entry.filename) && movableFiles.has(entry.filename);
+        filesByName.set(entry.filename, entry);
+
+        if (entry.movable) {
+          const key = `${entry.hash}${path.posix.extname(entry.filename).toLowerCase()}`;
+          if (!groups.has(key)) {
+            groups.set(key, { key, hash: entry.hash, members: [] });
+          }
+          groups.get(key).members.push({ index, entry });
+        }
+      }
+      packageEntries.push(filesByName);
+    }
+
+    const groupOf = (index, filename) => {
+      const entry = packageEntries[index].get(filename);
+      return entry && entry.movable ? groups.get(`${entry.hash}${path.posix.extname(filename).toLowerCase()}`) : null;
+    };
+
+    let shared = [...groups.values()]
+      .filter(group => group.members.length > 1 && group.members[0].entry.size > 0);
+    let changed = true;
+    while (changed) {
+      const sharedKeys = new Set(shared.map(group => group.key));
+      const stillShared = shared.filter(group => {
+        const first = group.members[0];
+        return group.members.every(({ index, entry }) =>
+          entry.references.every((target, position) => {
+            const firstTarget = first.entry.references[position];
+            if (target === null || firstTarget === null) {
+              return target === firstTarget;
+            }
+            const targetGroup = groupOf(index, target);
+            return Boolean(targetGroup) && sharedKeys.has(targetGroup.key) &&
+              targetGroup === groupOf(first.index, firstTarget);
+          })
+        );
+      });
+      changed = stillShared.length !== shared.length;
+      shared = stillShared;
+    }
+
+    const sharedPaths = new Map();
+    const report = { sharedFiles: 0, duplicatesRemoved: 0, bytesSaved: 0 };
+    for (const group of shared) {
+      const sharedPath = `shared/${group.hash.slice(0, 12)}/${path.posix.basename(group.members[0].entry.filename)}`;
+      for (const { index, entry } of group.members) {
+        sharedPaths.set(`package_${index + 1}/${entry.filename}`, sharedPath);
+      }
+      report.sharedFiles++;
+      report.duplicatesRemoved += group.members.length - 1;
+      report.bytesSaved += group.members[0].entry.size * (group.members.length - 1);
+    }
+
+    return { sharedPaths, report };
+  }
+
+  /**
+   * Rewrites references to shared files in a text file written to outputPath.
+   * packageFolder and filename locate the file in its source package, which
+   * is where its relative references are resolved.
+   * @returns {Buffer} The rewritten content, or the original when unchanged
+   */
+  rewriteReferences(content, packageFolder, filename, outputPath, sharedPaths) {
+    if (sharedPaths.size === 0 || !this.isTextFile(filename)) {
+      return content;
+    }
+
+    let changed = false;
+    const text = this.replaceReferences(content.toString('latin1'), (reference) => {
+      const target = this.resolveReference(filename, Buffer.from(reference, 'latin1').toString('utf8'));
+      const sharedPath = target && sharedPaths.get(`${packageFolder}/${target}`);
+      if (!sharedPath) {
+        return null;
+      }
+      changed = true;
+      const relativePath = path.posix.relative(path.posix.dirname(outputPath), sharedPath);
+      return Buffer.from(encodeURI(relativePath), 'utf8').toString('latin1');
+    });
+
+    return changed ? Buffer.from(text, 'latin1') : content;
+  }
+}
+
+// Export singleton instance
+module.exports = new AssetDeduplicator();
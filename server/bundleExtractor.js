@@ -0,0 +1,142 @@
+const { createWriteStream } = require('fs');
+const fs = require('fs').promises;
+const { pipeline } = require('stream/promises');
+const path = require('path');
+const yauzl = require('yauzl');
+
+class BundleExtractor {
+  /**
+   * Zips inside an upload when it is a bundle of SCORM packages: it holds no
+   * imsmanifest.xml or AICC course (.crs) file of its own but does hold .zip
+   * files. Returns null for ordinary packages, whose zips are attachments,
+   * and for files that cannot be read as a zip, which are left to package
+   * validation to report.
+   */
+  async listInnerZips(zipPath) {
+    let zipFile;
+    try {
+      zipFile = await yauzl.openPromise(zipPath, { lazyEntries: true });
+    } catch (error) {
+      return null;
+    }
+
+    const innerZips = [];
+    let isPackage = false;
+    try {
+      for await (const entry of zipFile.eachEntry()) {
+        if (entry.fileName.startsWith('__MACOSX/')) {
+          continue;
+        }
+        const fileName = entry.fileName.toLowerCase();
+        if (path.posix.basename(entry.fileName) === 'imsmanifest.xml' || fileName.endsWith('.crs')) {
+          isPackage = true;
+        } else if (fileName.endsWith('.zip')) {
+          innerZips.push({ fileName: entry.fileName, size: entry.uncompressedSize });
+        }
+      }
+    } catch (error) {
+      return null;
+    } finally {
+      zipFile.close();
+    }
+
+    return !isPackage && innerZips.length > 0 ? innerZips : null;
+  }
+
+  /**
+   * Replaces every bundle among the uploaded files by the packages it
+   * contains, written next to it. The package count limit applies to the
+   * expanded set; the size limit applies to each inner zip, and inner zips
+   * over it come back with an error instead of a path. The inner zips that
+   * would be written must fit in maxExpandedSize altogether.
+   * @param {Array<{path: string, originalname: string}>} files - Uploaded files
+   * @param {{maxPackages: number, maxPackageSize: number, maxExpandedSize?: number}} limits
+   * @returns {Promise<Array<{path: string|null, originalname: string, bundle?: string, error?: string}>>}
+   */
+  async expandUploads(files, { maxPackages, maxPackageSize, maxExpandedSize = Infinity }) {
+    const inspected = [];
+    for (const file of files) {
+      inspected.push({ file, innerZips: await this.listInnerZips(file.path) });
+    }
+
+    const total = inspected.reduce((count, { innerZips }) => count + (innerZips ? innerZips.length : 1), 0);
+    if (total > maxPackages) {
+      throw new Error(`Too many packages. The upload contains ${total} packages; the maximum is ${maxPackages}.`);
+    }
+
+    const expandedSize = inspected
+      .flatMap(({ innerZips }) => innerZips || [])
+      .filter(({ size }) => size <= maxPackageSize)
+      .reduce((sum, { size }) => sum + size, 0);
+    if (expandedSize > maxExpandedSize) {
+      const megabytes = size => Math.round(size / 1024 / 1024);
+      throw new Error(`Bundles too large. They expand to ${megabytes(expandedSize)}MB; the maximum is ${megabytes(maxExpandedSize)}MB.`);
+    }
+
+    const uploads = [];
+    for (const { file, innerZips } of inspected) {
+      if (!innerZips) {
+        uploads.push(file);
+        continue;
+      }
+
+      console.log(`Expanding bundle ${file.originalname} into ${innerZips.length} packages`);
+      uploads.push(...await this.extractInnerZips(file, maxPackageSize));
+      await fs.unlink(file.path).catch(() => {});
+    }
+
+    return uploads;
+  }
+
+  async extractInnerZips(file, maxPackageSize) {
+    const uploads = [];
+    const zipFile = await yauzl.openPromise(file.path, { lazyEntries: true });
+    const timestamp = Date.now();
+
+    try {
+      for await (const entry of zipFile.eachEntry()) {
+        if (entry.fileName.startsWith('__MACOSX/') || !entry.fileName.toLowerCase().endsWith('.zip')) {
+          continue;
+        }
+
+        const originalname = path.posix.basename(entry.fileName);
+        if (entry.uncompressedSize > maxPackageSize) {
+          uploads.push({
+            path: null,
+            originalname,
+            bundle: file.originalname,
+            error: `File too large. Maximum size is ${Math.round(maxPackageSize / 1024 / 1024)}MB per file.`
+          });
+          continue;
+        }
+
+        const innerPath = path.join(path.dirname(file.path), `${timestamp}-${uploads.length + 1}-${originalname}`);
+        try {
+          await pipeline(await zipFile.openReadStreamPromise(entry), createWriteStream(innerPath));
+          uploads.push({ path: innerPath, originalname, bundle: file.originalname });
+        } catch (error) {
+          console.error('Could not extract', entry.fileName, 'from', file.originalname, error.message);
+          uploads.push({
+            path: null,
+            originalname,
+            bundle: file.originalname,
+            error: `Could not extract from ${file.originalname}: ${error.message}`
+          });
+        }
+      }
+    } catch (error) {
+      // Packages written before the bundle became unreadable go with it
+      for (const upload of uploads.filter(upload => upload.path)) {
+        await fs.unlink(upload.path).catch(() => {});
+      }
+      throw error;
+    } finally {
+      zipFile.close();
+    }
+
+    return uploads;
+  }
+}
+
+// Export singleton instance
+module.exports = new BundleExtractor();
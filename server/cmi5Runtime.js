@@ -0,0 +1,433 @@
+class Cmi5Runtime {
+  /**
+   * Generates the launch shim of cmi5 output. The shim page reads the cmi5
+   * launch parameters, fetches its auth token and LMS.LaunchData, offers the
+   * module a SCORM 2004 API (API_1484_11) and sends the module's progress to
+   * the LRS as cmi5 statements: initialized, completed, passed or failed, and
+   * terminated. "launched" is recorded by the LMS itself, as cmi5 requires.
+   * Requires the ScormMergeRuntime script so SCORM 1.2 modules get a
+   * translated API as well.
+   * @returns {string} Browser JavaScript defining window.ScormMergeCmi5
+   */
+  createLaunchScript() {
+    return `
+// SCORM Merge cmi5 launch shim: SCORM runtime calls to xAPI statements
+var ScormMergeCmi5 = window.ScormMergeCmi5 || (function() {
+    'use strict';
+
+    var VERBS = {
+        initialized: 'http://adlnet.gov/expapi/verbs/initialized',
+        completed: 'http://adlnet.gov/expapi/verbs/completed',
+        passed: 'http://adlnet.gov/expapi/verbs/passed',
+        failed: 'http://adlnet.gov/expapi/verbs/failed',
+        terminated: 'http://adlnet.gov/expapi/verbs/terminated'
+    };
+    var CMI5_CATEGORY = 'https://w3id.org/xapi/cmi5/context/categories/cmi5';
+    var MOVEON_CATEGORY = 'https://w3id.org/xapi/cmi5/context/categories/moveon';
+    var MASTERY_SCORE_EXTENSION = 'https://w3id.org/xapi/cmi5/context/extensions/masteryscore';
+    // Bookmark and suspend data of the module between sessions
+    var SUSPEND_STATE_ID = 'https://w3id.org/xapi/scorm-merge/state/suspend-data';
+
+    function decode(text) {
+        return decodeURIComponent(String(text).replace(/\\+/g, ' '));
+    }
+
+    // The cmi5 launch parameters the LMS appends to the AU url, plus the
+    // module page passed in the url of cmi5.xml
+    function readLaunchParameters(search) {
+        var params = {};
+        String(search || '').replace(/^\\?/, '').split('&').forEach(function(pair) {
+            if (!pair) {
+                return;
+            }
+            var index = pair.indexOf('=');
+            params[decode(index === -1 ? pair : pair.slice(0, index))] = index === -1 ? '' : decode(pair.slice(index + 1));
+        });
+
+        var actor = null;
+        try {
+            actor = params.actor ? JSON.parse(params.actor) : null;
+        } catch (e) {
+            // Reported as a missing launch parameter below
+        }
+        return {
+            endpoint: params.endpoint ? params.endpoint.replace(/\\/?$/, '/') : '',
+            fetchUrl: params.fetch || '',
+            registration: params.registration || '',
+            activityId: params.activityId || '',
+            actor: actor,
+            content: params.content || ''
+        };
+    }
+
+    // Module pages always live in a package folder of the course; anything
+    // else in the url is refused
+    function isModulePath(content) {
+        return /^\\.\\.\\/package_\\d+\\/[^:]*$/.test(content);
+    }
+
+    function uuid() {
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(char) {
+            var random = Math.random() * 16 | 0;
+            return (char === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    function duration(milliseconds) {
+        return 'PT' + Math.round(Math.max(0, milliseconds) / 10) / 100 + 'S';
+    }
+
+    // Talks to the LRS with the auth token handed out by the fetch url.
+    // Statements are sent one after another so the LRS stores them in order.
+    function createTransport(launch, fetchFn) {
+        var authorization = null;
+        var queue = Promise.resolve();
+
+        function query(params) {
+            return Object.keys(params).filter(function(key) {
+                return params[key];
+            }).map(function(key) {
+                return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+            }).join('&');
+        }
+
+        function stateUrl(stateId) {
+            return launch.endpoint + 'activities/state?' + query({
+                stateId: stateId,
+                activityId: launch.activityId,
+                agent: JSON.stringify(launch.actor),
+                registration: launch.registration
+            });
+        }
+
+        function request(method, url, body, keepalive) {
+            return fetchFn(url, {
+                method: method,
+                headers: {
+                    'Authorization': authorization,
+                    'X-Experience-API-Version': '1.0.3',
+                    'Content-Type': 'application/json'
+                },
+                body: body === undefined ? undefined : JSON.stringify(body),
+                keepalive: !!keepalive
+            }).then(function(response) {
+                if (!response.ok && response.status !== 404) {
+                    throw new Error('LRS request failed with status ' + response.status);
+                }
+                return response;
+            });
+        }
+
+        return {
+            authenticate: function() {
+                return fetchFn(launch.fetchUrl, { method: 'POST' }).then(function(response) {
+                    return response.json();
+                }).then(function(data) {
+                    if (!data['auth-token']) {
+                        throw new Error(data['error-text'] || 'The LMS did not return an auth token');
+                    }
+                    authorization = 'Basic ' + data['auth-token'];
+                });
+            },
+            getState: function(stateId) {
+                return request('GET', stateUrl(stateId)).then(function(response) {
+                    return response.status === 404 ? null : response.json();
+                });
+            },
+            putState: function(stateId, value, keepalive) {
+                queue = queue.then(function() {
+                    return request('PUT', stateUrl(stateId), value, keepalive);
+                }).catch(function(error) {
+                    console.error('Could not save module state:', error.message);
+                });
+                return queue;
+            },
+            sendStatement: function(statement, keepalive) {
+                queue = queue.then(function() {
+                    return request('POST', launch.endpoint + 'statements', statement, keepalive);
+                }).catch(function(error) {
+                    console.error('Could not send ' + statement.verb.display['en-US'] + ' statement:', error.message);
+                });
+                return queue;
+            },
+            flush: function() {
+                return queue;
+            }
+        };
+    }
+
+    // A SCORM 2004 runtime for one AU session. Values live in memory; status
+    // changes become cmi5 statements and the bookmark is kept in the State API.
+    // hooks.onTerminate runs once the module has terminated the session.
+    function createSession(launch, launchData, transport, savedState, hooks) {
+        hooks = hooks || {};
+        var now = hooks.now || function() { return Date.now(); };
+        launchData = launchData || {};
+        savedState = savedState || {};
+
+        var masteryScore = typeof launchData.masteryScore === 'number' ? launchData.masteryScore : null;
+        var launchMode = launchData.launchMode || 'Normal';
+        var actor = launch.actor || {};
+        var values = {
+            'cmi.learner_id': (actor.account && actor.account.name) || actor.mbox || '',
+            'cmi.learner_name': actor.name || '',
+            'cmi.mode': launchMode === 'Normal' ? 'normal' : launchMode.toLowerCase(),
+            'cmi.credit': launchMode === 'Normal' ? 'credit' : 'no-credit',
+            'cmi.entry': savedState.location || savedState.suspendData ? 'resume' : 'ab-initio',
+            'cmi.launch_data': launchData.launchParameters || '',
+            'cmi.scaled_passing_score': masteryScore === null ? '' : String(masteryScore),
+            'cmi.completion_status': savedState.completed ? 'completed' : 'unknown',
+            'cmi.success_status': savedState.success || 'unknown',
+            'cmi.location': savedState.location || '',
+            'cmi.suspend_data': savedState.suspendData || '',
+            'cmi.exit': ''
+        };
+        var status = 'not initialized';
+        var lastError = '0';
+        var startedAt = null;
+        var sent = { completed: !!savedState.completed, result: !!savedState.success };
+
+        function statement(verb, result) {
+            var context = JSON.parse(JSON.stringify(launchData.contextTemplate || {}));
+            context.registration = launch.registration;
+            context.contextActivities = context.contextActivities || {};
+            var categories = (context.contextActivities.category || []).concat([{ id: CMI5_CATEGORY }]);
+            if (verb === 'completed' || verb === 'passed' || verb === 'failed') {
+                categories.push({ id: MOVEON_CATEGORY });
+            }
+            context.contextActivities.category = categories;
+            if ((verb === 'passed' || verb === 'failed') && masteryScore !== null) {
+                context.extensions = context.extensions || {};
+                context.extensions[MASTERY_SCORE_EXTENSION] = masteryScore;
+            }
+
+            var data = {
+                id: uuid(),
+                timestamp: new Date(now()).toISOString(),
+                actor: launch.actor,
+                verb: { id: VERBS[verb], display: { 'en-US': verb } },
+                object: { objectType: 'Activity', id: launch.activityId },
+                context: context
+            };
+            if (result) {
+                data.result = result;
+            }
+            return data;
+        }
+
+        function send(verb, result, keepalive) {
+            return transport.sendStatement(statement(verb, result), keepalive);
+        }
+
+        function saveState(keepalive) {
+            return transport.putState(SUSPEND_STATE_ID, {
+                location: values['cmi.location'],
+                suspendData: values['cmi.suspend_data'],
+                completed: sent.completed,
+                success: sent.result ? values['cmi.success_status'] : ''
+            }, keepalive);
+        }
+
+        function scaledScore() {
+            var scaled = parseFloat(values['cmi.score.scaled']);
+            if (!isNaN(scaled)) {
+                return scaled;
+            }
+            var raw = parseFloat(values['cmi.score.raw']);
+            if (isNaN(raw)) {
+                return null;
+            }
+            var min = isNaN(parseFloat(values['cmi.score.min'])) ? 0 : parseFloat(values['cmi.score.min']);
+            var max = isNaN(parseFloat(values['cmi.score.max'])) || parseFloat(values['cmi.score.max']) <= min
+                ? 100 : parseFloat(values['cmi.score.max']);
+            return Math.max(-1, Math.min(1, (raw - min) / (max - min)));
+        }
+
+        function score() {
+            var scaled = scaledScore();
+            if (scaled === null) {
+                return undefined;
+            }
+            var result = { scaled: Math.round(scaled * 10000) / 10000 };
+            ['raw', 'min', 'max'].forEach(function(key) {
+                var value = parseFloat(values['cmi.score.' + key]);
+                if (!isNaN(value)) {
+                    result[key] = value;
+                }
+            });
+            return result;
+        }
+
+        // Only normal launches may report completion or a result, and each
+        // at most once per registration
+        function reportProgress() {
+            if (launchMode !== 'Normal') {
+                return;
+            }
+            var elapsed = duration(now() - startedAt);
+            if (!sent.completed && values['cmi.completion_status'] === 'completed') {
+                sent.completed = true;
+                send('completed', { completion: true, duration: elapsed });
+            }
+
+            var success = values['cmi.success_status'];
+            if (!sent.result && (success === 'passed' || success === 'failed')) {
+                // A mastery score set in the LMS decides pass or fail when the module has a score
+                var scaled = scaledScore();
+                if (masteryScore !== null && scaled !== null) {
+                    success = scaled >= masteryScore ? 'passed' : 'failed';
+                    values['cmi.success_status'] = success;
+                }
+                sent.result = true;
+                send(success, { success: success === 'passed', score: score(), duration: elapsed });
+            }
+        }
+
+        function terminate(keepalive) {
+            if (status !== 'running') {
+                return false;
+            }
+            status = 'terminated';
+            reportProgress();
+            saveState(keepalive);
+            send('terminated', { duration: duration(now() - startedAt) }, keepalive);
+            // A page that is unloading has nowhere to go next
+            if (hooks.onTerminate && !keepalive) {
+                hooks.onTerminate();
+            }
+            return true;
+        }
+
+        var api = {
+            Initialize: function() {
+                if (status !== 'not initialized') {
+                    lastError = status === 'running' ? '103' : '104';
+                    return 'false';
+                }
+                status = 'running';
+                startedAt = now();
+                lastError = '0';
+                send('initialized');
+                return 'true';
+            },
+            Terminate: function() {
+                lastError = status === 'running' ? '0' : '112';
+                return terminate(false) ? 'true' : 'false';
+            },
+            GetValue: function(element) {
+                if (status !== 'running') {
+                    lastError = status === 'terminated' ? '123' : '122';
+                    return '';
+                }
+                lastError = '0';
+                return values[element] === undefined ? '' : values[element];
+            },
+            SetValue: function(element, value) {
+                if (status !== 'running') {
+                    lastError = status === 'terminated' ? '133' : '132';
+                    return 'false';
+                }
+                lastError = '0';
+                values[element] = String(value);
+                if (element === 'cmi.completion_status' || element === 'cmi.success_status') {
+                    reportProgress();
+                }
+                return 'true';
+            },
+            Commit: function() {
+                if (status !== 'running') {
+                    lastError = status === 'terminated' ? '143' : '142';
+                    return 'false';
+                }
+                lastError = '0';
+                saveState(false);
+                return 'true';
+            },
+            GetLastError: function() { return lastError; },
+            GetErrorString: function(code) { return code === '0' ? 'No error' : 'cmi5 runtime error ' + code; },
+            GetDiagnostic: function(code) { return api.GetErrorString(code || lastError); }
+        };
+
+        return {
+            api: api,
+            terminate: terminate,
+            isTerminated: function() {
+                return status === 'terminated';
+            }
+        };
+    }
+
+    function showMessage(doc, text) {
+        var message = doc.getElementById('launch-message');
+        if (message) {
+            message.textContent = text;
+            message.hidden = false;
+        }
+    }
+
+    // Entry point of cmi5/launch.html
+    function start(win) {
+        var doc = win.document;
+        var launch = readLaunchParameters(win.location.search);
+        if (!launch.endpoint || !launch.fetchUrl || !launch.actor || !launch.activityId || !isModulePath(launch.content)) {
+            showMessage(doc, 'This module has to be launched from a cmi5 LMS.');
+            return Promise.resolve(null);
+        }
+
+        var transport = createTransport(launch, win.fetch.bind(win));
+        var launchData;
+        return transport.authenticate().then(function() {
+            return transport.getState('LMS.LaunchData');
+        }).then(function(data) {
+            launchData = data || {};
+            return transport.getState(SUSPEND_STATE_ID).catch(function() {
+                return null;
+            });
+        }).then(function(savedState) {
+            var session = createSession(launch, launchData, transport, savedState, {
+                onTerminate: function() {
+                    transport.flush().then(function() {
+                        if (launchData.returnURL) {
+                            win.location.href = launchData.returnURL;
+                        } else {
+                            showMessage(doc, 'You can close this window now.');
+                        }
+                    });
+                }
+            });
+            win.API_1484_11 = session.api;
+            // SCORM 1.2 modules talk to the same session through the translating proxy
+            var adapter = win.ScormMergeRuntime.createAdapter();
+            win.API = win.ScormMergeRuntime.createProxies(adapter, function() {
+                return adapter.terminate();
+            }).API;
+
+            // Closing the window ends the session as well
+            win.addEventListener('pagehide', function() {
+                session.terminate(true);
+            });
+
+            doc.getElementById('module-frame').src = launch.content;
+            return session;
+        }).catch(function(error) {
+            console.error('cmi5 launch failed:', error);
+            showMessage(doc, 'The module could not be started: ' + error.message);
+            return null;
+        });
+    }
+
+    return {
+        readLaunchParameters: readLaunchParameters,
+        isModulePath: isModulePath,
+        createTransport: createTransport,
+        createSession: createSession,
+        start: start
+    };
+})();
+window.ScormMergeCmi5 = ScormMergeCmi5;
+`;
+  }
+}
+
+// Export singleton instance
+module.exports = new Cmi5Runtime();
@@ -0,0 +1,173 @@
+const xml2js = require('xml2js');
+
+// CC 1.0 uses .../imscc/imscp_v1p1, later versions .../imsccv1p1/imscp_v1p1 etc.
+const CC_NAMESPACE_PATTERN = /imsglobal\.org\/xsd\/imscc(v\d+p\d+)?\//i;
+
+class CommonCartridgeAdapter {
+  /**
+   * Whether a parsed imsmanifest.xml describes an IMS Common Cartridge rather
+   * than a SCORM package
+   */
+  isCommonCartridge(manifest) {
+    const root = manifest?.manifest;
+    const namespaces = Object.values(root?.$ || {}).join(' ');
+    const schema = String(root?.metadata?.[0]?.schema?.[0] || '');
+    return CC_NAMESPACE_PATTERN.test(namespaces) || /common cartridge/i.test(schema);
+  }
+
+  /**
+   * Converts the organizations and resources read from a cartridge manifest
+   * into content a SCORM package can launch. Web content is kept, web links
+   * become pages linking to their URL, and resources that need an LMS tool
+   * (discussions, assessments, LTI links) are left out with a warning.
+   * @param {object} manifest - imsmanifest.xml parsed by xml2js
+   * @param {{organizations: Array, resources: Array}} extracted - Shapes
+   *   extracted from the manifest by the SCORM processor
+   * @param {JSZip} zipContents - Loaded package zip
+   * @param {string} packageRoot - Folder holding imsmanifest.xml
+   */
+  async parse(manifest, { organizations, resources }, zipContents, packageRoot) {
+    const errors = [];
+    const warnings = [];
+    const files = new Set(Object.keys(zipContents.files)
+      .filter(name => name.startsWith(packageRoot) && !zipContents.files[name].dir)
+      .map(name => name.slice(packageRoot.length)));
+
+    const converted = [];
+    const skippedTypes = new Map();
+    for (const resource of resources) {
+      const type = resource.type || '';
+      if (type === 'webcontent' || type.startsWith('associatedcontent/')) {
+        converted.push({ ...resource, type: 'webcontent' });
+        continue;
+      }
+      if (/^imswl_xmlv\d/.test(type)) {
+        const webLink = await this.readWebLink(zipContents, `${packageRoot}${resource.href || resource.files[0]}`);
+        if (webLink) {
+          const href = `weblink_${resource.identifier}.html`;
+          converted.push({
+            identifier: resource.identifier,
+            type: 'webcontent',
+            href,
+            title: webLink.title,
+            externalUrl: webLink.url,
+            files: [href],
+            dependencies: []
+          });
+          continue;
+        }
+      }
+      skippedTypes.set(type, (skippedTypes.get(type) || 0) + 1);
+    }
+
+    for (const [type, count] of skippedTypes) {
+      warnings.push({
+        code: 'UNSUPPORTED_RESOURCE',
+        message: `${count} ${count === 1 ? 'resource' : 'resources'} of type ${type || '(none)'} cannot be launched outside the LMS and ${count === 1 ? 'is' : 'are'} left out`
+      });
+    }
+
+    const convertedIds = new Set(converted.map(resource => resource.identifier));
+    for (const resource of converted) {
+      resource.dependencies = (resource.dependencies || []).filter(dependency => convertedIds.has(dependency));
+      const listed = resource.externalUrl ? [] : [resource.href, ...resource.files].filter(Boolean);
+      for (const file of new Set(listed.map(file => this.decodeFileName(file.split(/[?#]/)[0])))) {
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(file) && !files.has(file)) {
+          errors.push({ code: 'MISSING_FILE', message: `Resource "${resource.identifier}" lists ${file}, which is not in the package` });
+        }
+      }
+    }
+
+    const launchable = new Set(converted.filter(resource => resource.href).map(resource => resource.identifier));
+    if (launchable.size === 0) {
+      errors.push({ code: 'NO_RESOURCES', message: 'The cartridge has no web content or web links that can be launched' });
+    }
+
+    return {
+      title: this.findLomText(manifest?.manifest?.metadata?.[0], 'title') || 'Untitled',
+      description: this.findLomText(manifest?.manifest?.metadata?.[0], 'description') || '',
+      version: String(manifest?.manifest?.metadata?.[0]?.schemaversion?.[0] || 'Unknown'),
+      scormVersion: 'Unknown',
+      organizations: organizations.map(organization => ({
+        ...organization,
+        items: this.convertItems(this.unwrapRootItem(organization.items), launchable)
+      })),
+      resources: converted,
+      validation: { valid: errors.length === 0, errors, warnings }
+    };
+  }
+
+  /**
+   * Percent-decoded file name, or the name as written when its escapes are
+   * malformed, so the file is reported missing instead of failing the parse
+   */
+  decodeFileName(name) {
+    try {
+      return decodeURIComponent(name);
+    } catch (error) {
+      return name;
+    }
+  }
+
+  /**
+   * Cartridge organizations are rooted hierarchies: a single item without
+   * content holds the real table of contents
+   */
+  unwrapRootItem(items) {
+    if (items.length === 1 && !items[0].identifierref && items[0].items.length > 0) {
+      return items[0].items;
+    }
+    return items;
+  }
+
+  /**
+   * Drops links to resources that were left out; folders emptied that way are
+   * dropped too
+   */
+  convertItems(items, launchable) {
+    return items.map(item => {
+      const children = this.convertItems(item.items || [], launchable);
+      const identifierref = launchable.has(item.identifierref) ? item.identifierref : undefined;
+      if (!identifierref && children.length === 0) {
+        return null;
+      }
+      return { ...item, identifierref, items: children };
+    }).filter(Boolean);
+  }
+
+  async readWebLink(zipContents, fileName) {
+    const file = zipContents.file(fileName);
+    if (!file) {
+      return null;
+    }
+    try {
+      const xml = await new xml2js.Parser().parseStringPromise(await file.async('string'));
+      const webLink = Object.values(xml)[0];
+      const url = webLink?.url?.[0]?.$?.href;
+      if (!url) {
+        return null;
+      }
+      const title = webLink.title?.[0];
+      return { title: (typeof title === 'object' ? title._ : title) || url, url };
+    } catch (error) {
+      console.log(`Could not read web link ${fileName}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Text of the LOM general title or description, whatever prefix the
+   * cartridge binds the LOM namespace to
+   */
+  findLomText(metadata, field) {
+    const child = (node, name) => {
+      const key = Object.keys(node || {}).find(key => key === name || key.endsWith(`:${name}`));
+      return key ? node[key][0] : undefined;
+    };
+    const value = child(child(child(child(metadata, 'lom'), 'general'), field), 'string');
+    return typeof value === 'object' ? value._ : value;
+  }
+}
+
+// Export singleton instance
+module.exports = new CommonCartridgeAdapter();
@@ -30,10 +30,12 @@ class DescriptionTaskManager {
       sessionId,
       status: 'running',
       startTime: Date.now(),
-      packages: packages.filter(pkg => !pkg.error), // Only process valid packages
+      // Only process valid packages whose description the user has not written
+      packages: packages.filter(pkg => !pkg.error && !pkg.editedFields?.includes('description')),
       completed: 0,
       total: 0,
       results: {},
+      userEdited: new Set(),
       cancelled: false
     };
     
@@ -91,6 +93,10 @@ class DescriptionTaskManager {
       }
 
       const packageData = packages[i];
+      if (task.userEdited.has(String(packageData.id))) {
+        task.completed++;
+        continue;
+      }
       
       try {
         // Update progress
@@ -111,6 +117,12 @@ class DescriptionTaskManager {
           existingDescription: packageData.description || ''
         });
 
+        // The user may have written a description while this one was generated
+        if (task.userEdited.has(String(packageData.id))) {
+          task.completed++;
+          continue;
+        }
+
         // Store result
         task.results[packageData.id] = description;
         this.taskResults.get(sessionId)[packageData.id] = description;
@@ -140,6 +152,11 @@ class DescriptionTaskManager {
           existingDescription: packageData.description || ''
         });
 
+        if (task.userEdited.has(String(packageData.id))) {
+          task.completed++;
+          continue;
+        }
+
         task.results[packageData.id] = fallbackDescription;
         this.taskResults.get(sessionId)[packageData.id] = fallbackDescription;
         task.completed++;
@@ -184,6 +201,24 @@ class DescriptionTaskManager {
     return false;
   }
 
+  /**
+   * Keep a description the user wrote: a running task skips the package and
+   * a description it already generated is dropped from the results
+   * @param {string} sessionId - Session identifier
+   * @param {string} packageId - Package whose description was edited
+   */
+  keepUserDescription(sessionId, packageId) {
+    const task = this.activeTasks.get(sessionId);
+    if (task) {
+      task.userEdited.add(String(packageId));
+      delete task.results[packageId];
+    }
+    const results = this.taskResults.get(sessionId);
+    if (results) {
+      delete results[packageId];
+    }
+  }
+
   /**
    * Get task status
    * @param {string} sessionId - Session identifier
@@ -7,12 +7,31 @@ const WebSocket = require('ws');
 const http = require('http');
 const scormProcessor = require('./scormProcessor');
 const descriptionTaskManager = require('./descriptionTaskManager');
+const bundleExtractor = require('./bundleExtractor');
+const packageSplitter = require('./packageSplitter');
+const mergeUpdater = require('./mergeUpdater');
+const themeManager = require('./themeManager');
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server, path: '/ws' });
 
 const PORT = process.env.PORT || 5000;
+// Uploaded packages are kept here for an hour
+const UPLOAD_DIR = process.env.UPLOAD_DIR || 'uploads';
+
+// Limits per upload; bundles are checked against them after expansion
+const MAX_PACKAGES = 100;
+const MAX_PACKAGE_SIZE = 200 * 1024 * 1024;
+const MAX_EXPANDED_SIZE = 1024 * 1024 * 1024;
+
+// Name of the file offered to the browser, by the prefix of the temp file
+const DOWNLOAD_NAMES = {
+  'merged-scorm': 'merged-scorm-package.zip',
+  'merged-cmi5': 'merged-cmi5-course.zip',
+  'merged-imscc': 'merged-common-cartridge.imscc',
+  'split-packages': 'split-packages.zip'
+};
 
 app.use(cors());
 app.use(express.json({ limit: '500mb' }));
@@ -22,8 +41,8 @@ app.use(express.static(path.join(__dirname, '../client/build')));
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
     try {
-      await fs.mkdir('uploads', { recursive: true });
-      cb(null, 'uploads/');
+      await fs.mkdir(UPLOAD_DIR, { recursive: true });
+      cb(null, UPLOAD_DIR);
     } catch (error) {
       cb(error);
     }
@@ -44,8 +63,8 @@ const upload = multer({
     }
   },
   limits: {
-    fileSize: 200 * 1024 * 1024, // 200MB limit per file
-    files: 100, // Maximum 100 files
+    fileSize: MAX_PACKAGE_SIZE, // 200MB limit per file
+    files: MAX_PACKAGES, // Maximum 100 files
     fieldSize: 200 * 1024 * 1024 // 200MB field size limit
   }
 });
@@ -78,10 +97,69 @@ const handleMulterError = (error, req, res, next) => {
     }
     return res.status(400).json({ error: `Upload error: ${error.message}` });
   }
+  if (error.message === 'Only ZIP files are allowed') {
+    return res.status(400).json({ error: error.message });
+  }
   next(error);
 };
 
-app.post('/api/upload', upload.array('scormPackages', 100), handleMulterError, async (req, res) => {
+/**
+ * Validates and parses uploaded packages once bundles are expanded. Packages
+ * that cannot be read are returned with their error.
+ * @returns {Promise<Array>} Packages sorted by display title
+ */
+async function parsePackages(uploads) {
+  const packages = [];
+  
+  for (const file of uploads) {
+    try {
+      if (file.error) {
+        throw new Error(file.error);
+      }
+      console.log('Processing file:', file.originalname);
+      const packageInfo = await scormProcessor.validateAndParsePackage(file.path, file.originalname);
+      const packageData = {
+        id: Date.now() + Math.random(),
+        filename: file.originalname,
+        path: file.path,
+        ...(file.bundle && { bundle: file.bundle }),
+        ...packageInfo
+      };
+      // Use friendly display title for frontend
+      packageData.title = scormProcessor.getDisplayTitle(packageData);
+      
+      // Use fallback description initially - AI descriptions will be generated in background
+      packageData.description = scormProcessor.getFallbackDescription(packageData);
+      console.log(`Using fallback description for ${packageData.title}: ${packageData.description.substring(0, 50)}...`);
+      
+      packages.push(packageData);
+    } catch (error) {
+      console.error('Error processing file:', file.originalname, error.message);
+      const errorPackage = {
+        id: Date.now() + Math.random(),
+        filename: file.originalname,
+        path: file.path,
+        ...(file.bundle && { bundle: file.bundle }),
+        title: 'Untitled SCORM Package', // Default title for error cases
+        description: 'Error processing SCORM package',
+        error: error.message,
+        validation: {
+          valid: false,
+          errors: [{ code: 'INVALID_PACKAGE', message: error.message }],
+          warnings: []
+        }
+      };
+      // Use friendly display title for frontend even in error cases
+      errorPackage.title = scormProcessor.getDisplayTitle(errorPackage);
+      packages.push(errorPackage);
+    }
+  }
+  
+  // Sort packages alphabetically by display title for consistent presentation
+  return scormProcessor.sortPackagesByTitle(packages);
+}
+
+app.post('/api/upload', upload.array('scormPackages', MAX_PACKAGES), handleMulterError, async (req, res) => {
   try {
     console.log('Upload request received');
     console.log('Session ID:', req.body.sessionId);
@@ -104,52 +182,26 @@ app.post('/api/upload', upload.array('scormPackages', 100), handleMulterError, a
       return res.status(400).json({ error: 'No files uploaded' });
     }
 
-    const packages = [];
-    
-    for (const file of req.files) {
-      try {
-        console.log('Processing file:', file.originalname);
-        const packageInfo = await scormProcessor.validateAndParsePackage(file.path, file.originalname);
-        const packageData = {
-          id: Date.now() + Math.random(),
-          filename: file.originalname,
-          path: file.path,
-          ...packageInfo
-        };
-        // Use friendly display title for frontend
-        packageData.title = scormProcessor.getDisplayTitle(packageData);
-        
-        // Use fallback description initially - AI descriptions will be generated in background
-        packageData.description = scormProcessor.getFallbackDescription(packageData);
-        console.log(`Using fallback description for ${packageData.title}: ${packageData.description.substring(0, 50)}...`);
-        
-        packages.push(packageData);
-      } catch (error) {
-        console.error('Error processing file:', file.originalname, error.message);
-        const errorPackage = {
-          id: Date.now() + Math.random(),
-          filename: file.originalname,
-          path: file.path,
-          title: 'Untitled SCORM Package', // Default title for error cases
-          description: 'Error processing SCORM package',
-          error: error.message
-        };
-        // Use friendly display title for frontend even in error cases
-        errorPackage.title = scormProcessor.getDisplayTitle(errorPackage);
-        packages.push(errorPackage);
-      }
+    // Bundles (zips of SCORM zips) are replaced by the packages they contain
+    let uploads;
+    try {
+      uploads = await bundleExtractor.expandUploads(req.files, {
+        maxPackages: MAX_PACKAGES,
+        maxPackageSize: MAX_PACKAGE_SIZE,
+        maxExpandedSize: MAX_EXPANDED_SIZE
+      });
+    } catch (error) {
+      console.error('Bundle expansion failed:', error.message);
+      // Nothing of a rejected upload is kept
+      await Promise.all(req.files.map(file => fs.unlink(file.path).catch(() => {})));
+      return res.status(400).json({ error: error.message });
     }
+
+    const sortedPackages = await parsePackages(uploads);
     
-    // Sort packages alphabetically by display title for consistent presentation
-    packages.sort((a, b) => {
-      const titleA = scormProcessor.getDisplayTitle(a).toLowerCase();
-      const titleB = scormProcessor.getDisplayTitle(b).toLowerCase();
-      return titleA.localeCompare(titleB);
-    });
-    
-    session.packages = packages;
-    console.log('Upload successful, returning packages:', packages.length);
-    res.json({ packages });
+    session.packages = sortedPackages;
+    console.log('Upload successful, returning packages:', sortedPackages.length);
+    res.json({ packages: sortedPackages });
   } catch (error) {
     console.error('Upload error:', error);
     res.status(500).json({ error: error.message });
@@ -162,7 +214,7 @@ app.post('/api/reorder', (req, res) => {
     console.log('Session ID:', req.body.sessionId);
     console.log('Packages count:', req.body.packages?.length || 0);
     
-    const { sessionId, packages } = req.body;
+    const { sessionId, packages, sections } = req.body;
     
     if (!sessionId) {
       console.error('No session ID provided');
@@ -174,6 +226,15 @@ app.post('/api/reorder', (req, res) => {
       return res.status(400).json({ error: 'Packages are required' });
     }
     
+    let sectionNames;
+    try {
+      sectionNames = scormProcessor.normalizeSections(sections);
+      scormProcessor.validatePrerequisites(packages);
+    } catch (error) {
+      console.error('Invalid sections or prerequisites:', error.message);
+      return res.status(400).json({ error: error.message });
+    }
+    
     let session = sessions.get(sessionId);
     
     if (!session) {
@@ -183,6 +244,7 @@ app.post('/api/reorder', (req, res) => {
     }
     
     session.packages = packages;
+    session.sections = sectionNames;
     console.log('Packages reordered successfully for session:', sessionId);
     res.json({ success: true });
   } catch (error) {
@@ -191,6 +253,41 @@ app.post('/api/reorder', (req, res) => {
   }
 });
 
+app.post('/api/packages/edit', (req, res) => {
+  try {
+    console.log('Package edit request received');
+    const { sessionId, packageId, ...edits } = req.body;
+
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const index = session.packages.findIndex(pkg => String(pkg.id) === String(packageId));
+    if (index === -1) {
+      return res.status(404).json({ error: 'Package not found' });
+    }
+
+    let updated;
+    try {
+      updated = scormProcessor.applyPackageEdits(session.packages[index], edits);
+    } catch (error) {
+      console.error('Invalid package edit:', error.message);
+      return res.status(400).json({ error: error.message });
+    }
+
+    session.packages[index] = updated;
+    if (edits.description !== undefined) {
+      descriptionTaskManager.keepUserDescription(sessionId, updated.id);
+    }
+    console.log('Package edited:', updated.title, updated.editedFields);
+    res.json({ package: updated });
+  } catch (error) {
+    console.error('Package edit error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.post('/api/merge', async (req, res) => {
   try {
     console.log('Merge request received');
@@ -202,6 +299,14 @@ app.post('/api/merge', async (req, res) => {
       console.error('No session ID provided in merge request');
       return res.status(400).json({ error: 'Session ID is required' });
     }
+
+    let mergeOptions;
+    try {
+      mergeOptions = scormProcessor.normalizeMergeOptions(req.body);
+    } catch (error) {
+      console.error('Invalid merge options:', error.message);
+      return res.status(400).json({ error: error.message });
+    }
     
     let session = sessions.get(sessionId);
     console.log('Session found:', !!session);
@@ -229,14 +334,9 @@ app.post('/api/merge', async (req, res) => {
       return res.status(400).json({ error: 'No valid SCORM packages to merge' });
     }
 
-    // Sort packages alphabetically by title (using display title which includes friendly names)
-    validPackages.sort((a, b) => {
-      const titleA = scormProcessor.getDisplayTitle(a).toLowerCase();
-      const titleB = scormProcessor.getDisplayTitle(b).toLowerCase();
-      return titleA.localeCompare(titleB);
-    });
-
-    const mergedPackagePath = await scormProcessor.mergePackages(
+    // The session order saved by /api/reorder is used as-is unless the client
+    // explicitly asked for sortBy: 'title'
+    const { outputPath: mergedPackagePath, report } = await scormProcessor.mergePackages(
       validPackages,
       (progress) => {
         if (session.ws && session.ws.readyState === WebSocket.OPEN) {
@@ -245,17 +345,211 @@ app.post('/api/merge', async (req, res) => {
             progress 
           }));
         }
-      }
+      },
+      { ...mergeOptions, sections: session.sections || [] }
     );
 
     console.log('Merge completed successfully, download URL created');
-    res.json({ downloadUrl: `/api/download/${path.basename(mergedPackagePath)}` });
+    res.json({
+      downloadUrl: `/api/download/${path.basename(mergedPackagePath)}${mergeOptions.outputFilename ? `?name=${encodeURIComponent(mergeOptions.outputFilename)}` : ''}`,
+      outputFormat: mergeOptions.outputFormat,
+      outputVersion: scormProcessor.resolveOutputVersion(validPackages, mergeOptions.outputVersion),
+      report
+    });
   } catch (error) {
     console.error('Merge process error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+app.post('/api/split', upload.single('mergedPackage'), handleMulterError, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  console.log('Split request received for', req.file.originalname);
+
+  try {
+    let merged;
+    try {
+      merged = await packageSplitter.readMergedPackage(req.file.path);
+    } catch (error) {
+      console.error('Cannot split upload:', error.message);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { outputPath, packages } = await packageSplitter.split(merged);
+    console.log(`Split ${req.file.originalname} into ${packages.length} packages`);
+    res.json({
+      downloadUrl: `/api/download/${path.basename(outputPath)}`,
+      packages
+    });
+  } catch (error) {
+    console.error('Split process error:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    fs.unlink(req.file.path).catch(() => {});
+  }
+});
+
+// Incremental re-merge: a merged package is uploaded first, then the
+// replacement and added packages through /api/remerge/packages
+app.post('/api/remerge/upload', upload.single('mergedPackage'), handleMulterError, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  console.log('Merged package received for update:', req.file.originalname);
+
+  const { sessionId } = req.body;
+  let session = sessions.get(sessionId);
+  if (!session) {
+    console.log('Session not found, creating new session for:', sessionId);
+    session = { packages: [] };
+    sessions.set(sessionId, session);
+  }
+
+  let merged;
+  try {
+    merged = await packageSplitter.readMergedPackage(req.file.path);
+  } catch (error) {
+    console.error('Cannot update upload:', error.message);
+    fs.unlink(req.file.path).catch(() => {});
+    return res.status(400).json({ error: error.message });
+  }
+  packageSplitter.close(merged);
+
+  if (session.mergedPackage) {
+    fs.unlink(session.mergedPackage.path).catch(() => {});
+  }
+  session.mergedPackage = { path: req.file.path, filename: req.file.originalname };
+  res.json({
+    version: merged.version,
+    modules: merged.packages.map(pkg => ({ number: pkg.number, title: pkg.title }))
+  });
+});
+
+// Re-merge packages are kept apart from the packages of the merge steps
+app.post('/api/remerge/packages', upload.array('scormPackages', MAX_PACKAGES), handleMulterError, async (req, res) => {
+  try {
+    console.log('Re-merge packages received:', req.files?.length || 0);
+    const { sessionId } = req.body;
+    let session = sessions.get(sessionId);
+    if (!session) {
+      console.log('Session not found, creating new session for:', sessionId);
+      session = { packages: [] };
+      sessions.set(sessionId, session);
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    let uploads;
+    try {
+      uploads = await bundleExtractor.expandUploads(req.files, {
+        maxPackages: MAX_PACKAGES,
+        maxPackageSize: MAX_PACKAGE_SIZE,
+        maxExpandedSize: MAX_EXPANDED_SIZE
+      });
+    } catch (error) {
+      console.error('Bundle expansion failed:', error.message);
+      // Nothing of a rejected upload is kept
+      await Promise.all(req.files.map(file => fs.unlink(file.path).catch(() => {})));
+      return res.status(400).json({ error: error.message });
+    }
+
+    session.remergePackages = await parsePackages(uploads);
+    res.json({ packages: session.remergePackages });
+  } catch (error) {
+    console.error('Re-merge upload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/remerge', async (req, res) => {
+  try {
+    console.log('Re-merge request received');
+    const { sessionId, changes } = req.body;
+    const session = sessions.get(sessionId);
+
+    if (!session?.mergedPackage) {
+      return res.status(400).json({ error: 'No merged package uploaded' });
+    }
+
+    const merged = await packageSplitter.readMergedPackage(session.mergedPackage.path);
+    let plan;
+    try {
+      plan = mergeUpdater.planChanges(merged, session.remergePackages || [], changes);
+    } catch (error) {
+      console.error('Invalid re-merge changes:', error.message);
+      packageSplitter.close(merged);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { outputPath, summary, report } = await mergeUpdater.updatePackage(merged, plan, (progress) => {
+      if (session.ws && session.ws.readyState === WebSocket.OPEN) {
+        session.ws.send(JSON.stringify({ type: 'progress', progress }));
+      }
+    });
+
+    console.log('Re-merge completed successfully, download URL created');
+    res.json({
+      downloadUrl: `/api/download/${path.basename(outputPath)}`,
+      summary,
+      report
+    });
+  } catch (error) {
+    console.error('Re-merge process error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Menu theme presets
+app.get('/api/themes', async (req, res) => {
+  try {
+    res.json({ themes: await themeManager.listPresets() });
+  } catch (error) {
+    console.error('Theme list error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/themes', async (req, res) => {
+  try {
+    console.log('Theme save request received');
+    const { name, theme } = req.body;
+
+    try {
+      themeManager.normalizePresetName(name);
+      if (!themeManager.normalizeTheme(theme)) {
+        throw new Error('theme is required');
+      }
+    } catch (error) {
+      console.error('Invalid theme:', error.message);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const preset = await themeManager.savePreset(name, theme);
+    console.log('Theme saved:', preset.name);
+    res.json(preset);
+  } catch (error) {
+    console.error('Theme save error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/themes/:name', async (req, res) => {
+  try {
+    console.log('Theme delete request received:', req.params.name);
+    if (!await themeManager.deletePreset(req.params.name)) {
+      return res.status(404).json({ error: 'Theme not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Theme delete error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Description generation endpoints
 app.post('/api/descriptions/start', async (req, res) => {
   try {
@@ -397,8 +691,17 @@ app.get('/health', (req, res) => {
 app.get('/api/download/:filename', (req, res) => {
   const filename = req.params.filename;
   const filePath = path.join(__dirname, '../temp', filename);
+  let downloadName = DOWNLOAD_NAMES[filename.replace(/-\d+\.zip$/, '')] || DOWNLOAD_NAMES['merged-scorm'];
+  if (req.query.name) {
+    // A file name chosen at merge time; unusable names fall back to the default
+    try {
+      downloadName = scormProcessor.normalizeOutputFilename(req.query.name, path.extname(downloadName));
+    } catch (error) {
+      console.warn('Ignoring download name:', error.message);
+    }
+  }
   
-  res.download(filePath, 'merged-scorm-package.zip', (err) => {
+  res.download(filePath, downloadName, (err) => {
     if (err) {
       res.status(404).json({ error: 'File not found' });
     } else {
@@ -411,13 +714,13 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../client/build/index.html'));
 });
 
-setInterval(async () => {
+async function cleanUploads() {
   try {
-    const files = await fs.readdir('uploads');
+    const files = await fs.readdir(UPLOAD_DIR);
     const now = Date.now();
     
     for (const file of files) {
-      const filePath = path.join('uploads', file);
+      const filePath = path.join(UPLOAD_DIR, file);
       const stats = await fs.stat(filePath);
       
       if (now - stats.mtime.getTime() > 3600000) {
@@ -427,11 +730,13 @@ setInterval(async () => {
   } catch (error) {
     console.error('Cleanup error:', error);
   }
-}, 300000);
+}
 
 async function startServer() {
+  setInterval(cleanUploads, 300000);
+
   try {
-    await fs.mkdir('uploads', { recursive: true });
+    await fs.mkdir(UPLOAD_DIR, { recursive: true });
     await fs.mkdir('temp', { recursive: true });
     console.log('Required directories created');
   } catch (error) {
@@ -440,8 +745,13 @@ async function startServer() {
 
   server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
-    console.log('Required directories: uploads, temp');
+    console.log(`Required directories: ${UPLOAD_DIR}, temp`);
   });
 }
 
-startServer();
\ No newline at end of file
+// The tests load the app without starting the server
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, sessions };
\ No newline at end of file
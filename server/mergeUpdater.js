@@ -0,0 +1,304 @@
+const { createWriteStream } = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const { finished, pipeline } = require('stream/promises');
+const yazl = require('yazl');
+const scormProcessor = require('./scormProcessor');
+const scormValidator = require('./scormValidator');
+
+// Lines of the menu script holding the course tracking and the module list
+const MENU_TRACKING_PATTERN = /^const trackingConfig = (.*);$/m;
+const MENU_PACKAGE_DATA_PATTERN = /^const packageData = (.*);$/m;
+// Launch button of a menu entry, labelled by the menu theme
+const MENU_LAUNCH_BUTTON_PATTERN = /<button onclick="launchPackage\(\d+\)">([^<]*)<\/button>/;
+const SEQUENCING_STRATEGIES = ['choice', 'flow', 'completeAll'];
+
+class MergeUpdater {
+  /**
+   * Checks the requested changes against the merged package and the uploaded
+   * packages
+   * @param {object} merged - Result of packageSplitter.readMergedPackage
+   * @param {Array} packages - Packages uploaded to the session
+   * @param {Array<{packageId: string, module: number|null}>} changes - Module
+   *   each package replaces, or null to add it as a new module
+   * @returns {Array<{pkg: object, module: number|null}>}
+   */
+  planChanges(merged, packages, changes) {
+    if (!Array.isArray(changes) || changes.length === 0) {
+      throw new Error('changes must list at least one package');
+    }
+
+    const modules = new Set(merged.packages.map(pkg => pkg.number));
+    const replaced = new Set();
+    return changes.map(change => {
+      const pkg = packages.find(candidate => String(candidate.id) === String(change?.packageId));
+      if (!pkg) {
+        throw new Error(`Unknown package: ${change?.packageId}`);
+      }
+      if (pkg.error) {
+        throw new Error(`Package "${pkg.title}" is not a valid SCORM package`);
+      }
+
+      if (change.module === null || change.module === undefined) {
+        return { pkg, module: null };
+      }
+      const module = Number(change.module);
+      if (!modules.has(module)) {
+        throw new Error(`The merged package has no module ${change.module}`);
+      }
+      if (replaced.has(module)) {
+        throw new Error(`Module ${module} can only be replaced once`);
+      }
+      replaced.add(module);
+      return { pkg, module };
+    });
+  }
+
+  /**
+   * Writes a new version of a merged SCORM package with some modules
+   * replaced and new ones added at the end. Only the replaced package_N
+   * folders, their manifest entries and menu entries are rewritten; every
+   * other file is copied unchanged: module pages get the course tracking
+   * from the menu, which is updated here. New modules are not deduplicated
+   * against shared/.
+   * @param {object} merged - Result of packageSplitter.readMergedPackage
+   * @param {Array<{pkg: object, module: number|null}>} plan - Result of planChanges
+   * @param {Function} progressCallback - Progress callback function
+   * @returns {Promise<{outputPath: string, summary: object, report: {verification: object}}>}
+   */
+  async updatePackage(merged, plan, progressCallback) {
+    try {
+      progressCallback?.({ step: 'Reading merged package', progress: 5 });
+
+      const read = async (name) => (merged.entries.has(name)
+        ? (await scormProcessor.readZipEntry(merged.zipFile, merged.entries.get(name))).toString('utf8')
+        : '');
+      let manifestXml = await read('imsmanifest.xml');
+      let menuHtml = await read('menu/index.html');
+      let menuJs = await read('menu/menu.js');
+
+      const trackingMatch = menuJs.match(MENU_TRACKING_PATTERN);
+      const packageDataMatch = menuJs.match(MENU_PACKAGE_DATA_PATTERN);
+      if (!trackingMatch || !packageDataMatch) {
+        throw new Error('The course menu of the merged package cannot be updated');
+      }
+
+      const lastModule = Math.max(...merged.packages.map(pkg => pkg.number));
+      let nextModule = lastModule + 1;
+      const changes = plan.map(change => ({ ...change, module: change.module || nextModule++ }));
+      const added = changes.filter(change => change.module > lastModule);
+
+      const tracking = JSON.parse(trackingMatch[1]);
+      tracking.modules += added.length;
+      if (tracking.scoring) {
+        // Replaced and added modules are weighted like their new package
+        for (const change of changes) {
+          tracking.scoring.weights[change.module - 1] = scormProcessor.getScoreWeight(change.pkg);
+        }
+      }
+      const packageData = JSON.parse(packageDataMatch[1]);
+
+      const outputOptions = {
+        outputVersion: merged.version,
+        launchMode: menuHtml.includes('id="player"') ? 'player' : 'navigate',
+        mergeMode: merged.packages.some(pkg => pkg.item.items.length > 0) ? 'structural' : 'flat',
+        sequencing: merged.version === '2004' ? this.detectSequencingStrategy(manifestXml) : 'none',
+        tracking
+      };
+      const launchButtonLabel = this.readLaunchButtonLabel(menuHtml);
+
+      progressCallback?.({ step: 'Updating manifest and course menu', progress: 10 });
+
+      for (const change of changes) {
+        // Added modules follow the last one, in its section if it has one
+        const item = this.findItem(manifestXml, change.module > lastModule ? change.module - 1 : change.module);
+        const entries = this.createEntries(change.pkg, change.module, outputOptions, item.indent === 0);
+        const menuItem = scormProcessor.createMenuItemHtml(change.pkg, change.module, launchButtonLabel);
+        packageData[change.module - 1] = scormProcessor.createMenuPackageData(change.pkg);
+
+        if (change.module > lastModule) {
+          manifestXml = manifestXml.slice(0, item.end) + this.indent(entries.items, item.indent) + manifestXml.slice(item.end);
+          const resourcesEnd = manifestXml.lastIndexOf('\n  </resources>');
+          manifestXml = manifestXml.slice(0, resourcesEnd) + entries.resources + manifestXml.slice(resourcesEnd);
+          const previousMenuItem = this.findMenuItem(menuHtml, change.module - 1);
+          menuHtml = menuHtml.slice(0, previousMenuItem.end) + this.indent(menuItem, previousMenuItem.indent) + menuHtml.slice(previousMenuItem.end);
+        } else {
+          manifestXml = manifestXml.slice(0, item.start) + this.indent(entries.items, item.indent) + manifestXml.slice(item.end);
+          manifestXml = this.replaceResources(manifestXml, change.module, entries.resources);
+          const currentMenuItem = this.findMenuItem(menuHtml, change.module);
+          menuHtml = menuHtml.slice(0, currentMenuItem.start) + this.indent(menuItem, currentMenuItem.indent) + menuHtml.slice(currentMenuItem.end);
+        }
+      }
+
+      menuJs = menuJs
+        .replace(MENU_TRACKING_PATTERN, () => `const trackingConfig = ${JSON.stringify(tracking)};`)
+        .replace(MENU_PACKAGE_DATA_PATTERN, () => `const packageData = ${JSON.stringify(packageData)};`);
+      const rewritten = new Map([
+        ['imsmanifest.xml', manifestXml],
+        ['menu/index.html', menuHtml],
+        ['menu/menu.js', menuJs]
+      ]);
+
+      const outputPath = path.join(__dirname, '../temp', `merged-scorm-${Date.now()}.zip`);
+      const updatedZip = new yazl.ZipFile();
+      const written = pipeline(updatedZip.outputStream, createWriteStream(outputPath));
+
+      try {
+        progressCallback?.({ step: 'Copying unchanged modules', progress: 20 });
+
+        const replacedFolders = changes.map(change => `package_${change.module}/`);
+        for (const [name, entry] of merged.entries) {
+          if (replacedFolders.some(folder => name.startsWith(folder))) {
+            continue;
+          }
+          if (rewritten.has(name)) {
+            updatedZip.addBuffer(Buffer.from(rewritten.get(name), 'utf8'), name);
+            continue;
+          }
+
+          const stream = await merged.zipFile.openReadStreamPromise(entry);
+          updatedZip.addReadStream(stream, name);
+          await finished(stream);
+        }
+
+        for (const [position, change] of changes.entries()) {
+          progressCallback?.({
+            step: `Processing package: ${change.pkg.title}`,
+            progress: 50 + (position / changes.length) * 40
+          });
+          await scormProcessor.addPackageFiles(updatedZip, change.pkg, change.module - 1, {
+            ...outputOptions,
+            injectsFinishHandler: outputOptions.launchMode !== 'player'
+          });
+        }
+
+        updatedZip.end();
+        await written;
+      } catch (error) {
+        updatedZip.outputStream.destroy(error);
+        await written.catch(() => {});
+        await fs.unlink(outputPath).catch(() => {});
+        throw error;
+      }
+
+      progressCallback?.({ step: 'Verifying merged package', progress: 95 });
+      const verification = await scormValidator.verifyPackageFile(outputPath);
+
+      const titles = new Map(merged.packages.map(pkg => [pkg.number, pkg.title]));
+      const summary = {
+        replaced: changes
+          .filter(change => change.module <= lastModule)
+          .map(change => ({ module: change.module, previousTitle: titles.get(change.module), title: scormProcessor.getDisplayTitle(change.pkg) })),
+        added: added.map(change => ({ module: change.module, title: scormProcessor.getDisplayTitle(change.pkg) })),
+        unchanged: merged.packages.length - (changes.length - added.length)
+      };
+      console.log(`Updated merged package: ${summary.replaced.length} replaced, ${summary.added.length} added, ${summary.unchanged} unchanged`);
+
+      progressCallback?.({ step: 'Complete', progress: 100 });
+      return { outputPath, summary, report: { verification } };
+    } finally {
+      merged.zipFile.close();
+    }
+  }
+
+  /**
+   * Manifest items and resources of a module, as mergePackages writes them.
+   * The module keeps the prerequisites recorded in the course tracking, and
+   * modules outside sections stay out of a rollup made from the menu.
+   */
+  createEntries(pkg, moduleNumber, options, topLevel = true) {
+    const scormTypeAttribute = options.outputVersion === '1.2' ? 'adlcp:scormtype' : 'adlcp:scormType';
+    const includeSequencing = options.outputVersion === '2004';
+    const structural = options.mergeMode === 'structural' && scormProcessor.getDefaultOrganization(pkg)?.items.length;
+    const { cluster, rollupFromMenu } = scormProcessor.createSequencingStrategyXml(options.sequencing);
+    const entries = structural
+      ? scormProcessor.createStructuralEntries(pkg, moduleNumber - 1, scormTypeAttribute, includeSequencing, cluster)
+      : scormProcessor.createFlatEntries(pkg, moduleNumber - 1, scormTypeAttribute, includeSequencing);
+    if (!includeSequencing) {
+      return entries;
+    }
+    const items = scormProcessor.addPrerequisiteSequencing(entries.items, moduleNumber, options.tracking.prerequisites, structural ? cluster : '');
+    return { ...entries, items: rollupFromMenu && topLevel ? scormProcessor.excludeFromRollup(items) : items };
+  }
+
+  /**
+   * Sequencing strategy the course was merged with, recognised by the rules
+   * it added to the organization
+   */
+  detectSequencingStrategy(manifestXml) {
+    return SEQUENCING_STRATEGIES.find(strategy =>
+      manifestXml.includes(`${scormProcessor.createSequencingStrategyXml(strategy).organization}\n    </organization>`)) || 'none';
+  }
+
+  /**
+   * Position of the item_N entry of a module in the merged manifest, and how
+   * much deeper than a top-level item it is indented (modules in sections are)
+   */
+  findItem(manifestXml, moduleNumber) {
+    const match = new RegExp(`\\n( *)<item identifier="item_${moduleNumber}"`).exec(manifestXml);
+    const closing = match && `\n${match[1]}</item>`;
+    const end = match ? manifestXml.indexOf(closing, match.index) : -1;
+    if (end === -1) {
+      throw new Error(`The merged manifest has no entry for module ${moduleNumber}`);
+    }
+    return { start: match.index, end: end + closing.length, indent: match[1].length - 8 };
+  }
+
+  /**
+   * Swaps the pkg_N_ resources of a module for new ones, at the same place
+   */
+  replaceResources(manifestXml, moduleNumber, resources) {
+    const pattern = new RegExp(`\\n        <resource identifier="(?:pkg_${moduleNumber}_[^"]*|resource_pkg_${moduleNumber})"[\\s\\S]*?\\n        </resource>`, 'g');
+    let insertAt = -1;
+    const remaining = manifestXml.replace(pattern, (match, offset) => {
+      if (insertAt === -1) {
+        insertAt = offset;
+      }
+      return '';
+    });
+    if (insertAt === -1) {
+      insertAt = remaining.lastIndexOf('\n  </resources>');
+    }
+    return remaining.slice(0, insertAt) + resources + remaining.slice(insertAt);
+  }
+
+  /**
+   * Label of the launch buttons in the course menu, so new entries keep the
+   * wording of the menu theme
+   */
+  readLaunchButtonLabel(menuHtml) {
+    const match = menuHtml.match(MENU_LAUNCH_BUTTON_PATTERN);
+    if (!match) {
+      return undefined;
+    }
+    return match[1]
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Position of a module's entry in the course menu page, and how much
+   * deeper than a top-level entry it is indented
+   */
+  findMenuItem(menuHtml, moduleNumber) {
+    const match = new RegExp(`\\n( *)<div class="menu-item" data-package="${moduleNumber}">[\\s\\S]*?\\n\\1</div>\\n\\1`)
+      .exec(menuHtml);
+    if (!match) {
+      throw new Error(`The course menu has no entry for module ${moduleNumber}`);
+    }
+    return { start: match.index, end: match.index + match[0].length, indent: match[1].length - 12 };
+  }
+
+  /**
+   * Indents generated manifest or menu entries by the given number of spaces
+   */
+  indent(text, spaces) {
+    return spaces > 0 ? text.replace(/\n/g, `\n${' '.repeat(spaces)}`) : text;
+  }
+}
+
+// Export singleton instance
+module.exports = new MergeUpdater();
@@ -0,0 +1,428 @@
+const { createWriteStream } = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const { finished, pipeline } = require('stream/promises');
+const xml2js = require('xml2js');
+const yauzl = require('yauzl');
+const yazl = require('yazl');
+const { v4: uuidv4 } = require('uuid');
+const scormProcessor = require('./scormProcessor');
+const assetDeduplicator = require('./assetDeduplicator');
+
+// The script mergePackages injects into module HTML, with the line breaks
+// added around it
+const FINISH_HANDLER_PATTERN = /\n<!-- SCORM Merge Finish Handler -->\n<script>[\s\S]*?<\/script>\n\n?/g;
+
+class PackageSplitter {
+  /**
+   * Opens a package written by mergePackages and finds the modules in it:
+   * one per package_N folder, described by the item_N entry of the merged
+   * manifest and the pkg_N_ resources. The zip stays open for split() and
+   * must be closed with close().
+   * @param {string} zipPath - Path of the merged package
+   * @returns {Promise<{zipFile, entries: Map, version: string, controlMode: Object|null, packages: Array}>}
+   */
+  async readMergedPackage(zipPath) {
+    let zipFile;
+    try {
+      zipFile = await yauzl.openPromise(zipPath, { lazyEntries: true, autoClose: false });
+    } catch (error) {
+      throw new Error(`The file is not a readable zip: ${error.message}`);
+    }
+
+    try {
+      const entries = new Map();
+      for await (const entry of zipFile.eachEntry()) {
+        if (!entry.fileName.endsWith('/')) {
+          entries.set(entry.fileName, entry);
+        }
+      }
+
+      const hasPackageFolders = [...entries.keys()].some(name => /^package_\d+\//.test(name));
+      if (!entries.has('imsmanifest.xml') || !entries.has('menu/index.html') || !hasPackageFolders) {
+        throw new Error('This is not a package merged by SCORM Merge: it needs an imsmanifest.xml, a menu/ folder and package_N/ folders');
+      }
+
+      let manifest;
+      try {
+        const manifestXml = await scormProcessor.readZipEntry(zipFile, entries.get('imsmanifest.xml'));
+        manifest = await new xml2js.Parser().parseStringPromise(manifestXml.toString('utf8'));
+      } catch (error) {
+        throw new Error(`The merged manifest cannot be read: ${error.message}`);
+      }
+
+      const schemaVersion = manifest.manifest?.metadata?.[0]?.schemaversion?.[0];
+      const version = String(typeof schemaVersion === 'object' ? schemaVersion._ : schemaVersion).trim() === '1.2' ? '1.2' : '2004';
+      const resources = scormProcessor.extractResources(manifest);
+      const organizations = scormProcessor.extractOrganizations(manifest);
+      const organization = organizations.find(org => org.isDefault) || organizations[0];
+
+      // Modules grouped into sections are the children of a section_N item
+      const moduleItems = (organization?.items || [])
+        .flatMap(item => (/^section_\d+$/.test(item.identifier) ? item.items : [item]));
+      const packages = [];
+      for (const item of moduleItems) {
+        const number = Number(item.identifier.match(/^item_(\d+)$/)?.[1]);
+        if (!number) {
+          continue;
+        }
+        packages.push({
+          number,
+          folder: `package_${number}`,
+          title: item.title,
+          item,
+          resources: resources.filter(resource =>
+            resource.identifier.startsWith(`pkg_${number}_`) || resource.identifier === `resource_pkg_${number}`)
+        });
+      }
+      if (packages.length === 0) {
+        throw new Error('The merged manifest does not list any modules');
+      }
+
+      // The strategy gives package items without rules of their own the
+      // control mode of the organization
+      const controlMode = organization?.sequencing?.['imsss:controlMode']?.[0]?.$ || null;
+
+      return { zipFile, entries, version, controlMode, packages };
+    } catch (error) {
+      zipFile.close();
+      throw error;
+    }
+  }
+
+  close(merged) {
+    merged.zipFile.close();
+  }
+
+  /**
+   * Rebuilds each module of a merged package as a package of its own and
+   * bundles them in one zip. The finish handler is removed from module HTML,
+   * files stored once under shared/ are copied into every package using them
+   * and references to them are pointed at the copy. Sequencing the merge
+   * added around a module is not carried back; its own rules are.
+   * @param {object} merged - Result of readMergedPackage
+   * @returns {Promise<{outputPath: string, packages: Array<{title: string, filename: string, files: number}>}>}
+   */
+  async split(merged) {
+    const timestamp = Date.now();
+    const workDir = path.join(__dirname, '../temp', `split-${timestamp}`);
+    const outputPath = path.join(__dirname, '../temp', `split-packages-${timestamp}.zip`);
+    await fs.mkdir(workDir, { recursive: true });
+
+    try {
+      const bundle = new yazl.ZipFile();
+      const written = pipeline(bundle.outputStream, createWriteStream(outputPath));
+      const packages = [];
+
+      for (const pkg of merged.packages) {
+        // The module number keeps names unique and the bundle in course order
+        const filename = `${String(pkg.number).padStart(2, '0')}-${this.slugify(pkg.title) || 'package'}.zip`;
+        const packagePath = path.join(workDir, filename);
+        const files = await this.writePackage(merged, pkg, packagePath);
+        bundle.addFile(packagePath, filename);
+        packages.push({ title: pkg.title, filename, files });
+        console.log(`Split ${pkg.folder} into ${filename} (${files} files)`);
+      }
+
+      bundle.end();
+      await written;
+      return { outputPath, packages };
+    } finally {
+      this.close(merged);
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Writes one module as a package zip
+   * @returns {Promise<number>} Number of files written, manifest included
+   */
+  async writePackage(merged, pkg, packagePath) {
+    const prefix = `${pkg.folder}/`;
+    const zip = new yazl.ZipFile();
+    const written = pipeline(zip.outputStream, createWriteStream(packagePath));
+
+    // Shared copies the module uses: listed by its resources, or referenced
+    // from its files (found while they are copied)
+    const sharedFiles = new Set(pkg.resources
+      .flatMap(resource => [resource.href?.split('?')[0], ...resource.files])
+      .filter(file => file?.startsWith('shared/') && merged.entries.has(file)));
+    let count = 0;
+
+    const copyEntry = async (sourceName, targetName) => {
+      const entry = merged.entries.get(sourceName);
+      if (assetDeduplicator.isTextFile(sourceName)) {
+        let content = await scormProcessor.readZipEntry(merged.zipFile, entry);
+        if (/\.html?$/i.test(sourceName)) {
+          content = this.stripFinishHandler(content);
+        }
+        content = this.restoreSharedReferences(content, sourceName, targetName, merged.entries, sharedFiles);
+        zip.addBuffer(content, targetName);
+      } else {
+        const stream = await merged.zipFile.openReadStreamPromise(entry);
+        zip.addReadStream(stream, targetName);
+        await finished(stream);
+      }
+      count++;
+    };
+
+    for (const name of merged.entries.keys()) {
+      if (name.startsWith(prefix)) {
+        await copyEntry(name, name.slice(prefix.length));
+      }
+    }
+    // Shared files keep their shared/ path inside the package; shared CSS
+    // can point at further shared files
+    const copiedShared = new Set();
+    while (copiedShared.size < sharedFiles.size) {
+      for (const name of [...sharedFiles]) {
+        if (!copiedShared.has(name)) {
+          copiedShared.add(name);
+          await copyEntry(name, name);
+        }
+      }
+    }
+
+    zip.addBuffer(Buffer.from(this.createManifest(pkg, merged.version, merged.controlMode), 'utf8'), 'imsmanifest.xml');
+    zip.end();
+    await written;
+    return count + 1;
+  }
+
+  /**
+   * Removes the finish handler mergePackages injected; text is handled as
+   * latin1 so no other byte changes
+   */
+  stripFinishHandler(content) {
+    const html = content.toString('latin1');
+    const stripped = html.replace(FINISH_HANDLER_PATTERN, '');
+    return stripped === html ? content : Buffer.from(stripped, 'latin1');
+  }
+
+  /**
+   * Points references to shared/ files at their location relative to where
+   * the file is written in the split package, and records the shared files
+   * found
+   */
+  restoreSharedReferences(content, sourceName, targetName, entries, sharedFiles) {
+    let changed = false;
+    const text = assetDeduplicator.replaceReferences(content.toString('latin1'), (reference) => {
+      const target = assetDeduplicator.resolveReference(sourceName, Buffer.from(reference, 'latin1').toString('utf8'));
+      if (!target || !target.startsWith('shared/') || !entries.has(target)) {
+        return null;
+      }
+      sharedFiles.add(target);
+      changed = true;
+      const relativePath = path.posix.relative(path.posix.dirname(targetName), target);
+      return Buffer.from(encodeURI(relativePath), 'utf8').toString('latin1');
+    });
+    return changed ? Buffer.from(text, 'latin1') : content;
+  }
+
+  /**
+   * Manifest of a split module: the module's own items (or a single item for
+   * flat merges) and its resources, with the merge's identifier prefixes and
+   * package folder removed. The sequencing of the module item goes back on
+   * the single item, or on the organization it came from in structural merges.
+   * @param {Object|null} controlMode - Control mode the merge gave package items
+   */
+  createManifest(pkg, version, controlMode = null) {
+    const prefix = `pkg_${pkg.number}_`;
+    const restoreId = (identifier) => {
+      if (identifier === `resource_pkg_${pkg.number}`) {
+        return 'resource_1';
+      }
+      return identifier?.startsWith(prefix) ? identifier.slice(prefix.length) : identifier;
+    };
+    const restorePath = (file) => (file.startsWith(`${pkg.folder}/`) ? file.slice(pkg.folder.length + 1) : file);
+    const scormTypeAttribute = version === '1.2' ? 'adlcp:scormtype' : 'adlcp:scormType';
+    const includeSequencing = version === '2004';
+
+    // Flat merges kept only the module item itself
+    const structural = pkg.item.items.length > 0;
+    const ownSequencing = includeSequencing ? this.restoreOwnSequencing(pkg.item.sequencing, controlMode) : null;
+    const items = structural
+      ? pkg.item.items
+      : [{ ...pkg.item, identifier: 'item_1', title: pkg.title, sequencing: ownSequencing }];
+    const organizationSequencing = structural && ownSequencing
+      ? `\n      ${scormProcessor.buildXmlElement('imsss:sequencing', this.restoreObjectiveIds(ownSequencing, prefix))}`
+      : '';
+    const renderItems = (children, depth) => children.map(item => {
+      const indent = ' '.repeat(6 + depth * 2);
+      let attributes = `identifier="${scormProcessor.escapeXml(restoreId(item.identifier))}"`;
+      if (item.identifierref) {
+        attributes += ` identifierref="${scormProcessor.escapeXml(restoreId(item.identifierref))}"`;
+      }
+      if (item.parameters) {
+        attributes += ` parameters="${scormProcessor.escapeXml(item.parameters)}"`;
+      }
+      let extras = '';
+      if (includeSequencing && item.sequencing && !this.isPrerequisiteSequencing(item.sequencing)) {
+        extras += `\n${indent}  ${scormProcessor.buildXmlElement('imsss:sequencing', this.restoreObjectiveIds(item.sequencing, prefix))}`;
+      }
+      if (includeSequencing && item.presentation) {
+        extras += `\n${indent}  ${scormProcessor.buildXmlElement('adlnav:presentation', item.presentation)}`;
+      }
+      return `
+${indent}<item ${attributes}>
+${indent}  <title>${scormProcessor.escapeXml(item.title)}</title>${renderItems(item.items || [], depth + 1)}${extras}
+${indent}</item>`;
+    }).join('');
+
+    let resources = '';
+    for (const resource of pkg.resources) {
+      const hrefAttribute = resource.href ? ` href="${scormProcessor.escapeXml(restorePath(resource.href))}"` : '';
+      const scormType = resource.scormType ? ` ${scormTypeAttribute}="${resource.scormType}"` : '';
+      resources += `
+    <resource identifier="${scormProcessor.escapeXml(restoreId(resource.identifier))}" type="${resource.type || 'webcontent'}"${scormType}${hrefAttribute}>`;
+      for (const file of resource.files) {
+        resources += `
+      <file href="${scormProcessor.escapeXml(restorePath(file))}" />`;
+      }
+      for (const dependency of resource.dependencies) {
+        resources += `
+      <dependency identifierref="${scormProcessor.escapeXml(restoreId(dependency))}" />`;
+      }
+      resources += `
+    </resource>`;
+    }
+
+    const manifestId = `split_${uuidv4()}`;
+    const title = scormProcessor.escapeXml(pkg.title);
+    if (version === '1.2') {
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${manifestId}" version="1.2"
+          xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+          xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+          xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+          xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+    <lom xmlns="http://www.imsglobal.org/xsd/imsmd_rootv1p2p1">
+      <general>
+        <title>
+          <langstring xml:lang="en">${title}</langstring>
+        </title>
+      </general>
+    </lom>
+  </metadata>
+  <organizations default="org_1">
+    <organization identifier="org_1">
+      <title>${title}</title>${renderItems(items, 0)}
+    </organization>
+  </organizations>
+  <resources>${resources}
+  </resources>
+</manifest>`;
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${manifestId}" version="1.3"
+          xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+          xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+          xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+          xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"
+          xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+          xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+          xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 http://www.adlnet.org/xsd/adlcp_v1p3.xsd http://www.adlnet.org/xsd/adlseq_v1p3 http://www.adlnet.org/xsd/adlseq_v1p3.xsd http://www.adlnet.org/xsd/adlnav_v1p3 http://www.adlnet.org/xsd/adlnav_v1p3.xsd http://www.imsglobal.org/xsd/imsss http://www.imsglobal.org/xsd/imsss_v1p0.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>2004 3rd Edition</schemaversion>
+    <lom xmlns="http://ltsc.ieee.org/xsd/LOM">
+      <general>
+        <title>
+          <string language="en">${title}</string>
+        </title>
+      </general>
+    </lom>
+  </metadata>
+  <organizations default="org_1">
+    <organization identifier="org_1">
+      <title>${title}</title>${renderItems(items, 0)}${organizationSequencing}
+    </organization>
+  </organizations>
+  <resources>${resources}
+  </resources>
+</manifest>`;
+  }
+
+  /**
+   * Sequencing mergePackages wrote for the prerequisites of a module, which
+   * mean nothing outside the merged course
+   */
+  isPrerequisiteSequencing(sequencing) {
+    const objectiveId = sequencing['imsss:objectives']?.[0]?.['imsss:primaryObjective']?.[0]?.$?.objectiveID;
+    return objectiveId?.startsWith('scorm_merge_') || false;
+  }
+
+  /**
+   * Sequencing a module item had in its own package, or null when it had
+   * none: prerequisite rules and the strategy's control mode stand in for
+   * missing rules, and the rollup exclusion of flow and completeAll courses
+   * is added to the rules the package had
+   * @param {Object} sequencing - Parsed imsss:sequencing of the module item
+   * @param {Object|null} controlMode - Control mode the merge gave package items
+   */
+  restoreOwnSequencing(sequencing, controlMode) {
+    if (!sequencing || typeof sequencing !== 'object' || this.isPrerequisiteSequencing(sequencing)) {
+      return null;
+    }
+
+    const own = { ...sequencing };
+    const rollupRules = own['imsss:rollupRules']?.[0];
+    if (rollupRules?.$?.rollupObjectiveSatisfied === 'false' && rollupRules.$.rollupProgressCompletion === 'false') {
+      const { $: { rollupObjectiveSatisfied, rollupProgressCompletion, ...attributes }, ...rules } = rollupRules;
+      if (Object.keys(attributes).length > 0) {
+        rules.$ = attributes;
+      }
+      if (Object.keys(rules).length > 0) {
+        own['imsss:rollupRules'] = [rules];
+      } else {
+        delete own['imsss:rollupRules'];
+      }
+    }
+
+    const elements = Object.keys(own).filter(key => key !== '$');
+    if (elements.length === 0) {
+      return null;
+    }
+    const ownControlMode = own['imsss:controlMode']?.[0]?.$;
+    const sameControlMode = controlMode && ownControlMode &&
+      Object.keys(ownControlMode).length === Object.keys(controlMode).length &&
+      Object.entries(controlMode).every(([name, value]) => ownControlMode[name] === value);
+    if (elements.length === 1 && sameControlMode) {
+      return null;
+    }
+    return own;
+  }
+
+  restoreObjectiveIds(node, prefix) {
+    if (Array.isArray(node)) {
+      return node.map(child => this.restoreObjectiveIds(child, prefix));
+    }
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+
+    const copy = {};
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '$') {
+        copy.$ = { ...value };
+        if (value.targetObjectiveID?.startsWith(prefix)) {
+          copy.$.targetObjectiveID = value.targetObjectiveID.slice(prefix.length);
+        }
+      } else {
+        copy[key] = this.restoreObjectiveIds(value, prefix);
+      }
+    }
+    return copy;
+  }
+
+  slugify(title) {
+    return String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  }
+}
+
+// Export singleton instance
+module.exports = new PackageSplitter();
@@ -1,8 +1,19 @@
 const JSZip = require('jszip');
 const xml2js = require('xml2js');
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { finished, pipeline } = require('stream/promises');
 const path = require('path');
+const yauzl = require('yauzl');
+const yazl = require('yazl');
 const { v4: uuidv4 } = require('uuid');
+const scormRuntime = require('./scormRuntime');
+const cmi5Runtime = require('./cmi5Runtime');
+const assetDeduplicator = require('./assetDeduplicator');
+const scormValidator = require('./scormValidator');
+const aiccAdapter = require('./aiccAdapter');
+const commonCartridgeAdapter = require('./commonCartridgeAdapter');
+const themeManager = require('./themeManager');
 
 class ScormProcessor {
   /**
@@ -50,50 +61,509 @@ class ScormProcessor {
     return pkg.title || 'Untitled Course';
   }
 
+  /**
+   * Label of a package on the course menu: the menu label set in the sort
+   * step, or its display title
+   */
+  getMenuLabel(pkg) {
+    return pkg.menuLabel || this.getDisplayTitle(pkg);
+  }
+
+  /**
+   * Applies the title, description and menu label a user typed in the sort
+   * step. Edited fields are listed in editedFields so generated descriptions
+   * never replace them; a blank menu label goes back to the title.
+   * @returns {Object} Copy of the package with the edits
+   */
+  applyPackageEdits(pkg, edits = {}) {
+    const limits = { title: 200, description: 2000, menuLabel: 100 };
+    const fields = Object.keys(limits).filter(field => edits[field] !== undefined);
+    if (fields.length === 0) {
+      throw new Error('Nothing to change: send a title, description or menuLabel');
+    }
+
+    const updated = { ...pkg };
+    const editedFields = new Set(pkg.editedFields || []);
+    for (const field of fields) {
+      if (typeof edits[field] !== 'string') {
+        throw new Error(`${field} must be text`);
+      }
+      const value = edits[field].trim();
+      if (value.length > limits[field]) {
+        throw new Error(`${field} must be at most ${limits[field]} characters`);
+      }
+      if (value) {
+        updated[field] = value;
+        editedFields.add(field);
+      } else if (field === 'menuLabel') {
+        delete updated.menuLabel;
+        editedFields.delete('menuLabel');
+      } else {
+        throw new Error(`${field} cannot be empty`);
+      }
+    }
+    updated.editedFields = Object.keys(limits).filter(field => editedFields.has(field));
+    return updated;
+  }
+
+  /**
+   * Returns a copy of the packages sorted alphabetically by the label the
+   * course menu shows: the menu label, or else the display title
+   */
+  sortPackagesByTitle(packages) {
+    return [...packages].sort((a, b) => {
+      const titleA = this.getMenuLabel(a).toLowerCase();
+      const titleB = this.getMenuLabel(b).toLowerCase();
+      return titleA.localeCompare(titleB);
+    });
+  }
+
+  /**
+   * Section names sent with the package order, in the order they appear in
+   * the course. Throws on invalid names so the API can answer with a 400.
+   */
+  normalizeSections(sections = []) {
+    if (!Array.isArray(sections)) {
+      throw new Error('sections must be a list of section names');
+    }
+    const names = [];
+    for (const section of sections) {
+      const name = typeof section === 'string' ? section.trim() : '';
+      if (!name) {
+        throw new Error('Section names cannot be empty');
+      }
+      if (name.length > 100) {
+        throw new Error('Section names must be at most 100 characters');
+      }
+      if (names.includes(name)) {
+        throw new Error(`Duplicate section: ${name}`);
+      }
+      names.push(name);
+    }
+    return names;
+  }
+
+  /**
+   * Groups packages by their section: packages without one come first, then
+   * each section in the given order. Sections that are not listed follow in
+   * the order their packages appear; empty sections are left out.
+   * @returns {Array<{title: string|null, packages: Array}>}
+   */
+  groupIntoSections(packages, sections = []) {
+    const names = [...sections];
+    for (const pkg of packages) {
+      if (pkg.section && !names.includes(pkg.section)) {
+        names.push(pkg.section);
+      }
+    }
+    return [
+      { title: null, packages: packages.filter(pkg => !pkg.section) },
+      ...names.map(title => ({ title, packages: packages.filter(pkg => pkg.section === title) }))
+    ].filter(group => group.packages.length > 0);
+  }
+
+  /**
+   * Wraps each package with its position in the merged course, keeping its
+   * section so the wrappers can be passed to groupIntoSections
+   */
+  numberModules(packages) {
+    return packages.map((pkg, index) => ({ pkg, index, section: pkg.section }));
+  }
+
+  /**
+   * Validates the merge options sent by the client and fills in defaults.
+   * Throws on unsupported values so the API can answer with a 400.
+   */
+  normalizeMergeOptions(input = {}) {
+    const sortBy = input.sortBy || 'session';
+    if (!['session', 'title'].includes(sortBy)) {
+      throw new Error(`Invalid sortBy option: ${sortBy}`);
+    }
+
+    const outputVersion = input.outputVersion || 'auto';
+    if (!['auto', '1.2', '2004'].includes(outputVersion)) {
+      throw new Error(`Invalid outputVersion option: ${outputVersion}`);
+    }
+
+    const mergeMode = input.mergeMode || 'flat';
+    if (!['flat', 'structural'].includes(mergeMode)) {
+      throw new Error(`Invalid mergeMode option: ${mergeMode}`);
+    }
+
+    const sequencing = input.sequencing || 'none';
+    if (!['none', 'choice', 'flow', 'completeAll'].includes(sequencing)) {
+      throw new Error(`Invalid sequencing option: ${sequencing}`);
+    }
+
+    const completionRule = input.completionRule || 'all';
+    if (!['all', 'count', 'required'].includes(completionRule)) {
+      throw new Error(`Invalid completionRule option: ${completionRule}`);
+    }
+
+    let completionCount = null;
+    if (completionRule === 'count') {
+      completionCount = Number(input.completionCount);
+      if (!Number.isInteger(completionCount) || completionCount < 1) {
+        throw new Error('completionCount must be a positive integer');
+      }
+    }
+
+    let requiredPackages = [];
+    if (completionRule === 'required') {
+      if (!Array.isArray(input.requiredPackages) || input.requiredPackages.length === 0) {
+        throw new Error('requiredPackages must list at least one package');
+      }
+      requiredPackages = input.requiredPackages.map(String);
+    }
+
+    const scoreMethod = input.scoreMethod || 'average';
+    if (!['average', 'weighted', 'minimum', 'last'].includes(scoreMethod)) {
+      throw new Error(`Invalid scoreMethod option: ${scoreMethod}`);
+    }
+
+    let masteryScore = null;
+    if (input.masteryScore !== undefined && input.masteryScore !== null && input.masteryScore !== '') {
+      masteryScore = Number(input.masteryScore);
+      if (!Number.isFinite(masteryScore) || masteryScore < 0 || masteryScore > 100) {
+        throw new Error('masteryScore must be a number between 0 and 100');
+      }
+    }
+
+    const launchMode = input.launchMode || 'navigate';
+    if (!['navigate', 'player'].includes(launchMode)) {
+      throw new Error(`Invalid launchMode option: ${launchMode}`);
+    }
+
+    const outputFormat = input.outputFormat || 'scorm';
+    if (!['scorm', 'cmi5', 'imscc'].includes(outputFormat)) {
+      throw new Error(`Invalid outputFormat option: ${outputFormat}`);
+    }
+
+    const dedupeAssets = input.dedupeAssets ?? false;
+    if (typeof dedupeAssets !== 'boolean') {
+      throw new Error('dedupeAssets must be true or false');
+    }
+
+    const metadata = this.normalizeCourseMetadata(input);
+    const theme = themeManager.normalizeTheme(input.theme);
+    const outputFilename = input.outputFilename !== undefined && input.outputFilename !== null && input.outputFilename !== ''
+      ? this.normalizeOutputFilename(input.outputFilename, outputFormat === 'imscc' ? '.imscc' : '.zip')
+      : null;
+
+    return {
+      sortBy,
+      outputFormat,
+      outputVersion,
+      mergeMode,
+      launchMode,
+      dedupeAssets,
+      sequencing,
+      completionRule,
+      completionCount,
+      requiredPackages,
+      scoreMethod,
+      masteryScore,
+      metadata,
+      theme,
+      outputFilename
+    };
+  }
+
+  /**
+   * Course title, description, identifier, language and version given for
+   * the merged package; blank fields are null and get the defaults of the
+   * output format
+   */
+  normalizeCourseMetadata(input = {}) {
+    const text = (name, maxLength) => {
+      const value = input[name];
+      if (value === undefined || value === null) {
+        return null;
+      }
+      if (typeof value !== 'string') {
+        throw new Error(`${name} must be text`);
+      }
+      const trimmed = value.trim();
+      if (trimmed.length > maxLength) {
+        throw new Error(`${name} must be at most ${maxLength} characters`);
+      }
+      return trimmed || null;
+    };
+
+    const identifier = text('courseIdentifier', 100);
+    // Manifest identifiers are XML IDs
+    if (identifier && !/^[A-Za-z_][\w.-]*$/.test(identifier)) {
+      throw new Error('courseIdentifier must start with a letter or "_" and contain only letters, digits, ".", "-" and "_"');
+    }
+
+    const language = text('courseLanguage', 35);
+    if (language && !/^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*$/.test(language)) {
+      throw new Error(`courseLanguage must be a language tag such as "en" or "fr-CA": ${language}`);
+    }
+
+    return {
+      title: text('courseTitle', 200),
+      description: text('courseDescription', 2000),
+      identifier,
+      language,
+      version: text('courseVersion', 50)
+    };
+  }
+
+  /**
+   * Name offered for the download, with the output's extension added when
+   * it is missing
+   * @param {string} filename - Requested name
+   * @param {string} extension - '.zip' or '.imscc'
+   */
+  normalizeOutputFilename(filename, extension) {
+    if (typeof filename !== 'string') {
+      throw new Error('outputFilename must be text');
+    }
+    const trimmed = filename.trim();
+    if (!trimmed || trimmed.length > 100) {
+      throw new Error('outputFilename must be between 1 and 100 characters');
+    }
+    if (/[\\/:*?"<>|\x00-\x1f]/.test(trimmed) || /^\.+$/.test(trimmed)) {
+      throw new Error('outputFilename cannot contain \\ / : * ? " < > | or control characters');
+    }
+    return trimmed.toLowerCase().endsWith(extension) ? trimmed : `${trimmed}${extension}`;
+  }
+
+  /**
+   * Score weight of a package as set in the sort step, 1 when not set
+   */
+  getScoreWeight(pkg) {
+    const weight = Number(pkg.weight);
+    return pkg.weight === undefined || pkg.weight === null || !Number.isFinite(weight) || weight < 0 ? 1 : weight;
+  }
+
+  /**
+   * Checks the prerequisites set in the sort step: 'previous', or the ids of
+   * packages that come earlier in the course. Throws on invalid ones so the
+   * API can answer with a 400.
+   */
+  validatePrerequisites(packages) {
+    if (!Array.isArray(packages)) {
+      throw new Error('packages must be a list');
+    }
+    packages.forEach((pkg, position) => {
+      const prerequisites = pkg?.prerequisites;
+      if (prerequisites === undefined || prerequisites === null || prerequisites === 'previous') {
+        return;
+      }
+      const title = this.getDisplayTitle(pkg);
+      if (!Array.isArray(prerequisites)) {
+        throw new Error(`Prerequisites of "${title}" must be "previous" or a list of package ids`);
+      }
+      const earlierIds = packages.slice(0, position).map(candidate => String(candidate?.id));
+      for (const id of prerequisites) {
+        if (earlierIds.includes(String(id))) {
+          continue;
+        }
+        throw new Error(packages.some(candidate => String(candidate?.id) === String(id))
+          ? `"${title}" can only require packages that come before it`
+          : `Unknown prerequisite of "${title}": ${id}`);
+      }
+    });
+  }
+
+  /**
+   * Modules that must be complete before each module can be launched, by
+   * module number in merge order. Required packages that do not come
+   * earlier in the course (e.g. after sorting by title) are left out.
+   */
+  resolvePrerequisites(packages) {
+    const prerequisites = {};
+    packages.forEach((pkg, index) => {
+      let required = [];
+      if (pkg.prerequisites === 'previous') {
+        required = index > 0 ? [index] : [];
+      } else if (Array.isArray(pkg.prerequisites)) {
+        const numbers = pkg.prerequisites.map(id => packages.findIndex(candidate => String(candidate.id) === String(id)) + 1);
+        required = numbers.filter(number => number >= 1 && number <= index);
+        if (required.length < numbers.length) {
+          console.log(`Ignoring prerequisites of "${this.getDisplayTitle(pkg)}" that do not come before it`);
+        }
+      }
+      if (required.length > 0) {
+        prerequisites[index + 1] = [...new Set(required)].sort((a, b) => a - b);
+      }
+    });
+    return prerequisites;
+  }
+
+  /**
+   * Completion rule, scoring and prerequisites for the menu runtime.
+   * Required packages are given by package id and turned into module
+   * numbers in merge order.
+   */
+  createTrackingConfig(packages, options = {}) {
+    const prerequisites = this.resolvePrerequisites(packages);
+    const config = {
+      modules: packages.length,
+      rule: 'all',
+      scoring: {
+        method: options.scoreMethod || 'average',
+        weights: packages.map(pkg => this.getScoreWeight(pkg)),
+        masteryScore: options.masteryScore ?? null
+      },
+      ...(Object.keys(prerequisites).length > 0 && { prerequisites })
+    };
+
+    if (options.completionRule === 'count') {
+      return { ...config, rule: 'count', count: Math.min(options.completionCount, packages.length) };
+    }
+
+    if (options.completionRule === 'required') {
+      const required = packages
+        .map((pkg, index) => (options.requiredPackages.includes(String(pkg.id)) ? index + 1 : null))
+        .filter(Boolean);
+      if (required.length > 0) {
+        return { ...config, rule: 'required', required };
+      }
+      console.log('None of the required packages are part of the merge, requiring all modules');
+    }
+
+    return config;
+  }
+
+  /**
+   * Reads an uploaded package. SCORM packages, IMS Common Cartridges and AICC
+   * courses are detected and parsed into the same shape; `format` records
+   * which one it was.
+   */
   async validateAndParsePackage(packagePath, filename = null) {
     try {
       const zipData = await fs.readFile(packagePath);
       const zip = new JSZip();
       const zipContents = await zip.loadAsync(zipData);
+      const fileNames = Object.keys(zipContents.files);
       
-      const manifestFile = zipContents.file('imsmanifest.xml');
-      if (!manifestFile) {
-        throw new Error('No imsmanifest.xml found at root level');
+      let packageRoot;
+      try {
+        packageRoot = this.findPackageRoot(fileNames);
+      } catch (error) {
+        // Without a manifest the package may still be an AICC course
+        const courseRoot = aiccAdapter.findCourseRoot(fileNames);
+        if (courseRoot === null) {
+          throw error;
+        }
+        console.log(`Found AICC course files in ${courseRoot || 'the package root'}`);
+        const course = await aiccAdapter.parse(zipContents, courseRoot);
+        return this.createPackageInfo('aicc', course, { zipContents, packageRoot: courseRoot, filename });
+      }
+
+      const manifestFile = zipContents.file(`${packageRoot}imsmanifest.xml`);
+      if (packageRoot) {
+        console.log(`Found imsmanifest.xml in ${packageRoot}, using it as the package root`);
       }
       
       const manifestXml = await manifestFile.async('string');
       const parser = new xml2js.Parser();
       const manifest = await parser.parseStringPromise(manifestXml);
       
-      const metadata = this.extractMetadata(manifest);
       const organizations = this.extractOrganizations(manifest);
       const resources = this.extractResources(manifest);
-      
-      // Extract content sample for description generation
-      let contentSample = '';
-      try {
-        contentSample = await this.extractContentSample(zipContents);
-      } catch (error) {
-        console.log('Could not extract content sample:', error.message);
+
+      if (commonCartridgeAdapter.isCommonCartridge(manifest)) {
+        console.log(`${filename || packagePath} is an IMS Common Cartridge`);
+        const cartridge = await commonCartridgeAdapter.parse(manifest, { organizations, resources }, zipContents, packageRoot);
+        return this.createPackageInfo('imscc', {
+          ...cartridge,
+          identifier: manifest.manifest.$?.identifier
+        }, { zipContents, packageRoot, filename, manifest: manifestXml });
       }
+
+      const metadata = this.extractMetadata(manifest);
+      const packageFiles = fileNames
+        .filter(name => name.startsWith(packageRoot))
+        .map(name => name.slice(packageRoot.length));
+      const validation = scormValidator.validateManifest(manifest, packageFiles);
       
-      return {
-        title: metadata.title || 'Untitled SCORM Package',
-        description: metadata.description || '', // Include existing description
-        version: metadata.version || 'Unknown',
-        identifier: metadata.identifier || uuidv4(),
+      return this.createPackageInfo('scorm', {
+        ...metadata,
         organizations,
         resources,
-        manifest: manifestXml,
-        zipContents,
-        contentSample,
-        filename: filename || null
-      };
+        validation
+      }, { zipContents, packageRoot, filename, manifest: manifestXml });
     } catch (error) {
       throw new Error(`Invalid SCORM package: ${error.message}`);
     }
   }
+
+  /**
+   * Package fields shared by every input format, including the content
+   * sample used for description generation
+   */
+  async createPackageInfo(format, parsed, { zipContents, packageRoot, filename, manifest = null }) {
+    if (!parsed.validation.valid) {
+      console.log(`${filename || 'Package'} has ${parsed.validation.errors.length} validation errors`);
+    }
+    
+    // Extract content sample for description generation
+    let contentSample = '';
+    try {
+      contentSample = await this.extractContentSample(zipContents, undefined, packageRoot);
+    } catch (error) {
+      console.log('Could not extract content sample:', error.message);
+    }
+    
+    return {
+      title: parsed.title || 'Untitled SCORM Package',
+      description: parsed.description || '', // Include existing description
+      version: parsed.version || 'Unknown',
+      scormVersion: parsed.scormVersion,
+      identifier: parsed.identifier || uuidv4(),
+      format,
+      organizations: parsed.organizations,
+      resources: parsed.resources,
+      manifest,
+      zipContents,
+      contentSample,
+      validation: parsed.validation,
+      packageRoot,
+      filename: filename || null
+    };
+  }
+
+  /**
+   * Name and version of a package's input format, e.g. "SCORM 1.2" or
+   * "AICC 3.4"
+   */
+  getFormatLabel(pkg) {
+    const formatNames = { aicc: 'AICC', imscc: 'Common Cartridge' };
+    return `${formatNames[pkg.format] || 'SCORM'} ${pkg.version}`;
+  }
   
+  /**
+   * Folder holding imsmanifest.xml, with a trailing slash, or '' when it is at
+   * the root of the zip. Hand-zipped courses often wrap everything in a single
+   * folder; otherwise exactly one manifest anywhere in the tree is accepted.
+   */
+  findPackageRoot(fileNames) {
+    // Archive tools add metadata folders that are not part of the course
+    const names = fileNames.filter(name => !name.startsWith('__MACOSX/') && !name.endsWith('.DS_Store'));
+    if (names.includes('imsmanifest.xml')) {
+      return '';
+    }
+
+    const topFolders = new Set(names.map(name => name.split('/')[0]));
+    const [wrapper] = topFolders;
+    if (topFolders.size === 1 && names.includes(`${wrapper}/imsmanifest.xml`)) {
+      return `${wrapper}/`;
+    }
+
+    const manifests = names.filter(name => name.endsWith('/imsmanifest.xml'));
+    if (manifests.length === 1) {
+      return manifests[0].slice(0, -'imsmanifest.xml'.length);
+    }
+    if (manifests.length > 1) {
+      throw new Error(`Found ${manifests.length} imsmanifest.xml files in subfolders; expected one at the root level`);
+    }
+    throw new Error('No imsmanifest.xml found at root level');
+  }
+
   extractMetadata(manifest) {
     const metadata = manifest?.manifest?.metadata?.[0];
     
@@ -125,14 +595,56 @@ class ScormProcessor {
     if (metadata?.schemaversion?.[0]) {
       version = metadata.schemaversion[0];
     }
+
+    const scormVersion = this.detectScormVersion(version, manifest?.manifest?.$);
     
-    return { title, description, version, identifier };
+    return { title, description, version, identifier, scormVersion };
+  }
+
+  /**
+   * Works out the SCORM edition of a package from its schemaversion and,
+   * when that is missing, from the namespaces declared on the manifest.
+   * Returns '1.2', '2004' or 'Unknown'.
+   */
+  detectScormVersion(schemaVersion, manifestAttributes = {}) {
+    const version = String(schemaVersion || '').trim();
+    if (version === '1.2') {
+      return '1.2';
+    }
+    if (/2004|CAM 1\.3/i.test(version)) {
+      return '2004';
+    }
+
+    const namespaces = Object.values(manifestAttributes || {}).join(' ');
+    if (namespaces.includes('adlcp_rootv1p2')) {
+      return '1.2';
+    }
+    if (namespaces.includes('adlcp_v1p3')) {
+      return '2004';
+    }
+
+    return 'Unknown';
+  }
+
+  /**
+   * Picks the SCORM edition of the merged package. 'auto' produces SCORM 1.2
+   * only when every input is SCORM 1.2, otherwise SCORM 2004.
+   */
+  resolveOutputVersion(packages, requestedVersion = 'auto') {
+    if (requestedVersion === '1.2' || requestedVersion === '2004') {
+      return requestedVersion;
+    }
+
+    const allScorm12 = packages.length > 0 && packages.every(pkg =>
+      (pkg.scormVersion || this.detectScormVersion(pkg.version)) === '1.2'
+    );
+    return allScorm12 ? '1.2' : '2004';
   }
 
   /**
    * Extracts content from HTML files in the SCORM package for description generation
    */
-  async extractContentSample(zipContents, maxLength = 2000) {
+  async extractContentSample(zipContents, maxLength = 2000, packageRoot = '') {
     const config = require('./config');
     const maxContentLength = config.get('descriptions.maxContentLength') || maxLength;
     
@@ -145,7 +657,7 @@ class ScormProcessor {
       const htmlFiles = ['index.html', 'index.htm', 'main.html', 'start.html', 'content.html', 'lesson.html'];
       
       for (const filename of htmlFiles) {
-        const file = zipContents.file(filename);
+        const file = zipContents.file(`${packageRoot}${filename}`);
         if (file) {
           try {
             const htmlContent = await file.async('string');
@@ -170,7 +682,8 @@ class ScormProcessor {
       // If no main HTML file found good content, look at any HTML file
       if (bestScore < 50) {
         const htmlFiles = Object.keys(zipContents.files)
-          .filter(filename => filename.toLowerCase().endsWith('.html') && !zipContents.files[filename].dir)
+          .filter(filename => filename.startsWith(packageRoot) &&
+            filename.toLowerCase().endsWith('.html') && !zipContents.files[filename].dir)
           .slice(0, 5); // Limit to first 5 HTML files to avoid processing too many
           
         for (const filename of htmlFiles) {
@@ -336,10 +849,13 @@ class ScormProcessor {
     const organizations = manifest?.manifest?.organizations?.[0];
     if (!organizations?.organization) return [];
     
+    const defaultId = organizations.$?.default;
     return organizations.organization.map(org => ({
       identifier: org.$.identifier,
       title: org.title?.[0] || 'Untitled Organization',
-      items: this.extractItems(org.item || [])
+      isDefault: org.$.identifier === defaultId,
+      items: this.extractItems(org.item || []),
+      sequencing: org['imsss:sequencing']?.[0]
     }));
   }
   
@@ -348,200 +864,806 @@ class ScormProcessor {
       identifier: item.$.identifier,
       title: item.title?.[0] || 'Untitled Item',
       identifierref: item.$.identifierref,
-      items: this.extractItems(item.item || [])
+      parameters: item.$.parameters,
+      items: this.extractItems(item.item || []),
+      sequencing: item['imsss:sequencing']?.[0],
+      presentation: item['adlnav:presentation']?.[0]
     }));
   }
   
+  /**
+   * Resolves a path from the manifest against the xml:base of its elements,
+   * giving its location in the package. Absolute URLs are kept.
+   */
+  resolveXmlBase(base, href) {
+    if (!base || !href || href.startsWith('/') || /^[a-z][a-z0-9+.-]*:/i.test(href)) {
+      return href;
+    }
+    return path.posix.normalize(`${base}${href}`);
+  }
+
+  /**
+   * Resources of the manifest. Hrefs are resolved against the xml:base of the
+   * manifest, the resources element and the resource, so they are paths from
+   * the package root.
+   */
   extractResources(manifest) {
     const resources = manifest?.manifest?.resources?.[0];
     if (!resources?.resource) return [];
+    const resourcesBase = `${manifest.manifest.$?.['xml:base'] || ''}${resources.$?.['xml:base'] || ''}`;
     
-    return resources.resource.map(resource => ({
-      identifier: resource.$.identifier,
-      type: resource.$.type,
-      href: resource.$.href,
-      files: resource.file?.map(file => file.$.href) || []
-    }));
+    return resources.resource.map(resource => {
+      // The adlcp prefix and the attribute casing differ between SCORM editions
+      const scormTypeKey = Object.keys(resource.$).find(key => /(^|:)scormtype$/i.test(key));
+      const base = `${resourcesBase}${resource.$['xml:base'] || ''}`;
+      return {
+        identifier: resource.$.identifier,
+        type: resource.$.type,
+        href: this.resolveXmlBase(base, resource.$.href),
+        scormType: scormTypeKey ? resource.$[scormTypeKey].toLowerCase() : undefined,
+        files: resource.file?.map(file => this.resolveXmlBase(base, file.$.href)) || [],
+        dependencies: resource.dependency?.map(dependency => dependency.$.identifierref) || []
+      };
+    });
   }
   
-  async mergePackages(packages, progressCallback) {
-    const mergedZip = new JSZip();
-    const mergedManifest = this.createMergedManifest(packages);
-    
-    progressCallback?.({ step: 'Creating merged manifest', progress: 5 });
-    
-    mergedZip.file('imsmanifest.xml', mergedManifest);
-    
-    progressCallback?.({ step: 'Creating course menu', progress: 10 });
-    
-    // Add menu files
-    const menuFiles = this.createMenuFiles(packages);
-    for (const [filePath, content] of Object.entries(menuFiles)) {
-      mergedZip.file(filePath, content);
+  /**
+   * Merges the packages into a single SCORM package. The given order is kept
+   * for manifest items, menu entries and package_N folders unless
+   * options.sortBy is 'title'.
+   * @returns {Promise<{outputPath: string, report: object}>} The merged zip
+   *   and a report of the files shared between packages
+   */
+  async mergePackages(packages, progressCallback, options = {}) {
+    if (options.sortBy === 'title') {
+      packages = this.sortPackagesByTitle(packages);
     }
-    
-    let processedPackages = 0;
-    
-    for (const [index, pkg] of packages.entries()) {
-      const packageFolder = `package_${index + 1}`;
-      progressCallback?.({ 
-        step: `Processing package: ${pkg.title}`, 
-        progress: 15 + (processedPackages / packages.length) * 70 
-      });
+    // Modules are numbered in course order, section by section
+    packages = this.groupIntoSections(packages, options.sections).flatMap(group => group.packages);
+
+    progressCallback?.({ step: 'Finding files shared between packages', progress: 2 });
+
+    // When asked, identical files are stored once under shared/; the manifest
+    // and the files referencing them are pointed at that copy
+    const deduplication = options.dedupeAssets
+      ? await assetDeduplicator.planSharedAssets(packages)
+      : { sharedPaths: new Map(), report: { sharedFiles: 0, duplicatesRemoved: 0, bytesSaved: 0 } };
+    const { sharedPaths } = deduplication;
+
+    const outputOptions = {
+      ...options,
+      outputVersion: this.resolveOutputVersion(packages, options.outputVersion),
+      tracking: this.createTrackingConfig(packages, options),
+      sharedPaths
+    };
+    // Only SCORM output has a course menu to return to. cmi5 AUs are hosted
+    // in an iframe of the launch shim and cartridges are opened by the LMS
+    // itself, so their module HTML is left untouched as in the player.
+    const { outputFormat = 'scorm' } = outputOptions;
+    if (outputFormat !== 'scorm' && options.theme) {
+      console.log(`Ignoring the menu theme: ${outputFormat} output has no course menu`);
+    }
+    const injectsFinishHandler = outputFormat === 'scorm' && outputOptions.launchMode !== 'player';
+
+    // The output is written to disk entry by entry so memory use stays
+    // bounded by the largest HTML file rather than the size of the course
+    const outputPath = path.join(__dirname, '../temp', `merged-${outputFormat}-${Date.now()}.zip`);
+    const mergedZip = new yazl.ZipFile();
+    const written = pipeline(mergedZip.outputStream, createWriteStream(outputPath));
+
+    try {
+      if (outputFormat === 'cmi5') {
+        progressCallback?.({ step: 'Creating cmi5 course structure', progress: 5 });
+        
+        mergedZip.addBuffer(Buffer.from(this.createCourseStructure(packages, outputOptions), 'utf8'), 'cmi5.xml');
+        
+        progressCallback?.({ step: 'Creating cmi5 launch page', progress: 10 });
+        
+        for (const [filePath, content] of Object.entries(this.createCmi5LaunchFiles())) {
+          mergedZip.addBuffer(Buffer.from(content, 'utf8'), filePath);
+        }
+      } else if (outputFormat === 'imscc') {
+        progressCallback?.({ step: 'Creating cartridge manifest', progress: 5 });
+        
+        mergedZip.addBuffer(Buffer.from(this.createCartridgeManifest(packages, outputOptions), 'utf8'), 'imsmanifest.xml');
+      } else {
+        const mergedManifest = this.createMergedManifest(packages, outputOptions);
+        
+        progressCallback?.({ step: 'Creating merged manifest', progress: 5 });
+        
+        mergedZip.addBuffer(Buffer.from(mergedManifest, 'utf8'), 'imsmanifest.xml');
+        
+        progressCallback?.({ step: 'Creating course menu', progress: 10 });
+        
+        // Add menu files
+        const menuFiles = this.createMenuFiles(packages, outputOptions);
+        for (const [filePath, content] of Object.entries(menuFiles)) {
+          mergedZip.addBuffer(Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8'), filePath);
+        }
+      }
       
-      const zipData = await fs.readFile(pkg.path);
-      const zip = new JSZip();
-      const zipContents = await zip.loadAsync(zipData);
+      let processedPackages = 0;
+      const writtenSharedPaths = new Set();
       
-      for (const [filename, file] of Object.entries(zipContents.files)) {
-        if (filename !== 'imsmanifest.xml' && !file.dir && 
-            !filename.toLowerCase().endsWith('.xsd')) {
-          let content = await file.async('nodebuffer');
-          
-          // Inject finish handler script into HTML files
-          if (filename.toLowerCase().endsWith('.html') || filename.toLowerCase().endsWith('.htm')) {
-            try {
-              let htmlContent = content.toString('utf8');
-              const finishHandlerScript = this.createFinishHandlerScript();
-              
-              // Try to inject before closing </head> tag
-              if (htmlContent.includes('</head>')) {
-                htmlContent = htmlContent.replace('</head>', finishHandlerScript + '\n</head>');
-              }
-              // If no </head>, try before </body>
-              else if (htmlContent.includes('</body>')) {
-                htmlContent = htmlContent.replace('</body>', finishHandlerScript + '\n</body>');
-              }
-              // If no </body>, try before </html>
-              else if (htmlContent.includes('</html>')) {
-                htmlContent = htmlContent.replace('</html>', finishHandlerScript + '\n</html>');
-              }
-              // If none of the above, append at the end
-              else {
-                htmlContent += finishHandlerScript;
-              }
-              
-              content = Buffer.from(htmlContent, 'utf8');
-            } catch (error) {
-              console.log(`Could not inject finish handler into ${filename}: ${error.message}`);
-              // Use original content if injection fails
-            }
-          }
-          
-          mergedZip.file(`${packageFolder}/${filename}`, content);
-        }
+      for (const [index, pkg] of packages.entries()) {
+        progressCallback?.({ 
+          step: `Processing package: ${pkg.title}`, 
+          progress: 15 + (processedPackages / packages.length) * 70 
+        });
+        
+        await this.addPackageFiles(mergedZip, pkg, index, { ...outputOptions, injectsFinishHandler }, writtenSharedPaths);
+        
+        processedPackages++;
       }
       
-      processedPackages++;
+      progressCallback?.({ step: 'Generating final package', progress: 90 });
+      
+      mergedZip.end();
+      await written;
+    } catch (error) {
+      mergedZip.outputStream.destroy(error);
+      await written.catch(() => {});
+      await fs.unlink(outputPath).catch(() => {});
+      throw error;
     }
     
-    progressCallback?.({ step: 'Generating final package', progress: 90 });
-    
-    const mergedBuffer = await mergedZip.generateAsync({
-      type: 'nodebuffer',
-      compression: 'DEFLATE',
-      compressionOptions: { level: 6 }
-    });
-    
-    const outputPath = path.join(__dirname, '../temp', `merged-scorm-${Date.now()}.zip`);
-    await fs.writeFile(outputPath, mergedBuffer);
-    
+    // Re-read what was written so a broken package is reported before it is
+    // offered for download
+    progressCallback?.({ step: 'Verifying merged package', progress: 95 });
+    const verification = await scormValidator.verifyPackageFile(outputPath);
+    if (!verification.valid) {
+      console.log(`Merged package has ${verification.errors.length} validation errors`);
+    }
+
+    const report = { deduplication: deduplication.report, verification };
+    if (report.deduplication.sharedFiles > 0) {
+      console.log(`Stored ${report.deduplication.sharedFiles} shared files once, saving ${report.deduplication.bytesSaved} bytes`);
+    }
+
     progressCallback?.({ step: 'Complete', progress: 100 });
     
-    return outputPath;
+    return { outputPath, report };
   }
   
-  createMergedManifest(packages) {
-    const manifestId = uuidv4();
-    const organizationId = `org_${manifestId}`;
-    const menuResourceId = 'menu_resource';
-    
-    let organizations = `
-        <item identifier="menu_item" identifierref="${menuResourceId}">
-          <title>Course Menu</title>
-        </item>`;
-    
-    let resources = `
-        <resource identifier="${menuResourceId}" type="webcontent" adlcp:scormType="sco" href="menu/index.html">
-          <file href="menu/index.html" />
-          <file href="menu/menu.js" />
-          <file href="menu/style.css" />
-        </resource>`;
-    
-    for (const [index, pkg] of packages.entries()) {
-      const packageFolder = `package_${index + 1}`;
-      const packageId = `pkg_${index + 1}`;
-      const itemId = `item_${index + 1}`;
+  /**
+   * Copies a package into package_N of the merged zip: files planned as
+   * shared are written once under shared/, HTML gets the finish handler and
+   * externally hosted units get a page linking to them
+   * @param {yazl.ZipFile} mergedZip - Zip being written
+   * @param {object} pkg - Package to copy
+   * @param {number} index - Position of the package in the course
+   * @param {object} options - Output options, with sharedPaths and injectsFinishHandler
+   * @param {Set<string>} writtenSharedPaths - Shared files already in the zip
+   */
+  async addPackageFiles(mergedZip, pkg, index, options, writtenSharedPaths = new Set()) {
+    const packageFolder = `package_${index + 1}`;
+    const { sharedPaths = new Map(), injectsFinishHandler } = options;
+    const zipFile = await yauzl.openPromise(pkg.path, { lazyEntries: true });
+    const packageRoot = pkg.packageRoot || '';
+
+    // Closed in every case: a failed merge must not keep the upload open
+    try {
+      for await (const entry of zipFile.eachEntry()) {
+        // Only the folder holding the manifest is copied, without its prefix
+        if (!entry.fileName.startsWith(packageRoot)) {
+          continue;
+        }
+        const filename = entry.fileName.slice(packageRoot.length);
+        if (!assetDeduplicator.isPackageFile(filename)) {
+          continue;
+        }
+
+        const sharedPath = sharedPaths.get(`${packageFolder}/${filename}`);
+        if (sharedPath && writtenSharedPaths.has(sharedPath)) {
+          continue;
+        }
+        if (sharedPath) {
+          writtenSharedPaths.add(sharedPath);
+        }
+        const entryPath = sharedPath || `${packageFolder}/${filename}`;
+
+        // Inject finish handler script into HTML files; the player hosts
+        // modules in an iframe instead and leaves their HTML untouched
+        const injectHandler = injectsFinishHandler &&
+          (filename.toLowerCase().endsWith('.html') || filename.toLowerCase().endsWith('.htm'));
+        if (injectHandler || (sharedPaths.size > 0 && assetDeduplicator.isTextFile(filename))) {
+          let content = await this.readZipEntry(zipFile, entry);
+          content = assetDeduplicator.rewriteReferences(content, packageFolder, filename, entryPath, sharedPaths);
+          if (injectHandler) {
+            content = this.injectFinishHandler(content, filename, { ...options, moduleNumber: index + 1 });
+          }
+          mergedZip.addBuffer(content, entryPath);
+          continue;
+        }
+
+        // Everything else is piped straight through; waiting for each entry
+        // keeps only one input stream open at a time
+        const stream = await zipFile.openReadStreamPromise(entry);
+        try {
+          mergedZip.addReadStream(stream, entryPath);
+          await finished(stream);
+        } catch (error) {
+          // An entry stream left open keeps the file open after close()
+          stream.destroy();
+          throw error;
+        }
+      }
+    } finally {
+      zipFile.close();
+    }
+
+    // AICC units and cartridge web links hosted elsewhere launch a page
+    // linking to them
+    for (const resource of pkg.resources || []) {
+      if (resource.externalUrl) {
+        const page = Buffer.from(this.createExternalLinkPage(resource.title || pkg.title, resource.externalUrl), 'utf8');
+        mergedZip.addBuffer(
+          injectsFinishHandler
+            ? this.injectFinishHandler(page, resource.href, { ...options, moduleNumber: index + 1 })
+            : page,
+          `${packageFolder}/${resource.href.split('?')[0]}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Reads a whole zip entry into memory; only used for files that are
+   * rewritten, such as HTML pages
+   */
+  async readZipEntry(zipFile, entry) {
+    const stream = await zipFile.openReadStreamPromise(entry);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Adds the finish handler script to an HTML page, before </head> when
+   * possible so it runs before the content's own scripts
+   */
+  injectFinishHandler(content, filename, options) {
+    try {
+      let htmlContent = content.toString('utf8');
+      const finishHandlerScript = this.createFinishHandlerScript(options);
       
-      const displayTitle = this.getDisplayTitle(pkg);
-      organizations += `
+      // Try to inject before closing </head> tag
+      if (htmlContent.includes('</head>')) {
+        htmlContent = htmlContent.replace('</head>', finishHandlerScript + '\n</head>');
+      }
+      // If no </head>, try before </body>
+      else if (htmlContent.includes('</body>')) {
+        htmlContent = htmlContent.replace('</body>', finishHandlerScript + '\n</body>');
+      }
+      // If no </body>, try before </html>
+      else if (htmlContent.includes('</html>')) {
+        htmlContent = htmlContent.replace('</html>', finishHandlerScript + '\n</html>');
+      }
+      // If none of the above, append at the end
+      else {
+        htmlContent += finishHandlerScript;
+      }
+      
+      return Buffer.from(htmlContent, 'utf8');
+    } catch (error) {
+      console.log(`Could not inject finish handler into ${filename}: ${error.message}`);
+      // Use original content if injection fails
+      return content;
+    }
+  }
+
+  /**
+   * Page launched in place of content hosted on another site
+   */
+  createExternalLinkPage(title, url) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${this.escapeXml(title)}</title>
+</head>
+<body>
+    <h1>${this.escapeXml(title)}</h1>
+    <p>This module is hosted on another site.</p>
+    <p><a href="${this.escapeXml(url)}" target="_blank" rel="noopener">Open ${this.escapeXml(title)}</a></p>
+</body>
+</html>`;
+  }
+
+  /**
+   * Resource that is launched when a package is opened as a single module:
+   * the first resource with an href, as most packages list their SCO first
+   */
+  getLaunchResource(pkg) {
+    return pkg.resources?.find(resource => resource.href) || pkg.resources?.[0];
+  }
+
+  /**
+   * Manifest entries for a package collapsed into one item pointing at its
+   * launch resource
+   */
+  createFlatEntries(pkg, index, scormTypeAttribute, includeSequencing = false, sharedPaths = new Map()) {
+    const packageFolder = `package_${index + 1}`;
+    const packageId = `pkg_${index + 1}`;
+    const itemId = `item_${index + 1}`;
+    const displayTitle = this.getDisplayTitle(pkg);
+    const launchIndex = pkg.resources?.indexOf(this.getLaunchResource(pkg)) ?? -1;
+
+    // Packages without resources still get a launchable entry
+    if (launchIndex === -1) {
+      return {
+        items: `
         <item identifier="${itemId}" identifierref="resource_${packageId}">
           <title>${this.escapeXml(displayTitle)}</title>
+        </item>`,
+        resources: `
+        <resource identifier="resource_${packageId}" type="webcontent"${scormTypeAttribute ? ` ${scormTypeAttribute}="sco"` : ''} href="${packageFolder}/index.html">
+          <file href="${packageFolder}/index.html" />
+        </resource>`
+      };
+    }
+
+    const launchId = this.getResourceIdentifier(pkg.resources[launchIndex], launchIndex);
+    // Rules of the source item that launched this resource still apply to it
+    const launchItem = includeSequencing
+      ? this.findItemByResource(this.getDefaultOrganization(pkg)?.items || [], launchId)
+      : null;
+    return {
+      items: `
+        <item identifier="${itemId}" identifierref="${this.namespaceIdentifier(packageId, launchId)}">
+          <title>${this.escapeXml(displayTitle)}</title>${launchItem ? this.createSequencingXml(launchItem, packageId, '          ') : ''}
+        </item>`,
+      resources: this.createResourceEntries(pkg, index, scormTypeAttribute, new Set([launchId]), sharedPaths)
+    };
+  }
+
+  getDefaultOrganization(pkg) {
+    return pkg.organizations?.find(org => org.isDefault) || pkg.organizations?.[0];
+  }
+
+  /**
+   * Identifiers copied from a source manifest are prefixed with the package id
+   * so two packages using e.g. "item_1" do not collide in the merged manifest.
+   */
+  namespaceIdentifier(packageId, identifier) {
+    return `${packageId}_${identifier}`;
+  }
+
+  /**
+   * Manifest entries for a package whose default organization tree is kept:
+   * the package becomes a parent item holding its original items, and every
+   * original resource is carried over.
+   */
+  createStructuralEntries(pkg, index, scormTypeAttribute, includeSequencing = false, clusterSequencing = '',
+    sharedPaths = new Map()) {
+    const packageFolder = `package_${index + 1}`;
+    const packageId = `pkg_${index + 1}`;
+    const organization = this.getDefaultOrganization(pkg);
+    const referencedIds = new Set();
+
+    const renderItems = (items, depth) => items.map(item => {
+      const indent = ' '.repeat(8 + depth * 2);
+      let attributes = `identifier="${this.namespaceIdentifier(packageId, item.identifier)}"`;
+      if (item.identifierref) {
+        referencedIds.add(item.identifierref);
+        attributes += ` identifierref="${this.namespaceIdentifier(packageId, item.identifierref)}"`;
+      }
+      if (item.parameters) {
+        attributes += ` parameters="${this.escapeXml(item.parameters)}"`;
+      }
+      return `
+${indent}<item ${attributes}>
+${indent}  <title>${this.escapeXml(item.title)}</title>${renderItems(item.items || [], depth + 1)}${includeSequencing ? this.createSequencingXml(item, packageId, `${indent}  `) : ''}
+${indent}</item>`;
+    }).join('');
+
+    const items = `
+        <item identifier="item_${index + 1}">
+          <title>${this.escapeXml(this.getDisplayTitle(pkg))}</title>${renderItems(organization.items, 1)}${includeSequencing ? (organization.sequencing ? this.createSequencingXml(organization, packageId, '          ') : clusterSequencing) : ''}
         </item>`;
-      
-      // Find the main resource file for this package
-      let mainHref = 'index.html';
-      if (pkg.resources && pkg.resources.length > 0) {
-        const mainResource = pkg.resources.find(r => r.href) || pkg.resources[0];
-        if (mainResource && mainResource.href) {
-          mainHref = mainResource.href;
+
+    const resources = this.createResourceEntries(pkg, index, scormTypeAttribute, referencedIds, sharedPaths);
+
+    return { items, resources };
+  }
+  
+  findItemByResource(items, resourceId) {
+    for (const item of items) {
+      if (item.identifierref === resourceId) {
+        return item;
+      }
+      const child = this.findItemByResource(item.items || [], resourceId);
+      if (child) {
+        return child;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Re-emits the imsss:sequencing and adlnav:presentation elements parsed from
+   * a source item or organization. Global objective ids are namespaced per
+   * package so two packages do not share objectives by accident.
+   */
+  createSequencingXml(node, packageId, indent) {
+    let xml = '';
+    if (node.sequencing) {
+      const sequencing = this.namespaceObjectiveIds(node.sequencing, packageId);
+      xml += `\n${indent}${this.buildXmlElement('imsss:sequencing', sequencing)}`;
+    }
+    if (node.presentation) {
+      xml += `\n${indent}${this.buildXmlElement('adlnav:presentation', node.presentation)}`;
+    }
+    return xml;
+  }
+
+  buildXmlElement(name, node) {
+    const builder = new xml2js.Builder({ rootName: name, headless: true, renderOpts: { pretty: false } });
+    return builder.buildObject(node);
+  }
+
+  namespaceObjectiveIds(node, packageId) {
+    if (Array.isArray(node)) {
+      return node.map(child => this.namespaceObjectiveIds(child, packageId));
+    }
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+
+    const copy = {};
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '$') {
+        copy.$ = { ...value };
+        if (value.targetObjectiveID) {
+          copy.$.targetObjectiveID = this.namespaceIdentifier(packageId, value.targetObjectiveID);
         }
+      } else {
+        copy[key] = this.namespaceObjectiveIds(value, packageId);
       }
-      
+    }
+    return copy;
+  }
+
+  /**
+   * Organization-level sequencing for the merged course:
+   * - choice: learners pick modules freely from the LMS table of contents
+   * - flow: modules are delivered one after another
+   * - completeAll: the course is passed and completed once every module is
+   *   completed
+   * Package items of a structural merge without their own rules get the same
+   * control mode. Modules played in the course menu report to the menu's
+   * activity, so flow and completeAll roll the course status up from the menu
+   * alone: its tracker completes it once the modules are complete.
+   */
+  createSequencingStrategyXml(strategy) {
+    if (strategy === 'choice') {
+      return {
+        organization: `
+      <imsss:sequencing>
+        <imsss:controlMode choice="true" flow="false" />
+      </imsss:sequencing>`,
+        cluster: `
+          <imsss:sequencing>
+            <imsss:controlMode choice="true" flow="false" />
+          </imsss:sequencing>`,
+        rollupFromMenu: false
+      };
+    }
+
+    if (strategy === 'flow') {
+      return {
+        organization: `
+      <imsss:sequencing>
+        <imsss:controlMode choice="false" flow="true" />
+      </imsss:sequencing>`,
+        cluster: `
+          <imsss:sequencing>
+            <imsss:controlMode choice="false" flow="true" />
+          </imsss:sequencing>`,
+        rollupFromMenu: true
+      };
+    }
+
+    if (strategy === 'completeAll') {
+      return {
+        organization: `
+      <imsss:sequencing>
+        <imsss:controlMode choice="true" flow="true" />
+        <imsss:rollupRules>
+          <imsss:rollupRule childActivitySet="all">
+            <imsss:rollupConditions>
+              <imsss:rollupCondition condition="completed" />
+            </imsss:rollupConditions>
+            <imsss:rollupAction action="completed" />
+          </imsss:rollupRule>
+          <imsss:rollupRule childActivitySet="all">
+            <imsss:rollupConditions>
+              <imsss:rollupCondition condition="completed" />
+            </imsss:rollupConditions>
+            <imsss:rollupAction action="satisfied" />
+          </imsss:rollupRule>
+        </imsss:rollupRules>
+      </imsss:sequencing>`,
+        cluster: `
+          <imsss:sequencing>
+            <imsss:controlMode choice="true" flow="true" />
+          </imsss:sequencing>`,
+        rollupFromMenu: true
+      };
+    }
+
+    return { organization: '', cluster: '', rollupFromMenu: false };
+  }
+
+  /**
+   * Leaves a top-level item of the course (a module or a section) out of the
+   * course rollup, keeping any sequencing rules it already has
+   * @param {string} items - Manifest entry of the item
+   */
+  excludeFromRollup(items) {
+    const exclusion = 'rollupObjectiveSatisfied="false" rollupProgressCompletion="false"';
+    const own = /\n {10}<imsss:sequencing>[\s\S]*?<\/imsss:sequencing>/.exec(items);
+    if (!own) {
+      // Sequencing comes before the presentation element, or last in the item
+      const presentation = items.search(/\n {10}<adlnav:presentation/);
+      const insertAt = presentation !== -1 ? presentation : items.lastIndexOf('\n        </item>');
+      return `${items.slice(0, insertAt)}
+          <imsss:sequencing>
+            <imsss:rollupRules ${exclusion} />
+          </imsss:sequencing>${items.slice(insertAt)}`;
+    }
+
+    let sequencing;
+    if (own[0].includes('<imsss:rollupRules')) {
+      sequencing = own[0].replace(/(<imsss:rollupRules)([^>]*?)(\/?>)/, (match, start, attributes, end) =>
+        `${start} ${exclusion}${attributes.replace(/\s(rollupObjectiveSatisfied|rollupProgressCompletion)="[^"]*"/g, '')}${end}`);
+    } else {
+      // Rollup rules come after the control mode, sequencing rules, limit
+      // conditions and auxiliary resources; rules copied from a package are
+      // written on one line
+      const position = own[0].search(/(\n *)?<(imsss:objectives|imsss:randomizationControls|imsss:deliveryControls|adlseq:|\/imsss:sequencing>)/);
+      const separator = own[0].includes('\n', 1) ? '\n            ' : '';
+      sequencing = `${own[0].slice(0, position)}${separator}<imsss:rollupRules ${exclusion} />${own[0].slice(position)}`;
+    }
+    return items.replace(own[0], () => sequencing);
+  }
+
+  /**
+   * Adds SCORM 2004 preconditions to the item of a module: the LMS disables
+   * it until every module it requires is satisfied, which those modules
+   * share through global objectives. Items keeping sequencing rules of
+   * their own package are left alone; the course menu still locks them.
+   * @param {string} items - Manifest entry of the module
+   * @param {number} moduleNumber - Position of the module in the course
+   * @param {Object<string, number[]>} prerequisites - Tracking prerequisites
+   * @param {string} cluster - Strategy rules the entry may carry, which are kept
+   */
+  addPrerequisiteSequencing(items, moduleNumber, prerequisites = {}, cluster = '') {
+    const required = prerequisites[moduleNumber] || [];
+    const isRequired = Object.values(prerequisites).some(numbers => numbers.includes(moduleNumber));
+    if (required.length === 0 && !isRequired) {
+      return items;
+    }
+
+    const own = /\n {10}<imsss:sequencing[\s\S]*?<\/imsss:sequencing>/.exec(items);
+    if (own && own[0] !== cluster) {
+      console.log(`Module ${moduleNumber} keeps its own sequencing rules; only the course menu enforces its prerequisites`);
+      return items;
+    }
+
+    const controlMode = cluster.match(/<imsss:controlMode [^>]*\/>/)?.[0];
+    const sequencing = `
+          <imsss:sequencing>${controlMode ? `
+            ${controlMode}` : ''}${required.length > 0 ? `
+            <imsss:sequencingRules>
+              <imsss:preConditionRule>
+                <imsss:ruleConditions conditionCombination="any">${required.map(number => `
+                  <imsss:ruleCondition referencedObjective="scorm_merge_prerequisite_${number}" operator="not" condition="satisfied" />`).join('')}
+                </imsss:ruleConditions>
+                <imsss:ruleAction action="disabled" />
+              </imsss:preConditionRule>
+            </imsss:sequencingRules>` : ''}
+            <imsss:objectives>
+              <imsss:primaryObjective objectiveID="scorm_merge_module_${moduleNumber}"${isRequired ? `>
+                <imsss:mapInfo targetObjectiveID="scorm_merge_module_${moduleNumber}" readSatisfiedStatus="false" writeSatisfiedStatus="true" />
+              </imsss:primaryObjective>` : ' />'}${required.map(number => `
+              <imsss:objective objectiveID="scorm_merge_prerequisite_${number}">
+                <imsss:mapInfo targetObjectiveID="scorm_merge_module_${number}" />
+              </imsss:objective>`).join('')}
+            </imsss:objectives>
+          </imsss:sequencing>`;
+
+    if (own) {
+      return items.replace(own[0], () => sequencing);
+    }
+    // Sequencing comes before the presentation element, or last in the item
+    const presentation = items.search(/\n {10}<adlnav:presentation/);
+    const insertAt = presentation !== -1 ? presentation : items.lastIndexOf('\n        </item>');
+    return items.slice(0, insertAt) + sequencing + items.slice(insertAt);
+  }
+
+  getResourceIdentifier(resource, position) {
+    return resource.identifier || `resource_${position + 1}`;
+  }
+
+  /**
+   * Every resource of a package with package-prefixed identifiers, hrefs and
+   * dependencies. The source scormType is kept; resources that do not declare
+   * one are SCOs when an item launches them and assets otherwise. Without a
+   * scormTypeAttribute (cartridge output) no scormType is written.
+   */
+  createResourceEntries(pkg, index, scormTypeAttribute, launchedIds, sharedPaths = new Map()) {
+    const packageFolder = `package_${index + 1}`;
+    const packageId = `pkg_${index + 1}`;
+    // Files stored once for several packages live under shared/
+    const outputPath = (file) => sharedPaths.get(`${packageFolder}/${file}`) || `${packageFolder}/${file}`;
+    let resources = '';
+
+    for (const [position, resource] of (pkg.resources || []).entries()) {
+      const identifier = this.getResourceIdentifier(resource, position);
+      const scormType = resource.scormType ||
+        (resource.href && launchedIds.has(identifier) ? 'sco' : 'asset');
+      const [launchFile, ...query] = resource.href ? resource.href.split('?') : [];
+      const hrefAttribute = resource.href ? ` href="${[outputPath(launchFile), ...query].join('?')}"` : '';
       resources += `
-        <resource identifier="resource_${packageId}" type="webcontent" adlcp:scormType="sco" href="${packageFolder}/${mainHref}">
-          <file href="${packageFolder}/${mainHref}" />`;
-      
-      // Add all files from the package (avoid duplicates and schema files)
-      const addedFiles = new Set([`${packageFolder}/${mainHref}`]);
-      if (pkg.resources) {
-        for (const resource of pkg.resources) {
-          if (resource.files) {
-            for (const file of resource.files) {
-              // Skip schema files and the manifest itself
-              if (file.toLowerCase().endsWith('.xsd') || file.toLowerCase() === 'imsmanifest.xml') {
-                continue;
-              }
-              const fullPath = `${packageFolder}/${file}`;
-              if (!addedFiles.has(fullPath)) {
-                addedFiles.add(fullPath);
-                resources += `
-          <file href="${fullPath}" />`;
-              }
-            }
-          }
+        <resource identifier="${this.namespaceIdentifier(packageId, identifier)}" type="${resource.type || 'webcontent'}"${scormTypeAttribute ? ` ${scormTypeAttribute}="${scormType}"` : ''}${hrefAttribute}>`;
+
+      const files = new Set(resource.href ? [outputPath(launchFile)] : []);
+      for (const file of resource.files || []) {
+        // Skip schema files and the manifest itself
+        if (!file.toLowerCase().endsWith('.xsd') && file.toLowerCase() !== 'imsmanifest.xml') {
+          files.add(outputPath(file));
         }
       }
-      
+      for (const file of files) {
+        resources += `
+          <file href="${file}" />`;
+      }
+      for (const dependency of resource.dependencies || []) {
+        resources += `
+          <dependency identifierref="${this.namespaceIdentifier(packageId, dependency)}" />`;
+      }
       resources += `
         </resource>`;
     }
+
+    return resources;
+  }
+  
+  createMergedManifest(packages, options = {}) {
+    const outputVersion = options.outputVersion === '1.2' ? '1.2' : '2004';
+    // SCORM 1.2 spells the attribute adlcp:scormtype, SCORM 2004 adlcp:scormType
+    const scormTypeAttribute = outputVersion === '1.2' ? 'adlcp:scormtype' : 'adlcp:scormType';
+    const metadata = options.metadata || {};
+    const manifestId = metadata.identifier || uuidv4();
+    const organizationId = `org_${manifestId}`;
+    const menuResourceId = 'menu_resource';
+    const language = this.escapeXml(metadata.language || 'en');
+    const title = this.escapeXml(metadata.title || 'Merged SCORM Package');
+    const description = this.escapeXml(metadata.description || 'A merged SCORM package containing multiple learning modules');
+    
+    // SCORM 1.2 has no sequencing, so rules and strategies only apply to 2004 output
+    const includeSequencing = outputVersion === '2004';
+    const strategy = this.createSequencingStrategyXml(includeSequencing ? options.sequencing : 'none');
+    if (!includeSequencing && options.sequencing && options.sequencing !== 'none') {
+      console.log(`Ignoring sequencing strategy "${options.sequencing}" for SCORM 1.2 output`);
+    }
+    
+    let organizations = `
+        <item identifier="menu_item" identifierref="${menuResourceId}">
+          <title>Course Menu</title>
+        </item>`;
+    
+    const logoFilename = themeManager.getLogoFilename(options.theme);
+    let resources = `
+        <resource identifier="${menuResourceId}" type="webcontent" ${scormTypeAttribute}="sco" href="menu/index.html">
+          <file href="menu/index.html" />
+          <file href="menu/menu.js" />
+          <file href="menu/style.css" />${logoFilename ? `
+          <file href="menu/${logoFilename}" />` : ''}
+        </resource>`;
+    
+    // Sections become parent items holding the items of their packages
+    let sectionNumber = 0;
+    for (const group of this.groupIntoSections(this.numberModules(packages), options.sections)) {
+      let items = '';
+      for (const { pkg, index } of group.packages) {
+        const structural = options.mergeMode === 'structural' && this.getDefaultOrganization(pkg)?.items.length;
+        const entries = structural
+          ? this.createStructuralEntries(pkg, index, scormTypeAttribute, includeSequencing, strategy.cluster, options.sharedPaths)
+          : this.createFlatEntries(pkg, index, scormTypeAttribute, includeSequencing, options.sharedPaths);
+        let moduleItems = includeSequencing
+          ? this.addPrerequisiteSequencing(entries.items, index + 1, options.tracking?.prerequisites, structural ? strategy.cluster : '')
+          : entries.items;
+        if (strategy.rollupFromMenu && group.title === null) {
+          moduleItems = this.excludeFromRollup(moduleItems);
+        }
+        items += moduleItems;
+        resources += entries.resources;
+      }
+      if (group.title === null) {
+        organizations += items;
+      } else {
+        const section = `
+        <item identifier="section_${++sectionNumber}">
+          <title>${this.escapeXml(group.title)}</title>${items.replace(/\n/g, '\n  ')}${strategy.cluster}
+        </item>`;
+        organizations += strategy.rollupFromMenu ? this.excludeFromRollup(section) : section;
+      }
+    }
     
+    if (outputVersion === '1.2') {
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${manifestId}" version="1.2"
+          xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+          xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+          xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+          xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+    <lom xmlns="http://www.imsglobal.org/xsd/imsmd_rootv1p2p1">
+      <general>
+        <title>
+          <langstring xml:lang="${language}">${title}</langstring>
+        </title>${metadata.language ? `
+        <language>${language}</language>` : ''}
+        <description>
+          <langstring xml:lang="${language}">${description}</langstring>
+        </description>
+      </general>${metadata.version ? `
+      <lifecycle>
+        <version>
+          <langstring xml:lang="${language}">${this.escapeXml(metadata.version)}</langstring>
+        </version>
+      </lifecycle>` : ''}
+    </lom>
+  </metadata>
+  <organizations default="${organizationId}">
+    <organization identifier="${organizationId}">
+      <title>${title}</title>${organizations}
+    </organization>
+  </organizations>
+  <resources>${resources}
+  </resources>
+</manifest>`;
+    }
+
     return `<?xml version="1.0" encoding="UTF-8"?>
 <manifest identifier="${manifestId}" version="1.3" 
           xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" 
           xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3" 
           xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3" 
           xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"
+          xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
           xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" 
-          xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 http://www.adlnet.org/xsd/adlcp_v1p3.xsd http://www.adlnet.org/xsd/adlseq_v1p3 http://www.adlnet.org/xsd/adlseq_v1p3.xsd http://www.adlnet.org/xsd/adlnav_v1p3 http://www.adlnet.org/xsd/adlnav_v1p3.xsd">
+          xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 http://www.adlnet.org/xsd/adlcp_v1p3.xsd http://www.adlnet.org/xsd/adlseq_v1p3 http://www.adlnet.org/xsd/adlseq_v1p3.xsd http://www.adlnet.org/xsd/adlnav_v1p3 http://www.adlnet.org/xsd/adlnav_v1p3.xsd http://www.imsglobal.org/xsd/imsss http://www.imsglobal.org/xsd/imsss_v1p0.xsd">
   <metadata>
     <schema>ADL SCORM</schema>
     <schemaversion>2004 3rd Edition</schemaversion>
     <lom xmlns="http://ltsc.ieee.org/xsd/LOM" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://ltsc.ieee.org/xsd/LOM http://ltsc.ieee.org/xsd/lomv1.0/lomLoose.xsd">
       <general>
         <title>
-          <string language="en">Merged SCORM Package</string>
-        </title>
+          <string language="${language}">${title}</string>
+        </title>${metadata.language ? `
+        <language>${language}</language>` : ''}
         <description>
-          <string language="en">A merged SCORM package containing multiple learning modules</string>
+          <string language="${language}">${description}</string>
         </description>
-      </general>
+      </general>${metadata.version ? `
+      <lifeCycle>
+        <version>
+          <string language="${language}">${this.escapeXml(metadata.version)}</string>
+        </version>
+      </lifeCycle>` : ''}
     </lom>
   </metadata>
   <organizations default="${organizationId}">
     <organization identifier="${organizationId}">
-      <title>Merged SCORM Package</title>${organizations}
+      <title>${title}</title>${organizations}${strategy.organization}
     </organization>
   </organizations>
   <resources>${resources}
@@ -549,29 +1671,217 @@ class ScormProcessor {
 </manifest>`;
   }
   
-  createFinishHandlerScript() {
+  /**
+   * IMS Common Cartridge 1.3 manifest with one module per package. Flat
+   * merges link each module to the package's launch page; structural merges
+   * list the package's own lessons in its module. Resources are the
+   * package's web content, so cartridges carry no SCORM tracking.
+   */
+  createCartridgeManifest(packages, options = {}) {
+    const metadata = options.metadata || {};
+    const manifestId = metadata.identifier || `cartridge_${uuidv4()}`;
+    const language = this.escapeXml(metadata.language || 'en');
+    let modules = '';
+    let resources = '';
+
+    for (const [index, pkg] of packages.entries()) {
+      if (options.mergeMode === 'structural' && this.getDefaultOrganization(pkg)?.items.length) {
+        const entries = this.createStructuralEntries(pkg, index, null, false, '', options.sharedPaths);
+        modules += entries.items;
+        resources += entries.resources;
+        continue;
+      }
+
+      const entries = this.createFlatEntries(pkg, index, null, false, options.sharedPaths);
+      modules += `
+        <item identifier="module_${index + 1}">
+          <title>${this.escapeXml(this.getDisplayTitle(pkg))}</title>${entries.items.replace(/\n/g, '\n  ')}
+        </item>`;
+      resources += entries.resources;
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${manifestId}"
+          xmlns="http://www.imsglobal.org/xsd/imsccv1p3/imscp_v1p1"
+          xmlns:lomimscc="http://ltsc.ieee.org/xsd/imsccv1p3/LOM/manifest"
+          xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+          xsi:schemaLocation="http://www.imsglobal.org/xsd/imsccv1p3/imscp_v1p1 http://www.imsglobal.org/profile/cc/ccv1p3/ccv1p3_imscp_v1p2_v1p0.xsd http://ltsc.ieee.org/xsd/imsccv1p3/LOM/manifest http://www.imsglobal.org/profile/cc/ccv1p3/LOM/ccv1p3_lommanifest_v1p0.xsd">
+  <metadata>
+    <schema>IMS Common Cartridge</schema>
+    <schemaversion>1.3.0</schemaversion>
+    <lomimscc:lom>
+      <lomimscc:general>
+        <lomimscc:title>
+          <lomimscc:string language="${language}">${this.escapeXml(metadata.title || 'Merged Course')}</lomimscc:string>
+        </lomimscc:title>${metadata.language ? `
+        <lomimscc:language>${language}</lomimscc:language>` : ''}
+        <lomimscc:description>
+          <lomimscc:string language="${language}">${this.escapeXml(metadata.description || 'A merged course containing multiple learning modules')}</lomimscc:string>
+        </lomimscc:description>
+      </lomimscc:general>
+    </lomimscc:lom>
+  </metadata>
+  <organizations>
+    <organization identifier="org_1" structure="rooted-hierarchy">
+      <item identifier="root">${modules}
+      </item>
+    </organization>
+  </organizations>
+  <resources>${resources}
+  </resources>
+</manifest>`;
+  }
+
+  /**
+   * cmi5.xml course structure. Flat merges get one AU per package; structural
+   * merges get a block per package holding one AU per launchable item. Every
+   * AU launches its module through the cmi5 launch shim.
+   */
+  createCourseStructure(packages, options = {}) {
+    const courseId = `urn:uuid:${uuidv4()}`;
+    const masteryScore = options.masteryScore !== null && options.masteryScore !== undefined
+      ? ` masteryScore="${options.masteryScore / 100}"`
+      : '';
+    if (options.completionRule && options.completionRule !== 'all') {
+      console.log(`Ignoring completion rule "${options.completionRule}" for cmi5 output; the LMS decides course completion`);
+    }
+
+    const metadata = options.metadata || {};
+    const language = this.escapeXml(metadata.language || 'en');
+    const langstring = (text, indent) => `
+${indent}  <langstring lang="${language}">${this.escapeXml(text)}</langstring>
+${indent}`;
+    const au = (id, title, description, href, indent) => `
+${indent}<au id="${this.escapeXml(id)}" moveOn="CompletedOrPassed"${masteryScore}>
+${indent}  <title>${langstring(title, `${indent}  `)}</title>
+${indent}  <description>${langstring(description, `${indent}  `)}</description>
+${indent}  <url>${this.escapeXml(`cmi5/launch.html?content=${encodeURIComponent(href)}`)}</url>
+${indent}</au>`;
+
+    let structure = '';
+    for (const [index, pkg] of packages.entries()) {
+      const packageFolder = `package_${index + 1}`;
+      const displayTitle = this.getDisplayTitle(pkg);
+      const description = pkg.description || 'SCORM learning module';
+      const launchHref = this.getLaunchResource(pkg)?.href || 'index.html';
+
+      const launchables = [];
+      if (options.mergeMode === 'structural') {
+        const collect = (items) => items.forEach(item => {
+          const resource = pkg.resources?.find(candidate => candidate.identifier === item.identifierref && candidate.href);
+          if (resource) {
+            const parameters = item.parameters ? item.parameters.replace(/^[?&]/, '') : '';
+            const href = parameters ? `${resource.href}${resource.href.includes('?') ? '&' : '?'}${parameters}` : resource.href;
+            launchables.push({ item, href });
+          }
+          collect(item.items || []);
+        });
+        collect(this.getDefaultOrganization(pkg)?.items || []);
+      }
+
+      if (launchables.length === 0) {
+        structure += au(`${courseId}/${packageFolder}`, displayTitle, description, `../${packageFolder}/${launchHref}`, '  ');
+        continue;
+      }
+
+      structure += `
+  <block id="${courseId}/block_${index + 1}">
+    <title>${langstring(displayTitle, '    ')}</title>
+    <description>${langstring(description, '    ')}</description>${launchables.map(({ item, href }) => au(
+        `${courseId}/${packageFolder}/${encodeURIComponent(item.identifier)}`,
+        item.title,
+        description,
+        `../${packageFolder}/${href}`,
+        '    '
+      )).join('')}
+  </block>`;
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<courseStructure xmlns="https://w3id.org/xapi/profiles/cmi5/v1/CourseStructure.xsd">
+  <course id="${courseId}">
+    <title>${langstring(metadata.title || 'Merged Course', '    ')}</title>
+    <description>${langstring(metadata.description || 'A merged course containing multiple learning modules', '    ')}</description>
+  </course>${structure}
+</courseStructure>`;
+  }
+
+  /**
+   * Launch page every cmi5 AU opens; it hosts the module in an iframe and
+   * gives it a SCORM API backed by xAPI statements
+   */
+  createCmi5LaunchFiles() {
+    const launchHtml = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Course Module</title>
+    <style>
+        html, body { margin: 0; height: 100%; }
+        .module-frame { border: 0; width: 100%; height: 100%; display: block; }
+        .launch-message { font-family: sans-serif; padding: 2rem; margin: 0; }
+    </style>
+</head>
+<body>
+    <p class="launch-message" id="launch-message" hidden></p>
+    <iframe class="module-frame" id="module-frame" title="Course module"></iframe>
+    <script src="launch.js"></script>
+    <script>ScormMergeCmi5.start(window);</script>
+</body>
+</html>`;
+
+    return {
+      'cmi5/launch.html': launchHtml,
+      'cmi5/launch.js': scormRuntime.createLmsAdapterScript('2004') + cmi5Runtime.createLaunchScript()
+    };
+  }
+
+  createFinishHandlerScript(options = {}) {
     return `
 <!-- SCORM Merge Finish Handler -->
 <script>
+${scormRuntime.createLmsAdapterScript(options.outputVersion)}
 (function() {
     'use strict';
+
+    const adapter = ScormMergeRuntime.createAdapter();
+    const moduleNumber = ${options.moduleNumber || 0};
+    sessionStorage.removeItem('scormMergeNavigating');
+
+    // Modules opened from the course menu report into the course tracker; a
+    // module launched directly by the LMS talks to it as before. The menu
+    // hands over the course tracking, so modules added to the course later
+    // leave this page unchanged.
+    const tracker = moduleNumber && sessionStorage.getItem('currentPackage') === String(moduleNumber)
+        ? ScormMergeRuntime.createTracker(adapter, JSON.parse(sessionStorage.getItem('scormMergeTracking') || 'null') || ${JSON.stringify(options.tracking || { modules: 1, rule: 'all' })})
+        : null;
+    const lms = tracker ? tracker.createModuleAdapter(moduleNumber) : adapter;
     
     // Global function to return to main menu
     function returnToMenu() {
         try {
-            // Try to complete SCORM if available
-            if (window.API && window.API.LMSSetValue) {
-                window.API.LMSSetValue("cmi.core.lesson_status", "completed");
-                window.API.LMSCommit("");
-                window.API.LMSFinish("");
+            // Record the end of the module if SCORM is available
+            if (lms.available && lms.initialize()) {
+                if (tracker) {
+                    tracker.finishModule(moduleNumber);
+                } else {
+                    lms.setValue('cmi.completion_status', 'completed', '2004');
+                }
+                lms.commit();
             }
         } catch (e) {
             console.log('SCORM completion attempted:', e.message);
         }
         
-        // Navigate back to menu
+        // Navigate back to menu without ending the LMS session
+        sessionStorage.setItem('scormMergeNavigating', 'true');
         const menuPath = sessionStorage.getItem('menuPath');
-        if (menuPath) {
+        if (!tracker) {
+            // Launched directly by the LMS: the menu opens in this module's
+            // activity and must not report the course status into it
+            window.location.href = '../menu/index.html?module=' + moduleNumber;
+        } else if (menuPath) {
             window.location.href = menuPath;
         } else {
             // Fallback navigation
@@ -581,150 +1891,137 @@ class ScormProcessor {
     
     // Make function globally available
     window.returnToMenu = returnToMenu;
-    window.parent.returnToMenu = returnToMenu;
+    try {
+        window.parent.returnToMenu = returnToMenu;
+    } catch (e) {
+        // Parent frame belongs to another origin
+    }
+
+    // Expose SCORM 1.2 and SCORM 2004 APIs on this window so the module finds
+    // them before the LMS API, whichever edition the LMS speaks. Finishing the
+    // module returns to the menu instead of terminating the LMS session.
+    if (lms.available) {
+        const proxies = ScormMergeRuntime.createProxies(lms, function() {
+            const result = lms.commit();
+            setTimeout(returnToMenu, 500); // Delay to allow SCORM to complete
+            return result;
+        });
+        window.API = proxies.API;
+        window.API_1484_11 = proxies.API_1484_11;
+    }
     
     // Intercept common finish patterns when page loads
     document.addEventListener('DOMContentLoaded', function() {
-        // Look for common finish elements and add our handler
-        const finishSelectors = [
-            'a[href*="close"]', 'a[href*="exit"]', 'a[href*="finish"]',
-            'button[onclick*="close"]', 'button[onclick*="exit"]', 'button[onclick*="finish"]',
-            'input[value*="Finish"]', 'input[value*="Exit"]', 'input[value*="Close"]',
-            '.finish', '.exit', '.close', '#finish', '#exit', '#close',
-            '[id*="finish"]', '[id*="exit"]', '[id*="close"]'
-        ];
-        
-        finishSelectors.forEach(selector => {
-            try {
-                const elements = document.querySelectorAll(selector);
-                elements.forEach(element => {
-                    // Check if element text suggests it's a finish action
-                    const text = element.textContent || element.value || element.title || '';
-                    if (/\\b(finish|exit|close|done|complete)\\b/i.test(text)) {
-                        // Override the click handler
-                        element.addEventListener('click', function(e) {
-                            e.preventDefault();
-                            e.stopPropagation();
-                            returnToMenu();
-                        }, true); // Use capture phase
-                        
-                        // Also override href if it's a link
-                        if (element.tagName.toLowerCase() === 'a') {
-                            element.href = 'javascript:returnToMenu();';
-                        }
-                    }
-                });
-            } catch (e) {
-                // Ignore selector errors
-            }
-        });
-        
-        // Also intercept window.close() calls
-        const originalClose = window.close;
-        window.close = function() {
-            returnToMenu();
-        };
-        
-        // Intercept common SCORM finish patterns
-        if (window.API) {
-            const originalFinish = window.API.LMSFinish;
-            if (originalFinish) {
-                window.API.LMSFinish = function(param) {
-                    const result = originalFinish.call(this, param);
-                    setTimeout(returnToMenu, 500); // Delay to allow SCORM to complete
-                    return result;
-                };
-            }
-        }
+        ScormMergeRuntime.interceptFinish(window, returnToMenu);
     });
 })();
 </script>
 `;
   }
 
-  createMenuFiles(packages) {
+  /**
+   * Entry of a module in the course menu page
+   */
+  createMenuItemHtml(pkg, moduleNumber, launchButtonLabel = 'Launch Module') {
+    const displayTitle = this.getMenuLabel(pkg);
+    const description = pkg.description || 'SCORM learning module';
+    return `
+            <div class="menu-item" data-package="${moduleNumber}">
+                <h3>${this.escapeXml(displayTitle)}</h3>
+                <p class="module-status"></p>
+                <p class="package-description">${this.escapeXml(description)}</p>
+                <p class="package-info">${this.escapeXml(this.getFormatLabel(pkg))} • ${pkg.filename}</p>
+                <button onclick="launchPackage(${moduleNumber})">${this.escapeXml(launchButtonLabel)}</button>
+            </div>
+            `;
+  }
+
+  /**
+   * Collapsible heading of a section on the course menu, around the entries
+   * of its modules
+   */
+  createMenuSectionHtml(title, itemsHtml) {
+    return `
+            <details class="menu-section" open>
+                <summary>${this.escapeXml(title)}</summary>${itemsHtml.replace(/\n/g, '\n    ')}
+            </details>
+            `;
+  }
+
+  /**
+   * What the menu script needs to launch a module
+   */
+  createMenuPackageData(pkg) {
+    return {
+      title: this.getMenuLabel(pkg),
+      mainFile: this.getLaunchResource(pkg)?.href || 'index.html'
+    };
+  }
+
+  /**
+   * Course menu page, script and style sheet, branded with options.theme:
+   * logo, colours, fonts, header and footer HTML, texts and custom CSS
+   */
+  createMenuFiles(packages, options = {}) {
+    const metadata = options.metadata || {};
+    const heading = this.escapeXml(metadata.title || 'Course Menu');
+    const theme = themeManager.resolveTheme(options.theme);
+    const logoFilename = themeManager.getLogoFilename(options.theme);
     const menuHtml = `<!DOCTYPE html>
-<html lang="en">
+<html lang="${this.escapeXml(metadata.language || 'en')}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Course Menu</title>
+    <title>${heading}</title>
     <link rel="stylesheet" href="style.css">
 </head>
 <body>
-    <div class="menu-container">
-        <h1>Course Menu</h1>
-        <p>Select a course module to begin:</p>
+    <div class="menu-container">${theme.headerHtml ? `
+        <header class="course-header">${theme.headerHtml}</header>` : ''}${logoFilename ? `
+        <img class="course-logo" src="${logoFilename}" alt="">` : ''}
+        <h1>${heading}</h1>${metadata.description ? `
+        <p class="course-description">${this.escapeXml(metadata.description)}</p>` : ''}
+        <p>${this.escapeXml(theme.introText)}</p>
+        <p class="course-progress" id="course-progress" hidden></p>
+        <button class="resume-button" id="resume-button" hidden>${this.escapeXml(theme.resumeButtonLabel)}</button>
         <div class="menu-list">
-            ${packages.map((pkg, index) => {
-                const displayTitle = this.getDisplayTitle(pkg);
-                const description = pkg.description || 'SCORM learning module';
-                return `
-            <div class="menu-item" data-package="${index + 1}">
-                <h3>${this.escapeXml(displayTitle)}</h3>
-                <p class="package-description">${this.escapeXml(description)}</p>
-                <p class="package-info">SCORM ${pkg.version} • ${pkg.filename}</p>
-                <button onclick="launchPackage(${index + 1})">Launch Module</button>
-            </div>
-            `;
+            ${this.groupIntoSections(this.numberModules(packages), options.sections).map(group => {
+              const items = group.packages.map(({ pkg, index }) => this.createMenuItemHtml(pkg, index + 1, theme.launchButtonLabel)).join('');
+              return group.title === null ? items : this.createMenuSectionHtml(group.title, items);
             }).join('')}
+        </div>${theme.footerHtml ? `
+        <footer class="course-footer">${theme.footerHtml}</footer>` : ''}
+    </div>${options.launchMode === 'player' ? `
+    <div class="player" id="player" hidden>
+        <div class="player-bar">
+            <button id="player-back">${this.escapeXml(theme.backButtonLabel)}</button>
+            <span class="player-title" id="player-title"></span>
         </div>
-    </div>
+        <iframe class="player-frame" id="player-frame" title="Course module"></iframe>
+    </div>` : ''}
     <script src="menu.js"></script>
 </body>
 </html>`;
 
-    const menuJs = `
-// SCORM API detection and initialization
-let scormAPI = null;
-
-function findAPI(win) {
-    let findAPITries = 0;
-    while ((win.API == null) && (win.parent != null) && (win.parent != win)) {
-        findAPITries++;
-        if (findAPITries > 7) {
-            return null;
-        }
-        win = win.parent;
-    }
-    return win.API;
-}
-
-function initializeSCORM() {
-    scormAPI = findAPI(window);
-    if (scormAPI) {
-        scormAPI.LMSInitialize("");
-        scormAPI.LMSSetValue("cmi.core.lesson_status", "incomplete");
-        scormAPI.LMSCommit("");
-    }
-}
-
-function finishSCORM() {
-    if (scormAPI) {
-        scormAPI.LMSSetValue("cmi.core.lesson_status", "completed");
-        scormAPI.LMSCommit("");
-        scormAPI.LMSFinish("");
-    }
-}
-
-function launchPackage(packageNum) {
+    // Modules replace the menu page and return to it through the finish handler
+    const navigateLaunchJs = `function launchPackage(packageNum) {
     const packageFolder = 'package_' + packageNum;
-    const packageData = ${JSON.stringify(packages.map(pkg => ({
-        title: this.getDisplayTitle(pkg),
-        mainFile: pkg.resources?.[0]?.href || 'index.html'
-    })))};
-    
     const pkg = packageData[packageNum - 1];
-    if (pkg) {
-        // Set lesson status to completed since user is progressing
-        if (scormAPI) {
-            scormAPI.LMSSetValue("cmi.core.lesson_status", "completed");
-            scormAPI.LMSCommit("");
+    if (pkg && !isModuleLocked(packageNum)) {
+        // Mark the module as attempted; completion is reported by the module itself
+        if (tracker) {
+            tracker.startModule(packageNum);
+            scormAPI.commit();
+
+            // Store current package info in sessionStorage for finish handling
+            sessionStorage.setItem('currentPackage', packageNum.toString());
+            sessionStorage.setItem('scormMergeTracking', JSON.stringify(trackingConfig));
+        } else {
+            // Untracked menus hand no course tracking to the module
+            sessionStorage.removeItem('currentPackage');
         }
-        
-        // Store current package info in sessionStorage for finish handling
-        sessionStorage.setItem('currentPackage', packageNum.toString());
         sessionStorage.setItem('menuPath', window.location.pathname);
+        sessionStorage.setItem('scormMergeNavigating', 'true');
         
         // Open the selected package in the same window
         window.location.href = '../' + packageFolder + '/' + pkg.mainFile;
@@ -735,11 +2032,7 @@ function launchPackage(packageNum) {
 function returnToMenu() {
     const menuPath = sessionStorage.getItem('menuPath');
     if (menuPath) {
-        // Complete the current package in SCORM
-        if (scormAPI) {
-            scormAPI.LMSSetValue("cmi.core.lesson_status", "completed");
-            scormAPI.LMSCommit("");
-        }
+        sessionStorage.setItem('scormMergeNavigating', 'true');
         window.location.href = menuPath;
     } else {
         // Fallback: navigate relative to current location
@@ -749,25 +2042,223 @@ function returnToMenu() {
 
 // Make returnToMenu globally accessible
 window.returnToMenu = returnToMenu;
-window.parent.returnToMenu = returnToMenu;
+try {
+    window.parent.returnToMenu = returnToMenu;
+} catch (e) {
+    // Parent frame belongs to another origin
+}
+
+`;
+
+    // Modules run in an iframe on the menu page and reach the LMS through
+    // proxy APIs on this window, so their HTML is used unmodified
+    const playerLaunchJs = `let playerModule = null;
+
+function launchPackage(packageNum) {
+    const pkg = packageData[packageNum - 1];
+    if (pkg && !isModuleLocked(packageNum)) {
+        // Mark the module as attempted; completion is reported by the module itself
+        if (tracker) {
+            tracker.startModule(packageNum);
+            scormAPI.commit();
+        }
+        openPlayer(packageNum, '../package_' + packageNum + '/' + pkg.mainFile);
+    }
+}
+
+function openPlayer(packageNum, url) {
+    playerModule = packageNum;
+
+    // Modules look for the LMS API in parent windows and find these proxies first
+    if (tracker) {
+        const proxies = ScormMergeRuntime.createProxies(tracker.createModuleAdapter(packageNum), function() {
+            return finishModule(packageNum);
+        });
+        window.API = proxies.API;
+        window.API_1484_11 = proxies.API_1484_11;
+    }
+
+    document.getElementById('player-title').textContent = packageData[packageNum - 1].title;
+    document.querySelector('.menu-container').hidden = true;
+    document.getElementById('player').hidden = false;
+    document.getElementById('player-frame').src = url;
+}
+
+function finishModule(packageNum) {
+    // Late calls from a module that was already closed
+    if (playerModule !== packageNum) {
+        return true;
+    }
+    const saved = tracker ? tracker.finishModule(packageNum) : true;
+    const result = (scormAPI ? scormAPI.commit() : true) && saved;
+    setTimeout(closePlayer, 500); // Let the module finish its own unload work
+    return result;
+}
+
+function closePlayer() {
+    playerModule = null;
+    document.getElementById('player-frame').src = 'about:blank';
+    document.getElementById('player').hidden = true;
+    document.querySelector('.menu-container').hidden = false;
+    if (scormAPI) {
+        scormAPI.commit();
+    }
+    updateMenuStatus();
+}
+
+// Modules call this when they are done
+function returnToMenu() {
+    if (playerModule) {
+        finishModule(playerModule);
+    }
+}
+
+window.returnToMenu = returnToMenu;
 
-// Initialize SCORM when page loads
 document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('player-back').addEventListener('click', closePlayer);
+
+    // Same-origin modules: their finish links and window.close() finish the module
+    document.getElementById('player-frame').addEventListener('load', function() {
+        if (!playerModule) {
+            return;
+        }
+        try {
+            ScormMergeRuntime.interceptFinish(this.contentWindow, returnToMenu);
+        } catch (e) {
+            // Module served from another origin
+        }
+    });
+});
+
+`;
+
+    const menuJs = `${scormRuntime.createLmsAdapterScript(options.outputVersion)}
+// SCORM API detection and initialization
+let scormAPI = null;
+let tracker = null;
+
+const trackingConfig = ${JSON.stringify(options.tracking || this.createTrackingConfig(packages, options))};
+const packageData = ${JSON.stringify(packages.map(pkg => this.createMenuPackageData(pkg)))};
+
+const STATUS_LABELS = {
+    'completed': 'Completed',
+    'passed': 'Passed',
+    'failed': 'Failed',
+    'incomplete': 'In progress',
+    'not attempted': 'Not started',
+    'unknown': 'Not started'
+};
+
+// Finds the LMS runtime (SCORM 1.2 API or SCORM 2004 API_1484_11)
+function findAPI() {
+    const adapter = ScormMergeRuntime.createAdapter();
+    return adapter.available ? adapter : null;
+}
+
+// A module the LMS launched on its own returns to this page with ?module=N.
+// The page then runs in that module's LMS activity, so it tracks nothing and
+// leaves the module's status alone.
+function isMenuActivity() {
+    return !new URLSearchParams(window.location.search).has('module');
+}
+
+function initializeSCORM() {
+    scormAPI = findAPI();
+    if (scormAPI && scormAPI.initialize() && isMenuActivity()) {
+        tracker = ScormMergeRuntime.createTracker(scormAPI, trackingConfig);
+        tracker.load();
+        tracker.reportCourseStatus();
+        scormAPI.commit();
+    }
+    updateMenuStatus();
+}
+
+// Modules wait for their prerequisites; without an LMS nothing is tracked,
+// so nothing is locked
+function isModuleLocked(packageNum) {
+    return !!tracker && tracker.getMissingPrerequisites(packageNum).length > 0;
+}
+
+// Check-marks, locks, course progress and the resume button
+function updateMenuStatus() {
+    if (!tracker) {
+        return;
+    }
+
+    document.querySelectorAll('.menu-item').forEach(function(item) {
+        const packageNum = parseInt(item.getAttribute('data-package'), 10);
+        const status = tracker.getModuleStatus(packageNum);
+        const missing = tracker.getMissingPrerequisites(packageNum);
+        item.classList.toggle('completed', tracker.isModuleComplete(packageNum));
+        item.classList.toggle('in-progress', status === 'incomplete');
+        item.classList.toggle('locked', missing.length > 0);
+        item.querySelector('button').disabled = missing.length > 0;
+        item.querySelector('.module-status').textContent = missing.length > 0
+            ? 'Locked - first complete ' + missing.map(function(number) {
+                return packageData[number - 1] ? packageData[number - 1].title : 'module ' + number;
+            }).join(', ')
+            : STATUS_LABELS[status] || '';
+    });
+
+    const progress = document.getElementById('course-progress');
+    const courseScore = tracker.getCourseScore();
+    progress.textContent = tracker.completedCount() + ' of ' + trackingConfig.modules + ' modules completed' +
+        (courseScore !== null ? ' - score ' + Math.round(courseScore * 100) + '%' : '') +
+        (tracker.isCourseComplete() ? ' - course complete!' : '');
+    progress.hidden = false;
+
+    const lastModule = tracker.getLastModule();
+    const resumeButton = document.getElementById('resume-button');
+    if (lastModule && packageData[lastModule - 1] && !tracker.isModuleComplete(lastModule) && !isModuleLocked(lastModule)) {
+        resumeButton.textContent = ${JSON.stringify(`${theme.resumeButtonLabel}: `)} + packageData[lastModule - 1].title;
+        resumeButton.onclick = function() {
+            launchPackage(lastModule);
+        };
+        resumeButton.hidden = false;
+    }
+}
+
+function finishSCORM() {
+    if (scormAPI) {
+        if (tracker) {
+            tracker.reportCourseStatus();
+        }
+        // Suspend so the LMS keeps module progress for the next session
+        const courseComplete = tracker && tracker.isCourseComplete();
+        scormAPI.setValue('cmi.exit', courseComplete ? 'normal' : 'suspend', '2004');
+        scormAPI.commit();
+        scormAPI.terminate();
+    }
+}
+
+${options.launchMode === 'player' ? playerLaunchJs : navigateLaunchJs}// Initialize SCORM when page loads
+document.addEventListener('DOMContentLoaded', function() {
+    sessionStorage.removeItem('scormMergeNavigating');
     initializeSCORM();
 });
 
-// Handle page unload
+// Handle page unload; moving into a module keeps the LMS session open
 window.addEventListener('beforeunload', function() {
-    finishSCORM();
+    if (sessionStorage.getItem('scormMergeNavigating') !== 'true') {
+        finishSCORM();
+    }
 });
 `;
 
     const menuCss = `
+:root {
+    --menu-primary: ${theme.primaryColor};
+    --menu-secondary: ${theme.secondaryColor};
+    --menu-font: ${theme.fontFamily};
+    --menu-heading-font: ${theme.headingFontFamily || 'inherit'};
+}
+
 body {
-    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Oxygen', 'Ubuntu', 'Cantarell', 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif;
+    font-family: var(--menu-font);
     margin: 0;
     padding: 20px;
-    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    background: linear-gradient(135deg, var(--menu-primary) 0%, var(--menu-secondary) 100%);
     min-height: 100vh;
     color: #333;
 }
@@ -788,6 +2279,26 @@ h1 {
     font-size: 2.5rem;
 }
 
+h1,
+.menu-item h3,
+.menu-section summary {
+    font-family: var(--menu-heading-font);
+}
+
+.course-logo {
+    display: block;
+    max-width: 240px;
+    max-height: 96px;
+    margin: 0 auto 1rem auto;
+}
+
+.course-footer {
+    margin-top: 2rem;
+    text-align: center;
+    color: #666;
+    font-size: 0.9rem;
+}
+
 .menu-container > p {
     text-align: center;
     color: #666;
@@ -795,17 +2306,42 @@ h1 {
     font-size: 1.1rem;
 }
 
+.menu-container > .course-description {
+    color: #444;
+    margin-bottom: 1rem;
+}
+
 .menu-list {
     display: flex;
     flex-direction: column;
     gap: 1rem;
 }
 
+.menu-section summary {
+    padding: 0.5rem 0;
+    font-size: 1.3rem;
+    font-weight: 600;
+    color: #333;
+    cursor: pointer;
+}
+
+.menu-section[open] summary {
+    margin-bottom: 1rem;
+}
+
+.menu-section .menu-item {
+    margin-left: 1rem;
+}
+
+.menu-section .menu-item + .menu-item {
+    margin-top: 1rem;
+}
+
 .menu-item {
     background: #f8f9fa;
     border-radius: 8px;
     padding: 1.5rem;
-    border-left: 4px solid #667eea;
+    border-left: 4px solid var(--menu-primary);
     transition: all 0.3s ease;
     cursor: pointer;
 }
@@ -822,6 +2358,66 @@ h1 {
     font-size: 1.3rem;
 }
 
+.menu-item.completed {
+    border-left-color: #28a745;
+}
+
+.menu-item.completed h3::before {
+    content: '\\2713  ';
+    color: #28a745;
+}
+
+.menu-item.in-progress {
+    border-left-color: #ffc107;
+}
+
+.menu-item.locked {
+    border-left-color: #adb5bd;
+    opacity: 0.7;
+    cursor: default;
+}
+
+.menu-item.locked:hover {
+    background: #f8f9fa;
+    transform: none;
+    box-shadow: none;
+}
+
+.menu-item.locked h3::before {
+    content: '\\1F512  ';
+}
+
+.module-status {
+    color: #666;
+    font-size: 0.85rem;
+    font-weight: 600;
+    margin: 0 0 0.5rem 0;
+}
+
+.module-status:empty {
+    display: none;
+}
+
+.course-progress {
+    font-weight: 600;
+}
+
+.resume-button {
+    display: block;
+    margin: 0 auto 1.5rem auto;
+    background: #28a745;
+    color: white;
+    border: none;
+    padding: 0.75rem 1.5rem;
+    border-radius: 6px;
+    cursor: pointer;
+    font-size: 1rem;
+}
+
+.resume-button[hidden] {
+    display: none;
+}
+
 .package-description {
     color: #555;
     font-size: 0.95rem;
@@ -837,7 +2433,7 @@ h1 {
 }
 
 .menu-item button {
-    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    background: linear-gradient(135deg, var(--menu-primary) 0%, var(--menu-secondary) 100%);
     color: white;
     border: none;
     padding: 0.75rem 1.5rem;
@@ -851,6 +2447,55 @@ h1 {
     transform: translateY(-1px);
 }
 
+.menu-item button:disabled {
+    background: #adb5bd;
+    cursor: not-allowed;
+    transform: none;
+}
+
+.player {
+    position: fixed;
+    top: 0;
+    left: 0;
+    right: 0;
+    bottom: 0;
+    display: flex;
+    flex-direction: column;
+    background: white;
+}
+
+.player[hidden] {
+    display: none;
+}
+
+.player-bar {
+    display: flex;
+    align-items: center;
+    gap: 1rem;
+    padding: 0.5rem 1rem;
+    background: linear-gradient(135deg, var(--menu-primary) 0%, var(--menu-secondary) 100%);
+    color: white;
+}
+
+.player-bar button {
+    background: rgba(255, 255, 255, 0.2);
+    color: white;
+    border: 1px solid rgba(255, 255, 255, 0.6);
+    padding: 0.4rem 1rem;
+    border-radius: 6px;
+    cursor: pointer;
+}
+
+.player-title {
+    font-weight: 600;
+}
+
+.player-frame {
+    flex: 1;
+    width: 100%;
+    border: none;
+}
+
 @media (max-width: 768px) {
     .menu-container {
         margin: 0;
@@ -866,12 +2511,16 @@ h1 {
         padding: 1rem;
     }
 }
-`;
+${theme.customCss ? `
+/* Custom theme CSS */
+${theme.customCss}
+` : ''}`;
 
     return {
       'menu/index.html': menuHtml,
       'menu/menu.js': menuJs,
-      'menu/style.css': menuCss
+      'menu/style.css': menuCss,
+      ...(logoFilename && { [`menu/${logoFilename}`]: themeManager.decodeLogo(options.theme.logo).data })
     };
   }
   
@@ -0,0 +1,803 @@
+class ScormRuntime {
+  /**
+   * Generates the LMS adapter shared by the course menu and the finish handler
+   * injected into every module. It finds a SCORM 1.2 (API) or SCORM 2004
+   * (API_1484_11) runtime, preferring the edition of the merged package, and
+   * translates data model elements so content written for either edition can
+   * talk to whichever LMS API is actually available.
+   * @param {string} outputVersion - '1.2' or '2004'
+   * @returns {string} Browser JavaScript defining window.ScormMergeRuntime
+   */
+  createLmsAdapterScript(outputVersion = '2004') {
+    const preferredVersion = outputVersion === '1.2' ? '1.2' : '2004';
+
+    return `
+// SCORM Merge runtime: LMS discovery and SCORM 1.2 <-> 2004 translation
+var ScormMergeRuntime = window.ScormMergeRuntime || (function() {
+    'use strict';
+
+    var PREFERRED_VERSION = '${preferredVersion}';
+
+    var ELEMENTS_12_TO_2004 = {
+        'cmi.core.student_id': 'cmi.learner_id',
+        'cmi.core.student_name': 'cmi.learner_name',
+        'cmi.core.lesson_location': 'cmi.location',
+        'cmi.core.credit': 'cmi.credit',
+        'cmi.core.entry': 'cmi.entry',
+        'cmi.core.lesson_mode': 'cmi.mode',
+        'cmi.core.score.raw': 'cmi.score.raw',
+        'cmi.core.score.min': 'cmi.score.min',
+        'cmi.core.score.max': 'cmi.score.max',
+        'cmi.core.exit': 'cmi.exit',
+        'cmi.core.session_time': 'cmi.session_time',
+        'cmi.core.total_time': 'cmi.total_time',
+        'cmi.suspend_data': 'cmi.suspend_data',
+        'cmi.launch_data': 'cmi.launch_data'
+    };
+
+    var ELEMENTS_2004_TO_12 = {};
+    Object.keys(ELEMENTS_12_TO_2004).forEach(function(element) {
+        ELEMENTS_2004_TO_12[ELEMENTS_12_TO_2004[element]] = element;
+    });
+
+    function pad(value, length) {
+        var text = String(value);
+        while (text.length < length) {
+            text = '0' + text;
+        }
+        return text;
+    }
+
+    // SCORM 1.2 CMITimespan (HHHH:MM:SS.SS) to SCORM 2004 ISO 8601 duration
+    function timespanToDuration(timespan) {
+        var parts = String(timespan || '').split(':');
+        if (parts.length !== 3) {
+            return 'PT0S';
+        }
+        return 'PT' + (parseInt(parts[0], 10) || 0) + 'H' +
+            (parseInt(parts[1], 10) || 0) + 'M' +
+            (parseFloat(parts[2]) || 0) + 'S';
+    }
+
+    // SCORM 2004 ISO 8601 duration to SCORM 1.2 CMITimespan
+    function durationToTimespan(duration) {
+        var match = /^P(?:(\\d+)D)?(?:T(?:(\\d+)H)?(?:(\\d+)M)?(?:([\\d.]+)S)?)?$/.exec(String(duration || ''));
+        if (!match) {
+            return '0000:00:00.00';
+        }
+        var hours = (parseInt(match[1] || '0', 10) * 24) + parseInt(match[2] || '0', 10);
+        var minutes = parseInt(match[3] || '0', 10);
+        var seconds = parseFloat(match[4] || '0');
+        return pad(Math.min(hours, 9999), 4) + ':' + pad(minutes, 2) + ':' + pad(seconds.toFixed(2), 5);
+    }
+
+    function searchWindow(win, name) {
+        var tries = 0;
+        while (win && tries <= 7) {
+            try {
+                if (win[name] && !win[name].__scormMergeProxy) {
+                    return win[name];
+                }
+            } catch (e) {
+                // Cross-origin frame, keep walking up
+            }
+            if (!win.parent || win.parent === win) {
+                break;
+            }
+            win = win.parent;
+            tries++;
+        }
+        return null;
+    }
+
+    function findLmsApi(name) {
+        var api = searchWindow(window, name);
+        try {
+            if (!api && window.opener) {
+                api = searchWindow(window.opener, name);
+            }
+            if (!api && window.top && window.top.opener) {
+                api = searchWindow(window.top.opener, name);
+            }
+        } catch (e) {
+            // Opener not reachable
+        }
+        return api;
+    }
+
+    function createAdapter() {
+        var api2004 = findLmsApi('API_1484_11');
+        var api12 = findLmsApi('API');
+        var api = PREFERRED_VERSION === '1.2' ? (api12 || api2004) : (api2004 || api12);
+        var version = api ? (api === api2004 ? '2004' : '1.2') : null;
+        var initialized = false;
+        var navigationRequest = '';
+        var rawScoreWritten = false;
+
+        function call(name12, name2004, args) {
+            if (!api) {
+                return '';
+            }
+            var fn = version === '2004' ? api[name2004] : api[name12];
+            if (typeof fn !== 'function') {
+                return '';
+            }
+            return String(fn.apply(api, args));
+        }
+
+        function rawGet(element) {
+            return call('LMSGetValue', 'GetValue', [element]);
+        }
+
+        function rawSet(element, value) {
+            return call('LMSSetValue', 'SetValue', [element, String(value)]) === 'true';
+        }
+
+        // A SCORM 1.2 element read from a SCORM 2004 LMS
+        function get12From2004(element) {
+            if (element === 'cmi.core.lesson_status') {
+                var success = rawGet('cmi.success_status');
+                if (success === 'passed' || success === 'failed') {
+                    return success;
+                }
+                var completion = rawGet('cmi.completion_status');
+                return completion === 'unknown' || !completion ? 'not attempted' : completion;
+            }
+            if (element === 'cmi.core.total_time') {
+                return durationToTimespan(rawGet('cmi.total_time'));
+            }
+            if (element === 'cmi.student_data.mastery_score') {
+                var scaled = parseFloat(rawGet('cmi.scaled_passing_score'));
+                return isNaN(scaled) ? '' : String(Math.round(scaled * 100));
+            }
+            if (element === 'cmi.core.exit' || element === 'cmi.core.session_time') {
+                return ''; // Write-only in SCORM 1.2
+            }
+            return rawGet(ELEMENTS_12_TO_2004[element] || element);
+        }
+
+        // A SCORM 2004 element read from a SCORM 1.2 LMS
+        function get2004From12(element) {
+            var status = rawGet('cmi.core.lesson_status');
+            if (element === 'cmi.completion_status') {
+                if (status === 'passed' || status === 'failed' || status === 'completed') {
+                    return 'completed';
+                }
+                return status === 'not attempted' || status === 'incomplete' ? status : 'incomplete';
+            }
+            if (element === 'cmi.success_status') {
+                return status === 'passed' || status === 'failed' ? status : 'unknown';
+            }
+            if (element === 'cmi.score.scaled') {
+                var raw = parseFloat(rawGet('cmi.core.score.raw'));
+                return isNaN(raw) ? '' : String(raw / 100);
+            }
+            if (element === 'cmi.total_time') {
+                return timespanToDuration(rawGet('cmi.core.total_time'));
+            }
+            if (element === 'cmi.scaled_passing_score') {
+                var mastery = parseFloat(rawGet('cmi.student_data.mastery_score'));
+                return isNaN(mastery) ? '' : String(mastery / 100);
+            }
+            if (element.indexOf('adl.nav.request_valid') === 0) {
+                return 'unknown';
+            }
+            return rawGet(ELEMENTS_2004_TO_12[element] || element);
+        }
+
+        // A SCORM 1.2 element written to a SCORM 2004 LMS
+        function set12To2004(element, value) {
+            if (element === 'cmi.core.lesson_status') {
+                if (value === 'passed' || value === 'failed') {
+                    return rawSet('cmi.success_status', value) && rawSet('cmi.completion_status', 'completed');
+                }
+                return rawSet('cmi.completion_status', value === 'browsed' ? 'incomplete' : value);
+            }
+            if (element === 'cmi.core.session_time') {
+                return rawSet('cmi.session_time', timespanToDuration(value));
+            }
+            if (element === 'cmi.core.exit') {
+                return rawSet('cmi.exit', value === 'logout' ? 'normal' : value);
+            }
+            if (element === 'cmi.comments') {
+                return true; // No SCORM 2004 equivalent without an index, ignore
+            }
+            if (element === 'cmi.core.score.raw') {
+                var raw = parseFloat(value);
+                var written = rawSet('cmi.score.raw', value);
+                if (written && !isNaN(raw)) {
+                    // SCORM 1.2 has no scaled score, derive it from the 0-100 default range
+                    var min = parseFloat(rawGet('cmi.score.min'));
+                    var max = parseFloat(rawGet('cmi.score.max'));
+                    min = isNaN(min) ? 0 : min;
+                    max = isNaN(max) || max <= min ? 100 : max;
+                    rawSet('cmi.score.scaled', String(Math.max(-1, Math.min(1, (raw - min) / (max - min)))));
+                }
+                return written;
+            }
+            return rawSet(ELEMENTS_12_TO_2004[element] || element.replace('.student_response', '.learner_response'), value);
+        }
+
+        // A SCORM 2004 element written to a SCORM 1.2 LMS
+        function set2004To12(element, value) {
+            var status = rawGet('cmi.core.lesson_status');
+            if (element === 'cmi.completion_status') {
+                if (value === 'unknown' || status === 'passed' || status === 'failed') {
+                    return true; // Keep the more specific SCORM 1.2 status
+                }
+                return rawSet('cmi.core.lesson_status', value);
+            }
+            if (element === 'cmi.success_status') {
+                return value === 'unknown' ? true : rawSet('cmi.core.lesson_status', value);
+            }
+            if (element === 'cmi.score.scaled') {
+                var scaled = parseFloat(value);
+                if (rawScoreWritten || isNaN(scaled)) {
+                    return true;
+                }
+                return rawSet('cmi.core.score.raw', String(Math.round(scaled * 100)));
+            }
+            if (element === 'cmi.score.raw') {
+                rawScoreWritten = true;
+            }
+            if (element === 'cmi.session_time') {
+                return rawSet('cmi.core.session_time', durationToTimespan(value));
+            }
+            if (element === 'cmi.exit') {
+                return rawSet('cmi.core.exit', value === 'normal' ? '' : value);
+            }
+            if (element === 'cmi.progress_measure' || element.indexOf('cmi.learner_preference') === 0) {
+                return true; // No SCORM 1.2 equivalent, ignore
+            }
+            return rawSet(ELEMENTS_2004_TO_12[element] || element.replace('.learner_response', '.student_response'), value);
+        }
+
+        function initialize() {
+            if (!api) {
+                return false;
+            }
+            if (initialized) {
+                return true;
+            }
+            var result = call('LMSInitialize', 'Initialize', ['']) === 'true';
+            if (!result) {
+                // Another page of the merged course already opened the LMS session
+                var code = call('LMSGetLastError', 'GetLastError', []);
+                result = code === '101' || code === '103';
+            }
+            initialized = result;
+            return result;
+        }
+
+        return {
+            version: version,
+            available: !!api,
+            initialize: initialize,
+            terminate: function() {
+                initialized = false;
+                return call('LMSFinish', 'Terminate', ['']) === 'true';
+            },
+            commit: function() {
+                return call('LMSCommit', 'Commit', ['']) === 'true';
+            },
+            getValue: function(element, dialect) {
+                if (!api) {
+                    return '';
+                }
+                if (element === 'adl.nav.request') {
+                    return navigationRequest || '_none_';
+                }
+                if ((dialect || version) === version) {
+                    return rawGet(element);
+                }
+                return dialect === '1.2' ? get12From2004(element) : get2004From12(element);
+            },
+            setValue: function(element, value, dialect) {
+                if (!api) {
+                    return false;
+                }
+                // Navigation requests would end the whole merged course, keep them local
+                if (element === 'adl.nav.request') {
+                    navigationRequest = String(value);
+                    return true;
+                }
+                if ((dialect || version) === version) {
+                    return rawSet(element, value);
+                }
+                return dialect === '1.2' ? set12To2004(element, value) : set2004To12(element, value);
+            },
+            getLastError: function() {
+                return call('LMSGetLastError', 'GetLastError', []) || '0';
+            },
+            getErrorString: function(code) {
+                return call('LMSGetErrorString', 'GetErrorString', [code]);
+            },
+            getDiagnostic: function(code) {
+                return call('LMSGetDiagnostic', 'GetDiagnostic', [code]);
+            },
+            getNavigationRequest: function() {
+                return navigationRequest;
+            }
+        };
+    }
+
+    // SCORM 1.2 and SCORM 2004 API objects backed by the adapter, so content of
+    // either edition finds a runtime it understands. onFinish replaces
+    // LMSFinish/Terminate so a module ending does not end the merged course.
+    function createProxies(adapter, onFinish) {
+        function flag(result) {
+            return result ? 'true' : 'false';
+        }
+
+        return {
+            API: {
+                __scormMergeProxy: true,
+                LMSInitialize: function() { return flag(adapter.initialize()); },
+                LMSFinish: function() { return flag(onFinish()); },
+                LMSGetValue: function(element) { return adapter.getValue(element, '1.2'); },
+                LMSSetValue: function(element, value) { return flag(adapter.setValue(element, value, '1.2')); },
+                LMSCommit: function() { return flag(adapter.commit()); },
+                LMSGetLastError: function() { return adapter.getLastError(); },
+                LMSGetErrorString: function(code) { return adapter.getErrorString(code); },
+                LMSGetDiagnostic: function(code) { return adapter.getDiagnostic(code); }
+            },
+            API_1484_11: {
+                __scormMergeProxy: true,
+                Initialize: function() { return flag(adapter.initialize()); },
+                Terminate: function() { return flag(onFinish()); },
+                GetValue: function(element) { return adapter.getValue(element, '2004'); },
+                SetValue: function(element, value) { return flag(adapter.setValue(element, value, '2004')); },
+                Commit: function() { return flag(adapter.commit()); },
+                GetLastError: function() { return adapter.getLastError(); },
+                GetErrorString: function(code) { return adapter.getErrorString(code); },
+                GetDiagnostic: function(code) { return adapter.getDiagnostic(code); }
+            }
+        };
+    }
+
+    // Treats the finish/exit/close links and buttons of a module page, and
+    // window.close(), as finishing the module
+    function interceptFinish(win, onFinish) {
+        var finishSelectors = [
+            'a[href*="close"]', 'a[href*="exit"]', 'a[href*="finish"]',
+            'button[onclick*="close"]', 'button[onclick*="exit"]', 'button[onclick*="finish"]',
+            'input[value*="Finish"]', 'input[value*="Exit"]', 'input[value*="Close"]',
+            '.finish', '.exit', '.close', '#finish', '#exit', '#close',
+            '[id*="finish"]', '[id*="exit"]', '[id*="close"]'
+        ];
+
+        finishSelectors.forEach(function(selector) {
+            try {
+                var elements = win.document.querySelectorAll(selector);
+                Array.prototype.forEach.call(elements, function(element) {
+                    // Check if element text suggests it's a finish action
+                    var text = element.textContent || element.value || element.title || '';
+                    if (/\\b(finish|exit|close|done|complete)\\b/i.test(text)) {
+                        element.addEventListener('click', function(e) {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            onFinish();
+                        }, true); // Use capture phase
+
+                        // Links must not navigate away on their own
+                        if (element.tagName.toLowerCase() === 'a') {
+                            element.href = 'javascript:void(0)';
+                        }
+                    }
+                });
+            } catch (e) {
+                // Ignore selector errors
+            }
+        });
+
+        win.close = function() {
+            onFinish();
+        };
+    }
+
+    // One-letter codes for module statuses kept in the course suspend data
+    var COMPLETION_CODES = { 'completed': 'c', 'incomplete': 'i', 'not attempted': 'n', 'unknown': 'u' };
+    var SUCCESS_CODES = { 'passed': 'p', 'failed': 'f', 'unknown': 'u' };
+
+    function decode(codes, code) {
+        return Object.keys(codes).filter(function(value) {
+            return codes[value] === code;
+        })[0] || 'unknown';
+    }
+
+    // Progress of every module in the merged course, kept in cmi.suspend_data
+    // so learners resume where they left off. config.rule decides when the
+    // course as a whole is complete: 'all' modules, 'count' (config.count of
+    // them) or 'required' (every module number listed in config.required).
+    // config.scoring combines module scores into the course score with
+    // 'average', 'weighted' (config.scoring.weights, one per module),
+    // 'minimum' or 'last', and decides pass/fail against masteryScore (0-100).
+    // config.prerequisites maps a module number to the modules that must be
+    // complete before it can be launched.
+    function createTracker(adapter, config) {
+        var scoring = config.scoring || { method: 'average', weights: [], masteryScore: null };
+        var state = { modules: {}, last: null };
+        // The course and all of its modules share one cmi.suspend_data
+        var suspendDataLimit = adapter.version === '1.2' ? 4096 : 64000;
+
+        function unpack(saved) {
+            var unpacked = { modules: {}, last: saved.last || null, lastScored: saved.scored || null };
+            Object.keys(saved.m || {}).forEach(function(moduleNumber) {
+                var entry = saved.m[moduleNumber];
+                var module = {
+                    completion: decode(COMPLETION_CODES, entry.t.charAt(0)),
+                    success: decode(SUCCESS_CODES, entry.t.charAt(1))
+                };
+                if (entry.r) {
+                    module.reported = true;
+                }
+                if (entry.sc !== undefined) {
+                    module.score = { scaled: String(entry.sc) };
+                }
+                if (entry.l !== undefined) {
+                    module.location = entry.l;
+                }
+                if (entry.d !== undefined) {
+                    module.data = entry.d;
+                }
+                unpacked.modules[moduleNumber] = module;
+            });
+            return unpacked;
+        }
+
+        function load() {
+            try {
+                var saved = JSON.parse(adapter.getValue('cmi.suspend_data', '2004') || '{}');
+                if (saved && saved.scormMerge) {
+                    // Courses merged before the compact format kept the state as is
+                    state = saved.scormMerge.m ? unpack(saved.scormMerge) : saved.scormMerge;
+                    state.modules = state.modules || {};
+                }
+            } catch (e) {
+                // Not written by the merged course, start fresh
+            }
+        }
+
+        // The course state in as few characters as the LMS accepts: status and
+        // score of every module always, then the bookmark and suspend data of
+        // the last module, then those of the others for as long as they fit
+        function pack() {
+            var packed = { last: state.last, scored: state.lastScored || null, m: {} };
+            var moduleNumbers = Object.keys(state.modules);
+            moduleNumbers.forEach(function(moduleNumber) {
+                var module = state.modules[moduleNumber];
+                var entry = { t: (COMPLETION_CODES[module.completion] || 'u') + (SUCCESS_CODES[module.success] || 'u') };
+                if (module.reported) {
+                    entry.r = 1;
+                }
+                var score = getModuleScore(moduleNumber);
+                if (score !== null) {
+                    entry.sc = Math.round(score * 10000) / 10000;
+                }
+                packed.m[moduleNumber] = entry;
+            });
+
+            var lastModule = String(state.last);
+            var others = moduleNumbers.filter(function(moduleNumber) {
+                return moduleNumber !== lastModule;
+            });
+            var optional = [];
+            if (state.modules[lastModule]) {
+                optional.push([lastModule, 'l', 'location'], [lastModule, 'd', 'data']);
+            }
+            others.forEach(function(moduleNumber) {
+                optional.push([moduleNumber, 'l', 'location']);
+            });
+            others.forEach(function(moduleNumber) {
+                optional.push([moduleNumber, 'd', 'data']);
+            });
+
+            var length = JSON.stringify({ scormMerge: packed }).length;
+            optional.forEach(function(field) {
+                var value = state.modules[field[0]][field[2]];
+                if (!value) {
+                    return;
+                }
+                // A property added to an entry costs ,"key": and the value
+                var cost = field[1].length + 4 + JSON.stringify(value).length;
+                if (length + cost <= suspendDataLimit) {
+                    packed.m[field[0]][field[1]] = value;
+                    length += cost;
+                } else {
+                    console.warn('SCORM Merge: module ' + field[0] + ' ' + field[2] + ' does not fit in the LMS suspend data and is kept for this session only');
+                }
+            });
+            return JSON.stringify({ scormMerge: packed });
+        }
+
+        // Returns false when the LMS rejects the course state
+        function save() {
+            var result = adapter.setValue('cmi.suspend_data', pack(), '2004');
+            if (!result) {
+                var code = adapter.getLastError();
+                console.warn('SCORM Merge: course progress could not be saved (LMS error ' + code + ': ' + adapter.getErrorString(code) + ')');
+            }
+            return result;
+        }
+
+        function record(moduleNumber) {
+            if (!state.modules[moduleNumber]) {
+                state.modules[moduleNumber] = { completion: 'not attempted', success: 'unknown' };
+            }
+            return state.modules[moduleNumber];
+        }
+
+        function isModuleComplete(moduleNumber) {
+            var module = state.modules[moduleNumber];
+            return !!module && (module.completion === 'completed' || module.success === 'passed');
+        }
+
+        function getModuleStatus(moduleNumber) {
+            var module = state.modules[moduleNumber];
+            if (!module) {
+                return 'not attempted';
+            }
+            if (module.success === 'passed' || module.success === 'failed') {
+                return module.success;
+            }
+            return module.completion;
+        }
+
+        function getMissingPrerequisites(moduleNumber) {
+            var required = (config.prerequisites && config.prerequisites[moduleNumber]) || [];
+            return required.filter(function(number) {
+                return !isModuleComplete(number);
+            });
+        }
+
+        function completedCount() {
+            var count = 0;
+            for (var moduleNumber = 1; moduleNumber <= config.modules; moduleNumber++) {
+                if (isModuleComplete(moduleNumber)) {
+                    count++;
+                }
+            }
+            return count;
+        }
+
+        function isCourseComplete() {
+            if (config.rule === 'count') {
+                return completedCount() >= Math.min(config.count, config.modules);
+            }
+            if (config.rule === 'required') {
+                return config.required.every(isModuleComplete);
+            }
+            return completedCount() === config.modules;
+        }
+
+        function getModuleScore(moduleNumber) {
+            var score = state.modules[moduleNumber] && state.modules[moduleNumber].score;
+            if (!score) {
+                return null;
+            }
+            if (!isNaN(parseFloat(score.scaled))) {
+                return parseFloat(score.scaled);
+            }
+            var raw = parseFloat(score.raw);
+            if (isNaN(raw)) {
+                return null;
+            }
+            // SCORM 1.2 modules often leave out min and max, which default to 0-100
+            var min = isNaN(parseFloat(score.min)) ? 0 : parseFloat(score.min);
+            var max = isNaN(parseFloat(score.max)) || parseFloat(score.max) <= min ? 100 : parseFloat(score.max);
+            return Math.max(-1, Math.min(1, (raw - min) / (max - min)));
+        }
+
+        // Scaled course score (-1 to 1), or null while no module reported a score
+        function getCourseScore() {
+            if (scoring.method === 'last') {
+                return state.lastScored ? getModuleScore(state.lastScored) : null;
+            }
+
+            var total = 0;
+            var totalWeight = 0;
+            var lowest = null;
+            for (var moduleNumber = 1; moduleNumber <= config.modules; moduleNumber++) {
+                var score = getModuleScore(moduleNumber);
+                if (score === null) {
+                    continue;
+                }
+                var weight = scoring.method === 'weighted' ? (scoring.weights[moduleNumber - 1] || 0) : 1;
+                total += score * weight;
+                totalWeight += weight;
+                lowest = lowest === null ? score : Math.min(lowest, score);
+            }
+
+            if (scoring.method === 'minimum') {
+                return lowest;
+            }
+            return totalWeight > 0 ? total / totalWeight : null;
+        }
+
+        function reportCourseStatus() {
+            var courseComplete = isCourseComplete();
+            var score = getCourseScore();
+            if (score !== null) {
+                adapter.setValue('cmi.score.min', '0', '2004');
+                adapter.setValue('cmi.score.max', '100', '2004');
+                adapter.setValue('cmi.score.raw', String(Math.round(score * 10000) / 100), '2004');
+                adapter.setValue('cmi.score.scaled', String(Math.round(score * 10000) / 10000), '2004');
+            }
+
+            var result = adapter.setValue('cmi.completion_status', courseComplete ? 'completed' : 'incomplete', '2004');
+            // Pass or fail is only decided once the course is complete
+            if (courseComplete && score !== null && scoring.masteryScore !== null && scoring.masteryScore !== undefined) {
+                adapter.setValue('cmi.success_status', score * 100 >= scoring.masteryScore ? 'passed' : 'failed', '2004');
+            }
+            return result;
+        }
+
+        // A completed module stays completed when it is opened again
+        function setCompletion(module, value) {
+            if (module.completion !== 'completed') {
+                module.completion = value;
+            }
+        }
+
+        function startModule(moduleNumber) {
+            var module = record(moduleNumber);
+            if (module.completion === 'not attempted' || module.completion === 'unknown') {
+                module.completion = 'incomplete';
+            }
+            state.last = moduleNumber;
+            var saved = save();
+            return reportCourseStatus() && saved;
+        }
+
+        // Reaching the end of a module that never reported a status counts as completing it
+        function finishModule(moduleNumber) {
+            var module = record(moduleNumber);
+            if (!module.reported) {
+                setCompletion(module, 'completed');
+            }
+            var saved = save();
+            return reportCourseStatus() && saved;
+        }
+
+        // The LMS adapter as seen by one module: status, bookmark and suspend
+        // data are kept per module so modules cannot overwrite each other or
+        // report the whole course as complete.
+        function createModuleAdapter(moduleNumber) {
+            var moduleAdapter = {};
+            Object.keys(adapter).forEach(function(key) {
+                moduleAdapter[key] = adapter[key];
+            });
+
+            moduleAdapter.initialize = function() {
+                var result = adapter.initialize();
+                if (result) {
+                    load();
+                }
+                return result;
+            };
+
+            moduleAdapter.getValue = function(element, dialect) {
+                var module = record(moduleNumber);
+                switch (element) {
+                    case 'cmi.core.lesson_status':
+                        var status = getModuleStatus(moduleNumber);
+                        return status === 'unknown' ? 'not attempted' : status;
+                    case 'cmi.completion_status':
+                        return module.completion;
+                    case 'cmi.success_status':
+                        return module.success;
+                    case 'cmi.suspend_data':
+                        return module.data || '';
+                    case 'cmi.core.lesson_location':
+                    case 'cmi.location':
+                        return module.location || '';
+                    case 'cmi.core.entry':
+                    case 'cmi.entry':
+                        return module.data || module.location ? 'resume' : 'ab-initio';
+                    case 'cmi.core.exit':
+                    case 'cmi.exit':
+                        return '';
+                    case 'cmi.core.score.raw':
+                    case 'cmi.core.score.min':
+                    case 'cmi.core.score.max':
+                    case 'cmi.score.raw':
+                    case 'cmi.score.min':
+                    case 'cmi.score.max':
+                    case 'cmi.score.scaled':
+                        return module.score ? (module.score[element.split('.').pop()] || '') : '';
+                    default:
+                        return adapter.getValue(element, dialect);
+                }
+            };
+
+            moduleAdapter.setValue = function(element, value, dialect) {
+                var module = record(moduleNumber);
+                value = String(value);
+                switch (element) {
+                    case 'cmi.core.lesson_status':
+                        module.reported = true;
+                        if (value === 'passed' || value === 'failed') {
+                            module.success = value;
+                            setCompletion(module, 'completed');
+                        } else if (value !== 'not attempted') {
+                            setCompletion(module, value === 'browsed' ? 'incomplete' : value);
+                        }
+                        break;
+                    case 'cmi.completion_status':
+                        module.reported = true;
+                        setCompletion(module, value);
+                        break;
+                    case 'cmi.success_status':
+                        module.reported = true;
+                        module.success = value;
+                        break;
+                    case 'cmi.suspend_data':
+                        module.data = value;
+                        break;
+                    case 'cmi.core.lesson_location':
+                    case 'cmi.location':
+                        module.location = value;
+                        break;
+                    case 'cmi.core.exit':
+                    case 'cmi.exit':
+                        return true; // The menu decides how the course session ends
+                    case 'cmi.core.score.raw':
+                    case 'cmi.core.score.min':
+                    case 'cmi.core.score.max':
+                    case 'cmi.score.raw':
+                    case 'cmi.score.min':
+                    case 'cmi.score.max':
+                    case 'cmi.score.scaled':
+                        // Module scores only count towards the course score
+                        module.score = module.score || {};
+                        module.score[element.split('.').pop()] = value;
+                        state.lastScored = moduleNumber;
+                        break;
+                    default:
+                        return adapter.setValue(element, value, dialect);
+                }
+                // The module learns through its own API when its progress was not saved
+                var saved = save();
+                reportCourseStatus();
+                return saved;
+            };
+
+            return moduleAdapter;
+        }
+
+        return {
+            load: load,
+            save: save,
+            startModule: startModule,
+            finishModule: finishModule,
+            getModuleStatus: getModuleStatus,
+            isModuleComplete: isModuleComplete,
+            getMissingPrerequisites: getMissingPrerequisites,
+            completedCount: completedCount,
+            isCourseComplete: isCourseComplete,
+            getModuleScore: getModuleScore,
+            getCourseScore: getCourseScore,
+            reportCourseStatus: reportCourseStatus,
+            getLastModule: function() {
+                return state.last;
+            },
+            createModuleAdapter: createModuleAdapter
+        };
+    }
+
+    return {
+        createAdapter: createAdapter,
+        createProxies: createProxies,
+        createTracker: createTracker,
+        interceptFinish: interceptFinish,
+        timespanToDuration: timespanToDuration,
+        durationToTimespan: durationToTimespan
+    };
+})();
+window.ScormMergeRuntime = ScormMergeRuntime;
+`;
+  }
+}
+
+// Export singleton instance
+module.exports = new ScormRuntime();
@@ -0,0 +1,469 @@
+const path = require('path');
+const xml2js = require('xml2js');
+const yauzl = require('yauzl');
+const commonCartridgeAdapter = require('./commonCartridgeAdapter');
+
+// SCORM 2004 packages use IMS CP 1.1.4, SCORM 1.2 packages IMS CP 1.1.2
+const IMSCP_NAMESPACES = ['http://www.imsglobal.org/xsd/imscp_v1p1', 'http://www.imsproject.org/xsd/imscp_rootv1p1p2'];
+
+const KNOWN_SCHEMA_VERSIONS = ['1.2', 'CAM 1.3', '2004 2nd Edition', '2004 3rd Edition', '2004 4th Edition'];
+
+const CARTRIDGE_SCHEMA_VERSIONS = ['1.0.0', '1.1.0', '1.2.0', '1.3.0'];
+
+class ScormValidator {
+  /**
+   * Checks a parsed manifest against the files in its package. Errors break
+   * the package in an LMS; warnings are conformance problems most LMSs
+   * tolerate. Common Cartridge manifests are held to the cartridge
+   * namespaces and versions and have no scormType to check.
+   * @param {object} manifest - imsmanifest.xml parsed by xml2js
+   * @param {string[]} fileNames - Entry names of the package zip
+   * @returns {{valid: boolean, errors: Array<{code: string, message: string}>,
+   *   warnings: Array<{code: string, message: string}>}}
+   */
+  validateManifest(manifest, fileNames) {
+    const errors = [];
+    const warnings = [];
+    const error = (code, message) => errors.push({ code, message });
+    const warning = (code, message) => warnings.push({ code, message });
+
+    const root = manifest?.manifest || {};
+    const files = new Set(fileNames.filter(name => !name.endsWith('/')));
+    const cartridge = commonCartridgeAdapter.isCommonCartridge(manifest);
+
+    this.checkNamespaces(root, error, cartridge);
+    this.checkSchemaVersion(root, warning, cartridge);
+
+    const identifiers = new Map();
+    const registerIdentifier = (identifier, kind) => {
+      if (identifiers.has(identifier)) {
+        error('DUPLICATE_IDENTIFIER', `Identifier "${identifier}" is used more than once (${identifiers.get(identifier)} and ${kind})`);
+      } else {
+        identifiers.set(identifier, kind);
+      }
+    };
+    if (root.$?.identifier) {
+      registerIdentifier(root.$.identifier, 'manifest');
+    }
+
+    // Resources first, so items and dependencies can be resolved against them
+    const resourcesElement = root.resources?.[0];
+    const resources = new Map();
+    for (const resource of resourcesElement?.resource || []) {
+      const identifier = resource.$?.identifier;
+      if (!identifier) {
+        error('MISSING_IDENTIFIER', `A resource${resource.$?.href ? ` launching ${resource.$.href}` : ''} has no identifier`);
+        continue;
+      }
+      registerIdentifier(identifier, 'resource');
+      resources.set(identifier, resource);
+    }
+    if (resources.size === 0) {
+      error('NO_RESOURCES', 'The manifest does not list any resources');
+    }
+
+    // Hrefs are relative to the xml:base of the manifest, the resources
+    // element and the resource, like when the package is merged
+    const resourcesBase = `${root.$?.['xml:base'] || ''}${resourcesElement?.$?.['xml:base'] || ''}`;
+    for (const [identifier, resource] of resources) {
+      this.checkResource(identifier, resource, resourcesBase, resources, files, error, warning, cartridge);
+    }
+
+    // Organizations and their item trees
+    const organizationsElement = root.organizations?.[0];
+    const organizations = organizationsElement?.organization || [];
+    if (organizations.length === 0) {
+      warning('NO_ORGANIZATION', 'The manifest has no organization, so the LMS has no table of contents to show');
+    }
+    for (const organization of organizations) {
+      if (!organization.$?.identifier) {
+        error('MISSING_IDENTIFIER', 'An organization has no identifier');
+      } else {
+        registerIdentifier(organization.$.identifier, 'organization');
+      }
+    }
+    const defaultOrganization = organizationsElement?.$?.default;
+    if (defaultOrganization && !organizations.some(org => org.$?.identifier === defaultOrganization)) {
+      error('UNRESOLVED_DEFAULT_ORGANIZATION', `The default organization "${defaultOrganization}" does not exist`);
+    }
+
+    const launchedAssets = new Set();
+    const checkItems = (items) => {
+      for (const item of items || []) {
+        const identifier = item.$?.identifier;
+        if (!identifier) {
+          error('MISSING_IDENTIFIER', `Item "${this.getTitle(item)}" has no identifier`);
+        } else {
+          registerIdentifier(identifier, 'item');
+        }
+
+        const identifierref = item.$?.identifierref;
+        if (identifierref) {
+          const resource = resources.get(identifierref);
+          if (!resource) {
+            error('UNRESOLVED_IDENTIFIERREF', `Item "${identifier}" refers to resource "${identifierref}", which does not exist`);
+          } else if (!resource.$?.href) {
+            error('RESOURCE_NOT_LAUNCHABLE', `Item "${identifier}" refers to resource "${identifierref}", which has no href to launch`);
+          } else if (this.getScormType(resource) !== 'sco') {
+            launchedAssets.add(identifierref);
+          }
+        }
+
+        checkItems(item.item);
+      }
+    };
+    for (const organization of organizations) {
+      checkItems(organization.item);
+    }
+
+    // Assets may launch any file type, but content that is not HTML cannot
+    // show navigation or report progress
+    for (const identifier of launchedAssets) {
+      const href = resources.get(identifier).$.href;
+      if (!this.isHtml(href)) {
+        warning('LAUNCH_NOT_HTML', `Resource "${identifier}" launches ${href}, which is not an HTML page`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * Re-reads a package zip written to disk: its manifest must parse, every
+   * referenced file must be in the zip and every title and description must
+   * be plain, singly escaped text. cmi5 courses are checked through their
+   * cmi5.xml instead.
+   * @param {string} zipPath - Path of the zip to verify
+   * @returns {Promise<{valid: boolean, errors: Array, warnings: Array}>}
+   */
+  async verifyPackageFile(zipPath) {
+    const fileNames = [];
+    let manifestXml = null;
+    let courseStructureXml = null;
+
+    const zipFile = await yauzl.openPromise(zipPath, { lazyEntries: true });
+    for await (const entry of zipFile.eachEntry()) {
+      fileNames.push(entry.fileName);
+      if (entry.fileName === 'imsmanifest.xml' || entry.fileName === 'cmi5.xml') {
+        const chunks = [];
+        for await (const chunk of await zipFile.openReadStreamPromise(entry)) {
+          chunks.push(chunk);
+        }
+        if (entry.fileName === 'cmi5.xml') {
+          courseStructureXml = Buffer.concat(chunks).toString('utf8');
+        } else {
+          manifestXml = Buffer.concat(chunks).toString('utf8');
+        }
+      }
+    }
+
+    if (manifestXml === null && courseStructureXml !== null) {
+      return this.verifyCourseStructure(courseStructureXml, fileNames);
+    }
+
+    if (manifestXml === null) {
+      return {
+        valid: false,
+        errors: [{ code: 'MISSING_MANIFEST', message: 'The package has no imsmanifest.xml at its root' }],
+        warnings: []
+      };
+    }
+
+    let manifest;
+    try {
+      manifest = await new xml2js.Parser().parseStringPromise(manifestXml);
+    } catch (error) {
+      return {
+        valid: false,
+        errors: [{ code: 'MALFORMED_MANIFEST', message: `imsmanifest.xml is not well-formed XML: ${error.message}` }],
+        warnings: []
+      };
+    }
+
+    const result = this.validateManifest(manifest, fileNames);
+    this.checkText(
+      manifest.manifest,
+      (code, message) => result.errors.push({ code, message }),
+      (code, message) => result.warnings.push({ code, message })
+    );
+    return { ...result, valid: result.errors.length === 0 };
+  }
+
+  /**
+   * Checks a cmi5.xml course structure: every AU needs a unique id, a title
+   * and a url whose launch page, and the module it is given as its content
+   * parameter, are in the zip
+   * @param {string} xml - cmi5.xml contents
+   * @param {string[]} fileNames - Entry names of the course zip
+   */
+  async verifyCourseStructure(xml, fileNames) {
+    const errors = [];
+    const warnings = [];
+    const error = (code, message) => errors.push({ code, message });
+    const warning = (code, message) => warnings.push({ code, message });
+    const files = new Set(fileNames.filter(name => !name.endsWith('/')));
+
+    let courseStructure;
+    try {
+      courseStructure = await new xml2js.Parser().parseStringPromise(xml);
+    } catch (parseError) {
+      return {
+        valid: false,
+        errors: [{ code: 'MALFORMED_COURSE_STRUCTURE', message: `cmi5.xml is not well-formed XML: ${parseError.message}` }],
+        warnings: []
+      };
+    }
+
+    const root = courseStructure?.courseStructure;
+    if (!root?.course?.[0]) {
+      return {
+        valid: false,
+        errors: [{ code: 'MALFORMED_COURSE_STRUCTURE', message: 'cmi5.xml has no courseStructure with a course' }],
+        warnings: []
+      };
+    }
+
+    const ids = new Set();
+    const checkId = (node, kind) => {
+      const id = node.$?.id;
+      if (!id) {
+        error('MISSING_IDENTIFIER', `A ${kind} in cmi5.xml has no id`);
+      } else if (ids.has(id)) {
+        error('DUPLICATE_IDENTIFIER', `The id "${id}" is used more than once in cmi5.xml`);
+      } else {
+        ids.add(id);
+      }
+    };
+    const getText = (node, name) => {
+      const value = node[name]?.[0]?.langstring?.[0];
+      return String((typeof value === 'object' ? value._ : value) || '');
+    };
+
+    checkId(root.course[0], 'course');
+    let auCount = 0;
+    const visit = (node) => {
+      for (const block of node.block || []) {
+        checkId(block, 'block');
+        if (!getText(block, 'title').trim()) {
+          error('EMPTY_TITLE', `Block "${block.$?.id}" has no title`);
+        }
+        visit(block);
+      }
+      for (const au of node.au || []) {
+        auCount++;
+        checkId(au, 'au');
+        if (!getText(au, 'title').trim()) {
+          error('EMPTY_TITLE', `AU "${au.$?.id}" has no title`);
+        }
+        this.checkAuUrl(au, files, error);
+      }
+    };
+    visit(root);
+
+    if (auCount === 0) {
+      error('NO_AUS', 'cmi5.xml does not list any assignable units');
+    }
+
+    this.checkText(courseStructure, error, warning);
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * An AU url must point at a file in the zip; when it is the launch shim,
+   * the module named by its content parameter must be there as well
+   */
+  checkAuUrl(au, files, error) {
+    const id = au.$?.id;
+    const url = String(au.url?.[0] || '').trim();
+    if (!url) {
+      error('MISSING_FILE', `AU "${id}" has no url`);
+      return;
+    }
+    if (!this.hasFile(files, '', url)) {
+      error('MISSING_FILE', `AU "${id}" launches ${url.split(/[?#]/)[0]}, which is not in the package`);
+      return;
+    }
+
+    const query = url.split('#')[0].split('?')[1];
+    const content = query ? new URLSearchParams(query).get('content') : null;
+    if (content) {
+      const target = path.posix.join(path.posix.dirname(url.split(/[?#]/)[0]), content);
+      if (!this.hasFile(files, '', target)) {
+        error('MISSING_FILE', `AU "${id}" launches module ${target.split(/[?#]/)[0]}, which is not in the package`);
+      }
+    }
+  }
+
+  /**
+   * Titles and descriptions must hold text only; markup means a value was not
+   * escaped, and entities left after parsing mean it was escaped twice
+   */
+  checkText(root, error, warning) {
+    const visit = (node, name, parentName) => {
+      if (/(^|:)(title|description|string)$/.test(name)) {
+        const text = typeof node === 'object' ? node._ || '' : String(node);
+        // LOM titles and descriptions wrap their text in (lang)string elements
+        const children = typeof node === 'object'
+          ? Object.keys(node).filter(key => key !== '$' && key !== '_' && !/(^|:)(lang)?string$/.test(key))
+          : [];
+
+        if (children.length > 0) {
+          error('MALFORMED_TEXT', `A ${name} in ${parentName} contains markup (<${children[0]}>) instead of text`);
+        } else if (name === 'title' && ['item', 'organization'].includes(parentName) && !text.trim()) {
+          error('EMPTY_TITLE', `A title in ${parentName} is empty`);
+        } else if (/&(amp|lt|gt|quot|apos|#\d+);/.test(text)) {
+          warning('DOUBLE_ESCAPED_TEXT', `The ${name} "${text}" in ${parentName} is escaped twice`);
+        }
+      }
+
+      if (node && typeof node === 'object') {
+        for (const [childName, children] of Object.entries(node)) {
+          if (childName !== '$' && Array.isArray(children)) {
+            children.forEach(child => visit(child, childName, name));
+          }
+        }
+      }
+    };
+    visit(root, 'manifest', null);
+  }
+
+  checkResource(identifier, resource, resourcesBase, resources, files, error, warning, cartridge = false) {
+    const attributes = resource.$ || {};
+    const base = `${resourcesBase}${attributes['xml:base'] || ''}`;
+    const scormType = this.getScormType(resource);
+
+    // Cartridge resources are typed by their type attribute alone
+    if (!cartridge && scormType === null) {
+      warning('MISSING_SCORM_TYPE', `Resource "${identifier}" does not say whether it is a SCO or an asset`);
+    } else if (!cartridge && !['sco', 'asset'].includes(scormType)) {
+      error('INVALID_SCORM_TYPE', `Resource "${identifier}" has scormType "${scormType}"; it must be "sco" or "asset"`);
+    }
+
+    if (attributes.href) {
+      if (!this.hasFile(files, base, attributes.href)) {
+        error('MISSING_FILE', `Resource "${identifier}" launches ${attributes.href}, which is not in the package`);
+      }
+      if (scormType === 'sco' && !this.isHtml(attributes.href)) {
+        error('LAUNCH_NOT_HTML', `SCO "${identifier}" launches ${attributes.href}, which is not an HTML page`);
+      }
+    } else if (scormType === 'sco') {
+      error('RESOURCE_NOT_LAUNCHABLE', `SCO "${identifier}" has no href to launch`);
+    }
+
+    for (const file of resource.file || []) {
+      const href = file.$?.href;
+      if (!href) {
+        error('MISSING_FILE', `Resource "${identifier}" lists a file without an href`);
+      } else if (!this.hasFile(files, base, href)) {
+        error('MISSING_FILE', `Resource "${identifier}" lists ${href}, which is not in the package`);
+      }
+    }
+
+    for (const dependency of resource.dependency || []) {
+      const identifierref = dependency.$?.identifierref;
+      if (!resources.has(identifierref)) {
+        error('UNRESOLVED_IDENTIFIERREF', `Resource "${identifier}" depends on resource "${identifierref}", which does not exist`);
+      }
+    }
+  }
+
+  /**
+   * The content packaging namespace must be the default namespace, and every
+   * prefix used on an element or attribute must be declared
+   */
+  checkNamespaces(root, error, cartridge = false) {
+    // Cartridges declare their own content packaging namespace, which is how
+    // they were recognised
+    if (!cartridge && !IMSCP_NAMESPACES.includes(root.$?.xmlns)) {
+      error('MISSING_NAMESPACE', `The manifest does not declare the IMS Content Packaging namespace (${IMSCP_NAMESPACES[0]})`);
+    }
+
+    const declared = new Set(['xml', 'xmlns']);
+    const used = new Set();
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') {
+        return;
+      }
+      for (const name of Object.keys(node.$ || {})) {
+        if (name.startsWith('xmlns:')) {
+          declared.add(name.slice('xmlns:'.length));
+        } else if (name.includes(':')) {
+          used.add(name.split(':')[0]);
+        }
+      }
+      for (const [name, children] of Object.entries(node)) {
+        if (name === '$' || name === '_' || !Array.isArray(children)) {
+          continue;
+        }
+        if (name.includes(':')) {
+          used.add(name.split(':')[0]);
+        }
+        children.forEach(visit);
+      }
+    };
+    visit(root);
+
+    for (const prefix of used) {
+      if (!declared.has(prefix)) {
+        error('MISSING_NAMESPACE', `The "${prefix}" prefix is used but its namespace is never declared`);
+      }
+    }
+  }
+
+  checkSchemaVersion(root, warning, cartridge = false) {
+    const metadata = root.metadata?.[0];
+    const schemaVersion = metadata?.schemaversion?.[0];
+    const version = typeof schemaVersion === 'object' ? schemaVersion._ : schemaVersion;
+
+    if (cartridge) {
+      if (version && !CARTRIDGE_SCHEMA_VERSIONS.includes(String(version).trim())) {
+        warning('UNKNOWN_SCHEMAVERSION', `Schemaversion "${version}" is not a Common Cartridge version`);
+      }
+    } else if (!version) {
+      warning('MISSING_SCHEMAVERSION', 'The manifest metadata does not give a schemaversion, so the SCORM version is guessed');
+    } else if (!KNOWN_SCHEMA_VERSIONS.includes(String(version).trim())) {
+      warning('UNKNOWN_SCHEMAVERSION', `Schemaversion "${version}" is not a SCORM 1.2 or SCORM 2004 version`);
+    }
+  }
+
+  getScormType(resource) {
+    const key = Object.keys(resource.$ || {}).find(name => /(^|:)scormtype$/i.test(name));
+    return key ? resource.$[key] : null;
+  }
+
+  getTitle(item) {
+    const title = item.title?.[0];
+    return (typeof title === 'object' ? title._ : title) || 'untitled';
+  }
+
+  isHtml(href) {
+    return /\.html?$/i.test(href.split(/[?#]/)[0]);
+  }
+
+  /**
+   * Whether a manifest href points at a file in the zip. Remote URLs are not
+   * checked, and percent-encoded names are matched in either form.
+   */
+  hasFile(files, base, href) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(href)) {
+      return true;
+    }
+    const value = `${href.startsWith('/') ? '' : base}${href}`.split(/[?#]/)[0];
+    if (/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+      return true;
+    }
+
+    const normalized = path.posix.normalize(value).replace(/^\.\//, '');
+    if (files.has(normalized)) {
+      return true;
+    }
+    try {
+      return files.has(decodeURIComponent(normalized));
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ScormValidator();
@@ -0,0 +1,254 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Menu branding defaults; a theme only needs the fields it changes
+const DEFAULT_THEME = {
+  primaryColor: '#667eea',
+  secondaryColor: '#764ba2',
+  fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Oxygen', 'Ubuntu', 'Cantarell', 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif",
+  introText: 'Select a course module to begin:',
+  launchButtonLabel: 'Launch Module',
+  resumeButtonLabel: 'Continue where you left off',
+  backButtonLabel: 'Back to menu'
+};
+
+const TEXT_LIMITS = {
+  fontFamily: 200,
+  headingFontFamily: 200,
+  introText: 300,
+  launchButtonLabel: 50,
+  resumeButtonLabel: 100,
+  backButtonLabel: 50,
+  headerHtml: 10000,
+  footerHtml: 10000,
+  customCss: 50000
+};
+
+// Logo media types and the extension the logo is packaged with
+const LOGO_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+  'image/webp': 'webp'
+};
+const MAX_LOGO_SIZE = 512 * 1024;
+
+// Names that would reach the prototype of the object presets are kept in
+const RESERVED_PRESET_NAMES = ['__proto__', 'constructor', 'prototype'];
+
+class ThemeManager {
+  constructor() {
+    // Named presets shared by everyone using this server
+    this.presetsPath = process.env.THEME_PRESETS_PATH || path.join(__dirname, '../data/theme-presets.json');
+    // Changes to the presets file run one after another
+    this.presetsQueue = Promise.resolve();
+  }
+
+  /**
+   * Validates a menu theme sent by the client. Blank fields are null and
+   * keep the default look; the logo is a base64 data URL of an image.
+   * Throws on invalid values so the API can answer with a 400.
+   * @returns {Object|null} Theme, or null when none was given
+   */
+  normalizeTheme(input) {
+    if (input === undefined || input === null) {
+      return null;
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      throw new Error('theme must be an object');
+    }
+
+    const text = (name) => {
+      const value = input[name];
+      if (value === undefined || value === null) {
+        return null;
+      }
+      if (typeof value !== 'string') {
+        throw new Error(`${name} must be text`);
+      }
+      const trimmed = value.trim();
+      if (trimmed.length > TEXT_LIMITS[name]) {
+        throw new Error(`${name} must be at most ${TEXT_LIMITS[name]} characters`);
+      }
+      return trimmed || null;
+    };
+
+    const color = (name) => {
+      const value = input[name];
+      if (value === undefined || value === null || value === '') {
+        return null;
+      }
+      if (typeof value !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value.trim())) {
+        throw new Error(`${name} must be a colour such as #336699`);
+      }
+      return value.trim().toLowerCase();
+    };
+
+    const font = (name) => {
+      const value = text(name);
+      // Fonts end up inside a CSS declaration
+      if (value && /[;{}<>\\]/.test(value)) {
+        throw new Error(`${name} cannot contain ; { } < > or \\`);
+      }
+      return value;
+    };
+
+    const logo = input.logo === undefined || input.logo === null || input.logo === '' ? null : input.logo;
+    if (logo !== null) {
+      this.decodeLogo(logo);
+    }
+
+    return {
+      logo,
+      primaryColor: color('primaryColor'),
+      secondaryColor: color('secondaryColor'),
+      fontFamily: font('fontFamily'),
+      headingFontFamily: font('headingFontFamily'),
+      introText: text('introText'),
+      launchButtonLabel: text('launchButtonLabel'),
+      resumeButtonLabel: text('resumeButtonLabel'),
+      backButtonLabel: text('backButtonLabel'),
+      headerHtml: text('headerHtml'),
+      footerHtml: text('footerHtml'),
+      customCss: text('customCss')
+    };
+  }
+
+  /**
+   * Theme values to build the menu with, defaults filled in
+   */
+  resolveTheme(theme) {
+    const resolved = { ...DEFAULT_THEME };
+    for (const [name, value] of Object.entries(theme || {})) {
+      if (value !== null && value !== undefined) {
+        resolved[name] = value;
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * File contents and extension of a logo data URL
+   * @returns {{extension: string, data: Buffer}}
+   */
+  decodeLogo(dataUrl) {
+    const match = typeof dataUrl === 'string' && /^data:([\w/+.-]+);base64,([A-Za-z0-9+/]*={0,2})$/.exec(dataUrl);
+    if (!match || !LOGO_TYPES[match[1].toLowerCase()]) {
+      throw new Error('logo must be a PNG, JPEG, GIF, SVG or WebP image');
+    }
+    const data = Buffer.from(match[2], 'base64');
+    if (data.length > MAX_LOGO_SIZE) {
+      throw new Error(`logo must be at most ${MAX_LOGO_SIZE / 1024} KB`);
+    }
+    return { extension: LOGO_TYPES[match[1].toLowerCase()], data };
+  }
+
+  /**
+   * Name of the logo file packaged next to the menu, null without a logo
+   */
+  getLogoFilename(theme) {
+    return theme?.logo ? `logo.${this.decodeLogo(theme.logo).extension}` : null;
+  }
+
+  normalizePresetName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || trimmed.length > 100) {
+      throw new Error('Theme names must be between 1 and 100 characters');
+    }
+    if (RESERVED_PRESET_NAMES.includes(trimmed)) {
+      throw new Error(`"${trimmed}" cannot be used as a theme name`);
+    }
+    return trimmed;
+  }
+
+  async readPresets() {
+    try {
+      return Object.assign(Object.create(null), JSON.parse(await fs.readFile(this.presetsPath, 'utf8')));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return Object.create(null);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Writes the presets next to the presets file and renames them over it, so
+   * readers never see a partly written file
+   */
+  async writePresets(presets) {
+    await fs.mkdir(path.dirname(this.presetsPath), { recursive: true });
+    const tempPath = `${this.presetsPath}.${process.pid}-${Date.now()}.tmp`;
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(presets, null, 2));
+      await fs.rename(tempPath, this.presetsPath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Reads, changes and writes the presets after earlier changes are written,
+   * so concurrent saves do not overwrite each other
+   * @param {function(Object): *} change - Changes the presets in place; returning
+   *   false leaves the file as it is
+   * @returns {Promise<*>} What change returned
+   */
+  updatePresets(change) {
+    const update = this.presetsQueue.then(async () => {
+      const presets = await this.readPresets();
+      const result = change(presets);
+      if (result !== false) {
+        await this.writePresets(presets);
+      }
+      return result;
+    });
+    this.presetsQueue = update.catch(() => {});
+    return update;
+  }
+
+  /**
+   * Saved theme presets, by name
+   * @returns {Promise<Array<{name: string, theme: Object}>>}
+   */
+  async listPresets() {
+    const presets = await this.readPresets();
+    return Object.keys(presets)
+      .sort((a, b) => a.localeCompare(b))
+      .map(name => ({ name, theme: presets[name] }));
+  }
+
+  /**
+   * Saves a theme under a name, replacing a preset with the same name
+   */
+  async savePreset(name, theme) {
+    const presetName = this.normalizePresetName(name);
+    const normalized = this.normalizeTheme(theme);
+    if (!normalized) {
+      throw new Error('theme is required');
+    }
+    await this.updatePresets(presets => {
+      presets[presetName] = normalized;
+    });
+    return { name: presetName, theme: normalized };
+  }
+
+  /**
+   * Removes a preset
+   * @returns {Promise<boolean>} false when there was no preset with the name
+   */
+  async deletePreset(name) {
+    return this.updatePresets(presets => {
+      if (!Object.prototype.hasOwnProperty.call(presets, name)) {
+        return false;
+      }
+      delete presets[name];
+      return true;
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new ThemeManager();
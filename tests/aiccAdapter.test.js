@@ -0,0 +1,128 @@
+const JSZip = require('jszip');
+const aiccAdapter = require('../server/aiccAdapter');
+
+describe('AiccAdapter', () => {
+  const courseFiles = {
+    'course.crs': `[Course]
+Course_Creator=Training Team
+Course_ID=SAFETY-101
+Course_System=HTML
+Course_Title=Workplace Safety
+Level=1
+Max_Fields_CST=3
+Total_AUs=2
+Total_Blocks=1
+Version=3.4
+[Course_Behavior]
+Max_Normal=99
+[Course_Description]
+Basic safety rules for every employee.
+`,
+    'course.au': `"System_ID","Type","Command_Line","File_Name","Max_Score","Mastery_Score","Web_Launch"
+"A1","Lesson","","lesson1/index.html","100","80",""
+"A2","Lesson","","https://example.com/lesson2","","","lang=en"
+`,
+    'course.des': `"System_ID","Developer_ID","Title","Description"
+"A1","L1","Fire Safety","Fire exits and extinguishers"
+"A2","L2","First Aid","Basic first aid"
+"B1","M1","Module ""One""","Both lessons"
+`,
+    'course.cst': `"block","member","member"
+"root","B1",""
+"B1","A1","A2"
+`,
+    'lesson1/index.html': '<html><body>Fire safety</body></html>',
+    'lesson1/style.css': 'body { color: red; }'
+  };
+
+  const loadZip = async (files, folder = '') => {
+    const zip = new JSZip();
+    for (const [filename, content] of Object.entries(files)) {
+      zip.file(`${folder}${filename}`, content);
+    }
+    return new JSZip().loadAsync(await zip.generateAsync({ type: 'nodebuffer' }));
+  };
+
+  describe('findCourseRoot', () => {
+    test('should find the folder holding the .crs file', () => {
+      expect(aiccAdapter.findCourseRoot(['course.crs', 'course.au'])).toBe('');
+      expect(aiccAdapter.findCourseRoot(['export/', 'export/Course.CRS'])).toBe('export/');
+      expect(aiccAdapter.findCourseRoot(['index.html'])).toBeNull();
+    });
+
+    test('should reject several course files', () => {
+      expect(() => aiccAdapter.findCourseRoot(['a.crs', 'b/b.crs'])).toThrow('Found 2 AICC course (.crs) files; expected one');
+    });
+  });
+
+  test('should parse quoted comma-separated values', () => {
+    expect(aiccAdapter.parseCsv('"a","b, c","say ""hi"""\r\n\r\nd,e\n')).toEqual([
+      ['a', 'b, c', 'say "hi"'],
+      ['d', 'e']
+    ]);
+  });
+
+  test('should parse the course into organizations and resources', async () => {
+    const course = await aiccAdapter.parse(await loadZip(courseFiles, 'aicc/'), 'aicc/');
+
+    expect(course).toEqual(expect.objectContaining({
+      title: 'Workplace Safety',
+      description: 'Basic safety rules for every employee.',
+      version: '3.4',
+      identifier: 'SAFETY-101'
+    }));
+    expect(course.organizations[0].items).toEqual([{
+      identifier: 'item_B1',
+      title: 'Module "One"',
+      items: [
+        { identifier: 'item_A1', title: 'Fire Safety', identifierref: 'A1', items: [] },
+        { identifier: 'item_A2', title: 'First Aid', identifierref: 'A2', items: [] }
+      ]
+    }]);
+    expect(course.resources[0]).toEqual(expect.objectContaining({
+      identifier: 'A1', href: 'lesson1/index.html', scormType: 'sco', dependencies: ['aicc_content']
+    }));
+    expect(course.resources[1]).toEqual(expect.objectContaining({
+      identifier: 'A2', href: 'aicc_launch_A2.html?lang=en', externalUrl: 'https://example.com/lesson2'
+    }));
+    expect(course.resources[2]).toEqual(expect.objectContaining({
+      identifier: 'aicc_content', scormType: 'asset', files: ['lesson1/index.html', 'lesson1/style.css']
+    }));
+    expect(course.validation.valid).toBe(true);
+    expect(course.validation.warnings.map(warning => warning.code)).toEqual(['AICC_TRACKING']);
+  });
+
+  test('should list units at the top level without a course structure file', async () => {
+    const { 'course.cst': structure, ...files } = courseFiles;
+    const course = await aiccAdapter.parse(await loadZip(files), '');
+
+    expect(course.organizations[0].items.map(item => item.identifierref)).toEqual(['A1', 'A2']);
+  });
+
+  test('should report units whose launch file is missing', async () => {
+    const { 'lesson1/index.html': launchFile, ...files } = courseFiles;
+    const course = await aiccAdapter.parse(await loadZip(files), '');
+
+    expect(course.validation.valid).toBe(false);
+    expect(course.validation.errors).toEqual([{
+      code: 'MISSING_FILE',
+      message: 'Assignable unit "A1" launches lesson1/index.html, which is not in the package'
+    }]);
+  });
+
+  test('should report launch files with malformed escapes as missing', async () => {
+    const files = { ...courseFiles, 'course.au': courseFiles['course.au'].replace('lesson1/index.html', 'lesson1/index%zz.html') };
+    const course = await aiccAdapter.parse(await loadZip(files), '');
+
+    expect(course.validation.errors).toEqual([{
+      code: 'MISSING_FILE',
+      message: 'Assignable unit "A1" launches lesson1/index%zz.html, which is not in the package'
+    }]);
+  });
+
+  test('should reject a course without an .au file', async () => {
+    const { 'course.au': units, ...files } = courseFiles;
+
+    await expect(aiccAdapter.parse(await loadZip(files), '')).rejects.toThrow('AICC course has no assignable unit (.au) file');
+  });
+});
@@ -3,186 +3,13 @@ const fs = require('fs').promises;
 const path = require('path');
 const JSZip = require('jszip');
 
-// Create a minimal Express app for testing
-const express = require('express');
-const multer = require('multer');
-const cors = require('cors');
+// The real app, storing uploads in the test folder
+process.env.UPLOAD_DIR = 'test-uploads';
+const { app, sessions } = require('../server/index');
 const scormProcessor = require('../server/scormProcessor');
+const themeManager = require('../server/themeManager');
 
-const app = express();
-
-app.use(cors());
-app.use(express.json({ limit: '500mb' }));
-app.use(express.urlencoded({ limit: '500mb', extended: true }));
-
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    try {
-      await fs.mkdir('test-uploads', { recursive: true });
-      cb(null, 'test-uploads/');
-    } catch (error) {
-      cb(error);
-    }
-  },
-  filename: (req, file, cb) => {
-    const timestamp = Date.now();
-    cb(null, `${timestamp}-${file.originalname}`);
-  }
-});
-
-const upload = multer({ 
-  storage,
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/zip' || file.originalname.endsWith('.zip')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only ZIP files are allowed'), false);
-    }
-  },
-  limits: {
-    fileSize: 200 * 1024 * 1024,
-    files: 100,
-    fieldSize: 200 * 1024 * 1024
-  }
-});
-
-let sessions = new Map();
-
-// Error handler for multer
-const handleMulterError = (error, req, res, next) => {
-  if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File too large. Maximum size is 200MB per file.' });
-    }
-    return res.status(400).json({ error: `Upload error: ${error.message}` });
-  }
-  if (error.message === 'Only ZIP files are allowed') {
-    return res.status(400).json({ error: error.message });
-  }
-  next(error);
-};
-
-app.post('/api/upload', upload.array('scormPackages', 100), handleMulterError, async (req, res) => {
-  try {
-    const { sessionId } = req.body;
-    let session = sessions.get(sessionId);
-    
-    if (!session) {
-      session = { packages: [] };
-      sessions.set(sessionId, session);
-    }
-
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: 'No files uploaded' });
-    }
-
-    const packages = [];
-    
-    for (const file of req.files) {
-      try {
-        const packageInfo = await scormProcessor.validateAndParsePackage(file.path, file.originalname);
-        const packageData = {
-          id: Date.now() + Math.random(),
-          filename: file.originalname,
-          path: file.path,
-          ...packageInfo
-        };
-        // Use friendly display title for frontend
-        packageData.title = scormProcessor.getDisplayTitle(packageData);
-        
-        // Generate description for tests (use fallback to avoid API calls)
-        try {
-          packageData.description = await scormProcessor.generateDescription(packageData);
-        } catch (error) {
-          console.error('Error generating description in test:', error);
-          packageData.description = 'SCORM learning module';
-        }
-        
-        packages.push(packageData);
-      } catch (error) {
-        const errorPackage = {
-          id: Date.now() + Math.random(),
-          filename: file.originalname,
-          path: file.path,
-          title: 'Untitled SCORM Package', // Default title for error cases
-          description: 'Error processing SCORM package',
-          error: error.message
-        };
-        // Use friendly display title for frontend even in error cases
-        errorPackage.title = scormProcessor.getDisplayTitle(errorPackage);
-        packages.push(errorPackage);
-      }
-    }
-    
-    // Sort packages alphabetically by display title for consistent presentation
-    packages.sort((a, b) => {
-      const titleA = scormProcessor.getDisplayTitle(a).toLowerCase();
-      const titleB = scormProcessor.getDisplayTitle(b).toLowerCase();
-      return titleA.localeCompare(titleB);
-    });
-    
-    session.packages = packages;
-    res.json({ packages });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-app.post('/api/reorder', (req, res) => {
-  try {
-    const { sessionId, packages } = req.body;
-    
-    if (!sessionId) {
-      return res.status(400).json({ error: 'Session ID is required' });
-    }
-    
-    if (!packages) {
-      return res.status(400).json({ error: 'Packages are required' });
-    }
-    
-    let session = sessions.get(sessionId);
-    
-    if (!session) {
-      session = { packages: [] };
-      sessions.set(sessionId, session);
-    }
-    
-    session.packages = packages;
-    res.json({ success: true });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-app.post('/api/merge', async (req, res) => {
-  try {
-    const { sessionId } = req.body;
-    let session = sessions.get(sessionId);
-    
-    if (!session) {
-      session = { packages: [] };
-      sessions.set(sessionId, session);
-    }
-
-    const validPackages = session.packages.filter(pkg => !pkg.error);
-    
-    if (validPackages.length === 0) {
-      return res.status(400).json({ error: 'No valid SCORM packages to merge' });
-    }
-
-    // Sort packages alphabetically by title (using display title which includes friendly names)
-    validPackages.sort((a, b) => {
-      const titleA = scormProcessor.getDisplayTitle(a).toLowerCase();
-      const titleB = scormProcessor.getDisplayTitle(b).toLowerCase();
-      return titleA.localeCompare(titleB);
-    });
-
-    const mergedPackagePath = await scormProcessor.mergePackages(validPackages);
-    res.json({ downloadUrl: `/api/download/${path.basename(mergedPackagePath)}` });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+themeManager.presetsPath = path.join('test-uploads', 'theme-presets.json');
 
 describe('API Endpoints', () => {
   let testScormPackage;
@@ -257,6 +84,98 @@ describe('API Endpoints', () => {
       expect(pkg).toHaveProperty('version', '2004 3rd Edition');
       expect(pkg).toHaveProperty('filename', 'test-package.zip');
       expect(pkg).not.toHaveProperty('error');
+      expect(pkg.validation).toEqual(expect.objectContaining({ errors: expect.any(Array), warnings: expect.any(Array) }));
+      expect(pkg).toHaveProperty('packageRoot', '');
+      expect(pkg).toHaveProperty('format', 'scorm');
+    });
+
+    test('should record the folder holding a nested manifest', async () => {
+      const source = await new JSZip().loadAsync(testScormPackage);
+      const wrapped = new JSZip();
+      for (const [filename, file] of Object.entries(source.files)) {
+        if (!file.dir) {
+          wrapped.file(`export/${filename}`, await file.async('nodebuffer'));
+        }
+      }
+
+      const response = await request(app)
+        .post('/api/upload')
+        .field('sessionId', testSessionId)
+        .attach('scormPackages', await wrapped.generateAsync({ type: 'nodebuffer' }), 'wrapped.zip')
+        .expect(200);
+
+      expect(response.body.packages[0]).not.toHaveProperty('error');
+      expect(response.body.packages[0]).toHaveProperty('packageRoot', 'export/');
+    });
+
+    test('should report each package inside a bundle upload', async () => {
+      const bundle = new JSZip();
+      bundle.file('course/lesson-1.zip', testScormPackage);
+      bundle.file('course/broken.zip', 'not a zip file');
+
+      const response = await request(app)
+        .post('/api/upload')
+        .field('sessionId', testSessionId)
+        .attach('scormPackages', await bundle.generateAsync({ type: 'nodebuffer' }), 'bundle.zip')
+        .expect(200);
+
+      const packages = response.body.packages;
+      const lesson = packages.find(pkg => pkg.filename === 'lesson-1.zip');
+      const broken = packages.find(pkg => pkg.filename === 'broken.zip');
+
+      expect(packages).toHaveLength(2);
+      expect(lesson).not.toHaveProperty('error');
+      expect(lesson).toHaveProperty('title', 'API Test Package');
+      expect(lesson).toHaveProperty('bundle', 'bundle.zip');
+      expect(broken).toHaveProperty('error');
+      expect(broken).toHaveProperty('bundle', 'bundle.zip');
+      await expect(fs.access(lesson.path)).resolves.toBeUndefined();
+    });
+
+    test('should reject a bundle holding more packages than allowed', async () => {
+      const bundle = new JSZip();
+      for (let i = 0; i < 101; i++) {
+        bundle.file(`package-${i}.zip`, 'x');
+      }
+
+      const response = await request(app)
+        .post('/api/upload')
+        .field('sessionId', testSessionId)
+        .attach('scormPackages', await bundle.generateAsync({ type: 'nodebuffer' }), 'too-many.zip')
+        .expect(400);
+
+      expect(response.body.error).toBe('Too many packages. The upload contains 101 packages; the maximum is 100.');
+      expect((await fs.readdir('test-uploads')).filter(file => file.endsWith('-too-many.zip'))).toEqual([]);
+    });
+
+    test('should report coded validation issues for each package', async () => {
+      const zip = new JSZip();
+      zip.file('imsmanifest.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="broken" xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+          xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3">
+  <metadata><schema>ADL SCORM</schema><schemaversion>2004 3rd Edition</schemaversion></metadata>
+  <organizations default="org">
+    <organization identifier="org">
+      <title>Broken</title>
+      <item identifier="item" identifierref="sco"><title>Lesson</title></item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="sco" type="webcontent" adlcp:scormType="sco" href="missing.html" />
+  </resources>
+</manifest>`);
+
+      const response = await request(app)
+        .post('/api/upload')
+        .field('sessionId', testSessionId)
+        .attach('scormPackages', await zip.generateAsync({ type: 'nodebuffer' }), 'broken.zip')
+        .expect(200);
+
+      expect(response.body.packages[0].validation).toEqual({
+        valid: false,
+        errors: [{ code: 'MISSING_FILE', message: 'Resource "sco" launches missing.html, which is not in the package' }],
+        warnings: []
+      });
     });
 
     test('should handle invalid SCORM package', async () => {
@@ -273,6 +192,7 @@ describe('API Endpoints', () => {
       expect(response.body.packages).toHaveLength(1);
       expect(response.body.packages[0]).toHaveProperty('error');
       expect(response.body.packages[0].error).toContain('No imsmanifest.xml found');
+      expect(response.body.packages[0].validation.errors[0]).toHaveProperty('code', 'INVALID_PACKAGE');
     });
 
     test('should reject non-ZIP files', async () => {
@@ -494,6 +414,45 @@ describe('API Endpoints', () => {
       expect(response.body).toHaveProperty('error', 'Packages are required');
     });
 
+    test('should store the sections of the course', async () => {
+      const packages = [
+        { id: '1', title: 'Package 1', section: 'Week 1' },
+        { id: '2', title: 'Package 2' }
+      ];
+
+      await request(app)
+        .post('/api/reorder')
+        .send({ sessionId: 'sections-session', packages, sections: [' Week 1 ', 'Week 2'] })
+        .expect(200);
+      expect(sessions.get('sections-session').sections).toEqual(['Week 1', 'Week 2']);
+
+      const response = await request(app)
+        .post('/api/reorder')
+        .send({ sessionId: 'sections-session', packages, sections: ['Week 1', 'Week 1'] })
+        .expect(400);
+      expect(response.body).toHaveProperty('error', 'Duplicate section: Week 1');
+    });
+
+    test('should only accept prerequisites that come earlier in the course', async () => {
+      const packages = [
+        { id: 1, title: 'Package 1' },
+        { id: 2, title: 'Package 2', prerequisites: 'previous' },
+        { id: 3, title: 'Package 3', prerequisites: ['1'] }
+      ];
+
+      await request(app)
+        .post('/api/reorder')
+        .send({ sessionId: 'prerequisites-session', packages })
+        .expect(200);
+      expect(sessions.get('prerequisites-session').packages[2].prerequisites).toEqual(['1']);
+
+      const response = await request(app)
+        .post('/api/reorder')
+        .send({ sessionId: 'prerequisites-session', packages: [packages[2], packages[0], packages[1]] })
+        .expect(400);
+      expect(response.body).toHaveProperty('error', '"Package 3" can only require packages that come before it');
+    });
+
     test('should create session if not exists', async () => {
       const packages = [{ id: '1', title: 'Package 1' }];
 
@@ -506,6 +465,67 @@ describe('API Endpoints', () => {
     });
   });
 
+  describe('POST /api/packages/edit', () => {
+    const editSessionId = 'edit-session';
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/reorder')
+        .send({
+          sessionId: editSessionId,
+          packages: [
+            { id: 1, title: 'Package 1', description: 'Generated', filename: 'pkg1.zip' },
+            { id: 2, title: 'Package 2', filename: 'pkg2.zip' }
+          ]
+        })
+        .expect(200);
+    });
+
+    test('should store the edits in the session and mark them as user-edited', async () => {
+      const response = await request(app)
+        .post('/api/packages/edit')
+        .send({ sessionId: editSessionId, packageId: '1', title: ' Fire Safety ', menuLabel: 'Module A' })
+        .expect(200);
+
+      expect(response.body.package).toMatchObject({
+        id: 1,
+        title: 'Fire Safety',
+        description: 'Generated',
+        menuLabel: 'Module A',
+        editedFields: ['title', 'menuLabel']
+      });
+
+      const again = await request(app)
+        .post('/api/packages/edit')
+        .send({ sessionId: editSessionId, packageId: 1, description: 'Written by hand', menuLabel: '' })
+        .expect(200);
+
+      expect(again.body.package).not.toHaveProperty('menuLabel');
+      expect(again.body.package).toMatchObject({ title: 'Fire Safety', editedFields: ['title', 'description'] });
+      expect(sessions.get(editSessionId).packages[0]).toEqual(again.body.package);
+    });
+
+    test('should reject invalid edits', async () => {
+      const empty = await request(app)
+        .post('/api/packages/edit')
+        .send({ sessionId: editSessionId, packageId: 2, title: '  ' })
+        .expect(400);
+      expect(empty.body).toHaveProperty('error', 'title cannot be empty');
+
+      const nothing = await request(app)
+        .post('/api/packages/edit')
+        .send({ sessionId: editSessionId, packageId: 2 })
+        .expect(400);
+      expect(nothing.body.error).toContain('Nothing to change');
+
+      const missing = await request(app)
+        .post('/api/packages/edit')
+        .send({ sessionId: editSessionId, packageId: 3, title: 'Other' })
+        .expect(404);
+      expect(missing.body).toHaveProperty('error', 'Package not found');
+    });
+  });
+
   describe('POST /api/merge', () => {
     beforeEach(async () => {
       // Upload a test package first
@@ -553,7 +573,7 @@ describe('API Endpoints', () => {
       expect(response.body).toHaveProperty('error', 'No valid SCORM packages to merge');
     });
 
-    test('should merge packages in alphabetical order by title', async () => {
+    test('should merge packages in alphabetical order when sortBy is title', async () => {
       // Create multiple test packages with different titles  
       const sessionId = 'test-alphabetical-' + Date.now();
       
@@ -658,10 +678,10 @@ describe('API Endpoints', () => {
         .attach('scormPackages', package3Buffer, 'middle-course.zip')
         .expect(200);
 
-      // Merge packages
+      // Merge packages, explicitly opting into alphabetical order
       const mergeResponse = await request(app)
         .post('/api/merge')
-        .send({ sessionId })
+        .send({ sessionId, sortBy: 'title' })
         .expect(200);
 
       expect(mergeResponse.body).toHaveProperty('downloadUrl');
@@ -694,6 +714,636 @@ describe('API Endpoints', () => {
       // Cleanup
       await fs.unlink(mergedPath);
     }, 15000);
+
+    test('should keep the reordered session order through upload, reorder and merge', async () => {
+      const sessionId = 'test-session-order-' + Date.now();
+
+      const createPackage = async (identifier, title, href) => {
+        const zip = new JSZip();
+        zip.file('imsmanifest.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="1.3" xmlns="http://www.imsglobal.org/xsd/imscp_v1p1">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>2004 3rd Edition</schemaversion>
+    <lom xmlns="http://ltsc.ieee.org/xsd/LOM">
+      <general>
+        <title><string language="en">${title}</string></title>
+      </general>
+    </lom>
+  </metadata>
+  <organizations default="${identifier}-org">
+    <organization identifier="${identifier}-org">
+      <title>${title}</title>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="${identifier}-res" href="${href}"><file href="${href}" /></resource>
+  </resources>
+</manifest>`);
+        zip.file(href, `<html><body>${title}</body></html>`);
+        return zip.generateAsync({ type: 'nodebuffer' });
+      };
+
+      const uploadResponse = await request(app)
+        .post('/api/upload')
+        .field('sessionId', sessionId)
+        .attach('scormPackages', await createPackage('apple', 'Apple Course', 'apple.html'), 'apple.zip')
+        .attach('scormPackages', await createPackage('middle', 'Middle Course', 'middle.html'), 'middle.zip')
+        .attach('scormPackages', await createPackage('zebra', 'Zebra Course', 'zebra.html'), 'zebra.zip')
+        .expect(200);
+
+      // Curriculum order chosen in SortStep: Zebra, Apple, Middle
+      const byTitle = (title) => uploadResponse.body.packages.find(pkg => pkg.title === title);
+      const curriculum = [byTitle('Zebra Course'), byTitle('Apple Course'), byTitle('Middle Course')];
+
+      await request(app)
+        .post('/api/reorder')
+        .send({ sessionId, packages: curriculum })
+        .expect(200);
+
+      const mergeResponse = await request(app)
+        .post('/api/merge')
+        .send({ sessionId })
+        .expect(200);
+
+      const filename = mergeResponse.body.downloadUrl.split('/').pop();
+      const mergedPath = path.join(__dirname, '../temp', filename);
+      const zipContents = await new JSZip().loadAsync(await fs.readFile(mergedPath));
+
+      // Manifest items follow the session order
+      const manifestXml = await zipContents.file('imsmanifest.xml').async('string');
+      const zebraIndex = manifestXml.indexOf('<title>Zebra Course</title>');
+      const appleIndex = manifestXml.indexOf('<title>Apple Course</title>');
+      const middleIndex = manifestXml.indexOf('<title>Middle Course</title>');
+      expect(zebraIndex).toBeGreaterThan(0);
+      expect(zebraIndex).toBeLessThan(appleIndex);
+      expect(appleIndex).toBeLessThan(middleIndex);
+
+      // package_N folders are numbered in the same order
+      expect(zipContents.file('package_1/zebra.html')).toBeTruthy();
+      expect(zipContents.file('package_2/apple.html')).toBeTruthy();
+      expect(zipContents.file('package_3/middle.html')).toBeTruthy();
+
+      // Menu entries are listed in the same order
+      const menuHtml = await zipContents.file('menu/index.html').async('string');
+      expect(menuHtml.indexOf('Zebra Course')).toBeLessThan(menuHtml.indexOf('Apple Course'));
+      expect(menuHtml.indexOf('Apple Course')).toBeLessThan(menuHtml.indexOf('Middle Course'));
+
+      await fs.unlink(mergedPath);
+    }, 15000);
+
+    test('should report the resolved output version', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId })
+        .expect(200);
+
+      // The uploaded test package is SCORM 2004
+      expect(response.body).toHaveProperty('outputVersion', '2004');
+      await fs.unlink(path.join(__dirname, '../temp', response.body.downloadUrl.split('/').pop()));
+    });
+
+    test('should report the files shared between packages', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId })
+        .expect(200);
+
+      expect(response.body.report.verification).toHaveProperty('valid', true);
+      expect(response.body.report.deduplication).toEqual(expect.objectContaining({
+        sharedFiles: expect.any(Number),
+        bytesSaved: expect.any(Number)
+      }));
+      await fs.unlink(path.join(__dirname, '../temp', response.body.downloadUrl.split('/').pop()));
+    });
+
+    test('should reject a dedupeAssets option that is not a boolean', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, dedupeAssets: 'yes' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'dedupeAssets must be true or false');
+    });
+
+    test('should emit a SCORM 1.2 package when requested', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, outputVersion: '1.2' })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('outputVersion', '1.2');
+
+      const mergedPath = path.join(__dirname, '../temp', response.body.downloadUrl.split('/').pop());
+      const zipContents = await new JSZip().loadAsync(await fs.readFile(mergedPath));
+      const manifestXml = await zipContents.file('imsmanifest.xml').async('string');
+      expect(manifestXml).toContain('adlcp_rootv1p2');
+
+      await fs.unlink(mergedPath);
+    });
+
+    test('should describe the course and offer the chosen file name', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, courseTitle: 'Safety Training', courseLanguage: 'de', outputFilename: 'safety training' })
+        .expect(200);
+
+      const [filename, query] = response.body.downloadUrl.split('/').pop().split('?');
+      expect(query).toBe('name=safety%20training.zip');
+
+      const mergedPath = path.join(__dirname, '../temp', filename);
+      const zipContents = await new JSZip().loadAsync(await fs.readFile(mergedPath));
+      const manifestXml = await zipContents.file('imsmanifest.xml').async('string');
+      expect(manifestXml).toContain('<title>Safety Training</title>');
+      expect(await zipContents.file('menu/index.html').async('string')).toContain('<html lang="de">');
+
+      await fs.unlink(mergedPath);
+    });
+
+    test('should merge the packages of a section under its heading', async () => {
+      const packages = sessions.get(testSessionId).packages.map(pkg => ({ ...pkg, section: 'Week 1' }));
+      await request(app)
+        .post('/api/reorder')
+        .send({ sessionId: testSessionId, packages, sections: ['Week 1'] })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId })
+        .expect(200);
+
+      const mergedPath = path.join(__dirname, '../temp', response.body.downloadUrl.split('/').pop());
+      const zipContents = await new JSZip().loadAsync(await fs.readFile(mergedPath));
+      const manifestXml = await zipContents.file('imsmanifest.xml').async('string');
+      expect(manifestXml).toContain('<item identifier="section_1">\n          <title>Week 1</title>');
+      expect(await zipContents.file('menu/index.html').async('string')).toContain('<summary>Week 1</summary>');
+
+      await fs.unlink(mergedPath);
+    });
+
+    test('should reject invalid course details', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, outputFilename: 'a/b' })
+        .expect(400);
+
+      expect(response.body.error).toContain('outputFilename cannot contain');
+    });
+
+    test('should emit a cmi5 course when requested', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, outputFormat: 'cmi5' })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('outputFormat', 'cmi5');
+      expect(response.body.downloadUrl).toContain('merged-cmi5-');
+
+      const mergedPath = path.join(__dirname, '../temp', response.body.downloadUrl.split('/').pop());
+      const zipContents = await new JSZip().loadAsync(await fs.readFile(mergedPath));
+      expect(zipContents.file('cmi5.xml')).not.toBeNull();
+      expect(zipContents.file('imsmanifest.xml')).toBeNull();
+
+      await fs.unlink(mergedPath);
+    });
+
+    test('should emit a Common Cartridge when requested', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, outputFormat: 'imscc' })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('outputFormat', 'imscc');
+      expect(response.body.downloadUrl).toContain('merged-imscc-');
+      expect(response.body.report.verification.valid).toBe(true);
+
+      const mergedPath = path.join(__dirname, '../temp', response.body.downloadUrl.split('/').pop());
+      const zipContents = await new JSZip().loadAsync(await fs.readFile(mergedPath));
+      const manifestXml = await zipContents.file('imsmanifest.xml').async('string');
+      expect(manifestXml).toContain('<schema>IMS Common Cartridge</schema>');
+      expect(manifestXml).toContain('<schemaversion>1.3.0</schemaversion>');
+
+      await fs.unlink(mergedPath);
+    });
+
+    test('should reject an unknown outputFormat option', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, outputFormat: 'xapi' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid outputFormat option: xapi');
+    });
+
+    test('should reject an unknown outputVersion option', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, outputVersion: '2.0' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid outputVersion option: 2.0');
+    });
+
+    test('should reject an unknown sortBy option', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, sortBy: 'random' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid sortBy option: random');
+    });
+
+    test('should add the requested sequencing strategy', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, sequencing: 'completeAll' })
+        .expect(200);
+
+      const mergedPath = path.join(__dirname, '../temp', response.body.downloadUrl.split('/').pop());
+      const zipContents = await new JSZip().loadAsync(await fs.readFile(mergedPath));
+      const manifestXml = await zipContents.file('imsmanifest.xml').async('string');
+      expect(manifestXml).toContain('<imsss:rollupRules>');
+
+      await fs.unlink(mergedPath);
+    });
+
+    test('should reject an unknown sequencing option', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, sequencing: 'random' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid sequencing option: random');
+    });
+
+    test('should embed the completion rule in the course menu', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, completionRule: 'count', completionCount: 1 })
+        .expect(200);
+
+      const mergedPath = path.join(__dirname, '../temp', response.body.downloadUrl.split('/').pop());
+      const zipContents = await new JSZip().loadAsync(await fs.readFile(mergedPath));
+      const menuJs = await zipContents.file('menu/menu.js').async('string');
+      expect(menuJs).toContain('"rule":"count"');
+      expect(menuJs).toContain('"count":1');
+
+      await fs.unlink(mergedPath);
+    });
+
+    test('should use the score weights saved with the package order', async () => {
+      const session = sessions.get(testSessionId);
+      await request(app)
+        .post('/api/reorder')
+        .send({ sessionId: testSessionId, packages: session.packages.map(pkg => ({ ...pkg, weight: 4 })) })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, scoreMethod: 'weighted', masteryScore: 70 })
+        .expect(200);
+
+      const mergedPath = path.join(__dirname, '../temp', response.body.downloadUrl.split('/').pop());
+      const zipContents = await new JSZip().loadAsync(await fs.readFile(mergedPath));
+      const menuJs = await zipContents.file('menu/menu.js').async('string');
+      expect(menuJs).toContain('"scoring":{"method":"weighted","weights":[4],"masteryScore":70}');
+
+      await fs.unlink(mergedPath);
+    });
+
+    test('should reject an unknown launchMode option', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, launchMode: 'popup' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid launchMode option: popup');
+    });
+
+    test('should reject a completion rule without a module count', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, completionRule: 'count' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'completionCount must be a positive integer');
+    });
+
+    test('should keep every lesson of a multi-SCO package in structural mode', async () => {
+      const zip = new JSZip();
+      zip.file('imsmanifest.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="multi-sco" version="1.3" xmlns="http://www.imsglobal.org/xsd/imscp_v1p1">
+  <organizations default="multi-org">
+    <organization identifier="multi-org">
+      <title>Multi SCO Course</title>
+      <item identifier="lesson_1" identifierref="res_1"><title>Lesson One</title></item>
+      <item identifier="lesson_2" identifierref="res_2"><title>Lesson Two</title></item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="res_1" type="webcontent" href="one.html"><file href="one.html" /></resource>
+    <resource identifier="res_2" type="webcontent" href="two.html"><file href="two.html" /></resource>
+  </resources>
+</manifest>`);
+      zip.file('one.html', '<html><head></head><body>One</body></html>');
+      zip.file('two.html', '<html><head></head><body>Two</body></html>');
+
+      await request(app)
+        .post('/api/upload')
+        .field('sessionId', testSessionId)
+        .attach('scormPackages', await zip.generateAsync({ type: 'nodebuffer' }), 'multi-sco.zip')
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, mergeMode: 'structural' })
+        .expect(200);
+
+      const mergedPath = path.join(__dirname, '../temp', response.body.downloadUrl.split('/').pop());
+      const zipContents = await new JSZip().loadAsync(await fs.readFile(mergedPath));
+      const manifestXml = await zipContents.file('imsmanifest.xml').async('string');
+      expect(manifestXml).toContain('<item identifier="pkg_1_lesson_1" identifierref="pkg_1_res_1">');
+      expect(manifestXml).toContain('<title>Lesson Two</title>');
+      expect(manifestXml).toContain('href="package_1/two.html"');
+
+      await fs.unlink(mergedPath);
+    }, 15000);
+
+    test('should brand the course menu with the theme', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({
+          sessionId: testSessionId,
+          theme: { logo: 'data:image/png;base64,iVBORw0KGgo=', primaryColor: '#123456', launchButtonLabel: 'Start' }
+        })
+        .expect(200);
+
+      const mergedPath = path.join(__dirname, '../temp', response.body.downloadUrl.split('/').pop());
+      const zipContents = await new JSZip().loadAsync(await fs.readFile(mergedPath));
+      expect(zipContents.file('menu/logo.png')).not.toBeNull();
+      expect(await zipContents.file('menu/style.css').async('string')).toContain('--menu-primary: #123456;');
+      expect(await zipContents.file('menu/index.html').async('string')).toContain('<button onclick="launchPackage(1)">Start</button>');
+
+      await fs.unlink(mergedPath);
+    });
+
+    test('should reject an invalid theme', async () => {
+      const response = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, theme: { primaryColor: 'red' } })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'primaryColor must be a colour such as #336699');
+    });
+  });
+
+  describe('Theme presets', () => {
+    afterEach(async () => {
+      await fs.rm(themeManager.presetsPath, { force: true });
+    });
+
+    test('should save, list and delete presets', async () => {
+      const saved = await request(app)
+        .post('/api/themes')
+        .send({ name: ' Company ', theme: { primaryColor: '#ABCDEF', footerHtml: '<p>© Company</p>' } })
+        .expect(200);
+
+      expect(saved.body.name).toBe('Company');
+      expect(saved.body.theme).toMatchObject({ primaryColor: '#abcdef', footerHtml: '<p>© Company</p>', logo: null });
+
+      const listed = await request(app).get('/api/themes').expect(200);
+      expect(listed.body.themes).toEqual([saved.body]);
+
+      await request(app).delete('/api/themes/Company').expect(200);
+      expect((await request(app).get('/api/themes').expect(200)).body.themes).toEqual([]);
+    });
+
+    test('should reject invalid presets', async () => {
+      const unnamed = await request(app)
+        .post('/api/themes')
+        .send({ name: '  ', theme: {} })
+        .expect(400);
+      expect(unnamed.body).toHaveProperty('error', 'Theme names must be between 1 and 100 characters');
+
+      const empty = await request(app)
+        .post('/api/themes')
+        .send({ name: 'Company' })
+        .expect(400);
+      expect(empty.body).toHaveProperty('error', 'theme is required');
+
+      const badFont = await request(app)
+        .post('/api/themes')
+        .send({ name: 'Company', theme: { fontFamily: 'Arial; color: red' } })
+        .expect(400);
+      expect(badFont.body.error).toContain('fontFamily cannot contain');
+    });
+
+    test('should return 404 for an unknown preset', async () => {
+      const response = await request(app)
+        .delete('/api/themes/Missing')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Theme not found');
+    });
+  });
+
+  describe('POST /api/split', () => {
+    test('should split a merged package into its original packages', async () => {
+      await request(app)
+        .post('/api/upload')
+        .field('sessionId', testSessionId)
+        .attach('scormPackages', testScormPackage, 'first.zip')
+        .attach('scormPackages', testScormPackage, 'second.zip')
+        .expect(200);
+      const mergeResponse = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId })
+        .expect(200);
+      const mergedPath = path.join(__dirname, '../temp', mergeResponse.body.downloadUrl.split('/').pop());
+
+      const response = await request(app)
+        .post('/api/split')
+        .attach('mergedPackage', mergedPath)
+        .expect(200);
+
+      expect(response.body.downloadUrl).toContain('/api/download/split-packages-');
+      expect(response.body.packages).toHaveLength(2);
+      expect(response.body.packages[0]).toMatchObject({ title: 'API Test Package', filename: '01-api-test-package.zip' });
+
+      const splitPath = path.join(__dirname, '../temp', response.body.downloadUrl.split('/').pop());
+      const bundle = await new JSZip().loadAsync(await fs.readFile(splitPath));
+      expect(Object.keys(bundle.files).sort()).toEqual(['01-api-test-package.zip', '02-api-test-package.zip']);
+
+      await fs.unlink(mergedPath);
+      await fs.unlink(splitPath);
+    }, 15000);
+
+    test('should reject a package that was not merged', async () => {
+      const response = await request(app)
+        .post('/api/split')
+        .attach('mergedPackage', testScormPackage, 'test.zip')
+        .expect(400);
+
+      expect(response.body.error).toContain('This is not a package merged by SCORM Merge');
+    });
+
+    test('should reject a request without a file', async () => {
+      const response = await request(app)
+        .post('/api/split')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'No file uploaded');
+    });
+  });
+
+  describe('POST /api/remerge', () => {
+    test('should replace a module of an uploaded merged package', async () => {
+      const sessionId = 'remerge-' + Date.now();
+      await request(app)
+        .post('/api/upload')
+        .field('sessionId', sessionId)
+        .attach('scormPackages', testScormPackage, 'first.zip')
+        .attach('scormPackages', testScormPackage, 'second.zip')
+        .expect(200);
+      const mergeResponse = await request(app)
+        .post('/api/merge')
+        .send({ sessionId })
+        .expect(200);
+      const mergedPath = path.join(__dirname, '../temp', mergeResponse.body.downloadUrl.split('/').pop());
+
+      const mergedResponse = await request(app)
+        .post('/api/remerge/upload')
+        .field('sessionId', sessionId)
+        .attach('mergedPackage', mergedPath)
+        .expect(200);
+      expect(mergedResponse.body).toEqual({
+        version: '2004',
+        modules: [{ number: 1, title: 'API Test Package' }, { number: 2, title: 'API Test Package' }]
+      });
+
+      const replacementResponse = await request(app)
+        .post('/api/remerge/packages')
+        .field('sessionId', sessionId)
+        .attach('scormPackages', testScormPackage, 'replacement.zip')
+        .expect(200);
+      const replacementId = replacementResponse.body.packages[0].id;
+      // The packages of the merge steps are left alone
+      expect(sessions.get(sessionId).packages.map(pkg => pkg.filename)).toEqual(['first.zip', 'second.zip']);
+
+      const response = await request(app)
+        .post('/api/remerge')
+        .send({ sessionId, changes: [{ packageId: replacementId, module: 2 }, { packageId: replacementId, module: null }] })
+        .expect(200);
+
+      expect(response.body.downloadUrl).toContain('/api/download/merged-scorm-');
+      expect(response.body.summary).toEqual({
+        replaced: [{ module: 2, previousTitle: 'API Test Package', title: 'API Test Package' }],
+        added: [{ module: 3, title: 'API Test Package' }],
+        unchanged: 1
+      });
+      expect(response.body.report.verification.valid).toBe(true);
+
+      await fs.unlink(mergedPath);
+      await fs.unlink(path.join(__dirname, '../temp', response.body.downloadUrl.split('/').pop()));
+    }, 20000);
+
+    test('should reject a package that was not merged', async () => {
+      const response = await request(app)
+        .post('/api/remerge/upload')
+        .field('sessionId', 'remerge-session')
+        .attach('mergedPackage', testScormPackage, 'test.zip')
+        .expect(400);
+
+      expect(response.body.error).toContain('This is not a package merged by SCORM Merge');
+    });
+
+    test('should only use packages uploaded for the re-merge', async () => {
+      const sessionId = 'remerge-separate-' + Date.now();
+      const uploadResponse = await request(app)
+        .post('/api/upload')
+        .field('sessionId', sessionId)
+        .attach('scormPackages', testScormPackage, 'first.zip')
+        .expect(200);
+      const mergeResponse = await request(app)
+        .post('/api/merge')
+        .send({ sessionId })
+        .expect(200);
+      const mergedPath = path.join(__dirname, '../temp', mergeResponse.body.downloadUrl.split('/').pop());
+      await request(app)
+        .post('/api/remerge/upload')
+        .field('sessionId', sessionId)
+        .attach('mergedPackage', mergedPath)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/remerge')
+        .send({ sessionId, changes: [{ packageId: uploadResponse.body.packages[0].id, module: 1 }] })
+        .expect(400);
+
+      expect(response.body.error).toContain('Unknown package');
+      await fs.unlink(mergedPath);
+    }, 20000);
+
+    test('should require files for the re-merge', async () => {
+      const response = await request(app)
+        .post('/api/remerge/packages')
+        .field('sessionId', 'remerge-session')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'No files uploaded');
+    });
+
+    test('should require a merged package before re-merging', async () => {
+      const response = await request(app)
+        .post('/api/remerge')
+        .send({ sessionId: 'remerge-session', changes: [] })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'No merged package uploaded');
+    });
+  });
+
+  describe('GET /api/download/:filename', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/upload')
+        .field('sessionId', testSessionId)
+        .attach('scormPackages', testScormPackage, 'test.zip');
+    });
+
+    test('should offer the merged package under the chosen file name', async () => {
+      const mergeResponse = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, outputFilename: 'safety training' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(mergeResponse.body.downloadUrl)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toBe('attachment; filename="safety training.zip"');
+    });
+
+    test('should fall back to the default name for the format', async () => {
+      const mergeResponse = await request(app)
+        .post('/api/merge')
+        .send({ sessionId: testSessionId, outputFormat: 'imscc' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`${mergeResponse.body.downloadUrl}?name=${encodeURIComponent('../escape')}`)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toBe('attachment; filename="merged-common-cartridge.imscc"');
+    });
+
+    test('should return 404 for an unknown file', async () => {
+      const response = await request(app)
+        .get('/api/download/merged-scorm-0.zip')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'File not found');
+    });
   });
 
   describe('Error Handling', () => {
@@ -0,0 +1,233 @@
+const fs = require('fs').promises;
+const path = require('path');
+const JSZip = require('jszip');
+const yauzl = require('yauzl');
+const assetDeduplicator = require('../server/assetDeduplicator');
+const scormProcessor = require('../server/scormProcessor');
+
+describe('AssetDeduplicator', () => {
+  const packagePaths = [];
+
+  const createPackage = async (name, files) => {
+    const zip = new JSZip();
+    zip.file('imsmanifest.xml', '<manifest identifier="dedupe"></manifest>');
+    for (const [filename, content] of Object.entries(files)) {
+      zip.file(filename, content);
+    }
+    const packagePath = path.join('test-uploads', `dedupe-${name}.zip`);
+    await fs.writeFile(packagePath, await zip.generateAsync({ type: 'nodebuffer' }));
+    packagePaths.push(packagePath);
+    return packagePath;
+  };
+
+  afterAll(async () => {
+    for (const packagePath of packagePaths) {
+      await fs.unlink(packagePath).catch(() => {});
+    }
+  });
+
+  describe('references', () => {
+    const packageFiles = new Set(['index.html', 'lib/jquery.js', 'css/style.css', 'fonts/icons.woff']);
+
+    test('should find package files referenced from HTML, CSS and JS', () => {
+      const html = Buffer.from('<p>Don\'t skip</p><script src="lib/jquery.js?v=3"></script><a href="https://example.com/x.js">x</a>');
+      const css = Buffer.from('@font-face { src: url(../fonts/icons.woff) format("woff"); } .a { background: url("../img/missing.png"); }');
+
+      expect(assetDeduplicator.findReferences(html, 'index.html', packageFiles)).toEqual(['lib/jquery.js', null]);
+      expect(assetDeduplicator.findReferences(css, 'css/style.css', packageFiles)).toEqual(['fonts/icons.woff', null, null]);
+    });
+
+    test('should rewrite references to shared files relative to the output location', () => {
+      const sharedPaths = new Map([
+        ['package_2/lib/jquery.js', 'shared/abc123/jquery.js'],
+        ['package_2/fonts/icons.woff', 'shared/def456/icons.woff']
+      ]);
+
+      const html = assetDeduplicator.rewriteReferences(
+        Buffer.from('<script src="lib/jquery.js?v=3"></script><img src="logo.png">'),
+        'package_2', 'index.html', 'package_2/index.html', sharedPaths
+      );
+      const css = assetDeduplicator.rewriteReferences(
+        Buffer.from('src: url(../fonts/icons.woff#iefix)'),
+        'package_2', 'css/style.css', 'shared/789abc/style.css', sharedPaths
+      );
+
+      expect(html.toString()).toBe('<script src="../shared/abc123/jquery.js?v=3"></script><img src="logo.png">');
+      expect(css.toString()).toBe('src: url(../def456/icons.woff#iefix)');
+    });
+
+    test('should keep content untouched when nothing is shared', () => {
+      const content = Buffer.from([0x3c, 0x70, 0x3e, 0xe9, 0x3c, 0x2f, 0x70, 0x3e]);
+      const result = assetDeduplicator.rewriteReferences(content, 'package_1', 'index.html', 'package_1/index.html',
+        new Map([['package_1/other.js', 'shared/1/other.js']]));
+
+      expect(result).toBe(content);
+    });
+  });
+
+  describe('planSharedAssets', () => {
+    test('should share identical files and report the bytes saved', async () => {
+      const jquery = 'window.jQuery = function() {};'.repeat(100);
+      const packages = [
+        { path: await createPackage('plan-1', { 'index.html': '<script src="js/jquery.js"></script>', 'js/jquery.js': jquery }) },
+        { path: await createPackage('plan-2', { 'start.html': '<script src="lib/jquery.js"></script>', 'lib/jquery.js': jquery }) }
+      ];
+
+      const { sharedPaths, report } = await assetDeduplicator.planSharedAssets(packages);
+
+      expect(sharedPaths.get('package_1/js/jquery.js')).toMatch(/^shared\/[0-9a-f]{12}\/jquery\.js$/);
+      expect(sharedPaths.get('package_2/lib/jquery.js')).toBe(sharedPaths.get('package_1/js/jquery.js'));
+      expect(sharedPaths.has('package_1/index.html')).toBe(false);
+      expect(report).toEqual({ sharedFiles: 1, duplicatesRemoved: 1, bytesSaved: jquery.length });
+    });
+
+    test('should not share a stylesheet whose referenced files differ between packages', async () => {
+      const css = '.logo { background: url(logo.png); }';
+      const packages = [
+        { path: await createPackage('css-1', { 'skin/style.css': css, 'skin/logo.png': 'first logo' }) },
+        { path: await createPackage('css-2', { 'skin/style.css': css, 'skin/logo.png': 'second logo' }) }
+      ];
+
+      const { sharedPaths } = await assetDeduplicator.planSharedAssets(packages);
+
+      expect(sharedPaths.size).toBe(0);
+    });
+
+    test('should leave files that are not referenced by a rewritable path in their package', async () => {
+      const files = {
+        'index.html': '<script src="js/app.js"></script><script>var image = \'images/\' + \'a.png\';</script>',
+        'js/app.js': 'fetch(\'data/\'+\'slides.xml\');',
+        'images/a.png': 'image data',
+        'data/slides.xml': '<slides><slide src="media/b.mp3" /></slides>',
+        'media/b.mp3': 'audio data',
+        'unused.css': 'body {}'
+      };
+      const packages = [
+        { path: await createPackage('dynamic-1', files) },
+        { path: await createPackage('dynamic-2', files) }
+      ];
+
+      const { sharedPaths } = await assetDeduplicator.planSharedAssets(packages);
+
+      expect([...sharedPaths.keys()].sort()).toEqual(['package_1/js/app.js', 'package_2/js/app.js']);
+    });
+
+    test('should close the package when reading it fails', async () => {
+      const packagePath = await createPackage('unreadable', { 'index.html': '<p>Lesson</p>' });
+      const openPromise = yauzl.openPromise;
+      let zipFile;
+      const openSpy = jest.spyOn(yauzl, 'openPromise').mockImplementation(async (...args) => {
+        zipFile = await openPromise(...args);
+        return zipFile;
+      });
+      const hashSpy = jest.spyOn(assetDeduplicator, 'hashEntry').mockRejectedValue(new Error('invalid compressed data'));
+
+      try {
+        await expect(assetDeduplicator.planSharedAssets([{ path: packagePath }])).rejects.toThrow('invalid compressed data');
+      } finally {
+        openSpy.mockRestore();
+        hashSpy.mockRestore();
+      }
+      expect(zipFile.isOpen).toBe(false);
+      expect(zipFile.reader.refCount).toBe(0);
+    });
+  });
+
+  test('should store shared files once in the merged package', async () => {
+    const jquery = 'window.jQuery = function() {};'.repeat(100);
+    const css = '@font-face { src: url(../fonts/icons.woff); }';
+    const files = {
+      'index.html': '<html><head><link href="css/style.css" rel="stylesheet"><script src="js/jquery.js"></script></head><body></body></html>',
+      'js/jquery.js': jquery,
+      'css/style.css': css,
+      'fonts/icons.woff': 'font data'
+    };
+    const packages = [
+      {
+        title: 'First',
+        path: await createPackage('merge-1', files),
+        resources: [{ identifier: 'sco', href: 'index.html', files: Object.keys(files) }]
+      },
+      {
+        title: 'Second',
+        path: await createPackage('merge-2', files),
+        resources: [{ identifier: 'sco', href: 'index.html', files: Object.keys(files) }]
+      }
+    ];
+
+    const { outputPath, report } = await scormProcessor.mergePackages(packages, null, { dedupeAssets: true });
+    const zipContents = await new JSZip().loadAsync(await fs.readFile(outputPath));
+    await fs.unlink(outputPath);
+
+    const sharedFiles = Object.keys(zipContents.files).filter(name => name.startsWith('shared/') && !zipContents.files[name].dir);
+    const jqueryPath = sharedFiles.find(name => name.endsWith('/jquery.js'));
+    const cssPath = sharedFiles.find(name => name.endsWith('/style.css'));
+    const fontPath = sharedFiles.find(name => name.endsWith('/icons.woff'));
+    const html = await zipContents.file('package_2/index.html').async('string');
+    const sharedCss = await zipContents.file(cssPath).async('string');
+    const manifest = await zipContents.file('imsmanifest.xml').async('string');
+
+    expect(sharedFiles).toHaveLength(3);
+    expect(zipContents.file('package_1/js/jquery.js')).toBeNull();
+    expect(zipContents.file('package_2/js/jquery.js')).toBeNull();
+    expect(html).toContain(`<script src="../${jqueryPath}"></script>`);
+    expect(html).toContain(`<link href="../${cssPath}"`);
+    expect(sharedCss).toBe(`@font-face { src: url(${path.posix.relative(path.posix.dirname(cssPath), fontPath)}); }`);
+    expect(manifest).toContain(`<file href="${jqueryPath}" />`);
+    expect(manifest).toContain('<file href="package_2/index.html" />');
+    expect(report.deduplication).toEqual({
+      sharedFiles: 3,
+      duplicatesRemoved: 3,
+      bytesSaved: jquery.length + css.length + 'font data'.length
+    });
+  }, 15000);
+
+  test('should keep files whose paths are built at runtime where the course loads them', async () => {
+    const files = {
+      'index.html': '<html><head><script src="js/player.js"></script></head>' +
+        '<body><script>var image = \'images/\' + \'a.png\'; fetch(\'data/\'+\'slides.xml\');</script></body></html>',
+      'js/player.js': 'window.player = {};'.repeat(100),
+      'images/a.png': 'image data',
+      'data/slides.xml': '<slides />'
+    };
+    const packages = [];
+    for (const number of [1, 2]) {
+      packages.push({
+        title: `Module ${number}`,
+        path: await createPackage(`runtime-${number}`, files),
+        resources: [{ identifier: 'sco', href: 'index.html', files: Object.keys(files) }]
+      });
+    }
+
+    const { outputPath, report } = await scormProcessor.mergePackages(packages, null, { dedupeAssets: true });
+    const zipContents = await new JSZip().loadAsync(await fs.readFile(outputPath));
+    await fs.unlink(outputPath);
+
+    for (const folder of ['package_1', 'package_2']) {
+      expect(await zipContents.file(`${folder}/images/a.png`).async('string')).toBe('image data');
+      expect(await zipContents.file(`${folder}/data/slides.xml`).async('string')).toBe('<slides />');
+      expect(zipContents.file(`${folder}/js/player.js`)).toBeNull();
+    }
+    expect(report.deduplication).toMatchObject({ sharedFiles: 1, duplicatesRemoved: 1 });
+  }, 15000);
+
+  test('should not share files unless asked to', async () => {
+    const files = { 'index.html': '<script src="js/app.js"></script>', 'js/app.js': 'window.app = {};' };
+    const packages = [];
+    for (const number of [1, 2]) {
+      packages.push({
+        title: `Module ${number}`,
+        path: await createPackage(`default-${number}`, files),
+        resources: [{ identifier: 'sco', href: 'index.html', files: Object.keys(files) }]
+      });
+    }
+
+    const { outputPath, report } = await scormProcessor.mergePackages(packages);
+    const zipContents = await new JSZip().loadAsync(await fs.readFile(outputPath));
+    await fs.unlink(outputPath);
+
+    expect(zipContents.file('package_1/js/app.js')).not.toBeNull();
+    expect(zipContents.file('package_2/js/app.js')).not.toBeNull();
+    expect(report.deduplication).toEqual({ sharedFiles: 0, duplicatesRemoved: 0, bytesSaved: 0 });
+  });
+});
@@ -0,0 +1,129 @@
+const fs = require('fs').promises;
+const path = require('path');
+const JSZip = require('jszip');
+const bundleExtractor = require('../server/bundleExtractor');
+
+describe('BundleExtractor', () => {
+  const createZip = async (name, files) => {
+    const zip = new JSZip();
+    for (const [filename, content] of Object.entries(files)) {
+      zip.file(filename, content);
+    }
+    const zipPath = path.join('test-uploads', name);
+    await fs.writeFile(zipPath, await zip.generateAsync({ type: 'nodebuffer' }));
+    return zipPath;
+  };
+
+  const packageFiles = {
+    'imsmanifest.xml': '<manifest identifier="bundled"></manifest>',
+    'index.html': '<html><body>Lesson</body></html>'
+  };
+
+  afterAll(async () => {
+    const files = await fs.readdir('test-uploads');
+    for (const file of files.filter(name => name.includes('bundle-'))) {
+      await fs.unlink(path.join('test-uploads', file)).catch(() => {});
+    }
+  });
+
+  describe('listInnerZips', () => {
+    test('should return null for an ordinary package', async () => {
+      const packagePath = await createZip('bundle-plain.zip', { ...packageFiles, 'media/extra.zip': 'download' });
+
+      expect(await bundleExtractor.listInnerZips(packagePath)).toBeNull();
+    });
+
+    test('should return null for an AICC course with a zip attachment', async () => {
+      const coursePath = await createZip('bundle-aicc.zip', {
+        'course.crs': '[Course]\nCourse_ID=C1',
+        'course.au': '"System_ID","File_Name"\n"A1","index.html"',
+        'index.html': '<html></html>',
+        'downloads/resources.zip': 'download'
+      });
+
+      expect(await bundleExtractor.listInnerZips(coursePath)).toBeNull();
+    });
+
+    test('should return null for a file that is not a zip', async () => {
+      const filePath = path.join('test-uploads', 'bundle-invalid.zip');
+      await fs.writeFile(filePath, 'not a zip file');
+
+      expect(await bundleExtractor.listInnerZips(filePath)).toBeNull();
+    });
+
+    test('should list the zips inside a bundle', async () => {
+      const lesson = await new JSZip().file('imsmanifest.xml', '<manifest/>').generateAsync({ type: 'nodebuffer' });
+      const bundlePath = await createZip('bundle-list.zip', {
+        'lesson-1.zip': lesson,
+        'more/lesson-2.zip': lesson,
+        'readme.txt': 'Two lessons',
+        '__MACOSX/._lesson-1.zip': 'resource fork'
+      });
+
+      const innerZips = await bundleExtractor.listInnerZips(bundlePath);
+
+      expect(innerZips.map(zip => zip.fileName)).toEqual(['lesson-1.zip', 'more/lesson-2.zip']);
+      expect(innerZips[0].size).toBe(lesson.length);
+    });
+  });
+
+  describe('expandUploads', () => {
+    test('should replace a bundle by the packages it contains', async () => {
+      const lesson = await new JSZip().file('imsmanifest.xml', '<manifest/>').generateAsync({ type: 'nodebuffer' });
+      const plainPath = await createZip('bundle-single.zip', packageFiles);
+      const bundlePath = await createZip('bundle-expand.zip', { 'lesson-1.zip': lesson, 'lesson-2.zip': lesson });
+
+      const uploads = await bundleExtractor.expandUploads([
+        { path: plainPath, originalname: 'single.zip' },
+        { path: bundlePath, originalname: 'course.zip' }
+      ], { maxPackages: 10, maxPackageSize: 1024 * 1024 });
+
+      expect(uploads.map(upload => [upload.originalname, upload.bundle])).toEqual([
+        ['single.zip', undefined],
+        ['lesson-1.zip', 'course.zip'],
+        ['lesson-2.zip', 'course.zip']
+      ]);
+      expect(await fs.readFile(uploads[1].path)).toEqual(lesson);
+      expect(path.dirname(uploads[1].path)).toBe('test-uploads');
+      await expect(fs.access(bundlePath)).rejects.toThrow();
+    });
+
+    test('should report inner zips over the size limit', async () => {
+      const bundlePath = await createZip('bundle-large.zip', { 'large.zip': 'x'.repeat(2048), 'small.zip': 'x' });
+
+      const uploads = await bundleExtractor.expandUploads([{ path: bundlePath, originalname: 'course.zip' }],
+        { maxPackages: 10, maxPackageSize: 1024 });
+
+      expect(uploads[0]).toEqual(expect.objectContaining({ originalname: 'large.zip', path: null, error: expect.stringMatching(/^File too large/) }));
+      expect(uploads[1]).not.toHaveProperty('error');
+    });
+
+    test('should apply the package limit to the expanded uploads', async () => {
+      const plainPath = await createZip('bundle-limit-plain.zip', packageFiles);
+      const bundlePath = await createZip('bundle-limit.zip', { 'a.zip': 'a', 'b.zip': 'b' });
+
+      await expect(bundleExtractor.expandUploads([
+        { path: plainPath, originalname: 'single.zip' },
+        { path: bundlePath, originalname: 'course.zip' }
+      ], { maxPackages: 2, maxPackageSize: 1024 })).rejects.toThrow('Too many packages. The upload contains 3 packages; the maximum is 2.');
+
+      await expect(fs.access(bundlePath)).resolves.toBeUndefined();
+    });
+
+    test('should limit the total size of the expanded bundles', async () => {
+      const firstPath = await createZip('bundle-total-1.zip', { 'a.zip': 'x'.repeat(600), 'b.zip': 'x'.repeat(600) });
+      const secondPath = await createZip('bundle-total-2.zip', { 'c.zip': 'x'.repeat(600) });
+      const files = [
+        { path: firstPath, originalname: 'first.zip' },
+        { path: secondPath, originalname: 'second.zip' }
+      ];
+
+      await expect(bundleExtractor.expandUploads(files, { maxPackages: 10, maxPackageSize: 1024, maxExpandedSize: 1500 }))
+        .rejects.toThrow(/^Bundles too large/);
+      await expect(fs.access(firstPath)).resolves.toBeUndefined();
+
+      const uploads = await bundleExtractor.expandUploads(files, { maxPackages: 10, maxPackageSize: 1024, maxExpandedSize: 1800 });
+      expect(uploads.map(upload => upload.originalname)).toEqual(['a.zip', 'b.zip', 'c.zip']);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const vm = require('vm');
+const cmi5Runtime = require('../server/cmi5Runtime');
+const scormRuntime = require('../server/scormRuntime');
+
+const launch = {
+  endpoint: 'https://lrs.example.com/xapi/',
+  fetchUrl: 'https://lms.example.com/fetch?token=1',
+  registration: 'reg-1',
+  activityId: 'https://lms.example.com/au/1',
+  actor: { objectType: 'Agent', name: 'Ada', account: { homePage: 'https://lms.example.com', name: 'ada' } },
+  content: '../package_1/index.html'
+};
+
+// Runs the launch shim in a window of its own
+function loadShim(windowProps = {}) {
+  const win = { ...windowProps };
+  win.parent = win;
+  const context = vm.createContext({ window: win, console, Promise, Date, JSON, Math });
+  vm.runInContext(scormRuntime.createLmsAdapterScript('2004') + cmi5Runtime.createLaunchScript(), context);
+  return win;
+}
+
+// Transport that records statements and state writes instead of calling an LRS
+function createRecordingTransport() {
+  return {
+    statements: [],
+    states: [],
+    sendStatement(statement) { this.statements.push(statement); return Promise.resolve(); },
+    putState(stateId, value) { this.states.push({ stateId, value }); return Promise.resolve(); },
+    flush() { return Promise.resolve(); }
+  };
+}
+
+const verbsOf = (transport) => transport.statements.map(statement => statement.verb.display['en-US']);
+
+describe('Cmi5Runtime', () => {
+  test('should read the cmi5 launch parameters', () => {
+    const { ScormMergeCmi5 } = loadShim();
+    const search = '?content=..%2Fpackage_2%2Fa.html&endpoint=https%3A%2F%2Flrs.example.com%2Fxapi' +
+      '&fetch=https%3A%2F%2Flms.example.com%2Ffetch&registration=reg-1&activityId=urn%3Aau%3A1' +
+      `&actor=${encodeURIComponent(JSON.stringify(launch.actor))}`;
+
+    expect(ScormMergeCmi5.readLaunchParameters(search)).toEqual({
+      endpoint: 'https://lrs.example.com/xapi/',
+      fetchUrl: 'https://lms.example.com/fetch',
+      registration: 'reg-1',
+      activityId: 'urn:au:1',
+      actor: launch.actor,
+      content: '../package_2/a.html'
+    });
+    expect(ScormMergeCmi5.isModulePath('../package_2/a.html?page=1')).toBe(true);
+    expect(ScormMergeCmi5.isModulePath('https://evil.example.com/')).toBe(false);
+    expect(ScormMergeCmi5.isModulePath('../../package_1/a.html')).toBe(false);
+  });
+
+  test('should send initialized, completed, passed and terminated statements', () => {
+    const { ScormMergeCmi5 } = loadShim();
+    const transport = createRecordingTransport();
+    let time = 0;
+    const onTerminate = jest.fn();
+    const session = ScormMergeCmi5.createSession(launch, {
+      launchMode: 'Normal',
+      contextTemplate: { contextActivities: { grouping: [{ id: 'https://lms.example.com/course' }] } }
+    }, transport, null, { now: () => time, onTerminate });
+    const api = session.api;
+
+    expect(api.Initialize('')).toBe('true');
+    expect(api.GetValue('cmi.learner_id')).toBe('ada');
+    expect(api.GetValue('cmi.entry')).toBe('ab-initio');
+    time = 30000;
+    api.SetValue('cmi.score.raw', '90');
+    api.SetValue('cmi.completion_status', 'completed');
+    api.SetValue('cmi.success_status', 'passed');
+    api.SetValue('cmi.completion_status', 'completed');
+    api.SetValue('cmi.location', 'page-3');
+    expect(api.Terminate('')).toBe('true');
+
+    expect(verbsOf(transport)).toEqual(['initialized', 'completed', 'passed', 'terminated']);
+    const [, completed, passed, terminated] = transport.statements;
+    expect(completed.result).toEqual({ completion: true, duration: 'PT30S' });
+    expect(passed.result).toEqual({ success: true, score: { scaled: 0.9, raw: 90 }, duration: 'PT30S' });
+    expect(passed.context.registration).toBe('reg-1');
+    expect(passed.context.contextActivities.grouping).toEqual([{ id: 'https://lms.example.com/course' }]);
+    expect(passed.context.contextActivities.category.map(category => category.id)).toEqual([
+      'https://w3id.org/xapi/cmi5/context/categories/cmi5',
+      'https://w3id.org/xapi/cmi5/context/categories/moveon'
+    ]);
+    expect(terminated.object.id).toBe(launch.activityId);
+    expect(transport.states[0].value).toEqual({ location: 'page-3', suspendData: '', completed: true, success: 'passed' });
+    expect(onTerminate).toHaveBeenCalledTimes(1);
+    expect(api.GetValue('cmi.location')).toBe('');
+    expect(api.GetLastError()).toBe('123');
+  });
+
+  test('should let the mastery score decide pass or fail', () => {
+    const { ScormMergeCmi5 } = loadShim();
+    const transport = createRecordingTransport();
+    const { api } = ScormMergeCmi5.createSession(launch, { launchMode: 'Normal', masteryScore: 0.8 }, transport);
+
+    api.Initialize('');
+    expect(api.GetValue('cmi.scaled_passing_score')).toBe('0.8');
+    api.SetValue('cmi.score.raw', '60');
+    api.SetValue('cmi.success_status', 'passed');
+
+    const failed = transport.statements[1];
+    expect(failed.verb.display['en-US']).toBe('failed');
+    expect(failed.context.extensions['https://w3id.org/xapi/cmi5/context/extensions/masteryscore']).toBe(0.8);
+    expect(api.GetValue('cmi.success_status')).toBe('failed');
+  });
+
+  test('should not report progress of browse launches', () => {
+    const { ScormMergeCmi5 } = loadShim();
+    const transport = createRecordingTransport();
+    const { api } = ScormMergeCmi5.createSession(launch, { launchMode: 'Browse' }, transport);
+
+    api.Initialize('');
+    expect(api.GetValue('cmi.mode')).toBe('browse');
+    expect(api.GetValue('cmi.credit')).toBe('no-credit');
+    api.SetValue('cmi.completion_status', 'completed');
+    api.Terminate('');
+
+    expect(verbsOf(transport)).toEqual(['initialized', 'terminated']);
+  });
+
+  test('should resume from the saved state', () => {
+    const { ScormMergeCmi5 } = loadShim();
+    const transport = createRecordingTransport();
+    const { api } = ScormMergeCmi5.createSession(launch, { launchMode: 'Normal' }, transport, {
+      location: 'page-3', suspendData: 'abc', completed: true, success: ''
+    });
+
+    api.Initialize('');
+    expect(api.GetValue('cmi.entry')).toBe('resume');
+    expect(api.GetValue('cmi.location')).toBe('page-3');
+    expect(api.GetValue('cmi.completion_status')).toBe('completed');
+    api.SetValue('cmi.completion_status', 'completed');
+
+    // Completion was reported in an earlier session
+    expect(verbsOf(transport)).toEqual(['initialized']);
+  });
+
+  test('should start the module with a SCORM 2004 and a translated SCORM 1.2 API', async () => {
+    const requests = [];
+    const fetch = jest.fn((url, options) => {
+      requests.push({ url, method: options.method, body: options.body });
+      if (url === launch.fetchUrl) {
+        return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ 'auth-token': 'dG9rZW4=' }) });
+      }
+      if (url.includes('stateId=LMS.LaunchData')) {
+        return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ launchMode: 'Normal', returnURL: 'https://lms.example.com/done' }) });
+      }
+      return Promise.resolve({ ok: options.method !== 'GET', status: options.method === 'GET' ? 404 : 204 });
+    });
+    const frame = {};
+    const win = loadShim({
+      fetch,
+      location: {
+        search: `?content=${encodeURIComponent(launch.content)}&endpoint=${encodeURIComponent(launch.endpoint)}` +
+          `&fetch=${encodeURIComponent(launch.fetchUrl)}&registration=reg-1` +
+          `&activityId=${encodeURIComponent(launch.activityId)}&actor=${encodeURIComponent(JSON.stringify(launch.actor))}`
+      },
+      document: { getElementById: (id) => (id === 'module-frame' ? frame : null) },
+      addEventListener: jest.fn()
+    });
+
+    const session = await win.ScormMergeCmi5.start(win);
+
+    expect(session).not.toBeNull();
+    expect(frame.src).toBe('../package_1/index.html');
+    expect(win.API_1484_11).toBe(session.api);
+    expect(win.addEventListener).toHaveBeenCalledWith('pagehide', expect.any(Function));
+
+    expect(win.API.LMSInitialize('')).toBe('true');
+    expect(win.API.LMSSetValue('cmi.core.lesson_status', 'completed')).toBe('true');
+    expect(win.API.LMSFinish('')).toBe('true');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const statements = requests.filter(request => request.url === `${launch.endpoint}statements`);
+    expect(statements.map(request => JSON.parse(request.body).verb.display['en-US']))
+      .toEqual(['initialized', 'completed', 'terminated']);
+    expect(fetch.mock.calls[1][1].headers.Authorization).toBe('Basic dG9rZW4=');
+    expect(win.location.href).toBe('https://lms.example.com/done');
+  });
+
+  test('should refuse launches without cmi5 parameters', async () => {
+    const message = { hidden: true };
+    const win = loadShim({
+      location: { search: '?content=..%2Fpackage_1%2Findex.html' },
+      document: { getElementById: (id) => (id === 'launch-message' ? message : null) }
+    });
+
+    expect(await win.ScormMergeCmi5.start(win)).toBeNull();
+    expect(message).toEqual({ hidden: false, textContent: 'This module has to be launched from a cmi5 LMS.' });
+  });
+});
@@ -0,0 +1,135 @@
+const JSZip = require('jszip');
+const xml2js = require('xml2js');
+const commonCartridgeAdapter = require('../server/commonCartridgeAdapter');
+const scormProcessor = require('../server/scormProcessor');
+
+describe('CommonCartridgeAdapter', () => {
+  const cartridgeManifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="cc-course" xmlns="http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1"
+          xmlns:lomimscc="http://ltsc.ieee.org/xsd/imsccv1p1/LOM/manifest">
+  <metadata>
+    <schema>IMS Common Cartridge</schema>
+    <schemaversion>1.1.0</schemaversion>
+    <lomimscc:lom>
+      <lomimscc:general>
+        <lomimscc:title><lomimscc:string language="en">Intro to Chemistry</lomimscc:string></lomimscc:title>
+        <lomimscc:description><lomimscc:string>Atoms and molecules</lomimscc:string></lomimscc:description>
+      </lomimscc:general>
+    </lomimscc:lom>
+  </metadata>
+  <organizations>
+    <organization identifier="org" structure="rooted-hierarchy">
+      <item identifier="root">
+        <item identifier="week1">
+          <title>Week 1</title>
+          <item identifier="page1" identifierref="R_PAGE"><title>Atoms</title></item>
+          <item identifier="link1" identifierref="R_LINK"><title>Periodic table</title></item>
+        </item>
+        <item identifier="week2">
+          <title>Week 2</title>
+          <item identifier="forum1" identifierref="R_FORUM"><title>Discussion</title></item>
+        </item>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="R_PAGE" type="webcontent" href="web_resources/atoms.html">
+      <file href="web_resources/atoms.html"/>
+      <dependency identifierref="R_FORUM"/>
+    </resource>
+    <resource identifier="R_LINK" type="imswl_xmlv1p1">
+      <file href="link1.xml"/>
+    </resource>
+    <resource identifier="R_FORUM" type="imsdt_xmlv1p1">
+      <file href="forum1.xml"/>
+    </resource>
+  </resources>
+</manifest>`;
+
+  const webLink = `<?xml version="1.0" encoding="UTF-8"?>
+<webLink xmlns="http://www.imsglobal.org/xsd/imsccv1p1/imswl_v1p1">
+  <title>Periodic table</title>
+  <url href="https://example.com/periodic-table"/>
+</webLink>`;
+
+  const parseCartridge = async (files) => {
+    const zip = new JSZip();
+    for (const [filename, content] of Object.entries(files)) {
+      zip.file(filename, content);
+    }
+    const zipContents = await new JSZip().loadAsync(await zip.generateAsync({ type: 'nodebuffer' }));
+    const manifest = await new xml2js.Parser().parseStringPromise(files['imsmanifest.xml']);
+    const extracted = {
+      organizations: scormProcessor.extractOrganizations(manifest),
+      resources: scormProcessor.extractResources(manifest)
+    };
+    return commonCartridgeAdapter.parse(manifest, extracted, zipContents, '');
+  };
+
+  test('should recognise cartridge manifests by namespace or schema', async () => {
+    const parse = (xml) => new xml2js.Parser().parseStringPromise(xml);
+
+    expect(commonCartridgeAdapter.isCommonCartridge(await parse(cartridgeManifest))).toBe(true);
+    expect(commonCartridgeAdapter.isCommonCartridge(await parse(
+      '<manifest xmlns="http://www.imsglobal.org/xsd/imscc/imscp_v1p1"/>'
+    ))).toBe(true);
+    expect(commonCartridgeAdapter.isCommonCartridge(await parse(
+      '<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"><metadata><schema>ADL SCORM</schema></metadata></manifest>'
+    ))).toBe(false);
+  });
+
+  test('should convert web content and web links and leave out LMS tools', async () => {
+    const cartridge = await parseCartridge({
+      'imsmanifest.xml': cartridgeManifest,
+      'web_resources/atoms.html': '<html><body>Atoms</body></html>',
+      'link1.xml': webLink,
+      'forum1.xml': '<topic/>'
+    });
+
+    expect(cartridge).toEqual(expect.objectContaining({
+      title: 'Intro to Chemistry',
+      description: 'Atoms and molecules',
+      version: '1.1.0'
+    }));
+    expect(cartridge.resources.map(resource => resource.identifier)).toEqual(['R_PAGE', 'R_LINK']);
+    expect(cartridge.resources[0].dependencies).toEqual([]);
+    expect(cartridge.resources[1]).toEqual(expect.objectContaining({
+      href: 'weblink_R_LINK.html',
+      title: 'Periodic table',
+      externalUrl: 'https://example.com/periodic-table'
+    }));
+
+    // The root item is unwrapped and week 2 only held the discussion
+    const items = cartridge.organizations[0].items;
+    expect(items.map(item => item.title)).toEqual(['Week 1']);
+    expect(items[0].items.map(item => item.identifierref)).toEqual(['R_PAGE', 'R_LINK']);
+
+    expect(cartridge.validation.valid).toBe(true);
+    expect(cartridge.validation.warnings).toEqual([{
+      code: 'UNSUPPORTED_RESOURCE',
+      message: '1 resource of type imsdt_xmlv1p1 cannot be launched outside the LMS and is left out'
+    }]);
+  });
+
+  test('should report missing web content files', async () => {
+    const cartridge = await parseCartridge({ 'imsmanifest.xml': cartridgeManifest, 'link1.xml': webLink });
+
+    expect(cartridge.validation.errors).toEqual([{
+      code: 'MISSING_FILE',
+      message: 'Resource "R_PAGE" lists web_resources/atoms.html, which is not in the package'
+    }]);
+  });
+
+  test('should report files with malformed escapes as missing', async () => {
+    const cartridge = await parseCartridge({
+      'imsmanifest.xml': cartridgeManifest.replace(/web_resources\/atoms\.html/g, 'web_resources/atoms%zz.html'),
+      'link1.xml': webLink,
+      'web_resources/atoms.html': '<html></html>'
+    });
+
+    expect(cartridge.validation.errors).toEqual([{
+      code: 'MISSING_FILE',
+      message: 'Resource "R_PAGE" lists web_resources/atoms%zz.html, which is not in the package'
+    }]);
+  });
+});
@@ -1,16 +1,19 @@
 const descriptionTaskManager = require('../server/descriptionTaskManager');
+const openaiService = require('../server/openaiService');
 
 describe('DescriptionTaskManager', () => {
   beforeEach(() => {
     // Clean up any existing tasks
     descriptionTaskManager.cleanupTask('test-session-1');
     descriptionTaskManager.cleanupTask('test-session-2');
+    descriptionTaskManager.cleanupTask('test-session-3');
   });
 
   afterEach(() => {
     // Clean up after each test
     descriptionTaskManager.cleanupTask('test-session-1');
     descriptionTaskManager.cleanupTask('test-session-2');
+    descriptionTaskManager.cleanupTask('test-session-3');
   });
 
   test('should start description generation task', async () => {
@@ -81,6 +84,34 @@ describe('DescriptionTaskManager', () => {
     expect(status.status).toBe('cancelled');
   });
 
+  test('should leave descriptions written by the user alone', async () => {
+    const mockPackages = [
+      { id: 'pkg1', title: 'Test Package 1', filename: 'test1.zip', description: 'Mine', editedFields: ['description'] },
+      { id: 'pkg2', title: 'Test Package 2', filename: 'test2.zip', description: '' },
+      { id: 'pkg3', title: 'Test Package 3', filename: 'test3.zip', description: '' }
+    ];
+    const updateCallback = jest.fn();
+    // The user writes the description of package 2 while it is being generated
+    const generate = jest.spyOn(openaiService, 'generateDescription').mockImplementation(async ({ title }) => {
+      if (title === 'Test Package 2') {
+        descriptionTaskManager.keepUserDescription('test-session-3', 'pkg2');
+      }
+      return `About ${title}`;
+    });
+
+    await descriptionTaskManager.startDescriptionGeneration('test-session-3', mockPackages, jest.fn(), updateCallback);
+
+    expect(descriptionTaskManager.getTaskStatus('test-session-3').total).toBe(2);
+    for (let i = 0; i < 50 && descriptionTaskManager.getTaskStatus('test-session-3').status === 'running'; i++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    expect(descriptionTaskManager.getTaskStatus('test-session-3').status).toBe('completed');
+    expect(Object.keys(descriptionTaskManager.getTaskResults('test-session-3'))).toEqual(['pkg3']);
+    expect(updateCallback.mock.calls.map(([update]) => update.packageId)).toEqual(['pkg3']);
+    generate.mockRestore();
+  });
+
   test('should return not_found status for non-existent task', () => {
     const status = descriptionTaskManager.getTaskStatus('non-existent-session');
     expect(status.status).toBe('not_found');
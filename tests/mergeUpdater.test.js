@@ -0,0 +1,264 @@
+const fs = require('fs').promises;
+const path = require('path');
+const JSZip = require('jszip');
+const scormProcessor = require('../server/scormProcessor');
+const packageSplitter = require('../server/packageSplitter');
+const mergeUpdater = require('../server/mergeUpdater');
+
+describe('MergeUpdater', () => {
+  const createdFiles = [];
+
+  const createPackage = async (name, title, lessons = ['index.html']) => {
+    const zip = new JSZip();
+    zip.file('imsmanifest.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${name}" version="1.3" xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+          xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>2004 3rd Edition</schemaversion>
+  </metadata>
+  <organizations default="org">
+    <organization identifier="org">
+      <title>${title}</title>${lessons.map((lesson, index) => `
+      <item identifier="lesson_${index + 1}" identifierref="res_${index + 1}"><title>${title} ${index + 1}</title></item>`).join('')}
+    </organization>
+  </organizations>
+  <resources>${lessons.map((lesson, index) => `
+    <resource identifier="res_${index + 1}" type="webcontent" adlcp:scormType="sco" href="${lesson}">
+      <file href="${lesson}" />
+      <file href="lib/shared.js" />
+    </resource>`).join('')}
+  </resources>
+</manifest>`);
+    for (const lesson of lessons) {
+      zip.file(lesson, `<html><head><script src="lib/shared.js"></script></head><body>${title}</body></html>`);
+    }
+    zip.file('lib/shared.js', 'window.shared = true;');
+    zip.file('images/logo.png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]));
+
+    const packagePath = path.join('test-uploads', `updater-${name}.zip`);
+    await fs.writeFile(packagePath, await zip.generateAsync({ type: 'nodebuffer' }));
+    createdFiles.push(packagePath);
+    const packageInfo = await scormProcessor.validateAndParsePackage(packagePath);
+    return { ...packageInfo, id: name, filename: `${name}.zip`, title, description: `About ${title}`, path: packagePath };
+  };
+
+  const mergeCourse = async (options = {}) => {
+    const packages = [await createPackage('first', 'First Course'), await createPackage('second', 'Second Course')];
+    const { outputPath } = await scormProcessor.mergePackages(packages, null, options);
+    createdFiles.push(outputPath);
+    return outputPath;
+  };
+
+  const update = async (mergedPath, packages, changes) => {
+    const merged = await packageSplitter.readMergedPackage(mergedPath);
+    const plan = mergeUpdater.planChanges(merged, packages, changes);
+    const result = await mergeUpdater.updatePackage(merged, plan);
+    createdFiles.push(result.outputPath);
+    return result;
+  };
+
+  const loadZip = async (zipPath) => new JSZip().loadAsync(await fs.readFile(zipPath));
+
+  afterAll(async () => {
+    for (const file of createdFiles) {
+      await fs.unlink(file).catch(() => {});
+    }
+  });
+
+  test('should replace one module and keep every other file unchanged', async () => {
+    const mergedPath = await mergeCourse({ dedupeAssets: true });
+    const replacement = await createPackage('second-v2', 'Second Course v2');
+
+    const { outputPath, summary, report } = await update(mergedPath, [replacement], [{ packageId: 'second-v2', module: 2 }]);
+
+    expect(summary).toEqual({
+      replaced: [{ module: 2, previousTitle: 'Second Course', title: 'Second Course v2' }],
+      added: [],
+      unchanged: 1
+    });
+    expect(report.verification.valid).toBe(true);
+
+    const original = await loadZip(mergedPath);
+    const updated = await loadZip(outputPath);
+    const unchangedFiles = Object.keys(original.files)
+      .filter(name => !original.files[name].dir && !name.startsWith('package_2/'))
+      .filter(name => !['imsmanifest.xml', 'menu/index.html', 'menu/menu.js'].includes(name));
+    // Files both packages had are stored once under shared/ and stay there
+    expect(unchangedFiles).toEqual(expect.arrayContaining([
+      'package_1/index.html', 'package_1/images/logo.png', 'menu/style.css',
+      expect.stringMatching(/^shared\/[0-9a-f]{12}\/shared\.js$/)
+    ]));
+    for (const name of unchangedFiles) {
+      expect(await updated.file(name).async('nodebuffer')).toEqual(await original.file(name).async('nodebuffer'));
+    }
+
+    const replacedHtml = await updated.file('package_2/index.html').async('string');
+    expect(replacedHtml).toContain('Second Course v2');
+    expect(replacedHtml).toContain('SCORM Merge Finish Handler');
+
+    const originalManifest = await original.file('imsmanifest.xml').async('string');
+    const manifestXml = await updated.file('imsmanifest.xml').async('string');
+    expect(manifestXml.slice(0, manifestXml.indexOf('<item identifier="item_2"')))
+      .toBe(originalManifest.slice(0, originalManifest.indexOf('<item identifier="item_2"')));
+    expect(manifestXml).toContain('<title>Second Course v2</title>');
+    expect(manifestXml.match(/identifier="pkg_2_res_1"/g)).toHaveLength(1);
+
+    const menuHtml = await updated.file('menu/index.html').async('string');
+    expect(menuHtml).toContain('<h3>First Course</h3>');
+    expect(menuHtml).toContain('<h3>Second Course v2</h3>');
+    expect(menuHtml).not.toContain('<h3>Second Course</h3>');
+    const menuJs = await updated.file('menu/menu.js').async('string');
+    expect(menuJs).toContain('"title":"Second Course v2"');
+    expect(menuJs).toContain('const trackingConfig = {"modules":2,');
+  }, 20000);
+
+  test('should add modules at the end and update the course tracking', async () => {
+    const mergedPath = await mergeCourse({ scoreMethod: 'weighted' });
+    const extra = { ...(await createPackage('third', 'Third Course')), weight: 3 };
+
+    const { outputPath, summary, report } = await update(mergedPath, [extra], [{ packageId: 'third', module: null }]);
+
+    expect(summary).toEqual({ replaced: [], added: [{ module: 3, title: 'Third Course' }], unchanged: 2 });
+    expect(report.verification.valid).toBe(true);
+
+    const updated = await loadZip(outputPath);
+    const manifestXml = await updated.file('imsmanifest.xml').async('string');
+    const itemIds = [...manifestXml.matchAll(/<item identifier="(item_\d+)"/g)].map(match => match[1]);
+    expect(itemIds).toEqual(['item_1', 'item_2', 'item_3']);
+    expect(manifestXml).toContain('href="package_3/index.html"');
+    expect(updated.file('package_3/images/logo.png')).not.toBeNull();
+
+    const menuHtml = await updated.file('menu/index.html').async('string');
+    expect(menuHtml).toContain('data-package="3"');
+    expect(menuHtml).toContain('<button onclick="launchPackage(3)">Launch Module</button>');
+    const tracking = '{"modules":3,"rule":"all","scoring":{"method":"weighted","weights":[1,1,3],"masteryScore":null}}';
+    expect(await updated.file('menu/menu.js').async('string')).toContain(`const trackingConfig = ${tracking};`);
+    // Modules that were already merged get the larger course tracking from the menu
+    const original = await loadZip(mergedPath);
+    for (const name of ['package_1/index.html', 'package_2/index.html']) {
+      expect(await updated.file(name).async('nodebuffer')).toEqual(await original.file(name).async('nodebuffer'));
+    }
+  }, 20000);
+
+  test('should weight replaced modules like their new package', async () => {
+    const mergedPath = await mergeCourse({ scoreMethod: 'weighted' });
+    const replacement = { ...(await createPackage('weighted-second-v2', 'Second Course v2')), weight: 4 };
+
+    const { outputPath } = await update(mergedPath, [replacement], [{ packageId: 'weighted-second-v2', module: 2 }]);
+
+    const menuJs = await (await loadZip(outputPath)).file('menu/menu.js').async('string');
+    expect(menuJs).toContain('"scoring":{"method":"weighted","weights":[1,4],"masteryScore":null}');
+  }, 20000);
+
+  test('should replace and add modules inside sections', async () => {
+    const packages = [
+      await createPackage('intro', 'Intro Course'),
+      { ...(await createPackage('week', 'Week Course')), section: 'Week 1' }
+    ];
+    const { outputPath: mergedPath } = await scormProcessor.mergePackages(packages, null, { sections: ['Week 1'], sequencing: 'flow' });
+    createdFiles.push(mergedPath);
+    const replacement = await createPackage('week-v2', 'Week Course v2');
+    const extra = await createPackage('extra', 'Extra Course');
+
+    const { outputPath, report } = await update(mergedPath, [replacement, extra], [
+      { packageId: 'week-v2', module: 2 },
+      { packageId: 'extra', module: null }
+    ]);
+
+    expect(report.verification.valid).toBe(true);
+    const updated = await loadZip(outputPath);
+    const manifestXml = await updated.file('imsmanifest.xml').async('string');
+    const section = manifestXml.slice(manifestXml.indexOf('<item identifier="section_1">'));
+    expect(section).toMatch(/^<item identifier="section_1">\n {10}<title>Week 1<\/title>\n {10}<item identifier="item_2" identifierref="pkg_2_res_1">\n {12}<title>Week Course v2<\/title>/);
+    expect(section).toMatch(/\n {10}<\/item>\n {10}<item identifier="item_3" identifierref="pkg_3_res_1">/);
+    expect(mergeUpdater.detectSequencingStrategy(manifestXml)).toBe('flow');
+
+    const menuHtml = await updated.file('menu/index.html').async('string');
+    const menuSection = menuHtml.slice(menuHtml.indexOf('<details class="menu-section" open>'), menuHtml.indexOf('</details>'));
+    expect(menuSection).toContain('\n                <div class="menu-item" data-package="2">\n                    <h3>Week Course v2</h3>');
+    expect(menuSection).toContain('\n                <div class="menu-item" data-package="3">');
+  }, 20000);
+
+  test('should keep the prerequisites of replaced modules', async () => {
+    const packages = [
+      await createPackage('locked-first', 'First Course'),
+      { ...(await createPackage('locked-second', 'Second Course')), prerequisites: 'previous' }
+    ];
+    const { outputPath: mergedPath } = await scormProcessor.mergePackages(packages, null);
+    createdFiles.push(mergedPath);
+    const replacements = [await createPackage('locked-first-v2', 'First Course v2'), await createPackage('locked-second-v2', 'Second Course v2')];
+
+    const { outputPath, report } = await update(mergedPath, replacements, [
+      { packageId: 'locked-first-v2', module: 1 },
+      { packageId: 'locked-second-v2', module: 2 }
+    ]);
+
+    expect(report.verification.valid).toBe(true);
+    const updated = await loadZip(outputPath);
+    const manifestXml = await updated.file('imsmanifest.xml').async('string');
+    const firstItem = manifestXml.slice(manifestXml.indexOf('<item identifier="item_1"'), manifestXml.indexOf('<item identifier="item_2"'));
+    expect(firstItem).toContain('<imsss:mapInfo targetObjectiveID="scorm_merge_module_1" readSatisfiedStatus="false" writeSatisfiedStatus="true" />');
+    const secondItem = manifestXml.slice(manifestXml.indexOf('<item identifier="item_2"'));
+    expect(secondItem).toContain('<imsss:ruleCondition referencedObjective="scorm_merge_prerequisite_1" operator="not" condition="satisfied" />');
+    expect(await updated.file('menu/menu.js').async('string')).toContain('"prerequisites":{"2":[1]}');
+  }, 20000);
+
+  test('should keep the menu theme', async () => {
+    const theme = scormProcessor.normalizeMergeOptions({
+      theme: { logo: 'data:image/png;base64,iVBORw0KGgo=', primaryColor: '#123456', launchButtonLabel: 'Start & learn' }
+    }).theme;
+    const mergedPath = await mergeCourse({ theme });
+    const replacement = await createPackage('themed-second-v2', 'Second Course v2');
+    const added = await createPackage('themed-third', 'Third Course');
+
+    const { outputPath } = await update(mergedPath, [replacement, added], [
+      { packageId: 'themed-second-v2', module: 2 },
+      { packageId: 'themed-third', module: null }
+    ]);
+
+    const updated = await loadZip(outputPath);
+    const html = await updated.file('menu/index.html').async('string');
+    expect(html).toContain('<button onclick="launchPackage(2)">Start &amp; learn</button>');
+    expect(html).toContain('<button onclick="launchPackage(3)">Start &amp; learn</button>');
+    expect(html).not.toContain('Launch Module');
+    expect(await updated.file('menu/style.css').async('string')).toContain('--menu-primary: #123456;');
+    expect(updated.file('menu/logo.png')).not.toBeNull();
+  }, 20000);
+
+  test('should keep lessons and sequencing of structural merges', async () => {
+    const mergedPath = await mergeCourse({ mergeMode: 'structural', sequencing: 'flow' });
+    const replacement = await createPackage('first-v2', 'First Course v2', ['intro.html', 'quiz.html']);
+
+    const { outputPath } = await update(mergedPath, [replacement], [{ packageId: 'first-v2', module: 1 }]);
+
+    const manifestXml = await (await loadZip(outputPath)).file('imsmanifest.xml').async('string');
+    const firstItem = manifestXml.slice(manifestXml.indexOf('<item identifier="item_1"'), manifestXml.indexOf('<item identifier="item_2"'));
+    expect(firstItem).toContain('<item identifier="pkg_1_lesson_2" identifierref="pkg_1_res_2">');
+    expect(firstItem).toContain('<imsss:controlMode choice="false" flow="true" />\n            <imsss:rollupRules rollupObjectiveSatisfied="false" rollupProgressCompletion="false" />');
+    expect(manifestXml).toContain('href="package_1/quiz.html"');
+  }, 20000);
+
+  test('should reject changes that do not fit the merged package', async () => {
+    const mergedPath = await mergeCourse();
+    const replacement = await createPackage('second-v3', 'Second Course v3');
+    const broken = { id: 'broken', title: 'Broken', error: 'No imsmanifest.xml found' };
+    const merged = await packageSplitter.readMergedPackage(mergedPath);
+
+    try {
+      expect(() => mergeUpdater.planChanges(merged, [replacement], [])).toThrow('changes must list at least one package');
+      expect(() => mergeUpdater.planChanges(merged, [replacement], [{ packageId: 'missing', module: 1 }]))
+        .toThrow('Unknown package: missing');
+      expect(() => mergeUpdater.planChanges(merged, [broken], [{ packageId: 'broken', module: 1 }]))
+        .toThrow('Package "Broken" is not a valid SCORM package');
+      expect(() => mergeUpdater.planChanges(merged, [replacement], [{ packageId: 'second-v3', module: 5 }]))
+        .toThrow('The merged package has no module 5');
+      expect(() => mergeUpdater.planChanges(merged, [replacement], [
+        { packageId: 'second-v3', module: 2 },
+        { packageId: 'second-v3', module: '2' }
+      ])).toThrow('Module 2 can only be replaced once');
+    } finally {
+      packageSplitter.close(merged);
+    }
+  }, 20000);
+});
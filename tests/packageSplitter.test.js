@@ -0,0 +1,187 @@
+const fs = require('fs').promises;
+const path = require('path');
+const JSZip = require('jszip');
+const xml2js = require('xml2js');
+const scormProcessor = require('../server/scormProcessor');
+const packageSplitter = require('../server/packageSplitter');
+
+describe('PackageSplitter', () => {
+  const library = 'window.lib = function () { return "shared library"; };';
+  const createdFiles = [];
+
+  const createPackage = async (name, title, pageHtml, itemSequencing = '') => {
+    const zip = new JSZip();
+    zip.file('imsmanifest.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${name}" version="1.3" xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+          xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3" xmlns:imsss="http://www.imsglobal.org/xsd/imsss">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>2004 3rd Edition</schemaversion>
+  </metadata>
+  <organizations default="org">
+    <organization identifier="org">
+      <title>${title}</title>
+      <item identifier="lesson_1" identifierref="res_1"><title>${title} Lesson</title>${itemSequencing}</item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="res_1" type="webcontent" adlcp:scormType="sco" href="pages/index.html">
+      <file href="pages/index.html" />
+      <file href="lib/jq.js" />
+    </resource>
+  </resources>
+</manifest>`);
+    zip.file('pages/index.html', pageHtml);
+    zip.file('lib/jq.js', library);
+
+    const packagePath = path.join('test-uploads', `splitter-${name}.zip`);
+    await fs.writeFile(packagePath, await zip.generateAsync({ type: 'nodebuffer' }));
+    createdFiles.push(packagePath);
+    return { ...(await scormProcessor.validateAndParsePackage(packagePath)), title, path: packagePath };
+  };
+
+  const mergeAndSplit = async (options) => {
+    const packages = [
+      await createPackage('first', 'First Course', '<html><head><script src="../lib/jq.js"></script></head><body>One</body></html>'),
+      await createPackage('second', 'Second Course', '<html><head><script src="../lib/jq.js"></script></head><body>Two</body></html>')
+    ];
+    const { outputPath: mergedPath } = await scormProcessor.mergePackages(packages, null, options);
+    createdFiles.push(mergedPath);
+
+    const result = await packageSplitter.split(await packageSplitter.readMergedPackage(mergedPath));
+    createdFiles.push(result.outputPath);
+    const bundle = await new JSZip().loadAsync(await fs.readFile(result.outputPath));
+    return { result, bundle, mergedPath };
+  };
+
+  const readInnerZip = async (bundle, filename) => {
+    const innerPath = path.join('test-uploads', `splitter-inner-${Date.now()}-${filename}`);
+    await fs.writeFile(innerPath, await bundle.file(filename).async('nodebuffer'));
+    createdFiles.push(innerPath);
+    return { innerPath, zip: await new JSZip().loadAsync(await fs.readFile(innerPath)) };
+  };
+
+  afterAll(async () => {
+    for (const file of createdFiles) {
+      await fs.unlink(file).catch(() => {});
+    }
+  });
+
+  test('should rebuild every module of a structural merge as a package', async () => {
+    const { result, bundle } = await mergeAndSplit({ mergeMode: 'structural', dedupeAssets: true });
+
+    expect(result.packages.map(pkg => pkg.filename)).toEqual(['01-first-course.zip', '02-second-course.zip']);
+    expect(Object.keys(bundle.files).sort()).toEqual(['01-first-course.zip', '02-second-course.zip']);
+
+    const { innerPath, zip } = await readInnerZip(bundle, '01-first-course.zip');
+    const html = await zip.file('pages/index.html').async('string');
+    expect(html).not.toContain('SCORM Merge Finish Handler');
+    // The library both packages share was stored once under shared/
+    expect(html).toMatch(/<script src="\.\.\/shared\/[0-9a-f]{12}\/jq\.js"><\/script>/);
+    const sharedName = Object.keys(zip.files).find(name => name.startsWith('shared/') && !name.endsWith('/'));
+    expect(await zip.file(sharedName).async('string')).toBe(library);
+
+    const manifestXml = await zip.file('imsmanifest.xml').async('string');
+    expect(manifestXml).toContain('<item identifier="lesson_1" identifierref="res_1">');
+    expect(manifestXml).toContain('href="pages/index.html"');
+    expect(manifestXml).not.toContain('pkg_1_');
+
+    const packageInfo = await scormProcessor.validateAndParsePackage(innerPath);
+    expect(packageInfo.title).toBe('First Course');
+    expect(packageInfo.resources[0].identifier).toBe('res_1');
+  }, 15000);
+
+  test('should write a single item for modules of a flat SCORM 1.2 merge', async () => {
+    const { bundle } = await mergeAndSplit({ outputVersion: '1.2', dedupeAssets: false });
+
+    const { zip } = await readInnerZip(bundle, '02-second-course.zip');
+    const { manifest } = await new xml2js.Parser().parseStringPromise(await zip.file('imsmanifest.xml').async('string'));
+    expect(manifest.metadata[0].schemaversion[0]).toBe('1.2');
+    const items = manifest.organizations[0].organization[0].item;
+    expect(items.map(item => item.$)).toEqual([{ identifier: 'item_1', identifierref: 'res_1' }]);
+    expect(await zip.file('pages/index.html').async('string')).toBe('<html><head><script src="../lib/jq.js"></script></head><body>Two</body></html>');
+    expect(zip.file('lib/jq.js')).not.toBeNull();
+  }, 15000);
+
+  test('should find the modules of a course grouped into sections', async () => {
+    const packages = [
+      await createPackage('intro', 'Intro Course', '<html><body>Intro</body></html>'),
+      { ...(await createPackage('week', 'Week Course', '<html><body>Week</body></html>')), section: 'Week 1' }
+    ];
+    const { outputPath: mergedPath } = await scormProcessor.mergePackages(packages, null, { sections: ['Week 1'] });
+    createdFiles.push(mergedPath);
+
+    const merged = await packageSplitter.readMergedPackage(mergedPath);
+    packageSplitter.close(merged);
+    expect(merged.packages.map(pkg => [pkg.number, pkg.title])).toEqual([[1, 'Intro Course'], [2, 'Week Course']]);
+  });
+
+  test('should leave the prerequisites of the merged course out of split packages', async () => {
+    const first = await createPackage('locked-first', 'First Course', '<html><body>One</body></html>');
+    const second = { ...(await createPackage('locked-second', 'Second Course', '<html><body>Two</body></html>')), prerequisites: 'previous' };
+    const { outputPath: mergedPath } = await scormProcessor.mergePackages([first, second], null, { dedupeAssets: false });
+    createdFiles.push(mergedPath);
+    const merged = await new JSZip().loadAsync(await fs.readFile(mergedPath));
+    expect(await merged.file('imsmanifest.xml').async('string')).toContain('scorm_merge_prerequisite_1');
+
+    const result = await packageSplitter.split(await packageSplitter.readMergedPackage(mergedPath));
+    createdFiles.push(result.outputPath);
+    const bundle = await new JSZip().loadAsync(await fs.readFile(result.outputPath));
+
+    for (const filename of ['01-first-course.zip', '02-second-course.zip']) {
+      const { zip } = await readInnerZip(bundle, filename);
+      const manifestXml = await zip.file('imsmanifest.xml').async('string');
+      expect(manifestXml).toContain('<item identifier="item_1"');
+      expect(manifestXml).not.toContain('imsss:sequencing');
+    }
+  }, 15000);
+
+  test('should leave the rollup exclusion of flow and completeAll courses out of split packages', async () => {
+    for (const options of [{ sequencing: 'flow' }, { sequencing: 'completeAll', mergeMode: 'structural' }]) {
+      const { bundle, mergedPath } = await mergeAndSplit({ ...options, dedupeAssets: false });
+      const merged = await new JSZip().loadAsync(await fs.readFile(mergedPath));
+      expect(await merged.file('imsmanifest.xml').async('string')).toContain('rollupObjectiveSatisfied="false"');
+
+      for (const filename of ['01-first-course.zip', '02-second-course.zip']) {
+        const { zip } = await readInnerZip(bundle, filename);
+        const manifestXml = await zip.file('imsmanifest.xml').async('string');
+        expect(manifestXml).not.toContain('rollupObjectiveSatisfied');
+        expect(manifestXml).not.toContain('imsss:sequencing');
+      }
+    }
+  }, 15000);
+
+  test('should keep the sequencing rules a module had in its own package', async () => {
+    const packages = [
+      await createPackage('own-rules', 'Own Rules Course', '<html><body>One</body></html>',
+        '<imsss:sequencing><imsss:deliveryControls completionSetByContent="true" /></imsss:sequencing>')
+    ];
+    const { outputPath: mergedPath } = await scormProcessor.mergePackages(packages, null, { sequencing: 'flow' });
+    createdFiles.push(mergedPath);
+
+    const result = await packageSplitter.split(await packageSplitter.readMergedPackage(mergedPath));
+    createdFiles.push(result.outputPath);
+    const bundle = await new JSZip().loadAsync(await fs.readFile(result.outputPath));
+    const { zip } = await readInnerZip(bundle, '01-own-rules-course.zip');
+    const { manifest } = await new xml2js.Parser().parseStringPromise(await zip.file('imsmanifest.xml').async('string'));
+
+    expect(manifest.organizations[0].organization[0].item[0]['imsss:sequencing']).toEqual([
+      { 'imsss:deliveryControls': [{ $: { completionSetByContent: 'true' } }] }
+    ]);
+  }, 15000);
+
+  test('should reject packages that were not merged', async () => {
+    const packageInfo = await createPackage('plain', 'Plain Course', '<html></html>');
+
+    await expect(packageSplitter.readMergedPackage(packageInfo.path))
+      .rejects.toThrow('This is not a package merged by SCORM Merge');
+  });
+
+  test('should reject files that are not zips', async () => {
+    const filePath = path.join('test-uploads', 'splitter-invalid.zip');
+    await fs.writeFile(filePath, 'not a zip file');
+    createdFiles.push(filePath);
+
+    await expect(packageSplitter.readMergedPackage(filePath)).rejects.toThrow('The file is not a readable zip');
+  });
+});
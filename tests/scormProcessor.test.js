@@ -1,8 +1,58 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { createWriteStream } = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const vm = require('vm');
 const JSZip = require('jszip');
+const xml2js = require('xml2js');
+const yauzl = require('yauzl');
+const yazl = require('yazl');
 const scormProcessor = require('../server/scormProcessor');
 
+// Runs the generated menu script, up to the page having loaded, in a menu
+// window opened at search whose parent is a SCORM 2004 LMS frame
+function runMenu(menuJs, lmsValues = {}, search = '') {
+  const values = { 'cmi.completion_status': 'unknown', ...lmsValues };
+  const lmsWindow = {
+    API_1484_11: {
+      Initialize: () => 'true',
+      Terminate: () => 'true',
+      GetValue: (element) => values[element] || '',
+      SetValue: (element, value) => { values[element] = value; return 'true'; },
+      Commit: () => 'true',
+      GetLastError: () => '0',
+      GetErrorString: () => '',
+      GetDiagnostic: () => ''
+    }
+  };
+  lmsWindow.parent = lmsWindow;
+
+  const listeners = {};
+  const storage = new Map();
+  const menuWindow = { parent: lmsWindow, location: { search, pathname: '/course/menu/index.html' }, addEventListener: () => {} };
+  const context = vm.createContext({
+    window: menuWindow,
+    console,
+    URLSearchParams,
+    setTimeout: () => {},
+    sessionStorage: {
+      getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: (key) => storage.delete(key)
+    },
+    document: {
+      addEventListener: (type, listener) => { listeners[type] = listener; },
+      querySelectorAll: () => [],
+      querySelector: () => ({ hidden: false }),
+      getElementById: () => ({ hidden: true, textContent: '', addEventListener: () => {} })
+    }
+  });
+  vm.runInContext(menuJs, context);
+  listeners.DOMContentLoaded();
+  return { values, window: menuWindow, context, storage };
+}
+
 describe('ScormProcessor', () => {
   let testScormPackage;
   let testPackagePath;
@@ -88,6 +138,7 @@ describe('ScormProcessor', () => {
       expect(result.resources).toHaveLength(1);
       expect(result.resources[0]).toHaveProperty('identifier', 'test-resource');
       expect(result.resources[0]).toHaveProperty('href', 'index.html');
+      expect(result.validation).toEqual({ valid: true, errors: [], warnings: [] });
     });
 
     test('should throw an error for non-existent package', async () => {
@@ -109,6 +160,104 @@ describe('ScormProcessor', () => {
       
       await fs.unlink(invalidPath);
     });
+
+    test('should use a single wrapping folder as the package root', async () => {
+      const source = await new JSZip().loadAsync(testScormPackage);
+      const wrapped = new JSZip();
+      for (const filename of ['imsmanifest.xml', 'index.html', 'test.js']) {
+        wrapped.file(`My Course/${filename}`, await source.file(filename).async('nodebuffer'));
+      }
+      wrapped.file('__MACOSX/My Course/._index.html', 'resource fork');
+      const wrappedPath = path.join('test-uploads', 'wrapped-package.zip');
+      await fs.writeFile(wrappedPath, await wrapped.generateAsync({ type: 'nodebuffer' }));
+
+      const result = await scormProcessor.validateAndParsePackage(wrappedPath);
+      const { outputPath } = await scormProcessor.mergePackages([{ ...result, path: wrappedPath }]);
+      const merged = await new JSZip().loadAsync(await fs.readFile(outputPath));
+      await fs.unlink(outputPath);
+      await fs.unlink(wrappedPath);
+
+      expect(result).toHaveProperty('packageRoot', 'My Course/');
+      expect(result).toHaveProperty('title', 'Test SCORM Package');
+      expect(result.validation.valid).toBe(true);
+      expect(merged.file('package_1/index.html')).toBeTruthy();
+      expect(merged.file('package_1/test.js')).toBeTruthy();
+      expect(Object.keys(merged.files).some(name => name.includes('My Course'))).toBe(false);
+    }, 15000);
+
+    test('should detect AICC courses and Common Cartridges and merge them with SCORM packages', async () => {
+      const aicc = new JSZip();
+      aicc.file('course.crs', '[Course]\nCourse_ID=AICC-1\nCourse_Title=AICC Course\nVersion=3.4\n');
+      aicc.file('course.au', '"System_ID","File_Name"\n"A1","start.html"\n"A2","http://example.com/unit"\n');
+      aicc.file('start.html', '<html><head></head><body>AICC unit</body></html>');
+      const aiccPath = path.join('test-uploads', 'aicc-course.zip');
+      await fs.writeFile(aiccPath, await aicc.generateAsync({ type: 'nodebuffer' }));
+
+      const cartridge = new JSZip();
+      cartridge.file('imsmanifest.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="cc" xmlns="http://www.imsglobal.org/xsd/imsccv1p3/imscp_v1p1">
+  <metadata><schema>IMS Common Cartridge</schema><schemaversion>1.3.0</schemaversion></metadata>
+  <organizations>
+    <organization identifier="org" structure="rooted-hierarchy">
+      <item identifier="root"><item identifier="page" identifierref="R1"><title>Page</title></item></item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="R1" type="webcontent" href="page.html"><file href="page.html"/></resource>
+  </resources>
+</manifest>`);
+      cartridge.file('page.html', '<html><head></head><body>Cartridge page</body></html>');
+      const cartridgePath = path.join('test-uploads', 'cartridge.zip');
+      await fs.writeFile(cartridgePath, await cartridge.generateAsync({ type: 'nodebuffer' }));
+
+      const scormPackage = await scormProcessor.validateAndParsePackage(testPackagePath, 'test-package.zip');
+      const aiccPackage = await scormProcessor.validateAndParsePackage(aiccPath, 'aicc-course.zip');
+      const cartridgePackage = await scormProcessor.validateAndParsePackage(cartridgePath, 'cartridge.zip');
+
+      const { outputPath, report } = await scormProcessor.mergePackages([
+        { ...scormPackage, path: testPackagePath },
+        { ...aiccPackage, path: aiccPath },
+        { ...cartridgePackage, path: cartridgePath }
+      ], null, { mergeMode: 'structural' });
+      const merged = await new JSZip().loadAsync(await fs.readFile(outputPath));
+      await fs.unlink(outputPath);
+      await fs.unlink(aiccPath);
+      await fs.unlink(cartridgePath);
+
+      expect(scormPackage.format).toBe('scorm');
+      expect(aiccPackage).toEqual(expect.objectContaining({ format: 'aicc', title: 'AICC Course', version: '3.4' }));
+      expect(cartridgePackage).toEqual(expect.objectContaining({ format: 'imscc', version: '1.3.0', identifier: 'cc' }));
+      expect(scormProcessor.getFormatLabel(aiccPackage)).toBe('AICC 3.4');
+      expect(scormProcessor.getFormatLabel(cartridgePackage)).toBe('Common Cartridge 1.3.0');
+
+      expect(merged.file('package_2/start.html')).toBeTruthy();
+      expect(merged.file('package_2/course.crs')).toBeTruthy();
+      expect(await merged.file('package_2/aicc_launch_A2.html').async('string')).toContain('href="http://example.com/unit"');
+      expect(merged.file('package_3/page.html')).toBeTruthy();
+      expect(await merged.file('menu/index.html').async('string')).toContain('AICC 3.4 • aicc-course.zip');
+      expect(report.verification).toEqual(expect.objectContaining({ valid: true, errors: [] }));
+    }, 15000);
+  });
+
+  describe('findPackageRoot', () => {
+    test('should prefer a manifest at the root of the zip', () => {
+      expect(scormProcessor.findPackageRoot(['imsmanifest.xml', 'sub/imsmanifest.xml'])).toBe('');
+    });
+
+    test('should find a manifest in a single wrapping folder', () => {
+      expect(scormProcessor.findPackageRoot(['course/', 'course/imsmanifest.xml', 'course/lesson/imsmanifest.xml']))
+        .toBe('course/');
+    });
+
+    test('should accept exactly one manifest anywhere in the tree', () => {
+      expect(scormProcessor.findPackageRoot(['readme.txt', 'export/scorm/imsmanifest.xml', 'export/scorm/index.html']))
+        .toBe('export/scorm/');
+    });
+
+    test('should reject zips with several candidate manifests', () => {
+      expect(() => scormProcessor.findPackageRoot(['a/imsmanifest.xml', 'b/imsmanifest.xml']))
+        .toThrow('Found 2 imsmanifest.xml files in subfolders; expected one at the root level');
+    });
   });
 
   describe('extractMetadata', () => {
@@ -151,6 +300,43 @@ describe('ScormProcessor', () => {
     });
   });
 
+  describe('SCORM version detection', () => {
+    test('should detect the version from schemaversion', () => {
+      expect(scormProcessor.detectScormVersion('1.2')).toBe('1.2');
+      expect(scormProcessor.detectScormVersion('2004 3rd Edition')).toBe('2004');
+      expect(scormProcessor.detectScormVersion('2004 4th Edition')).toBe('2004');
+      expect(scormProcessor.detectScormVersion('CAM 1.3')).toBe('2004');
+    });
+
+    test('should fall back to manifest namespaces', () => {
+      expect(scormProcessor.detectScormVersion('Unknown', {
+        'xmlns:adlcp': 'http://www.adlnet.org/xsd/adlcp_rootv1p2'
+      })).toBe('1.2');
+      expect(scormProcessor.detectScormVersion(undefined, {
+        'xmlns:adlcp': 'http://www.adlnet.org/xsd/adlcp_v1p3'
+      })).toBe('2004');
+      expect(scormProcessor.detectScormVersion('Unknown', {})).toBe('Unknown');
+    });
+
+    test('should report the detected version in extractMetadata', () => {
+      const metadata = scormProcessor.extractMetadata({
+        manifest: { $: { identifier: 'id' }, metadata: [{ schemaversion: ['1.2'] }] }
+      });
+      expect(metadata.scormVersion).toBe('1.2');
+    });
+
+    test('should only resolve auto output to 1.2 when every input is 1.2', () => {
+      const scorm12 = { version: '1.2' };
+      const scorm2004 = { version: '2004 3rd Edition' };
+
+      expect(scormProcessor.resolveOutputVersion([scorm12, scorm12])).toBe('1.2');
+      expect(scormProcessor.resolveOutputVersion([scorm12, scorm2004])).toBe('2004');
+      expect(scormProcessor.resolveOutputVersion([{ version: 'Unknown' }])).toBe('2004');
+      expect(scormProcessor.resolveOutputVersion([scorm2004], '1.2')).toBe('1.2');
+      expect(scormProcessor.resolveOutputVersion([scorm12], '2004')).toBe('2004');
+    });
+  });
+
   describe('extractOrganizations', () => {
     test('should extract organizations from manifest', () => {
       const mockManifest = {
@@ -178,6 +364,40 @@ describe('ScormProcessor', () => {
       expect(organizations[0].items[0].title).toBe('Item 1');
     });
 
+    test('should flag the default organization and keep nested items', () => {
+      const mockManifest = {
+        manifest: {
+          organizations: [{
+            $: { default: 'org-2' },
+            organization: [
+              { $: { identifier: 'org-1' }, title: ['First'] },
+              {
+                $: { identifier: 'org-2' },
+                title: ['Second'],
+                item: [{
+                  $: { identifier: 'module-1' },
+                  title: ['Module 1'],
+                  item: [{
+                    $: { identifier: 'lesson-1', identifierref: 'resource-1', parameters: '?page=1' },
+                    title: ['Lesson 1']
+                  }]
+                }]
+              }
+            ]
+          }]
+        }
+      };
+
+      const organizations = scormProcessor.extractOrganizations(mockManifest);
+
+      expect(organizations.map(org => org.isDefault)).toEqual([false, true]);
+      expect(organizations[1].items[0].items[0]).toMatchObject({
+        identifier: 'lesson-1',
+        identifierref: 'resource-1',
+        parameters: '?page=1'
+      });
+    });
+
     test('should return empty array for missing organizations', () => {
       const mockManifest = { manifest: {} };
       const organizations = scormProcessor.extractOrganizations(mockManifest);
@@ -214,6 +434,59 @@ describe('ScormProcessor', () => {
       expect(resources[0].files).toEqual(['index.html', 'style.css']);
     });
 
+    test('should extract scormType and dependencies', () => {
+      const mockManifest = {
+        manifest: {
+          resources: [{
+            resource: [
+              {
+                $: { identifier: 'sco-1', type: 'webcontent', 'adlcp:scormType': 'sco', href: 'index.html' },
+                file: [{ $: { href: 'index.html' } }],
+                dependency: [{ $: { identifierref: 'common' } }]
+              },
+              {
+                $: { identifier: 'common', type: 'webcontent', 'adlcp:scormtype': 'asset' },
+                file: [{ $: { href: 'common/app.js' } }]
+              }
+            ]
+          }]
+        }
+      };
+
+      const resources = scormProcessor.extractResources(mockManifest);
+
+      expect(resources[0].scormType).toBe('sco');
+      expect(resources[0].dependencies).toEqual(['common']);
+      expect(resources[1].scormType).toBe('asset');
+      expect(resources[1].dependencies).toEqual([]);
+    });
+
+    test('should resolve hrefs against xml:base', () => {
+      const mockManifest = {
+        manifest: {
+          $: { 'xml:base': 'course/' },
+          resources: [{
+            $: { 'xml:base': './content/' },
+            resource: [
+              {
+                $: { identifier: 'sco-1', type: 'webcontent', href: 'index.html?page=1', 'xml:base': 'lesson1/' },
+                file: [{ $: { href: 'index.html' } }, { $: { href: '../shared/app.js' } }]
+              },
+              {
+                $: { identifier: 'link', type: 'webcontent', href: 'https://example.com/page.html' }
+              }
+            ]
+          }]
+        }
+      };
+
+      const resources = scormProcessor.extractResources(mockManifest);
+
+      expect(resources[0].href).toBe('course/content/lesson1/index.html?page=1');
+      expect(resources[0].files).toEqual(['course/content/lesson1/index.html', 'course/content/shared/app.js']);
+      expect(resources[1].href).toBe('https://example.com/page.html');
+    });
+
     test('should return empty array for missing resources', () => {
       const mockManifest = { manifest: {} };
       const resources = scormProcessor.extractResources(mockManifest);
@@ -268,6 +541,415 @@ describe('ScormProcessor', () => {
     });
   });
 
+  describe('resource preservation', () => {
+    const packageWithAssets = {
+      title: 'Course',
+      resources: [
+        { identifier: 'common', type: 'webcontent', scormType: 'asset', files: ['common/app.js', 'common/schema.xsd'] },
+        {
+          identifier: 'sco',
+          type: 'webcontent',
+          scormType: 'sco',
+          href: 'start.html?lang=en',
+          files: ['start.html'],
+          dependencies: ['common']
+        }
+      ]
+    };
+
+    test('should keep every resource with prefixed identifiers, hrefs and dependencies', () => {
+      const manifest = scormProcessor.createMergedManifest([packageWithAssets]);
+
+      expect(manifest).toContain('<item identifier="item_1" identifierref="pkg_1_sco">');
+      expect(manifest).toContain('<resource identifier="pkg_1_common" type="webcontent" adlcp:scormType="asset">');
+      expect(manifest).toContain('<resource identifier="pkg_1_sco" type="webcontent" adlcp:scormType="sco" href="package_1/start.html?lang=en">');
+      expect(manifest).toContain('<dependency identifierref="pkg_1_common" />');
+      expect(manifest).toContain('<file href="package_1/common/app.js" />');
+      expect(manifest).not.toContain('schema.xsd');
+      expect(manifest).not.toContain('<file href="package_1/start.html?lang=en" />');
+    });
+
+    test('should keep the source scormType in SCORM 1.2 output', () => {
+      const manifest = scormProcessor.createMergedManifest([packageWithAssets], { outputVersion: '1.2' });
+
+      expect(manifest).toContain('<resource identifier="pkg_1_common" type="webcontent" adlcp:scormtype="asset">');
+      expect(manifest).toContain('adlcp:scormtype="sco" href="package_1/start.html?lang=en"');
+    });
+
+    test('should launch the same resource from the menu', () => {
+      const menuJs = scormProcessor.createMenuFiles([packageWithAssets])['menu/menu.js'];
+
+      expect(menuJs).toContain('"mainFile":"start.html?lang=en"');
+    });
+  });
+
+  describe('structural merge mode', () => {
+    const multiScoPackage = (title) => ({
+      title,
+      organizations: [{
+        identifier: 'org',
+        isDefault: true,
+        items: [{
+          identifier: 'item_1',
+          title: 'Unit 1',
+          items: [
+            { identifier: 'lesson_1', title: 'Lesson 1', identifierref: 'res_1', items: [] },
+            { identifier: 'lesson_2', title: 'Lesson 2 & Quiz', identifierref: 'res_2', items: [] }
+          ]
+        }]
+      }],
+      resources: [
+        { identifier: 'res_1', type: 'webcontent', href: 'lesson1/index.html', files: ['lesson1/index.html'] },
+        { identifier: 'res_2', type: 'webcontent', href: 'lesson2/index.html', files: ['lesson2/index.html', 'shared/app.js'] },
+        { identifier: 'res_shared', type: 'webcontent', files: ['shared/style.css'] }
+      ]
+    });
+
+    test('should keep every original lesson with namespaced identifiers', () => {
+      const manifest = scormProcessor.createMergedManifest(
+        [multiScoPackage('Course A'), multiScoPackage('Course B')],
+        { mergeMode: 'structural' }
+      );
+
+      expect(manifest).toContain('<item identifier="item_1">');
+      expect(manifest).toContain('<item identifier="pkg_1_lesson_1" identifierref="pkg_1_res_1">');
+      expect(manifest).toContain('<item identifier="pkg_2_lesson_1" identifierref="pkg_2_res_1">');
+      expect(manifest).toContain('<title>Lesson 2 &amp; Quiz</title>');
+      expect(manifest).toContain('<resource identifier="pkg_2_res_2" type="webcontent" adlcp:scormType="sco" href="package_2/lesson2/index.html">');
+      expect(manifest).toContain('<file href="package_2/shared/app.js" />');
+      expect(manifest).toContain('<resource identifier="pkg_1_res_shared" type="webcontent" adlcp:scormType="asset">');
+
+      const itemIds = [...manifest.matchAll(/<item identifier="([^"]+)"/g)].map(match => match[1]);
+      expect(new Set(itemIds).size).toBe(itemIds.length);
+      expect(manifest.indexOf('pkg_1_item_1')).toBeLessThan(manifest.indexOf('pkg_1_lesson_1'));
+    });
+
+    test('should fall back to a single item for packages without an organization tree', () => {
+      const manifest = scormProcessor.createMergedManifest(
+        [{ title: 'Single', resources: [{ identifier: 'r', href: 'index.html', files: ['index.html'] }] }],
+        { mergeMode: 'structural' }
+      );
+
+      expect(manifest).toContain('<item identifier="item_1" identifierref="pkg_1_r">');
+    });
+
+    test('should collapse packages by default', () => {
+      const manifest = scormProcessor.createMergedManifest([multiScoPackage('Course A')]);
+
+      expect(manifest).toContain('<item identifier="item_1" identifierref="pkg_1_res_1">');
+      expect(manifest).not.toContain('pkg_1_lesson_1');
+    });
+  });
+
+  describe('sequencing', () => {
+    const manifestXml = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="seq" xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+          xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+          xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3">
+  <organizations default="org">
+    <organization identifier="org">
+      <title>Sequenced</title>
+      <item identifier="lesson_1" identifierref="res_1">
+        <title>Lesson 1</title>
+        <imsss:sequencing>
+          <imsss:objectives>
+            <imsss:primaryObjective objectiveID="lesson_1_obj">
+              <imsss:mapInfo targetObjectiveID="shared_obj" writeSatisfiedStatus="true" />
+            </imsss:primaryObjective>
+          </imsss:objectives>
+        </imsss:sequencing>
+        <adlnav:presentation>
+          <adlnav:navigationInterface>
+            <adlnav:hideLMSUI>continue</adlnav:hideLMSUI>
+          </adlnav:navigationInterface>
+        </adlnav:presentation>
+      </item>
+      <imsss:sequencing>
+        <imsss:controlMode choice="false" flow="true" />
+      </imsss:sequencing>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="res_1" type="webcontent" href="index.html"><file href="index.html" /></resource>
+  </resources>
+</manifest>`;
+
+    let sequencedPackage;
+
+    beforeAll(async () => {
+      const manifest = await new xml2js.Parser().parseStringPromise(manifestXml);
+      sequencedPackage = {
+        title: 'Sequenced',
+        organizations: scormProcessor.extractOrganizations(manifest),
+        resources: scormProcessor.extractResources(manifest)
+      };
+    });
+
+    test('should parse sequencing and presentation per item', () => {
+      const organization = sequencedPackage.organizations[0];
+
+      expect(organization.sequencing).toBeDefined();
+      expect(organization.items[0].sequencing['imsss:objectives']).toBeDefined();
+      expect(organization.items[0].presentation['adlnav:navigationInterface']).toBeDefined();
+    });
+
+    test('should re-emit item sequencing with namespaced global objectives', () => {
+      const manifest = scormProcessor.createMergedManifest([sequencedPackage, sequencedPackage], { mergeMode: 'structural' });
+
+      expect(manifest).toContain('xmlns:imsss="http://www.imsglobal.org/xsd/imsss"');
+      expect(manifest).toContain('<imsss:mapInfo targetObjectiveID="pkg_1_shared_obj" writeSatisfiedStatus="true"/>');
+      expect(manifest).toContain('<imsss:mapInfo targetObjectiveID="pkg_2_shared_obj" writeSatisfiedStatus="true"/>');
+      expect(manifest).toContain('<adlnav:hideLMSUI>continue</adlnav:hideLMSUI>');
+      // The source organization rules move to the package item
+      expect(manifest).toContain('<imsss:controlMode choice="false" flow="true"/>');
+    });
+
+    test('should keep the rules of the launched item in flat mode', () => {
+      const manifest = scormProcessor.createMergedManifest([sequencedPackage]);
+
+      expect(manifest).toContain('targetObjectiveID="pkg_1_shared_obj"');
+      expect(manifest).not.toContain('<imsss:controlMode choice="false" flow="true"/>');
+    });
+
+    test('should add the requested top-level strategy', () => {
+      const choice = scormProcessor.createMergedManifest([sequencedPackage], { sequencing: 'choice' });
+      expect(choice).toContain('<imsss:controlMode choice="true" flow="false" />');
+
+      const flow = scormProcessor.createMergedManifest([sequencedPackage], { sequencing: 'flow' });
+      expect(flow).toContain('<imsss:controlMode choice="false" flow="true" />');
+      expect(flow).not.toContain('tracked="false"');
+
+      const completeAll = scormProcessor.createMergedManifest([sequencedPackage], { sequencing: 'completeAll' });
+      expect(completeAll).toContain('<imsss:rollupRule childActivitySet="all">');
+      expect(completeAll).toContain('<imsss:rollupAction action="satisfied" />');
+
+      const none = scormProcessor.createMergedManifest([sequencedPackage]);
+      expect(none).not.toContain('<imsss:controlMode choice="true"');
+    });
+
+    test('should complete a completeAll course through the menu that plays its modules', async () => {
+      const plainPackage = { title: 'Plain', resources: [{ identifier: 'r', href: 'index.html', files: ['index.html'] }] };
+      const packages = [sequencedPackage, plainPackage];
+      const manifest = scormProcessor.createMergedManifest(packages, { sequencing: 'completeAll', launchMode: 'player' });
+
+      // The menu is tracked and is the only item the course rolls up from
+      expect(manifest).toContain('<item identifier="menu_item" identifierref="menu_resource">\n          <title>Course Menu</title>\n        </item>');
+      const firstItem = manifest.slice(manifest.indexOf('<item identifier="item_1"'), manifest.indexOf('<item identifier="item_2"'));
+      // Rules copied from the package keep their order: rollup rules come before objectives
+      expect(firstItem).toContain('<imsss:sequencing><imsss:rollupRules rollupObjectiveSatisfied="false" rollupProgressCompletion="false" /><imsss:objectives>');
+      expect(firstItem.indexOf('</imsss:sequencing>')).toBeLessThan(firstItem.indexOf('<adlnav:presentation>'));
+      const secondItem = manifest.slice(manifest.indexOf('<item identifier="item_2"'), manifest.indexOf('</organization>'));
+      expect(secondItem).toContain('<imsss:sequencing>\n            <imsss:rollupRules rollupObjectiveSatisfied="false" rollupProgressCompletion="false" />\n          </imsss:sequencing>');
+      await new xml2js.Parser().parseStringPromise(manifest);
+
+      // Modules played in the menu report to the menu's activity until it completes
+      const js = scormProcessor.createMenuFiles(packages, {
+        launchMode: 'player',
+        tracking: scormProcessor.createTrackingConfig(packages)
+      })['menu/menu.js'];
+      const menu = runMenu(js);
+      for (const moduleNumber of [1, 2]) {
+        menu.context.launchPackage(moduleNumber);
+        menu.window.API_1484_11.Initialize('');
+        menu.window.API_1484_11.SetValue('cmi.completion_status', 'completed');
+        expect(menu.values['cmi.completion_status']).toBe(moduleNumber === 2 ? 'completed' : 'incomplete');
+        menu.window.API_1484_11.Terminate('');
+      }
+    });
+
+    test('should leave sequencing out of SCORM 1.2 output', () => {
+      const manifest = scormProcessor.createMergedManifest([sequencedPackage], { outputVersion: '1.2', sequencing: 'flow' });
+
+      expect(manifest).not.toContain('imsss');
+      expect(manifest).not.toContain('adlnav');
+    });
+  });
+
+  describe('SCORM 1.2 output', () => {
+    const packages = [{
+      title: 'Package 1',
+      version: '1.2',
+      resources: [{ href: 'index.html', files: ['index.html'] }]
+    }];
+
+    test('should create a SCORM 1.2 manifest', () => {
+      const manifest = scormProcessor.createMergedManifest(packages, { outputVersion: '1.2' });
+
+      expect(manifest).toContain('xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"');
+      expect(manifest).toContain('xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"');
+      expect(manifest).toContain('<schemaversion>1.2</schemaversion>');
+      expect(manifest).toContain('adlcp:scormtype="sco"');
+      expect(manifest).not.toContain('adlcp_v1p3');
+      expect(manifest).not.toContain('adlcp:scormType');
+    });
+
+    test('should keep the SCORM 2004 manifest by default', () => {
+      const manifest = scormProcessor.createMergedManifest(packages);
+
+      expect(manifest).toContain('<schemaversion>2004 3rd Edition</schemaversion>');
+      expect(manifest).toContain('adlcp:scormType="sco"');
+    });
+
+    test('should generate runtime glue matching the output version', () => {
+      const menu12 = scormProcessor.createMenuFiles(packages, { outputVersion: '1.2' })['menu/menu.js'];
+      expect(menu12).toContain("var PREFERRED_VERSION = '1.2'");
+      expect(menu12).toContain('ScormMergeRuntime.createAdapter()');
+
+      const menu2004 = scormProcessor.createMenuFiles(packages, { outputVersion: '2004' })['menu/menu.js'];
+      expect(menu2004).toContain("var PREFERRED_VERSION = '2004'");
+
+      const handler12 = scormProcessor.createFinishHandlerScript({ outputVersion: '1.2' });
+      expect(handler12).toContain("var PREFERRED_VERSION = '1.2'");
+      expect(handler12).toContain('window.API = proxies.API');
+      expect(handler12).toContain('window.API_1484_11 = proxies.API_1484_11');
+      expect(handler12).toContain("JSON.parse(sessionStorage.getItem('scormMergeTracking') || 'null') || {\"modules\":1,\"rule\":\"all\"}");
+    });
+  });
+
+  describe('cmi5 output', () => {
+    const packages = [{
+      title: 'Safety & Health',
+      filename: 'safety.zip',
+      resources: [{ identifier: 'r1', href: 'index.html?lang=en', scormType: 'sco' }],
+      organizations: [{
+        identifier: 'org',
+        isDefault: true,
+        items: [
+          { identifier: 'intro', title: 'Intro', identifierref: 'r1', parameters: '?page=1', items: [] },
+          { identifier: 'quiz', title: 'Quiz', identifierref: 'r1', items: [] }
+        ]
+      }]
+    }, {
+      title: 'Fire Drill',
+      filename: 'fire.zip',
+      resources: [{ identifier: 'r1', href: 'start.html', scormType: 'sco' }]
+    }];
+
+    const parseCourseStructure = (xml) => new xml2js.Parser().parseStringPromise(xml);
+
+    test('should create one AU per package in flat mode', async () => {
+      const xml = scormProcessor.createCourseStructure(packages, { masteryScore: 80 });
+      const { courseStructure } = await parseCourseStructure(xml);
+
+      expect(courseStructure.$.xmlns).toBe('https://w3id.org/xapi/profiles/cmi5/v1/CourseStructure.xsd');
+      const courseId = courseStructure.course[0].$.id;
+      expect(courseId).toMatch(/^urn:uuid:/);
+      expect(courseStructure.au.map(au => au.$)).toEqual([
+        { id: `${courseId}/package_1`, moveOn: 'CompletedOrPassed', masteryScore: '0.8' },
+        { id: `${courseId}/package_2`, moveOn: 'CompletedOrPassed', masteryScore: '0.8' }
+      ]);
+      expect(courseStructure.au[0].title[0].langstring[0]._).toBe('Safety & Health');
+      expect(courseStructure.au[0].url[0]).toBe(`cmi5/launch.html?content=${encodeURIComponent('../package_1/index.html?lang=en')}`);
+    });
+
+    test('should create a block of AUs per package in structural mode', async () => {
+      const xml = scormProcessor.createCourseStructure(packages, { mergeMode: 'structural' });
+      const { courseStructure } = await parseCourseStructure(xml);
+      const [first] = courseStructure.block;
+
+      expect(first.title[0].langstring[0]._).toBe('Safety & Health');
+      expect(first.au.map(au => au.title[0].langstring[0]._)).toEqual(['Intro', 'Quiz']);
+      expect(decodeURIComponent(first.au[0].url[0].split('content=')[1])).toBe('../package_1/index.html?lang=en&page=1');
+      expect(first.au[0].$).not.toHaveProperty('masteryScore');
+      // Packages without organizations launch as a single AU outside any block
+      expect(courseStructure.block).toHaveLength(1);
+      expect(courseStructure.au.map(au => au.title[0].langstring[0]._)).toEqual(['Fire Drill']);
+    });
+
+    test('should write a cmi5 course instead of a SCORM package', async () => {
+      const mergePackages = [{ title: 'cmi5 Course', path: testPackagePath, resources: [{ identifier: 'test-resource', href: 'index.html' }] }];
+      const source = await new JSZip().loadAsync(await fs.readFile(testPackagePath));
+      const originalHtml = await source.file('index.html').async('string');
+
+      const { outputPath, report } = await scormProcessor.mergePackages(mergePackages, null, { outputFormat: 'cmi5' });
+      const zipContents = await new JSZip().loadAsync(await fs.readFile(outputPath));
+      await fs.unlink(outputPath);
+
+      expect(path.basename(outputPath)).toMatch(/^merged-cmi5-/);
+      expect(zipContents.file('imsmanifest.xml')).toBeNull();
+      expect(zipContents.file('menu/index.html')).toBeNull();
+      expect(zipContents.file('cmi5.xml')).not.toBeNull();
+      expect(await zipContents.file('cmi5/launch.html').async('string')).toContain('ScormMergeCmi5.start(window)');
+      expect(await zipContents.file('cmi5/launch.js').async('string')).toContain('ScormMergeRuntime');
+      // Modules run inside the launch page, which already offers the API
+      expect(await zipContents.file('package_1/index.html').async('string')).toBe(originalHtml);
+      expect(report.verification).toEqual({ valid: true, errors: [], warnings: [] });
+    }, 15000);
+  });
+
+  describe('Common Cartridge output', () => {
+    const packages = [{
+      title: 'Safety & Health',
+      resources: [
+        { identifier: 'sco', href: 'index.html', scormType: 'sco', files: ['index.html', 'app.js'], dependencies: ['lib'] },
+        { identifier: 'lib', scormType: 'asset', files: ['lib/jquery.js'] }
+      ],
+      organizations: [{
+        identifier: 'org',
+        isDefault: true,
+        items: [{ identifier: 'intro', title: 'Intro', identifierref: 'sco', items: [] }]
+      }]
+    }, {
+      title: 'Fire Drill',
+      resources: [{ identifier: 'sco', href: 'start.html', files: ['start.html'] }]
+    }];
+
+    const parseManifest = (xml) => new xml2js.Parser().parseStringPromise(xml);
+
+    test('should create a module per package linking to its web content', async () => {
+      const { manifest } = await parseManifest(scormProcessor.createCartridgeManifest(packages));
+
+      expect(manifest.$.xmlns).toBe('http://www.imsglobal.org/xsd/imsccv1p3/imscp_v1p1');
+      expect(manifest.metadata[0].schema[0]).toBe('IMS Common Cartridge');
+      expect(manifest.metadata[0].schemaversion[0]).toBe('1.3.0');
+
+      const organization = manifest.organizations[0].organization[0];
+      expect(organization.$.structure).toBe('rooted-hierarchy');
+      const modules = organization.item[0].item;
+      expect(modules.map(module => module.title[0])).toEqual(['Safety & Health', 'Fire Drill']);
+      expect(modules[0].item.map(item => item.$.identifierref)).toEqual(['pkg_1_sco']);
+      expect(modules[1].item.map(item => item.$.identifierref)).toEqual(['pkg_2_sco']);
+
+      const resources = manifest.resources[0].resource;
+      expect(resources.map(resource => resource.$)).toEqual([
+        { identifier: 'pkg_1_sco', type: 'webcontent', href: 'package_1/index.html' },
+        { identifier: 'pkg_1_lib', type: 'webcontent' },
+        { identifier: 'pkg_2_sco', type: 'webcontent', href: 'package_2/start.html' }
+      ]);
+      expect(resources[0].file.map(file => file.$.href)).toEqual(['package_1/index.html', 'package_1/app.js']);
+      expect(resources[0].dependency[0].$.identifierref).toBe('pkg_1_lib');
+    });
+
+    test('should list each package\'s lessons in its module in structural mode', async () => {
+      const { manifest } = await parseManifest(scormProcessor.createCartridgeManifest(packages, { mergeMode: 'structural' }));
+      const modules = manifest.organizations[0].organization[0].item[0].item;
+
+      expect(modules[0].title[0]).toBe('Safety & Health');
+      expect(modules[0].item.map(item => item.title[0])).toEqual(['Intro']);
+      // Packages without organizations keep a single link
+      expect(modules[1].item.map(item => item.title[0])).toEqual(['Fire Drill']);
+    });
+
+    test('should write a cartridge that reads back as a Common Cartridge', async () => {
+      const mergePackages = [{ title: 'Cartridge Course', path: testPackagePath, resources: [{ identifier: 'test-resource', href: 'index.html', files: ['index.html', 'test.js'] }] }];
+      const source = await new JSZip().loadAsync(await fs.readFile(testPackagePath));
+      const originalHtml = await source.file('index.html').async('string');
+
+      const { outputPath, report } = await scormProcessor.mergePackages(mergePackages, null, { outputFormat: 'imscc' });
+      const zipContents = await new JSZip().loadAsync(await fs.readFile(outputPath));
+      const cartridge = await scormProcessor.validateAndParsePackage(outputPath);
+      await fs.unlink(outputPath);
+
+      expect(path.basename(outputPath)).toMatch(/^merged-imscc-/);
+      expect(zipContents.file('menu/index.html')).toBeNull();
+      expect(await zipContents.file('package_1/index.html').async('string')).toBe(originalHtml);
+      expect(report.verification).toEqual({ valid: true, errors: [], warnings: [] });
+      expect(cartridge.format).toBe('imscc');
+      expect(cartridge.validation.valid).toBe(true);
+      expect(cartridge.resources.map(resource => resource.href)).toEqual(['package_1/index.html']);
+    }, 15000);
+  });
+
   describe('createMenuFiles', () => {
     test('should create menu files with correct structure', () => {
       const packages = [
@@ -306,6 +988,70 @@ describe('ScormProcessor', () => {
       expect(css).toContain('.menu-item');
     });
 
+    test('should track modules instead of completing the course on launch', () => {
+      const packages = [
+        { id: 1, title: 'Intro', resources: [{ href: 'index.html' }] },
+        { id: 2, title: 'Quiz', resources: [{ href: 'quiz.html' }] }
+      ];
+      const menuFiles = scormProcessor.createMenuFiles(packages, {
+        tracking: scormProcessor.createTrackingConfig(packages, { completionRule: 'required', requiredPackages: ['2'] })
+      });
+
+      const js = menuFiles['menu/menu.js'];
+      expect(js).toContain('const trackingConfig = {"modules":2,"rule":"required"');
+      expect(js).toContain('"required":[2]};');
+      expect(js).toContain('tracker.startModule(packageNum);');
+      expect(js).toContain("sessionStorage.setItem('scormMergeTracking', JSON.stringify(trackingConfig));");
+      expect(js).toContain("scormAPI.setValue('cmi.exit', courseComplete ? 'normal' : 'suspend', '2004');");
+      expect(js).not.toContain("setValue('cmi.completion_status', 'completed'");
+
+      const html = menuFiles['menu/index.html'];
+      expect(html).toContain('id="resume-button"');
+      expect(html).toContain('<p class="module-status"></p>');
+      expect(menuFiles['menu/style.css']).toContain('.menu-item.completed h3::before');
+    });
+
+    test('should leave a module launched by the LMS alone when it returns to the menu', () => {
+      const packages = [
+        { id: 1, title: 'Intro', resources: [{ href: 'index.html' }] },
+        { id: 2, title: 'Quiz', resources: [{ href: 'quiz.html' }] }
+      ];
+      const js = scormProcessor.createMenuFiles(packages, { tracking: scormProcessor.createTrackingConfig(packages) })['menu/menu.js'];
+
+      // Opened from module 2's own activity: its completion stays as reported,
+      // and modules launched from there do not track into that activity
+      const moduleActivity = runMenu(js, { 'cmi.completion_status': 'completed' }, '?module=2');
+      moduleActivity.context.launchPackage(1);
+      expect(moduleActivity.values['cmi.completion_status']).toBe('completed');
+      expect(moduleActivity.values['cmi.suspend_data']).toBeUndefined();
+      expect(moduleActivity.storage.has('currentPackage')).toBe(false);
+
+      // Launched by the LMS as the menu SCO, it reports the course status
+      const menuActivity = runMenu(js);
+      expect(menuActivity.values['cmi.completion_status']).toBe('incomplete');
+      menuActivity.context.launchPackage(1);
+      expect(menuActivity.values['cmi.suspend_data']).toContain('scormMerge');
+      expect(menuActivity.storage.get('currentPackage')).toBe('1');
+
+      const handler = scormProcessor.createFinishHandlerScript({ moduleNumber: 2 });
+      expect(handler).toContain("window.location.href = '../menu/index.html?module=' + moduleNumber;");
+    });
+
+    test('should host modules in an iframe with proxy APIs in player mode', () => {
+      const packages = [{ title: 'Intro', resources: [{ href: 'start.html' }] }];
+      const menuFiles = scormProcessor.createMenuFiles(packages, { launchMode: 'player' });
+
+      const js = menuFiles['menu/menu.js'];
+      expect(js).toContain("openPlayer(packageNum, '../package_' + packageNum + '/' + pkg.mainFile);");
+      expect(js).toContain('window.API_1484_11 = proxies.API_1484_11;');
+      expect(js).not.toContain('window.location.href');
+      expect(menuFiles['menu/index.html']).toContain('id="player-back"');
+
+      const navigateMenu = scormProcessor.createMenuFiles(packages);
+      expect(navigateMenu['menu/menu.js']).toContain("window.location.href = '../' + packageFolder + '/' + pkg.mainFile;");
+      expect(navigateMenu['menu/index.html']).not.toContain('player-frame');
+    });
+
     test('should handle empty packages array', () => {
       const menuFiles = scormProcessor.createMenuFiles([]);
       
@@ -318,6 +1064,212 @@ describe('ScormProcessor', () => {
     });
   });
 
+  describe('package edits', () => {
+    const pkg = { id: 1, title: 'Package 1', description: 'Generated', filename: 'package1.zip', resources: [{ href: 'index.html' }] };
+
+    test('should apply edits and list the edited fields', () => {
+      const edited = scormProcessor.applyPackageEdits(pkg, { description: ' Written by hand ', menuLabel: 'Start here' });
+      expect(edited).toMatchObject({ title: 'Package 1', description: 'Written by hand', menuLabel: 'Start here', editedFields: ['description', 'menuLabel'] });
+      expect(pkg).not.toHaveProperty('editedFields');
+
+      const cleared = scormProcessor.applyPackageEdits(edited, { menuLabel: '' });
+      expect(cleared).not.toHaveProperty('menuLabel');
+      expect(cleared.editedFields).toEqual(['description']);
+    });
+
+    test('should reject invalid edits', () => {
+      expect(() => scormProcessor.applyPackageEdits(pkg, {})).toThrow('Nothing to change');
+      expect(() => scormProcessor.applyPackageEdits(pkg, { title: '' })).toThrow('title cannot be empty');
+      expect(() => scormProcessor.applyPackageEdits(pkg, { title: 42 })).toThrow('title must be text');
+      expect(() => scormProcessor.applyPackageEdits(pkg, { menuLabel: 'x'.repeat(101) }))
+        .toThrow('menuLabel must be at most 100 characters');
+    });
+
+    test('should use the edited values in the manifest and the menu', () => {
+      const edited = scormProcessor.applyPackageEdits(pkg, { title: 'Fire Safety', description: 'Written by hand', menuLabel: 'Module A' });
+
+      expect(scormProcessor.createMergedManifest([edited])).toContain('<title>Fire Safety</title>');
+      const menuFiles = scormProcessor.createMenuFiles([edited]);
+      expect(menuFiles['menu/index.html']).toContain('<h3>Module A</h3>');
+      expect(menuFiles['menu/index.html']).toContain('<p class="package-description">Written by hand</p>');
+      expect(menuFiles['menu/menu.js']).toContain('"title":"Module A"');
+    });
+  });
+
+  describe('sections', () => {
+    const createPackage = (title, section) => ({
+      id: title, title, section, version: '2004 3rd Edition', filename: `${title}.zip`, resources: [{ href: 'index.html', files: ['index.html'] }]
+    });
+
+    test('should validate section names', () => {
+      expect(scormProcessor.normalizeSections(undefined)).toEqual([]);
+      expect(scormProcessor.normalizeSections([' Week 1 ', 'Week 2'])).toEqual(['Week 1', 'Week 2']);
+      expect(() => scormProcessor.normalizeSections('Week 1')).toThrow('sections must be a list of section names');
+      expect(() => scormProcessor.normalizeSections(['  '])).toThrow('Section names cannot be empty');
+      expect(() => scormProcessor.normalizeSections(['Week 1', 'Week 1'])).toThrow('Duplicate section: Week 1');
+    });
+
+    test('should group packages without a section first, then by section order', () => {
+      const packages = [createPackage('A', 'Week 2'), createPackage('B'), createPackage('C', 'Week 1'), createPackage('D', 'Extra')];
+      const groups = scormProcessor.groupIntoSections(packages, ['Week 1', 'Empty', 'Week 2']);
+
+      expect(groups.map(group => [group.title, group.packages.map(pkg => pkg.title)])).toEqual([
+        [null, ['B']],
+        ['Week 1', ['C']],
+        ['Week 2', ['A']],
+        ['Extra', ['D']]
+      ]);
+    });
+
+    test('should nest the items of a section under a parent item', () => {
+      const packages = [createPackage('Intro'), createPackage('Fire & Safety', 'Week 1'), createPackage('First Aid', 'Week 1')];
+      const manifest = scormProcessor.createMergedManifest(packages, { sections: ['Week 1'], sequencing: 'flow' });
+
+      const organization = manifest.slice(manifest.indexOf('<item identifier="item_1"'), manifest.indexOf('</organization>'));
+      expect(organization).toContain(`<item identifier="section_1">
+          <title>Week 1</title>
+          <item identifier="item_2" identifierref="pkg_2_resource_1">
+            <title>Fire &amp; Safety</title>
+          </item>
+          <item identifier="item_3" identifierref="pkg_3_resource_1">`);
+      // The section passes the course's navigation rules on to its modules and,
+      // like modules outside sections, leaves the course rollup to the menu
+      expect(organization).toContain(`          </item>
+          <imsss:sequencing>
+            <imsss:controlMode choice="false" flow="true" />
+            <imsss:rollupRules rollupObjectiveSatisfied="false" rollupProgressCompletion="false" />
+          </imsss:sequencing>
+        </item>`);
+      expect(organization).toMatch(/^<item identifier="item_1" identifierref="pkg_1_resource_1">\n {10}<title>Intro<\/title>\n {10}<imsss:sequencing>\n {12}<imsss:rollupRules /);
+    });
+
+    test('should show collapsible section headings on the menu', () => {
+      const packages = [createPackage('Intro'), createPackage('Fire Safety', 'Week 1')];
+      const html = scormProcessor.createMenuFiles(packages, { sections: ['Week 1'] })['menu/index.html'];
+
+      expect(html).toContain('<details class="menu-section" open>\n                <summary>Week 1</summary>');
+      expect(html.indexOf('data-package="1"')).toBeLessThan(html.indexOf('menu-section'));
+      expect(html.indexOf('data-package="2"')).toBeGreaterThan(html.indexOf('<summary>Week 1</summary>'));
+    });
+  });
+
+  describe('prerequisites', () => {
+    const createPackage = (id, prerequisites, extra = {}) => ({
+      id, title: `Module ${id}`, prerequisites, version: '2004 3rd Edition', filename: `${id}.zip`,
+      resources: [{ identifier: 'sco', href: 'index.html', files: ['index.html'] }], ...extra
+    });
+
+    test('should only accept packages that come earlier as prerequisites', () => {
+      const first = createPackage(1);
+      expect(() => scormProcessor.validatePrerequisites([first, createPackage(2, 'previous'), createPackage(3, ['1', 2])]))
+        .not.toThrow();
+      expect(() => scormProcessor.validatePrerequisites([first, createPackage(2, 'all')]))
+        .toThrow('Prerequisites of "Module 2" must be "previous" or a list of package ids');
+      expect(() => scormProcessor.validatePrerequisites([first, createPackage(2, [2])]))
+        .toThrow('"Module 2" can only require packages that come before it');
+      expect(() => scormProcessor.validatePrerequisites([first, createPackage(2, [9])]))
+        .toThrow('Unknown prerequisite of "Module 2": 9');
+    });
+
+    test('should turn prerequisites into module numbers in merge order', () => {
+      const packages = [createPackage(1, 'previous'), createPackage(2), createPackage(3, 'previous'), createPackage(4, ['2', '1', '4'])];
+
+      expect(scormProcessor.createTrackingConfig(packages).prerequisites).toEqual({ 3: [2], 4: [1, 2] });
+      expect(scormProcessor.createTrackingConfig([createPackage(1), createPackage(2)])).not.toHaveProperty('prerequisites');
+    });
+
+    test('should disable modules in the LMS until their prerequisites are satisfied', async () => {
+      const packages = [createPackage(1), createPackage(2, ['1'])];
+      const xml = scormProcessor.createMergedManifest(packages, { tracking: scormProcessor.createTrackingConfig(packages) });
+      const { manifest } = await new xml2js.Parser().parseStringPromise(xml);
+      const [, first, second] = manifest.organizations[0].organization[0].item;
+
+      const written = first['imsss:sequencing'][0]['imsss:objectives'][0]['imsss:primaryObjective'][0];
+      expect(written['imsss:mapInfo'][0].$).toEqual({
+        targetObjectiveID: 'scorm_merge_module_1', readSatisfiedStatus: 'false', writeSatisfiedStatus: 'true'
+      });
+      const rule = second['imsss:sequencing'][0]['imsss:sequencingRules'][0]['imsss:preConditionRule'][0];
+      expect(rule['imsss:ruleConditions'][0]['imsss:ruleCondition'][0].$).toEqual({
+        referencedObjective: 'scorm_merge_prerequisite_1', operator: 'not', condition: 'satisfied'
+      });
+      expect(rule['imsss:ruleAction'][0].$.action).toBe('disabled');
+      const read = second['imsss:sequencing'][0]['imsss:objectives'][0]['imsss:objective'][0];
+      expect(read.$.objectiveID).toBe('scorm_merge_prerequisite_1');
+      expect(read['imsss:mapInfo'][0].$.targetObjectiveID).toBe('scorm_merge_module_1');
+      // SCORM 1.2 has no sequencing; the menu locks the module on its own
+      expect(scormProcessor.createMergedManifest(packages, { outputVersion: '1.2', tracking: scormProcessor.createTrackingConfig(packages) }))
+        .not.toContain('scorm_merge_');
+    });
+
+    test('should keep navigation rules and sequencing of the packages themselves', () => {
+      const structural = createPackage(2, 'previous', {
+        organizations: [{ identifier: 'org', isDefault: true, items: [{ identifier: 'intro', title: 'Intro', identifierref: 'sco', items: [] }] }]
+      });
+      const ownRules = createPackage(3, 'previous', {
+        organizations: [{
+          identifier: 'org',
+          isDefault: true,
+          items: [{ identifier: 'intro', title: 'Intro', identifierref: 'sco', items: [] }],
+          sequencing: { 'imsss:controlMode': [{ $: { choice: 'true', flow: 'true' } }] }
+        }]
+      });
+      const packages = [createPackage(1), structural, ownRules];
+      const xml = scormProcessor.createMergedManifest(packages, {
+        mergeMode: 'structural', sequencing: 'flow', tracking: scormProcessor.createTrackingConfig(packages)
+      });
+
+      const cluster = xml.slice(xml.indexOf('<item identifier="item_2">'), xml.indexOf('<item identifier="item_3"'));
+      expect(cluster).toContain(`          <imsss:sequencing>
+            <imsss:controlMode choice="false" flow="true" />
+            <imsss:sequencingRules>`);
+      expect(cluster.match(/<imsss:sequencing>/g)).toHaveLength(1);
+      const own = xml.slice(xml.indexOf('<item identifier="item_3"'), xml.indexOf('</organization>'));
+      expect(own).toContain('<imsss:controlMode choice="true" flow="true"/>');
+      expect(own).not.toContain('scorm_merge_prerequisite_2');
+    });
+
+    test('should lock modules on the menu until their prerequisites are complete', () => {
+      const packages = [createPackage(1), createPackage(2, 'previous')];
+      const menuJs = scormProcessor.createMenuFiles(packages)['menu/menu.js'];
+
+      expect(menuJs).toContain('"prerequisites":{"2":[1]}');
+      expect(menuJs).toContain("item.classList.toggle('locked', missing.length > 0);");
+      expect(menuJs).toContain('if (pkg && !isModuleLocked(packageNum)) {');
+    });
+  });
+
+  describe('createTrackingConfig', () => {
+    const packages = [{ id: 11 }, { id: 22 }, { id: 33 }];
+
+    test('should require all modules by default', () => {
+      expect(scormProcessor.createTrackingConfig(packages)).toMatchObject({ modules: 3, rule: 'all' });
+    });
+
+    test('should cap the module count at the number of packages', () => {
+      expect(scormProcessor.createTrackingConfig(packages, { completionRule: 'count', completionCount: 5 }))
+        .toMatchObject({ modules: 3, rule: 'count', count: 3 });
+    });
+
+    test('should turn required package ids into module numbers', () => {
+      expect(scormProcessor.createTrackingConfig(packages, { completionRule: 'required', requiredPackages: ['33', '11'] }))
+        .toMatchObject({ modules: 3, rule: 'required', required: [1, 3] });
+    });
+
+    test('should collect score weights and the mastery score', () => {
+      const weighted = [{ id: 1, weight: 3 }, { id: 2 }, { id: 3, weight: 'heavy' }, { id: 4, weight: 0 }];
+
+      expect(scormProcessor.createTrackingConfig(weighted, { scoreMethod: 'weighted', masteryScore: 80 }).scoring)
+        .toEqual({ method: 'weighted', weights: [3, 1, 1, 0], masteryScore: 80 });
+      expect(scormProcessor.createTrackingConfig(weighted).scoring)
+        .toEqual({ method: 'average', weights: [3, 1, 1, 0], masteryScore: null });
+    });
+
+    test('should require all modules when no required package is merged', () => {
+      expect(scormProcessor.createTrackingConfig(packages, { completionRule: 'required', requiredPackages: ['99'] }))
+        .toMatchObject({ modules: 3, rule: 'all' });
+    });
+  });
+
   describe('escapeXml', () => {
     test('should escape XML special characters', () => {
       const input = 'Test & "quotes" <tags> \'apostrophes\'';
@@ -345,7 +1297,7 @@ describe('ScormProcessor', () => {
 
       const progressCallback = jest.fn();
       
-      const outputPath = await scormProcessor.mergePackages(packages, progressCallback);
+      const { outputPath } = await scormProcessor.mergePackages(packages, progressCallback);
       
       expect(outputPath).toBeTruthy();
       expect(outputPath).toContain('merged-scorm-');
@@ -381,6 +1333,51 @@ describe('ScormProcessor', () => {
       await fs.unlink(outputPath);
     }, 15000);
 
+    test('should point merged resources at the files of packages using xml:base', async () => {
+      const zip = new JSZip();
+      zip.file('imsmanifest.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="based" version="1.3" xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+          xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>2004 3rd Edition</schemaversion>
+  </metadata>
+  <organizations default="org">
+    <organization identifier="org">
+      <title>Based</title>
+      <item identifier="item" identifierref="sco"><title>Lesson</title></item>
+    </organization>
+  </organizations>
+  <resources xml:base="content/">
+    <resource identifier="sco" type="webcontent" adlcp:scormType="sco" xml:base="lesson1/" href="start.html">
+      <file href="start.html" />
+      <file href="media/intro.mp4" />
+    </resource>
+  </resources>
+</manifest>`);
+      zip.file('content/lesson1/start.html', '<html><head></head><body>Lesson</body></html>');
+      zip.file('content/lesson1/media/intro.mp4', 'video');
+      const basedPath = path.join('test-uploads', 'xml-base.zip');
+      await fs.writeFile(basedPath, await zip.generateAsync({ type: 'nodebuffer' }));
+
+      try {
+        const packageInfo = await scormProcessor.validateAndParsePackage(basedPath);
+        const { outputPath, report } = await scormProcessor.mergePackages([{ ...packageInfo, title: 'Based', path: basedPath }]);
+        const zipContents = await new JSZip().loadAsync(await fs.readFile(outputPath));
+        await fs.unlink(outputPath);
+
+        const manifest = await zipContents.file('imsmanifest.xml').async('string');
+        expect(manifest).toContain('<resource identifier="pkg_1_sco" type="webcontent" adlcp:scormType="sco" href="package_1/content/lesson1/start.html">');
+        expect(manifest).toContain('<file href="package_1/content/lesson1/media/intro.mp4" />');
+        expect(await zipContents.file('package_1/content/lesson1/start.html').async('string')).toContain('SCORM Merge Finish Handler');
+        expect(JSON.parse((await zipContents.file('menu/menu.js').async('string')).match(/const packageData = (.*);/)[1])[0].mainFile)
+          .toBe('content/lesson1/start.html');
+        expect(report.verification.valid).toBe(true);
+      } finally {
+        await fs.unlink(basedPath);
+      }
+    }, 15000);
+
     test('should handle multiple packages', async () => {
       // Create second test package
       const zip2 = new JSZip();
@@ -422,7 +1419,7 @@ describe('ScormProcessor', () => {
         }
       ];
 
-      const outputPath = await scormProcessor.mergePackages(packages);
+      const { outputPath } = await scormProcessor.mergePackages(packages);
       
       const mergedData = await fs.readFile(outputPath);
       const mergedZip = new JSZip();
@@ -435,6 +1432,162 @@ describe('ScormProcessor', () => {
       await fs.unlink(outputPath);
       await fs.unlink(testPackagePath2);
     }, 15000);
+
+    test('should produce a SCORM 1.2 package when all inputs are SCORM 1.2', async () => {
+      const packages = [{
+        title: 'Legacy Package',
+        version: '1.2',
+        path: testPackagePath,
+        resources: [{ href: 'index.html', files: ['index.html'] }]
+      }];
+
+      const { outputPath } = await scormProcessor.mergePackages(packages);
+      const zipContents = await new JSZip().loadAsync(await fs.readFile(outputPath));
+      const manifestContent = await zipContents.file('imsmanifest.xml').async('string');
+      const menuJs = await zipContents.file('menu/menu.js').async('string');
+      const html = await zipContents.file('package_1/index.html').async('string');
+
+      expect(manifestContent).toContain('<schemaversion>1.2</schemaversion>');
+      expect(menuJs).toContain("var PREFERRED_VERSION = '1.2'");
+      expect(html).toContain('SCORM Merge Finish Handler');
+
+      await fs.unlink(outputPath);
+    }, 15000);
+
+    test('should keep the given package order unless sorting by title', async () => {
+      const packages = [
+        { title: 'Zebra Course', version: '1.2', path: testPackagePath, resources: [{ href: 'index.html' }] },
+        { title: 'Apple Course', version: '1.2', path: testPackagePath, resources: [{ href: 'index.html' }] }
+      ];
+
+      const readManifest = async ({ outputPath }) => {
+        const zipContents = await new JSZip().loadAsync(await fs.readFile(outputPath));
+        await fs.unlink(outputPath);
+        return zipContents.file('imsmanifest.xml').async('string');
+      };
+
+      const sessionOrder = await readManifest(await scormProcessor.mergePackages(packages));
+      expect(sessionOrder.indexOf('Zebra Course')).toBeLessThan(sessionOrder.indexOf('Apple Course'));
+
+      const titleOrder = await readManifest(
+        await scormProcessor.mergePackages(packages, null, { sortBy: 'title' })
+      );
+      expect(titleOrder.indexOf('Apple Course')).toBeLessThan(titleOrder.indexOf('Zebra Course'));
+    }, 15000);
+
+    test('should verify the merged package it wrote', async () => {
+      const packages = [
+        { title: 'Tips & <Tricks>', version: '2004 3rd Edition', path: testPackagePath, resources: [{ identifier: 'sco', href: 'index.html', files: ['index.html', 'test.js'] }] }
+      ];
+
+      const { outputPath, report } = await scormProcessor.mergePackages(packages);
+      await fs.unlink(outputPath);
+
+      expect(report.verification).toEqual({ valid: true, errors: [], warnings: [] });
+    }, 15000);
+
+    test('should leave module HTML untouched in player launch mode', async () => {
+      const packages = [{ title: 'Player Course', path: testPackagePath, resources: [{ href: 'index.html' }] }];
+      const source = await new JSZip().loadAsync(await fs.readFile(testPackagePath));
+      const originalHtml = await source.file('index.html').async('string');
+
+      const { outputPath } = await scormProcessor.mergePackages(packages, null, { launchMode: 'player' });
+      const zipContents = await new JSZip().loadAsync(await fs.readFile(outputPath));
+      const html = await zipContents.file('package_1/index.html').async('string');
+      const menuHtml = await zipContents.file('menu/index.html').async('string');
+      await fs.unlink(outputPath);
+
+      expect(html).toBe(originalHtml);
+      expect(menuHtml).toContain('<iframe class="player-frame" id="player-frame"');
+    }, 15000);
+
+    test('should stream large packages without holding them in memory', async () => {
+      const chunkSize = 1024 * 1024;
+      const mediaSize = 40 * chunkSize;
+      const createLargePackage = async (packagePath) => {
+        // Random bytes do not compress, so the output is as large as the input
+        const chunk = require('crypto').randomBytes(chunkSize);
+        const zip = new yazl.ZipFile();
+        const written = pipeline(zip.outputStream, createWriteStream(packagePath));
+        zip.addBuffer(Buffer.from('<manifest identifier="large"></manifest>'), 'imsmanifest.xml');
+        zip.addBuffer(Buffer.from('<html><head></head><body>Large</body></html>'), 'index.html');
+        zip.addReadStream(Readable.from((function* () {
+          for (let offset = 0; offset < mediaSize; offset += chunkSize) yield chunk;
+        })()), 'media/video.bin', { compress: false });
+        zip.end();
+        await written;
+      };
+
+      const packagePaths = [
+        path.join('test-uploads', 'large-package-1.zip'),
+        path.join('test-uploads', 'large-package-2.zip')
+      ];
+      for (const packagePath of packagePaths) {
+        await createLargePackage(packagePath);
+      }
+      const packages = packagePaths.map((packagePath, index) => ({
+        title: `Large Course ${index + 1}`,
+        path: packagePath,
+        resources: [{ href: 'index.html' }]
+      }));
+
+      const memoryInUse = () => {
+        const usage = process.memoryUsage();
+        return usage.heapUsed + usage.arrayBuffers;
+      };
+      const baseline = memoryInUse();
+      let peak = baseline;
+      const sampler = setInterval(() => {
+        peak = Math.max(peak, memoryInUse());
+      }, 5);
+
+      let outputPath;
+      try {
+        ({ outputPath } = await scormProcessor.mergePackages(packages));
+      } finally {
+        clearInterval(sampler);
+        for (const packagePath of packagePaths) {
+          await fs.unlink(packagePath);
+        }
+      }
+
+      const entries = {};
+      const zipFile = await yauzl.openPromise(outputPath, { lazyEntries: true });
+      for await (const entry of zipFile.eachEntry()) {
+        entries[entry.fileName] = entry.uncompressedSize;
+      }
+      await fs.unlink(outputPath);
+
+      expect(entries['package_1/media/video.bin']).toBe(mediaSize);
+      expect(entries['package_2/media/video.bin']).toBe(mediaSize);
+      expect(entries['package_2/index.html']).toBeGreaterThan(0);
+      // The packages hold 80MB together; buffering them in memory needs
+      // several times that, while streaming stays flat whatever their size
+      expect(peak - baseline).toBeLessThan(64 * 1024 * 1024);
+    }, 60000);
+
+    test('should close the package when copying it fails', async () => {
+      const openPromise = yauzl.openPromise;
+      let zipFile;
+      const spy = jest.spyOn(yauzl, 'openPromise').mockImplementation(async (...args) => {
+        zipFile = await openPromise(...args);
+        return zipFile;
+      });
+      const failingZip = {
+        addBuffer: () => { throw new Error('Disk full'); },
+        addReadStream: () => { throw new Error('Disk full'); }
+      };
+
+      try {
+        await expect(scormProcessor.addPackageFiles(failingZip, { path: testPackagePath, title: 'Test' }, 0, {}))
+          .rejects.toThrow('Disk full');
+      } finally {
+        spy.mockRestore();
+      }
+      expect(zipFile.isOpen).toBe(false);
+      // The file descriptor is released once nothing reads from it
+      expect(zipFile.reader.refCount).toBe(0);
+    });
   });
 
   describe('Friendly name generation', () => {
@@ -536,6 +1689,269 @@ describe('ScormProcessor', () => {
       expect(packages[1].title).toBe('Beta Course');
       expect(packages[2].title).toBe('zebra course');
     });
+
+    test('sortPackagesByTitle should return a sorted copy', () => {
+      const packages = [
+        { title: 'Zebra Course', filename: 'zebra.zip' },
+        { title: 'Untitled', filename: 'middle-course.zip' },
+        { title: 'Apple Course', filename: 'apple.zip' }
+      ];
+
+      const sorted = scormProcessor.sortPackagesByTitle(packages);
+
+      expect(sorted.map(pkg => scormProcessor.getDisplayTitle(pkg)))
+        .toEqual(['Apple Course', 'Middle Course', 'Zebra Course']);
+      expect(packages[0].title).toBe('Zebra Course'); // Input left untouched
+    });
+
+    test('sortPackagesByTitle should sort by the menu label when one is set', () => {
+      const packages = [
+        { title: 'Apple Course', menuLabel: 'Zoology', filename: 'apple.zip' },
+        { title: 'Mango Course', filename: 'mango.zip' }
+      ];
+
+      expect(scormProcessor.sortPackagesByTitle(packages).map(pkg => pkg.title)).toEqual(['Mango Course', 'Apple Course']);
+    });
+  });
+
+  describe('normalizeMergeOptions', () => {
+    test('should fill in defaults', () => {
+      expect(scormProcessor.normalizeMergeOptions({})).toEqual({
+        sortBy: 'session',
+        outputFormat: 'scorm',
+        outputVersion: 'auto',
+        mergeMode: 'flat',
+        launchMode: 'navigate',
+        dedupeAssets: false,
+        sequencing: 'none',
+        completionRule: 'all',
+        completionCount: null,
+        requiredPackages: [],
+        scoreMethod: 'average',
+        masteryScore: null,
+        metadata: { title: null, description: null, identifier: null, language: null, version: null },
+        theme: null,
+        outputFilename: null
+      });
+    });
+
+    test('should accept sorting by title', () => {
+      expect(scormProcessor.normalizeMergeOptions({ sortBy: 'title' }).sortBy).toBe('title');
+    });
+
+    test('should accept explicit output versions', () => {
+      expect(scormProcessor.normalizeMergeOptions({ outputVersion: '1.2' }).outputVersion).toBe('1.2');
+      expect(() => scormProcessor.normalizeMergeOptions({ outputVersion: '3' }))
+        .toThrow('Invalid outputVersion option: 3');
+    });
+
+    test('should accept the cmi5 and Common Cartridge output formats', () => {
+      expect(scormProcessor.normalizeMergeOptions({ outputFormat: 'cmi5' }).outputFormat).toBe('cmi5');
+      expect(scormProcessor.normalizeMergeOptions({ outputFormat: 'imscc' }).outputFormat).toBe('imscc');
+      expect(() => scormProcessor.normalizeMergeOptions({ outputFormat: 'xapi' }))
+        .toThrow('Invalid outputFormat option: xapi');
+    });
+
+    test('should reject unknown sort modes', () => {
+      expect(() => scormProcessor.normalizeMergeOptions({ sortBy: 'random' }))
+        .toThrow('Invalid sortBy option: random');
+    });
+
+    test('should accept sequencing strategies', () => {
+      expect(scormProcessor.normalizeMergeOptions({ sequencing: 'completeAll' }).sequencing).toBe('completeAll');
+      expect(() => scormProcessor.normalizeMergeOptions({ sequencing: 'strict' }))
+        .toThrow('Invalid sequencing option: strict');
+    });
+
+    test('should validate completion rules', () => {
+      expect(scormProcessor.normalizeMergeOptions({ completionRule: 'count', completionCount: '2' }).completionCount).toBe(2);
+      expect(scormProcessor.normalizeMergeOptions({ completionRule: 'required', requiredPackages: [1, '2'] }).requiredPackages)
+        .toEqual(['1', '2']);
+      expect(() => scormProcessor.normalizeMergeOptions({ completionRule: 'most' }))
+        .toThrow('Invalid completionRule option: most');
+      expect(() => scormProcessor.normalizeMergeOptions({ completionRule: 'count', completionCount: 0 }))
+        .toThrow('completionCount must be a positive integer');
+      expect(() => scormProcessor.normalizeMergeOptions({ completionRule: 'required', requiredPackages: [] }))
+        .toThrow('requiredPackages must list at least one package');
+    });
+
+    test('should validate scoring options', () => {
+      expect(scormProcessor.normalizeMergeOptions({ scoreMethod: 'weighted', masteryScore: '75' }))
+        .toMatchObject({ scoreMethod: 'weighted', masteryScore: 75 });
+      expect(() => scormProcessor.normalizeMergeOptions({ scoreMethod: 'median' }))
+        .toThrow('Invalid scoreMethod option: median');
+      expect(() => scormProcessor.normalizeMergeOptions({ masteryScore: 120 }))
+        .toThrow('masteryScore must be a number between 0 and 100');
+    });
+
+    test('should deduplicate assets unless turned off', () => {
+      expect(scormProcessor.normalizeMergeOptions({}).dedupeAssets).toBe(false);
+      expect(scormProcessor.normalizeMergeOptions({ dedupeAssets: true }).dedupeAssets).toBe(true);
+      expect(() => scormProcessor.normalizeMergeOptions({ dedupeAssets: 'no' }))
+        .toThrow('dedupeAssets must be true or false');
+    });
+
+    test('should accept the player launch mode', () => {
+      expect(scormProcessor.normalizeMergeOptions({}).launchMode).toBe('navigate');
+      expect(scormProcessor.normalizeMergeOptions({ launchMode: 'player' }).launchMode).toBe('player');
+      expect(() => scormProcessor.normalizeMergeOptions({ launchMode: 'popup' }))
+        .toThrow('Invalid launchMode option: popup');
+    });
+
+    test('should accept the structural merge mode', () => {
+      expect(scormProcessor.normalizeMergeOptions({ mergeMode: 'structural' }).mergeMode).toBe('structural');
+      expect(() => scormProcessor.normalizeMergeOptions({ mergeMode: 'nested' }))
+        .toThrow('Invalid mergeMode option: nested');
+    });
+  });
+
+  describe('course metadata', () => {
+    const metadata = {
+      title: 'Safety & Compliance',
+      description: 'Everything new staff need',
+      identifier: 'safety-2026',
+      language: 'fr-CA',
+      version: '2.1'
+    };
+    const packages = [
+      { title: 'Package 1', version: '2004 3rd Edition', identifier: 'pkg1', resources: [{ href: 'index.html', files: ['index.html'] }] }
+    ];
+
+    test('should read and validate the course details', () => {
+      const options = scormProcessor.normalizeMergeOptions({
+        courseTitle: '  Safety & Compliance ',
+        courseDescription: '',
+        courseIdentifier: 'safety-2026',
+        courseLanguage: 'fr-CA',
+        outputFilename: 'safety'
+      });
+      expect(options.metadata).toEqual({
+        title: 'Safety & Compliance', description: null, identifier: 'safety-2026', language: 'fr-CA', version: null
+      });
+      expect(options.outputFilename).toBe('safety.zip');
+      expect(scormProcessor.normalizeMergeOptions({ outputFilename: 'safety.ZIP' }).outputFilename).toBe('safety.ZIP');
+      expect(scormProcessor.normalizeMergeOptions({ outputFormat: 'imscc', outputFilename: 'safety' }).outputFilename)
+        .toBe('safety.imscc');
+
+      expect(() => scormProcessor.normalizeMergeOptions({ courseTitle: 5 })).toThrow('courseTitle must be text');
+      expect(() => scormProcessor.normalizeMergeOptions({ courseTitle: 'x'.repeat(201) }))
+        .toThrow('courseTitle must be at most 200 characters');
+      expect(() => scormProcessor.normalizeMergeOptions({ courseIdentifier: '1st course' }))
+        .toThrow('courseIdentifier must start with a letter');
+      expect(() => scormProcessor.normalizeMergeOptions({ courseLanguage: 'French' }))
+        .toThrow('courseLanguage must be a language tag such as "en" or "fr-CA": French');
+      expect(() => scormProcessor.normalizeMergeOptions({ outputFilename: '../course' }))
+        .toThrow('outputFilename cannot contain');
+    });
+
+    test('should describe the course in the SCORM manifest and the menu', () => {
+      const manifest = scormProcessor.createMergedManifest(packages, { metadata });
+      expect(manifest).toContain('<manifest identifier="safety-2026"');
+      expect(manifest).toContain('<string language="fr-CA">Safety &amp; Compliance</string>');
+      expect(manifest).toContain('<language>fr-CA</language>');
+      expect(manifest).toContain('<string language="fr-CA">Everything new staff need</string>');
+      expect(manifest).toContain('<string language="fr-CA">2.1</string>');
+      expect(manifest).toContain('<title>Safety &amp; Compliance</title>');
+      expect(manifest).not.toContain('Merged SCORM Package');
+
+      const manifest12 = scormProcessor.createMergedManifest(packages, { metadata, outputVersion: '1.2' });
+      expect(manifest12).toContain('<langstring xml:lang="fr-CA">Safety &amp; Compliance</langstring>');
+      expect(manifest12).toContain('<lifecycle>');
+
+      const html = scormProcessor.createMenuFiles(packages, { metadata })['menu/index.html'];
+      expect(html).toContain('<html lang="fr-CA">');
+      expect(html).toContain('<title>Safety &amp; Compliance</title>');
+      expect(html).toContain('<h1>Safety &amp; Compliance</h1>');
+      expect(html).toContain('<p class="course-description">Everything new staff need</p>');
+    });
+
+    test('should keep the defaults when no details are given', () => {
+      const manifest = scormProcessor.createMergedManifest(packages, { metadata: scormProcessor.normalizeMergeOptions({}).metadata });
+      expect(manifest).toContain('<string language="en">Merged SCORM Package</string>');
+      expect(manifest).not.toContain('<language>');
+      expect(manifest).not.toContain('<lifeCycle>');
+
+      const html = scormProcessor.createMenuFiles(packages)['menu/index.html'];
+      expect(html).toContain('<h1>Course Menu</h1>');
+      expect(html).not.toContain('course-description');
+    });
+
+    test('should describe the course in cmi5 and Common Cartridge output', () => {
+      expect(scormProcessor.createCourseStructure(packages, { metadata }))
+        .toContain('<langstring lang="fr-CA">Safety &amp; Compliance</langstring>');
+      const cartridge = scormProcessor.createCartridgeManifest(packages, { metadata });
+      expect(cartridge).toContain('<manifest identifier="safety-2026"');
+      expect(cartridge).toContain('<lomimscc:string language="fr-CA">Safety &amp; Compliance</lomimscc:string>');
+    });
+  });
+
+  describe('menu theme', () => {
+    const logo = 'data:image/png;base64,iVBORw0KGgo=';
+    const packages = [
+      { id: 1, title: 'Package 1', version: '2004 3rd Edition', filename: 'package1.zip', resources: [{ href: 'index.html', files: ['index.html'] }] }
+    ];
+
+    test('should brand the menu page, script and style sheet', () => {
+      const theme = scormProcessor.normalizeMergeOptions({
+        theme: {
+          primaryColor: '#123456',
+          headingFontFamily: 'Georgia, serif',
+          introText: 'Pick a module & go',
+          launchButtonLabel: 'Start',
+          resumeButtonLabel: 'Resume',
+          backButtonLabel: 'Close',
+          headerHtml: '<strong>Acme</strong>',
+          footerHtml: '<p>© Acme</p>',
+          customCss: '.menu-item { border-radius: 0; }'
+        }
+      }).theme;
+      const menuFiles = scormProcessor.createMenuFiles(packages, { theme, launchMode: 'player' });
+
+      const html = menuFiles['menu/index.html'];
+      expect(html).toContain('<header class="course-header"><strong>Acme</strong></header>');
+      expect(html).toContain('<p>Pick a module &amp; go</p>');
+      expect(html).toContain('<button onclick="launchPackage(1)">Start</button>');
+      expect(html).toContain('hidden>Resume</button>');
+      expect(html).toContain('<button id="player-back">Close</button>');
+      expect(html).toContain('<footer class="course-footer"><p>© Acme</p></footer>');
+      expect(html).not.toContain('course-logo');
+
+      expect(menuFiles['menu/menu.js']).toContain('resumeButton.textContent = "Resume: " + packageData[lastModule - 1].title;');
+
+      const css = menuFiles['menu/style.css'];
+      expect(css).toContain('--menu-primary: #123456;');
+      expect(css).toContain('--menu-secondary: #764ba2;');
+      expect(css).toContain('--menu-heading-font: Georgia, serif;');
+      expect(css).not.toContain('#667eea');
+      expect(css.trim().endsWith('.menu-item { border-radius: 0; }')).toBe(true);
+    });
+
+    test('should keep the default look without a theme', () => {
+      const menuFiles = scormProcessor.createMenuFiles(packages);
+
+      expect(menuFiles['menu/index.html']).toContain('<p>Select a course module to begin:</p>');
+      expect(menuFiles['menu/index.html']).not.toContain('course-header');
+      expect(menuFiles['menu/style.css']).toContain('--menu-primary: #667eea;');
+      expect(menuFiles['menu/style.css']).not.toContain('Custom theme CSS');
+      expect(Object.keys(menuFiles)).toEqual(['menu/index.html', 'menu/menu.js', 'menu/style.css']);
+    });
+
+    test('should package the logo next to the menu', () => {
+      const theme = scormProcessor.normalizeMergeOptions({ theme: { logo } }).theme;
+      const menuFiles = scormProcessor.createMenuFiles(packages, { theme });
+
+      expect(menuFiles['menu/logo.png']).toEqual(Buffer.from('iVBORw0KGgo=', 'base64'));
+      expect(menuFiles['menu/index.html']).toContain('<img class="course-logo" src="logo.png" alt="">');
+      expect(scormProcessor.createMergedManifest(packages, { theme })).toContain('<file href="menu/logo.png" />');
+    });
+
+    test('should reject invalid themes', () => {
+      expect(() => scormProcessor.normalizeMergeOptions({ theme: 'blue' })).toThrow('theme must be an object');
+      expect(() => scormProcessor.normalizeMergeOptions({ theme: { secondaryColor: 'blue' } }))
+        .toThrow('secondaryColor must be a colour such as #336699');
+      expect(() => scormProcessor.normalizeMergeOptions({ theme: { logo: 'data:text/html;base64,PGI+' } }))
+        .toThrow('logo must be a PNG, JPEG, GIF, SVG or WebP image');
+    });
   });
 
   describe('Description functionality', () => {
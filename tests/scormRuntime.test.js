@@ -0,0 +1,400 @@
+const vm = require('vm');
+const scormRuntime = require('../server/scormRuntime');
+
+// Minimal SCORM 2004 LMS that records every call
+function createLms2004(initialValues = {}) {
+  const values = { 'cmi.completion_status': 'unknown', ...initialValues };
+  const calls = [];
+  return {
+    values,
+    calls,
+    Initialize: () => { calls.push('Initialize'); return 'true'; },
+    Terminate: () => { calls.push('Terminate'); return 'true'; },
+    GetValue: (element) => values[element] || '',
+    SetValue: (element, value) => { values[element] = value; return 'true'; },
+    Commit: () => { calls.push('Commit'); return 'true'; },
+    GetLastError: () => '0',
+    GetErrorString: () => '',
+    GetDiagnostic: () => ''
+  };
+}
+
+// Minimal SCORM 1.2 LMS that records every call
+function createLms12(initialValues = {}) {
+  const values = { 'cmi.core.lesson_status': 'not attempted', ...initialValues };
+  const calls = [];
+  return {
+    values,
+    calls,
+    LMSInitialize: () => { calls.push('LMSInitialize'); return 'true'; },
+    LMSFinish: () => { calls.push('LMSFinish'); return 'true'; },
+    LMSGetValue: (element) => values[element] || '',
+    LMSSetValue: (element, value) => { values[element] = value; return 'true'; },
+    LMSCommit: () => { calls.push('LMSCommit'); return 'true'; },
+    LMSGetLastError: () => '0',
+    LMSGetErrorString: () => '',
+    LMSGetDiagnostic: () => ''
+  };
+}
+
+// Runs the generated script in a module window whose parent is the LMS frame
+function loadRuntime(lmsWindowProps, outputVersion = '2004') {
+  const lmsWindow = { ...lmsWindowProps };
+  lmsWindow.parent = lmsWindow;
+  const moduleWindow = { parent: lmsWindow };
+  const context = vm.createContext({ window: moduleWindow, console });
+  vm.runInContext(scormRuntime.createLmsAdapterScript(outputVersion), context);
+  return moduleWindow.ScormMergeRuntime;
+}
+
+describe('ScormRuntime', () => {
+  test('should translate SCORM 1.2 calls for a SCORM 2004 LMS', () => {
+    const lms = createLms2004();
+    const runtime = loadRuntime({ API_1484_11: lms });
+    const adapter = runtime.createAdapter();
+    const { API } = runtime.createProxies(adapter, () => true);
+
+    expect(adapter.version).toBe('2004');
+    expect(API.LMSInitialize('')).toBe('true');
+    expect(API.LMSSetValue('cmi.core.lesson_status', 'passed')).toBe('true');
+    expect(API.LMSSetValue('cmi.core.score.raw', '80')).toBe('true');
+    expect(API.LMSSetValue('cmi.core.session_time', '0001:30:05.50')).toBe('true');
+    expect(API.LMSSetValue('cmi.core.lesson_location', 'page-3')).toBe('true');
+
+    expect(lms.values['cmi.success_status']).toBe('passed');
+    expect(lms.values['cmi.completion_status']).toBe('completed');
+    expect(lms.values['cmi.score.raw']).toBe('80');
+    expect(lms.values['cmi.score.scaled']).toBe('0.8');
+    expect(lms.values['cmi.session_time']).toBe('PT1H30M5.5S');
+    expect(lms.values['cmi.location']).toBe('page-3');
+    expect(API.LMSGetValue('cmi.core.lesson_status')).toBe('passed');
+  });
+
+  test('should translate SCORM 2004 calls for a SCORM 1.2 LMS', () => {
+    const lms = createLms12();
+    const runtime = loadRuntime({ API: lms }, '1.2');
+    const adapter = runtime.createAdapter();
+    const { API_1484_11 } = runtime.createProxies(adapter, () => true);
+
+    expect(adapter.version).toBe('1.2');
+    expect(API_1484_11.Initialize('')).toBe('true');
+    expect(API_1484_11.SetValue('cmi.completion_status', 'incomplete')).toBe('true');
+    expect(API_1484_11.SetValue('cmi.score.scaled', '0.75')).toBe('true');
+    expect(API_1484_11.SetValue('cmi.session_time', 'PT2M30S')).toBe('true');
+    expect(API_1484_11.SetValue('cmi.exit', 'suspend')).toBe('true');
+    expect(API_1484_11.SetValue('cmi.progress_measure', '0.5')).toBe('true');
+
+    expect(lms.values['cmi.core.lesson_status']).toBe('incomplete');
+    expect(lms.values['cmi.core.score.raw']).toBe('75');
+    expect(lms.values['cmi.core.session_time']).toBe('0000:02:30.00');
+    expect(lms.values['cmi.core.exit']).toBe('suspend');
+
+    expect(API_1484_11.SetValue('cmi.success_status', 'failed')).toBe('true');
+    expect(API_1484_11.SetValue('cmi.completion_status', 'completed')).toBe('true');
+    expect(lms.values['cmi.core.lesson_status']).toBe('failed');
+    expect(API_1484_11.GetValue('cmi.completion_status')).toBe('completed');
+    expect(API_1484_11.GetValue('cmi.success_status')).toBe('failed');
+  });
+
+  test('should prefer the runtime matching the output version', () => {
+    const lms12 = createLms12();
+    const lms2004 = createLms2004();
+
+    expect(loadRuntime({ API: lms12, API_1484_11: lms2004 }, '1.2').createAdapter().version).toBe('1.2');
+    expect(loadRuntime({ API: lms12, API_1484_11: lms2004 }, '2004').createAdapter().version).toBe('2004');
+  });
+
+  test('should keep the LMS session open when a module finishes', () => {
+    const lms = createLms2004();
+    const runtime = loadRuntime({ API_1484_11: lms });
+    const adapter = runtime.createAdapter();
+    const onFinish = jest.fn(() => true);
+    const proxies = runtime.createProxies(adapter, onFinish);
+
+    proxies.API.LMSInitialize('');
+    expect(proxies.API.LMSFinish('')).toBe('true');
+    expect(proxies.API_1484_11.Terminate('')).toBe('true');
+    expect(proxies.API_1484_11.SetValue('adl.nav.request', 'exitAll')).toBe('true');
+
+    expect(onFinish).toHaveBeenCalledTimes(2);
+    expect(lms.calls).not.toContain('Terminate');
+    expect(lms.values['adl.nav.request']).toBeUndefined();
+    expect(adapter.getNavigationRequest()).toBe('exitAll');
+  });
+
+  test('should accept an LMS session opened by an earlier page', () => {
+    const lms = createLms2004();
+    lms.Initialize = () => 'false';
+    lms.GetLastError = () => '103';
+    const adapter = loadRuntime({ API_1484_11: lms }).createAdapter();
+
+    expect(adapter.initialize()).toBe(true);
+  });
+
+  test('should skip proxies when looking for the LMS', () => {
+    const runtime = loadRuntime({});
+    const noLms = runtime.createAdapter();
+    const proxies = runtime.createProxies(noLms, () => true);
+
+    const lmsWindow = { API: proxies.API };
+    lmsWindow.parent = lmsWindow;
+    const context = vm.createContext({ window: { parent: lmsWindow } });
+    vm.runInContext(scormRuntime.createLmsAdapterScript('1.2'), context);
+
+    expect(noLms.available).toBe(false);
+    expect(context.window.ScormMergeRuntime.createAdapter().available).toBe(false);
+  });
+
+  test('should convert between SCORM 1.2 timespans and SCORM 2004 durations', () => {
+    const runtime = loadRuntime({});
+
+    expect(runtime.timespanToDuration('0002:05:10.25')).toBe('PT2H5M10.25S');
+    expect(runtime.timespanToDuration('garbage')).toBe('PT0S');
+    expect(runtime.durationToTimespan('P1DT2H3M4.5S')).toBe('0026:03:04.50');
+    expect(runtime.durationToTimespan('PT45S')).toBe('0000:00:45.00');
+  });
+
+  test('should treat finish links and window.close() as finishing the module', () => {
+    const runtime = loadRuntime({});
+    const finishLink = { tagName: 'A', textContent: 'Finish course', href: 'finish.html', listeners: [] };
+    finishLink.addEventListener = (type, listener) => finishLink.listeners.push(listener);
+    const moduleWindow = {
+      document: { querySelectorAll: (selector) => (selector === 'a[href*="finish"]' ? [finishLink] : []) }
+    };
+    const onFinish = jest.fn();
+
+    runtime.interceptFinish(moduleWindow, onFinish);
+    finishLink.listeners[0]({ preventDefault: jest.fn(), stopPropagation: jest.fn() });
+    moduleWindow.close();
+
+    expect(finishLink.href).toBe('javascript:void(0)');
+    expect(onFinish).toHaveBeenCalledTimes(2);
+  });
+
+  describe('course tracker', () => {
+    const setup = (config, initialValues) => {
+      const lms = createLms2004(initialValues);
+      const runtime = loadRuntime({ API_1484_11: lms });
+      const adapter = runtime.createAdapter();
+      adapter.initialize();
+      const tracker = runtime.createTracker(adapter, config);
+      tracker.load();
+      return { lms, runtime, adapter, tracker };
+    };
+
+    test('should not complete the course when a module is launched', () => {
+      const { lms, tracker } = setup({ modules: 2, rule: 'all' });
+
+      tracker.startModule(1);
+
+      expect(tracker.getModuleStatus(1)).toBe('incomplete');
+      expect(lms.values['cmi.completion_status']).toBe('incomplete');
+      expect(JSON.parse(lms.values['cmi.suspend_data']).scormMerge.last).toBe(1);
+    });
+
+    test('should report when the LMS rejects the course progress', () => {
+      const { lms, tracker } = setup({ modules: 1, rule: 'all' });
+      const module = tracker.createModuleAdapter(1);
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      lms.SetValue = (element, value) => element !== 'cmi.suspend_data' && Boolean(lms.values[element] = value) && 'true';
+      lms.GetLastError = () => '405';
+
+      try {
+        expect(module.setValue('cmi.core.lesson_location', 'page-2', '1.2')).toBe(false);
+        expect(tracker.startModule(1)).toBe(false);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('course progress could not be saved (LMS error 405'));
+      } finally {
+        warn.mockRestore();
+      }
+    });
+
+    test('should keep the course progress within the SCORM 1.2 suspend data limit', () => {
+      const lms = createLms12();
+      const runtime = loadRuntime({ API: lms }, '1.2');
+      const adapter = runtime.createAdapter();
+      adapter.initialize();
+      const tracker = runtime.createTracker(adapter, { modules: 100, rule: 'all' });
+      tracker.load();
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      try {
+        for (let moduleNumber = 1; moduleNumber <= 100; moduleNumber++) {
+          const module = tracker.createModuleAdapter(moduleNumber);
+          module.setValue('cmi.suspend_data', `module-${moduleNumber}-`.padEnd(800, 'x'), '1.2');
+          module.setValue('cmi.core.lesson_location', `slide-${moduleNumber}`, '1.2');
+          module.setValue('cmi.core.lesson_status', moduleNumber % 2 ? 'completed' : 'incomplete', '1.2');
+        }
+        tracker.startModule(100);
+      } finally {
+        warn.mockRestore();
+      }
+
+      expect(lms.values['cmi.suspend_data'].length).toBeLessThanOrEqual(4096);
+
+      // Every status and bookmark survives; suspend data only for the modules that fit, last module first
+      const resumed = runtime.createTracker(adapter, { modules: 100, rule: 'all' });
+      resumed.load();
+      expect(resumed.completedCount()).toBe(50);
+      expect(resumed.getLastModule()).toBe(100);
+      expect(resumed.createModuleAdapter(37).getValue('cmi.core.lesson_location', '1.2')).toBe('slide-37');
+      expect(resumed.createModuleAdapter(100).getValue('cmi.suspend_data', '1.2')).toMatch(/^module-100-x+$/);
+      expect(resumed.createModuleAdapter(99).getValue('cmi.suspend_data', '1.2')).toBe('');
+    });
+
+    test('should keep module status, bookmark and suspend data per module', () => {
+      const { lms, tracker } = setup({ modules: 2, rule: 'all' });
+      const first = tracker.createModuleAdapter(1);
+      const second = tracker.createModuleAdapter(2);
+
+      first.setValue('cmi.core.lesson_location', 'page-4', '1.2');
+      first.setValue('cmi.suspend_data', 'first-module-data', '1.2');
+      first.setValue('cmi.core.lesson_status', 'passed', '1.2');
+
+      expect(lms.values['cmi.completion_status']).toBe('incomplete');
+      expect(first.getValue('cmi.core.entry', '1.2')).toBe('resume');
+      expect(first.getValue('cmi.suspend_data', '1.2')).toBe('first-module-data');
+      expect(second.getValue('cmi.suspend_data', '2004')).toBe('');
+      expect(second.getValue('cmi.entry', '2004')).toBe('ab-initio');
+
+      second.setValue('cmi.completion_status', 'completed', '2004');
+
+      expect(tracker.isCourseComplete()).toBe(true);
+      expect(lms.values['cmi.completion_status']).toBe('completed');
+    });
+
+    test('should count a module that ends without reporting a status as completed', () => {
+      const { tracker } = setup({ modules: 2, rule: 'all' });
+      const reporting = tracker.createModuleAdapter(2);
+
+      tracker.startModule(1);
+      tracker.finishModule(1);
+      reporting.setValue('cmi.completion_status', 'incomplete', '2004');
+      tracker.finishModule(2);
+
+      expect(tracker.isModuleComplete(1)).toBe(true);
+      expect(tracker.isModuleComplete(2)).toBe(false);
+    });
+
+    test('should apply N of M and required subset rules', () => {
+      const countRule = setup({ modules: 3, rule: 'count', count: 2 }).tracker;
+      countRule.finishModule(1);
+      expect(countRule.isCourseComplete()).toBe(false);
+      countRule.finishModule(3);
+      expect(countRule.isCourseComplete()).toBe(true);
+
+      const requiredRule = setup({ modules: 3, rule: 'required', required: [2] }).tracker;
+      requiredRule.finishModule(1);
+      requiredRule.finishModule(3);
+      expect(requiredRule.isCourseComplete()).toBe(false);
+      requiredRule.finishModule(2);
+      expect(requiredRule.isCourseComplete()).toBe(true);
+    });
+
+    test('should list the prerequisites of a module that are not complete yet', () => {
+      const { tracker } = setup({ modules: 3, rule: 'all', prerequisites: { 3: [1, 2] } });
+
+      tracker.finishModule(2);
+
+      expect(tracker.getMissingPrerequisites(1)).toEqual([]);
+      expect(tracker.getMissingPrerequisites(3)).toEqual([1]);
+      tracker.finishModule(1);
+      expect(tracker.getMissingPrerequisites(3)).toEqual([]);
+    });
+
+    test('should resume from suspend data saved in an earlier session', () => {
+      const first = setup({ modules: 2, rule: 'all' });
+      first.tracker.startModule(2);
+      first.tracker.finishModule(1);
+
+      const { tracker } = setup({ modules: 2, rule: 'all' }, { 'cmi.suspend_data': first.lms.values['cmi.suspend_data'] });
+
+      expect(tracker.getLastModule()).toBe(2);
+      expect(tracker.isModuleComplete(1)).toBe(true);
+      expect(tracker.completedCount()).toBe(1);
+    });
+
+    test('should keep a completed module completed when it is opened again', () => {
+      const { tracker } = setup({ modules: 1, rule: 'all' });
+      const module = tracker.createModuleAdapter(1);
+
+      module.setValue('cmi.completion_status', 'completed', '2004');
+      tracker.startModule(1);
+      module.setValue('cmi.completion_status', 'incomplete', '2004');
+
+      expect(tracker.isModuleComplete(1)).toBe(true);
+    });
+  });
+
+  describe('score aggregation', () => {
+    const setup = (scoring, modules = 3) => {
+      const lms = createLms12();
+      const runtime = loadRuntime({ API: lms }, '1.2');
+      const adapter = runtime.createAdapter();
+      adapter.initialize();
+      const tracker = runtime.createTracker(adapter, { modules, rule: 'all', scoring });
+      tracker.load();
+      return { lms, tracker };
+    };
+
+    const reportScores = (tracker) => {
+      tracker.createModuleAdapter(1).setValue('cmi.core.score.raw', '90', '1.2');
+      tracker.createModuleAdapter(2).setValue('cmi.score.scaled', '0.5', '2004');
+      const third = tracker.createModuleAdapter(3);
+      third.setValue('cmi.score.min', '0', '2004');
+      third.setValue('cmi.score.max', '50', '2004');
+      third.setValue('cmi.score.raw', '35', '2004');
+    };
+
+    test('should keep module scores away from the LMS and report the average', () => {
+      const { lms, tracker } = setup({ method: 'average', weights: [1, 1, 1], masteryScore: null });
+      tracker.createModuleAdapter(1).setValue('cmi.core.score.raw', '90', '1.2');
+
+      expect(lms.values['cmi.core.score.raw']).toBe('90');
+      expect(tracker.createModuleAdapter(1).getValue('cmi.core.score.raw', '1.2')).toBe('90');
+
+      tracker.createModuleAdapter(2).setValue('cmi.core.score.raw', '60', '1.2');
+      expect(lms.values['cmi.core.score.raw']).toBe('75');
+      expect(lms.values['cmi.core.score.max']).toBe('100');
+    });
+
+    test('should support weighted, minimum and last score methods', () => {
+      const weighted = setup({ method: 'weighted', weights: [2, 1, 1], masteryScore: null });
+      reportScores(weighted.tracker);
+      expect(weighted.tracker.getCourseScore()).toBeCloseTo((0.9 * 2 + 0.5 + 0.7) / 4);
+
+      const minimum = setup({ method: 'minimum', weights: [1, 1, 1], masteryScore: null });
+      reportScores(minimum.tracker);
+      expect(minimum.tracker.getCourseScore()).toBeCloseTo(0.5);
+
+      const last = setup({ method: 'last', weights: [1, 1, 1], masteryScore: null });
+      reportScores(last.tracker);
+      expect(last.tracker.getCourseScore()).toBeCloseTo(0.7);
+      expect(last.lms.values['cmi.core.score.raw']).toBe('70');
+    });
+
+    test('should decide pass or fail against the mastery score once the course is complete', () => {
+      const { lms, tracker } = setup({ method: 'average', weights: [1, 1], masteryScore: 80 }, 2);
+      const first = tracker.createModuleAdapter(1);
+      const second = tracker.createModuleAdapter(2);
+
+      first.setValue('cmi.core.score.raw', '95', '1.2');
+      first.setValue('cmi.core.lesson_status', 'passed', '1.2');
+      expect(lms.values['cmi.core.lesson_status']).toBe('incomplete');
+
+      second.setValue('cmi.core.score.raw', '55', '1.2');
+      second.setValue('cmi.core.lesson_status', 'completed', '1.2');
+      expect(lms.values['cmi.core.lesson_status']).toBe('failed');
+      expect(lms.values['cmi.core.score.raw']).toBe('75');
+    });
+
+    test('should pass when the course score reaches the mastery score', () => {
+      const { lms, tracker } = setup({ method: 'average', weights: [1], masteryScore: 80 }, 1);
+      const module = tracker.createModuleAdapter(1);
+
+      module.setValue('cmi.core.score.raw', '80', '1.2');
+      module.setValue('cmi.core.lesson_status', 'completed', '1.2');
+
+      expect(lms.values['cmi.core.lesson_status']).toBe('passed');
+    });
+  });
+});
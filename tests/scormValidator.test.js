@@ -0,0 +1,262 @@
+const fs = require('fs').promises;
+const path = require('path');
+const JSZip = require('jszip');
+const xml2js = require('xml2js');
+const scormValidator = require('../server/scormValidator');
+
+describe('ScormValidator', () => {
+  const parse = (xml) => new xml2js.Parser().parseStringPromise(xml);
+
+  const createManifest = ({ namespaces = '', metadata, organizations, resources }) => `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="course" version="1.3"
+          xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+          xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"${namespaces}>
+  ${metadata ?? '<metadata><schema>ADL SCORM</schema><schemaversion>2004 3rd Edition</schemaversion></metadata>'}
+  ${organizations ?? `<organizations default="org">
+    <organization identifier="org">
+      <title>Course</title>
+      <item identifier="item_1" identifierref="sco_1"><title>Lesson</title></item>
+    </organization>
+  </organizations>`}
+  <resources>${resources ?? `
+    <resource identifier="sco_1" type="webcontent" adlcp:scormType="sco" href="index.html">
+      <file href="index.html" />
+    </resource>`}
+  </resources>
+</manifest>`;
+
+  const codes = (issues) => issues.map(issue => issue.code);
+
+  test('should accept a conformant package', async () => {
+    const result = scormValidator.validateManifest(await parse(createManifest({})), ['index.html']);
+
+    expect(result).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  test('should report files missing from the zip', async () => {
+    const manifest = await parse(createManifest({
+      resources: `
+    <resource identifier="sco_1" type="webcontent" adlcp:scormType="sco" href="start.html?page=1">
+      <file href="start.html" />
+      <file href="images/logo%20large.png" />
+      <file href="scripts/app.js" />
+    </resource>`
+    }));
+
+    const result = scormValidator.validateManifest(manifest, ['start.html', 'images/', 'images/logo large.png']);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { code: 'MISSING_FILE', message: 'Resource "sco_1" lists scripts/app.js, which is not in the package' }
+    ]);
+  });
+
+  test('should resolve hrefs against xml:base', async () => {
+    const manifest = await parse(createManifest({
+      resources: `
+    <resource identifier="sco_1" type="webcontent" adlcp:scormType="sco" xml:base="content/" href="index.html">
+      <file href="index.html" />
+    </resource>`
+    }));
+
+    expect(scormValidator.validateManifest(manifest, ['content/index.html']).valid).toBe(true);
+    expect(codes(scormValidator.validateManifest(manifest, ['index.html']).errors)).toEqual(['MISSING_FILE', 'MISSING_FILE']);
+  });
+
+  test('should resolve hrefs against the xml:base of the manifest', async () => {
+    const manifest = await parse(createManifest({
+      resources: `
+    <resource identifier="sco_1" type="webcontent" adlcp:scormType="sco" xml:base="lesson/" href="index.html">
+      <file href="index.html" />
+      <file href="https://cdn.example.com/player.js" />
+    </resource>`
+    }).replace('<manifest identifier="course"', '<manifest identifier="course" xml:base="content/"'));
+
+    expect(scormValidator.validateManifest(manifest, ['content/lesson/index.html']).valid).toBe(true);
+    expect(codes(scormValidator.validateManifest(manifest, ['lesson/index.html']).errors)).toEqual(['MISSING_FILE', 'MISSING_FILE']);
+  });
+
+  test('should report unresolved references and duplicate identifiers', async () => {
+    const manifest = await parse(createManifest({
+      organizations: `<organizations default="missing-org">
+    <organization identifier="org">
+      <title>Course</title>
+      <item identifier="item_1" identifierref="sco_1"><title>Lesson</title></item>
+      <item identifier="item_1" identifierref="sco_2"><title>Lesson 2</title></item>
+    </organization>
+  </organizations>`,
+      resources: `
+    <resource identifier="sco_1" type="webcontent" adlcp:scormType="sco" href="index.html">
+      <file href="index.html" />
+      <dependency identifierref="shared_files" />
+    </resource>`
+    }));
+
+    const { errors } = scormValidator.validateManifest(manifest, ['index.html']);
+
+    expect(codes(errors)).toEqual([
+      'UNRESOLVED_IDENTIFIERREF',
+      'UNRESOLVED_DEFAULT_ORGANIZATION',
+      'DUPLICATE_IDENTIFIER',
+      'UNRESOLVED_IDENTIFIERREF'
+    ]);
+    expect(errors[2].message).toBe('Identifier "item_1" is used more than once (item and item)');
+  });
+
+  test('should check scormType values and launch files', async () => {
+    const manifest = await parse(createManifest({
+      organizations: `<organizations default="org">
+    <organization identifier="org">
+      <title>Course</title>
+      <item identifier="item_1" identifierref="sco_1"><title>Video</title></item>
+      <item identifier="item_2" identifierref="asset_1"><title>Handout</title></item>
+      <item identifier="item_3" identifierref="files"><title>Files</title></item>
+    </organization>
+  </organizations>`,
+      resources: `
+    <resource identifier="sco_1" type="webcontent" adlcp:scormType="sco" href="video.mp4" />
+    <resource identifier="asset_1" type="webcontent" adlcp:scormType="asset" href="handout.pdf" />
+    <resource identifier="files" type="webcontent" adlcp:scormType="content" />
+    <resource identifier="untyped" type="webcontent" href="index.html" />`
+    }));
+
+    const result = scormValidator.validateManifest(manifest, ['video.mp4', 'handout.pdf', 'index.html']);
+
+    expect(codes(result.errors)).toEqual(['LAUNCH_NOT_HTML', 'INVALID_SCORM_TYPE', 'RESOURCE_NOT_LAUNCHABLE']);
+    expect(codes(result.warnings)).toEqual(['MISSING_SCORM_TYPE', 'LAUNCH_NOT_HTML']);
+  });
+
+  test('should require declared namespaces and a schemaversion', async () => {
+    const manifest = await parse(createManifest({
+      metadata: '<metadata><schema>ADL SCORM</schema><lom:lom><lom:general /></lom:lom></metadata>',
+      organizations: ''
+    }).replace('xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"', ''));
+
+    const result = scormValidator.validateManifest(manifest, ['index.html']);
+
+    expect(codes(result.errors)).toEqual(['MISSING_NAMESPACE', 'MISSING_NAMESPACE']);
+    expect(result.errors[1].message).toBe('The "lom" prefix is used but its namespace is never declared');
+    expect(codes(result.warnings)).toEqual(['MISSING_SCHEMAVERSION', 'NO_ORGANIZATION']);
+  });
+
+  test('should accept the SCORM 1.2 content packaging namespace', async () => {
+    const manifest = await parse(createManifest({ metadata: '<metadata><schema>ADL SCORM</schema><schemaversion>1.2</schemaversion></metadata>' })
+      .replace('http://www.imsglobal.org/xsd/imscp_v1p1', 'http://www.imsproject.org/xsd/imscp_rootv1p1p2'));
+
+    expect(scormValidator.validateManifest(manifest, ['index.html']).valid).toBe(true);
+  });
+
+  test('should check Common Cartridge manifests without SCORM rules', async () => {
+    const manifest = await parse(createManifest({
+      metadata: '<metadata><schema>IMS Common Cartridge</schema><schemaversion>1.3.0</schemaversion></metadata>',
+      resources: `
+    <resource identifier="sco_1" type="webcontent" href="index.html">
+      <file href="index.html" />
+    </resource>`
+    }).replace('http://www.imsglobal.org/xsd/imscp_v1p1', 'http://www.imsglobal.org/xsd/imsccv1p3/imscp_v1p1'));
+
+    expect(scormValidator.validateManifest(manifest, ['index.html'])).toEqual({ valid: true, errors: [], warnings: [] });
+
+    manifest.manifest.metadata[0].schemaversion = ['2.0.0'];
+    expect(codes(scormValidator.validateManifest(manifest, ['index.html']).warnings)).toEqual(['UNKNOWN_SCHEMAVERSION']);
+  });
+
+  describe('verifyPackageFile', () => {
+    const zipPath = path.join('test-uploads', 'verify-package.zip');
+
+    const writePackage = async (files) => {
+      const zip = new JSZip();
+      for (const [filename, content] of Object.entries(files)) {
+        zip.file(filename, content);
+      }
+      await fs.writeFile(zipPath, await zip.generateAsync({ type: 'nodebuffer' }));
+    };
+
+    afterEach(async () => {
+      await fs.unlink(zipPath).catch(() => {});
+    });
+
+    test('should pass a package whose manifest and files agree', async () => {
+      await writePackage({ 'imsmanifest.xml': createManifest({}), 'index.html': '<html></html>' });
+
+      expect(await scormValidator.verifyPackageFile(zipPath)).toEqual({ valid: true, errors: [], warnings: [] });
+    });
+
+    test('should report a missing or malformed manifest', async () => {
+      await writePackage({ 'index.html': '<html></html>' });
+      expect(codes((await scormValidator.verifyPackageFile(zipPath)).errors)).toEqual(['MISSING_MANIFEST']);
+
+      await writePackage({ 'imsmanifest.xml': createManifest({}).replace('<title>Lesson</title>', '<title>Q&A</title>') });
+      expect(codes((await scormValidator.verifyPackageFile(zipPath)).errors)).toEqual(['MALFORMED_MANIFEST']);
+    });
+
+    test('should check that titles hold singly escaped text', async () => {
+      await writePackage({
+        'imsmanifest.xml': createManifest({}).replace('<title>Course</title>', '<title>Tips &amp;amp; Tricks</title>')
+          .replace('<title>Lesson</title>', '<title><b>Lesson</b></title>'),
+        'index.html': '<html></html>'
+      });
+
+      const result = await scormValidator.verifyPackageFile(zipPath);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        { code: 'MALFORMED_TEXT', message: 'A title in item contains markup (<b>) instead of text' }
+      ]);
+      expect(result.warnings).toEqual([
+        { code: 'DOUBLE_ESCAPED_TEXT', message: 'The title "Tips &amp; Tricks" in organization is escaped twice' }
+      ]);
+    });
+
+    test('should report files the manifest lists but the zip lacks', async () => {
+      await writePackage({ 'imsmanifest.xml': createManifest({}) });
+
+      expect(codes((await scormValidator.verifyPackageFile(zipPath)).errors)).toEqual(['MISSING_FILE', 'MISSING_FILE']);
+    });
+
+    describe('cmi5 courses', () => {
+      const createCourseStructure = (aus) => `<?xml version="1.0" encoding="UTF-8"?>
+<courseStructure xmlns="https://w3id.org/xapi/profiles/cmi5/v1/CourseStructure.xsd">
+  <course id="urn:course"><title><langstring lang="en">Course</langstring></title></course>
+  ${aus}
+</courseStructure>`;
+      const au = (id, title, url) =>
+        `<au id="${id}"><title><langstring lang="en">${title}</langstring></title><url>${url}</url></au>`;
+
+      test('should check a cmi5.xml instead of a manifest', async () => {
+        await writePackage({
+          'cmi5.xml': createCourseStructure(au('urn:au:1', 'Lesson', 'cmi5/launch.html?content=..%2Fpackage_1%2Findex.html')),
+          'cmi5/launch.html': '<html></html>',
+          'package_1/index.html': '<html></html>'
+        });
+
+        expect(await scormValidator.verifyPackageFile(zipPath)).toEqual({ valid: true, errors: [], warnings: [] });
+      });
+
+      test('should report AUs with missing modules, ids or titles', async () => {
+        await writePackage({
+          'cmi5.xml': createCourseStructure([
+            au('urn:au:1', 'Lesson', 'cmi5/launch.html?content=..%2Fpackage_2%2Findex.html'),
+            au('urn:au:1', '', 'cmi5/launch.html?content=..%2Fpackage_1%2Findex.html')
+          ].join('')),
+          'cmi5/launch.html': '<html></html>',
+          'package_1/index.html': '<html></html>'
+        });
+
+        const result = await scormValidator.verifyPackageFile(zipPath);
+
+        expect(result.errors).toEqual([
+          { code: 'MISSING_FILE', message: 'AU "urn:au:1" launches module package_2/index.html, which is not in the package' },
+          { code: 'DUPLICATE_IDENTIFIER', message: 'The id "urn:au:1" is used more than once in cmi5.xml' },
+          { code: 'EMPTY_TITLE', message: 'AU "urn:au:1" has no title' }
+        ]);
+      });
+
+      test('should require at least one AU', async () => {
+        await writePackage({ 'cmi5.xml': createCourseStructure('') });
+
+        expect(codes((await scormValidator.verifyPackageFile(zipPath)).errors)).toEqual(['NO_AUS']);
+      });
+    });
+  });
+});
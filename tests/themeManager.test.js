@@ -0,0 +1,143 @@
+const fs = require('fs').promises;
+const path = require('path');
+const themeManager = require('../server/themeManager');
+
+describe('ThemeManager', () => {
+  const logo = 'data:image/png;base64,iVBORw0KGgo=';
+
+  describe('normalizeTheme', () => {
+    test('should return null when no theme is given', () => {
+      expect(themeManager.normalizeTheme(undefined)).toBeNull();
+      expect(themeManager.normalizeTheme(null)).toBeNull();
+    });
+
+    test('should trim texts and leave blank fields to the defaults', () => {
+      const theme = themeManager.normalizeTheme({
+        logo,
+        primaryColor: ' #ABC ',
+        secondaryColor: '',
+        fontFamily: '  ',
+        launchButtonLabel: ' Start '
+      });
+
+      expect(theme).toMatchObject({
+        logo,
+        primaryColor: '#abc',
+        secondaryColor: null,
+        fontFamily: null,
+        launchButtonLabel: 'Start',
+        customCss: null
+      });
+    });
+
+    test('should reject invalid values', () => {
+      expect(() => themeManager.normalizeTheme(['#fff'])).toThrow('theme must be an object');
+      expect(() => themeManager.normalizeTheme({ primaryColor: 'rgb(0, 0, 0)' }))
+        .toThrow('primaryColor must be a colour such as #336699');
+      expect(() => themeManager.normalizeTheme({ introText: 5 })).toThrow('introText must be text');
+      expect(() => themeManager.normalizeTheme({ launchButtonLabel: 'x'.repeat(51) }))
+        .toThrow('launchButtonLabel must be at most 50 characters');
+      expect(() => themeManager.normalizeTheme({ headingFontFamily: 'Georgia} body {display: none' }))
+        .toThrow('headingFontFamily cannot contain');
+    });
+  });
+
+  describe('logos', () => {
+    test('should decode the logo and name it after its type', () => {
+      expect(themeManager.decodeLogo(logo)).toEqual({ extension: 'png', data: Buffer.from('iVBORw0KGgo=', 'base64') });
+      expect(themeManager.getLogoFilename({ logo: 'data:image/svg+xml;base64,PHN2Zy8+' })).toBe('logo.svg');
+      expect(themeManager.getLogoFilename({ logo: null })).toBeNull();
+      expect(themeManager.getLogoFilename(null)).toBeNull();
+    });
+
+    test('should reject other files and large logos', () => {
+      expect(() => themeManager.decodeLogo('https://example.com/logo.png'))
+        .toThrow('logo must be a PNG, JPEG, GIF, SVG or WebP image');
+      expect(() => themeManager.decodeLogo('data:application/pdf;base64,JVBERi0='))
+        .toThrow('logo must be a PNG, JPEG, GIF, SVG or WebP image');
+
+      const large = `data:image/png;base64,${Buffer.alloc(512 * 1024 + 1).toString('base64')}`;
+      expect(() => themeManager.decodeLogo(large)).toThrow('logo must be at most 512 KB');
+    });
+  });
+
+  describe('resolveTheme', () => {
+    test('should fill in the default look', () => {
+      const resolved = themeManager.resolveTheme(themeManager.normalizeTheme({ primaryColor: '#123456' }));
+
+      expect(resolved.primaryColor).toBe('#123456');
+      expect(resolved.secondaryColor).toBe('#764ba2');
+      expect(resolved.launchButtonLabel).toBe('Launch Module');
+      expect(themeManager.resolveTheme(null).introText).toBe('Select a course module to begin:');
+    });
+  });
+
+  describe('presets', () => {
+    const originalPath = themeManager.presetsPath;
+
+    beforeEach(() => {
+      themeManager.presetsPath = path.join('test-temp', `theme-presets-${Date.now()}.json`);
+    });
+
+    afterEach(async () => {
+      await fs.rm(themeManager.presetsPath, { force: true });
+      themeManager.presetsPath = originalPath;
+    });
+
+    test('should start without presets', async () => {
+      expect(await themeManager.listPresets()).toEqual([]);
+    });
+
+    test('should save presets by name and replace presets with the same name', async () => {
+      await themeManager.savePreset('Zeta', { primaryColor: '#000000' });
+      await themeManager.savePreset(' Acme ', { primaryColor: '#111111' });
+      await themeManager.savePreset('Acme', { primaryColor: '#222222' });
+
+      const presets = await themeManager.listPresets();
+      expect(presets.map(preset => preset.name)).toEqual(['Acme', 'Zeta']);
+      expect(presets[0].theme.primaryColor).toBe('#222222');
+    });
+
+    test('should validate presets before saving them', async () => {
+      await expect(themeManager.savePreset('', { primaryColor: '#000000' }))
+        .rejects.toThrow('Theme names must be between 1 and 100 characters');
+      await expect(themeManager.savePreset('Acme', null)).rejects.toThrow('theme is required');
+      expect(await themeManager.listPresets()).toEqual([]);
+    });
+
+    test('should reject names that reach the prototype of the presets', async () => {
+      for (const name of ['__proto__', 'constructor', ' prototype ']) {
+        await expect(themeManager.savePreset(name, { primaryColor: '#000000' }))
+          .rejects.toThrow('cannot be used as a theme name');
+      }
+      expect(await themeManager.listPresets()).toEqual([]);
+      expect({}.primaryColor).toBeUndefined();
+    });
+
+    test('should read presets named after object properties as plain presets', async () => {
+      await fs.mkdir(path.dirname(themeManager.presetsPath), { recursive: true });
+      await fs.writeFile(themeManager.presetsPath, '{"__proto__": {"primaryColor": "#000000"}, "toString": {"primaryColor": "#111111"}}');
+
+      expect((await themeManager.listPresets()).map(preset => preset.name)).toEqual(['__proto__', 'toString']);
+      expect(await themeManager.deletePreset('__proto__')).toBe(true);
+      expect(await themeManager.deletePreset('valueOf')).toBe(false);
+    });
+
+    test('should keep every preset saved at the same time', async () => {
+      const names = Array.from({ length: 10 }, (_, index) => `Theme ${index}`);
+      await Promise.all(names.map(name => themeManager.savePreset(name, { primaryColor: '#123456' })));
+
+      expect((await themeManager.listPresets()).map(preset => preset.name)).toEqual(names);
+      const files = await fs.readdir(path.dirname(themeManager.presetsPath));
+      expect(files.filter(file => file.startsWith(path.basename(themeManager.presetsPath)))).toEqual([path.basename(themeManager.presetsPath)]);
+    });
+
+    test('should delete presets', async () => {
+      await themeManager.savePreset('Acme', { primaryColor: '#111111' });
+
+      expect(await themeManager.deletePreset('Acme')).toBe(true);
+      expect(await themeManager.deletePreset('Acme')).toBe(false);
+      expect(await themeManager.listPresets()).toEqual([]);
+    });
+  });
+});